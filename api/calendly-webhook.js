@@ -0,0 +1,153 @@
+/**
+ * Calendly Webhook Handler
+ * Receives invitee.created / invitee.canceled deliveries (HMAC-signed, see lib/calendly.js)
+ *
+ * invitee.created:
+ * 1. Stores meeting start/end, invitee email and reschedule/cancel URLs on the session
+ * 2. Marks the appointment as scheduled
+ * 3. Cancels pending appointment reminders (Messages #8-11) immediately
+ * 4. Schedules pre-meeting reminders (24h / 1h before) with an .ics link
+ *
+ * invitee.canceled (only for the meeting stored on the session - see classifyCancellation):
+ * 1. Clears the scheduled appointment and cancels pre-meeting reminders
+ * 2. Re-arms the appointment follow-up campaign
+ * Reschedules and cancels of an earlier booking are acknowledged without changes -
+ * Calendly sends invitee.created for the new time, possibly before the cancel.
+ */
+
+const sessionManager = require('../lib/sessionManager');
+const { startCampaign, cancelSessionMessages, scheduleMeetingReminders } = require('../lib/messageScheduler');
+const { getNowInIsrael, toIsraelTime } = require('../lib/timezoneHelper');
+const { SIGNATURE_HEADER, EVENTS, CANCELLATION, verifySignature, parseInviteeEvent, classifyCancellation } = require('../lib/calendly');
+
+module.exports = async (req, res) => {
+    try {
+        const signingKey = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+
+        if (!signingKey) {
+            console.error('❌ [CALENDLY] CALENDLY_WEBHOOK_SIGNING_KEY is not configured - rejecting webhook');
+            return res.status(503).json({
+                success: false,
+                error: 'Calendly webhook not configured'
+            });
+        }
+
+        // Signature is computed over the raw body (captured by express.json verify in server.js)
+        const verification = verifySignature(req.rawBody || '', req.headers[SIGNATURE_HEADER], signingKey);
+        if (!verification.valid) {
+            console.warn(`⚠️  [CALENDLY] Rejected webhook: ${verification.reason}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid signature'
+            });
+        }
+
+        const invitee = parseInviteeEvent(req.body);
+        console.log(`📅 [CALENDLY] ${invitee.event} for ${invitee.email || 'unknown invitee'} (session: ${invitee.sessionId || 'n/a'}, phone: ${invitee.phoneNumber || 'n/a'})`);
+
+        if (invitee.event !== EVENTS.INVITEE_CREATED && invitee.event !== EVENTS.INVITEE_CANCELED) {
+            // Acknowledge other subscriptions so Calendly doesn't retry them
+            return res.json({ success: true, ignored: true, event: invitee.event });
+        }
+
+        const session = await sessionManager.findSessionForMeeting({
+            sessionId: invitee.sessionId,
+            phoneNumber: invitee.phoneNumber
+        });
+
+        if (!session) {
+            console.warn(`⚠️  [CALENDLY] No matching session for ${invitee.email || invitee.phoneNumber}`);
+            // 200 so Calendly doesn't keep retrying a booking we can't match
+            return res.json({
+                success: true,
+                matched: false,
+                message: 'No matching session found'
+            });
+        }
+
+        if (invitee.event === EVENTS.INVITEE_CREATED) {
+            await sessionManager.recordMeetingScheduled(session.session_id, invitee);
+            const cancelledCount = await cancelSessionMessages(session.session_id, 'appointment_reminder%');
+
+            console.log(`✅ [CALENDLY] Meeting booked for session ${session.session_id} at ${invitee.startTime} (${cancelledCount} reminders cancelled)`);
+
+            // Pre-meeting reminders (replaces any from a previous booking of this session)
+            let meetingReminders = [];
+            if (invitee.startTime) {
+                const calendarUrl = await sessionManager.createMeetingCalendarLink(invitee);
+                meetingReminders = await scheduleMeetingReminders({
+                    sessionId: session.session_id,
+                    phoneNumber: session.phone_number,
+                    chatId: session.chat_id,
+                    meetingStart: toIsraelTime(invitee.startTime),
+                    calendarUrl,
+                    rescheduleUrl: invitee.rescheduleUrl
+                });
+            }
+
+            return res.json({
+                success: true,
+                matched: true,
+                session_id: session.session_id,
+                meeting_start_at: invitee.startTime,
+                reminders_cancelled: cancelledCount,
+                meeting_reminders_scheduled: meetingReminders.length
+            });
+        }
+
+        // invitee.canceled
+        let cancellation = classifyCancellation(session, invitee);
+        if (cancellation === CANCELLATION.CANCELED
+            && !(await sessionManager.recordMeetingCanceled(session.session_id, invitee.eventUri))) {
+            // A new booking was stored since the session was read
+            cancellation = CANCELLATION.STALE;
+        }
+
+        if (cancellation !== CANCELLATION.CANCELED) {
+            console.log(cancellation === CANCELLATION.RESCHEDULED
+                ? `🔁 [CALENDLY] Meeting rescheduled for session ${session.session_id} - waiting for the new booking`
+                : `⏭️  [CALENDLY] Ignoring cancellation of ${invitee.eventUri || 'unknown meeting'} - session ${session.session_id} holds ${session.meeting_event_uri || 'no meeting'}`);
+            return res.json({
+                success: true,
+                matched: true,
+                session_id: session.session_id,
+                cancellation,
+                rescheduled: invitee.rescheduled,
+                reminders_scheduled: 0
+            });
+        }
+
+        await cancelSessionMessages(session.session_id, 'meeting_reminder%');
+
+        let remindersScheduled = 0;
+        if (session.form_completed_at) {
+            // Lead still needs to book - restart the appointment reminders from now
+            // (clear any pending ones first so a redelivered webhook doesn't double them)
+            await cancelSessionMessages(session.session_id, 'appointment_reminder%');
+            const scheduled = await startCampaign('appointment_followup', {
+                sessionId: session.session_id,
+                phoneNumber: session.phone_number,
+                chatId: session.chat_id,
+                startTime: getNowInIsrael()
+            });
+            remindersScheduled = scheduled.length;
+            console.log(`✅ [CALENDLY] Meeting cancelled for session ${session.session_id} - ${remindersScheduled} reminders re-armed`);
+        }
+
+        return res.json({
+            success: true,
+            matched: true,
+            session_id: session.session_id,
+            cancellation,
+            rescheduled: invitee.rescheduled,
+            reminders_scheduled: remindersScheduled
+        });
+    } catch (error) {
+        console.error('❌ [CALENDLY] Error handling webhook:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+};
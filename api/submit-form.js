@@ -2,33 +2,87 @@
  * Form Submission Handler
  * CONSOLIDATED VERSION: Runs in same app as WhatsApp bot.
  *
- * This endpoint receives form data from the chatbot and validates the session
- * before sending to Monday.com
+ * This endpoint receives form data from the chatbot, validates the answers against
+ * the questionnaire definition (forms.json) and the session before completing it - summary, appointment link, follow-up campaign and
+ * Monday.com update are shared with the in-WhatsApp questionnaire (lib/formSubmission.js)
  *
- * After form completion:
- * 1. Cancels pending form reminders (Messages #3, #4, #5)
- * 2. Sends Message #6 (form summary) immediately
- * 3. Sends Message #7 (appointment link) immediately
- * 4. Schedules Messages #8-11 (appointment reminders)
+ * Submissions are sanitized and checked field by field (allowed options, salary range, lengths);
+ * unknown fields are rejected. Anonymous submissions (no session_id) must be HMAC-signed or carry a
+ * captcha token (lib/submissionGate.js) and are rate limited per IP (server.js).
+ *
+ * Repeated submissions (double tap, network retry) get the first submission's response back
+ * (idempotency middleware in server.js, keyed by Idempotency-Key or the session).
  */
 
 const sessionManager = require('../lib/sessionManager');
-const { getMessage, MESSAGE_TYPES } = require('../lib/messageTemplates');
-const {
-    sendWhatsAppMessage,
-    scheduleAppointmentReminders,
-    cancelSessionMessages
-} = require('../lib/messageScheduler');
-const { getNowInIsrael } = require('../lib/timezoneHelper');
-const { createLead, updateLead } = require('../lib/mondayClient');
+const { createLead } = require('../lib/mondayClient');
+const { completeFormSubmission } = require('../lib/formSubmission');
+const { validateSubmission, getForm } = require('../lib/questionnaire');
+const { clearProgress } = require('../lib/formProgress');
+const { verifyAnonymousSubmission } = require('../lib/submissionGate');
+
+const ALREADY_COMPLETED_RESPONSE = {
+    success: false,
+    error: 'Form already completed',
+    message: 'הטופס כבר מולא! ✅\n\nאם ברצונך למלא אותו שוב, שלח/י "reset" לבוט בווטסאפ.'
+};
+
+/**
+ * Hebrew message listing the problems, shown to the lead by the chatbot
+ * @param {Object[]} errors - [{ field, error }]
+ * @returns {string} Message
+ */
+function formatValidationMessage(errors) {
+    const { fields } = getForm();
+    const lines = errors.map(({ field, error }) => `• ${fields[field]?.label || fields[field]?.summary?.label || field}: ${error}`);
+    return `חלק מהתשובות בשאלון חסרות או לא תקינות:\n${lines.join('\n')}\n\nאנא רענן/י את הדף ומלא/י שוב.`;
+}
 
 module.exports = async (req, res) => {
     try {
-        const { session_id, ...formData } = req.body;
+        const { session_id, ...submitted } = req.body || {};
+
+        // The chatbot reports restarts here too - only the saved progress is dropped
+        if (submitted.action === 'reset') {
+            if (typeof submitted.old_session_id === 'string') {
+                await clearProgress(submitted.old_session_id);
+            }
+            return res.json({ success: true, message: 'Reset acknowledged' });
+        }
 
-        // If no session_id provided, treat as anonymous submission
+        if (session_id !== undefined && typeof session_id !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid session ID',
+                message: 'הקישור לא תקף או פג תוקפו. אנא בקש/י קישור חדש מהבוט.'
+            });
+        }
+
+        // Answers must match the questionnaire (options, number ranges, lengths, branching) - nothing else is accepted
+        const { answers: formData, errors } = validateSubmission(submitted);
+        if (errors.length > 0) {
+            console.log(`❌ Invalid form submission (${errors.map(({ field }) => field).join(', ')})`);
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid form data',
+                errors,
+                message: formatValidationMessage(errors)
+            });
+        }
+
+        // If no session_id provided, treat as anonymous submission - only when signed or captcha-verified
         if (!session_id) {
-            console.log('⚠️  Anonymous form submission (no session_id)');
+            const gate = await verifyAnonymousSubmission(req);
+            if (!gate.allowed) {
+                console.warn(`⚠️  Rejected anonymous form submission from ${req.ip}: ${gate.reason}`);
+                return res.status(403).json({
+                    success: false,
+                    error: 'Anonymous submission not verified',
+                    message: 'לא הצלחנו לאמת את שליחת הטופס. אנא נסה/י שוב או פנה/י אלינו בווטסאפ.'
+                });
+            }
+
+            console.log(`⚠️  Anonymous form submission (no session_id, verified by ${gate.method})`);
             // Accept and send to Monday.com without tracking
             await createLead({ ...formData, session_id: 'anonymous' });
             return res.json({ success: true, message: 'Form submitted successfully' });
@@ -46,87 +100,29 @@ module.exports = async (req, res) => {
             });
         }
 
-        // Check if form already completed
-        if (session.status === 'completed') {
+        // Check if form already completed (a completion that failed half-way is finished by this retry)
+        if (session.status === 'completed' && !sessionManager.hasPendingCompletion(session)) {
             console.log(`❌ Form already completed for session: ${session_id}`);
-            return res.status(400).json({
-                success: false,
-                error: 'Form already completed',
-                message: 'הטופס כבר מולא! ✅\n\nאם ברצונך למלא אותו שוב, שלח/י "reset" לבוט בווטסאפ.'
-            });
+            return res.status(400).json(ALREADY_COMPLETED_RESPONSE);
         }
 
-        // Generate unique lead ID for CRM tracking
-        const leadId = generateLeadId();
-
-        // Session is valid - mark as completed (also clears pendingUsers internally)
-        await sessionManager.markCompleted(session_id, formData);
-
-        // Step 1: Cancel any pending form reminder messages (Messages #3, #4)
-        // These are no longer needed since the form has been completed
-        await cancelSessionMessages(session_id, 'form_reminder%');
-        await cancelSessionMessages(session_id, 'video_testimonial');
-
-        // Step 2: Send Message #6 (Form Summary) immediately to WhatsApp
-        const formSummaryMessage = getMessage(MESSAGE_TYPES.FORM_SUMMARY, {
-            name: formData.name || 'לקוח',
-            ageGroup: formData.age || 'לא צוין',
-            financialGoal: formData.goal || 'לא צוין',
-            maritalStatus: formData.status || 'לא צוין',
-            employmentStatus: formData.employment || 'לא צוין',
-            pensionContributions: formData.pension || 'לא צוין',
-            monthlySalary: formData.salary || 'לא צוין',
-            pensionCapital: formData.pensionAmount || 'לא צוין',
-            savingsAndInvestments: formData.savings || 'לא צוין',
-            investmentLocation: formData.investments || 'לא צוין',
-            mortgage: formData.mortgage || 'לא צוין'
-        });
-
-        // Send with chat_id if available, otherwise phone conversion will happen automatically
-        await sendWhatsAppMessage(session.phone_number, formSummaryMessage, null, session.chat_id);
-
-        // Step 3: Send Message #7 (Appointment Link) immediately
-        const appointmentLinkMessage = getMessage(MESSAGE_TYPES.APPOINTMENT_LINK);
-        await sendWhatsAppMessage(session.phone_number, appointmentLinkMessage, null, session.chat_id);
-
-        // Step 4: Schedule appointment reminders (Messages #8-11)
-        const appointmentLinkSentTime = getNowInIsrael();
-        await scheduleAppointmentReminders(
-            session_id,
-            session.phone_number,
-            appointmentLinkSentTime
-        );
-
-        // Update or Create lead in Monday.com with form data
-        // Check if session has an existing Monday.com item ID (created during trigger)
-        const existingMondayItemId = session.form_data?.monday_item_id;
-        let mondayResponse;
-
-        if (existingMondayItemId) {
-            // Update existing lead with form data
-            console.log(`📝 Updating existing Monday.com lead: ${existingMondayItemId}`);
-            mondayResponse = await updateLead(existingMondayItemId, {
-                name: formData.name,
-                phone_number: session.phone_number,
-                ...formData
-            });
-        } else {
-            // No existing lead - create new one
-            console.log(`📝 Creating new Monday.com lead (no existing item ID)`);
-            mondayResponse = await createLead({
-                name: formData.name,
-                phone_number: session.phone_number,
-                ...formData
-            });
+        // Completion locks the session row - a concurrent submission of the same session stops here
+        let completion;
+        try {
+            completion = await completeFormSubmission(session, formData);
+        } catch (error) {
+            if (error.code === 'SESSION_ALREADY_COMPLETED') {
+                return res.status(400).json(ALREADY_COMPLETED_RESPONSE);
+            }
+            throw error;
         }
-
-        console.log(`✅ Form submitted successfully for session: ${session_id}, Lead ID: ${leadId}`);
+        const { leadId, mondayItemId } = completion;
 
         return res.json({
             success: true,
             message: 'Form submitted successfully',
             lead_id: leadId,
-            monday_item_id: mondayResponse.itemId
+            monday_item_id: mondayItemId
         });
 
     } catch (error) {
@@ -139,22 +135,3 @@ module.exports = async (req, res) => {
     }
 };
 
-/**
- * Generate unique lead ID for CRM tracking
- * Format: LEAD-YYYYMMDDHHMMSS-XXX
- * Example: LEAD-20251027111419-A3F
- */
-function generateLeadId() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    const seconds = String(now.getSeconds()).padStart(2, '0');
-
-    // Generate random 3-character suffix for extra uniqueness
-    const suffix = Math.random().toString(36).substring(2, 5).toUpperCase();
-
-    return `LEAD-${year}${month}${day}${hours}${minutes}${seconds}-${suffix}`;
-}
@@ -0,0 +1,48 @@
+/**
+ * One-time import of a WhatsApp session directory into Postgres
+ * Copies creds.json + Signal key files written by useMultiFileAuthState into the
+ * baileys_auth table so the service can run with AUTH_STATE_BACKEND=postgres
+ * (no persistent disk needed). Replaces any auth state already stored for the session.
+ *
+ * Usage: DATABASE_URL=... node import-auth-state.js [sessionDir] [sessionId]
+ *   sessionDir - defaults to WHATSAPP_SESSION_PATH or ./whatsapp-sessions
+ *   sessionId  - defaults to AUTH_STATE_SESSION_ID or 'default'
+ *
+ * Stop the service before importing so the files aren't changing underneath.
+ */
+
+const { Pool } = require('pg');
+const { migrateBaileysAuthState } = require('./lib/database-migration');
+const { AUTH_STATE_SESSION_ID, importAuthStateFromDirectory } = require('./lib/authState');
+
+const sessionDir = process.argv[2] || process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions';
+const sessionId = process.argv[3] || AUTH_STATE_SESSION_ID;
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+async function importAuthState() {
+    try {
+        if (!await migrateBaileysAuthState(pool)) {
+            throw new Error('Could not create baileys_auth table');
+        }
+
+        const stats = await importAuthStateFromDirectory(pool, sessionDir, sessionId);
+
+        console.log(`✅ Imported ${sessionDir} as session "${sessionId}"`);
+        console.log(`   Keys imported: ${stats.keys}`);
+        if (stats.skipped.length > 0) {
+            console.log(`   Files skipped: ${stats.skipped.join(', ')}`);
+        }
+        console.log('   Set AUTH_STATE_BACKEND=postgres and restart the service');
+
+        await pool.end();
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+importAuthState();
@@ -0,0 +1,238 @@
+/**
+ * WhatsApp Accounts
+ * Named accounts (one linked WhatsApp number each) managed by a single service.
+ * Each account gets its own Baileys socket, auth state, QR flow, bot-enabled flag
+ * and scheduler binding (see initializeWhatsApp in server.js).
+ *
+ * The 'default' account always exists and keeps the pre-multi-account behavior:
+ * routes called without an account id use it, and its auth state lives at the
+ * original WHATSAPP_SESSION_PATH / AUTH_STATE_SESSION_ID.
+ *
+ * Bot activation is a per-account flag. Accounts whose flag was never set fall back
+ * to the legacy SALES_PHONE_NUMBERS list (bot enabled if the linked number is in it).
+ */
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// Lowercase letters, digits, '-' and '_' (used in file paths and auth state keys)
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// Legacy bot activation list (comma-separated, Israeli format supported)
+// Example: "0548294343,972548294343" or just "972548294343"
+const SALES_PHONE_NUMBERS = (process.env.SALES_PHONE_NUMBERS || process.env.SALES_PHONE_NUMBER || '')
+    .split(',')
+    .map(num => num.trim())
+    .filter(num => num.length > 0)
+    .map(num => {
+        // Normalize Israeli numbers: 054XXXXXXX -> 972548XXXXXX
+        if (num.startsWith('0')) {
+            return '972' + num.substring(1);
+        }
+        return num;
+    });
+
+// Accounts created on startup in addition to 'default' (comma-separated ids)
+const STARTUP_ACCOUNT_IDS = (process.env.WHATSAPP_ACCOUNTS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(id => ACCOUNT_ID_PATTERN.test(id));
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Validate and normalize an account id
+ * @param {string} accountId - Account id from a request or config
+ * @returns {string|null} Normalized id, or null if invalid
+ */
+function normalizeAccountId(accountId) {
+    if (!accountId) return null;
+    const normalized = String(accountId).trim().toLowerCase();
+    return ACCOUNT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * In-memory record used when no database is configured
+ * @param {string} accountId - Account id
+ * @returns {Object} Account record
+ */
+function buildDefaultRecord(accountId) {
+    return {
+        account_id: accountId,
+        name: accountId,
+        bot_enabled: null,
+        phone_number: null,
+        created_at: null,
+        updated_at: null
+    };
+}
+
+/**
+ * Make sure 'default' and the WHATSAPP_ACCOUNTS ids exist
+ * @param {Pool} pool - PostgreSQL pool
+ */
+async function seedAccounts(pool) {
+    const accountIds = [DEFAULT_ACCOUNT_ID, ...STARTUP_ACCOUNT_IDS];
+
+    for (const accountId of accountIds) {
+        await pool.query(
+            `INSERT INTO whatsapp_accounts (account_id, name)
+             VALUES ($1, $1)
+             ON CONFLICT (account_id) DO NOTHING`,
+            [accountId]
+        );
+    }
+
+    console.log(`✅ [ACCOUNTS] Seeded accounts: ${accountIds.join(', ')}`);
+}
+
+/**
+ * List all accounts
+ * @returns {Promise<Array>} Account records (default first)
+ */
+async function listAccounts() {
+    if (!dbPool) {
+        return [...new Set([DEFAULT_ACCOUNT_ID, ...STARTUP_ACCOUNT_IDS])].map(buildDefaultRecord);
+    }
+
+    const result = await dbPool.query(
+        `SELECT * FROM whatsapp_accounts
+         ORDER BY (account_id = $1) DESC, created_at ASC`,
+        [DEFAULT_ACCOUNT_ID]
+    );
+    return result.rows;
+}
+
+/**
+ * Get an account by id
+ * @param {string} accountId - Account id
+ * @returns {Promise<Object|null>} Account record
+ */
+async function getAccount(accountId) {
+    if (!dbPool) {
+        const accounts = await listAccounts();
+        return accounts.find(account => account.account_id === accountId) || null;
+    }
+
+    const result = await dbPool.query(
+        'SELECT * FROM whatsapp_accounts WHERE account_id = $1',
+        [accountId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Create an account
+ * @param {Object} params - { accountId, name, botEnabled }
+ * @returns {Promise<Object>} Created account record
+ */
+async function createAccount({ accountId, name = null, botEnabled = null }) {
+    if (!dbPool) {
+        const error = new Error('Accounts require a database');
+        error.code = 'DATABASE_UNAVAILABLE';
+        throw error;
+    }
+
+    const result = await dbPool.query(
+        `INSERT INTO whatsapp_accounts (account_id, name, bot_enabled)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (account_id) DO NOTHING
+         RETURNING *`,
+        [accountId, name || accountId, botEnabled]
+    );
+
+    if (result.rows.length === 0) {
+        const error = new Error(`Account ${accountId} already exists`);
+        error.code = 'ACCOUNT_EXISTS';
+        throw error;
+    }
+
+    console.log(`✅ [ACCOUNTS] Created account ${accountId}`);
+    return result.rows[0];
+}
+
+/**
+ * Update an account's name and/or bot-enabled flag
+ * @param {string} accountId - Account id
+ * @param {Object} changes - { name, botEnabled } (omitted fields are unchanged)
+ * @returns {Promise<Object|null>} Updated account record
+ */
+async function updateAccount(accountId, { name, botEnabled } = {}) {
+    if (!dbPool) return null;
+
+    const result = await dbPool.query(
+        `UPDATE whatsapp_accounts
+         SET name = COALESCE($2, name),
+             bot_enabled = CASE WHEN $3::boolean IS NULL THEN bot_enabled ELSE $3::boolean END,
+             updated_at = NOW()
+         WHERE account_id = $1
+         RETURNING *`,
+        [accountId, name || null, typeof botEnabled === 'boolean' ? botEnabled : null]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Remember the number an account is linked to (set on every successful login)
+ * @param {string} accountId - Account id
+ * @param {string} phoneNumber - Authenticated number (digits)
+ */
+async function recordAuthenticatedNumber(accountId, phoneNumber) {
+    if (!dbPool) return;
+
+    try {
+        await dbPool.query(
+            `UPDATE whatsapp_accounts SET phone_number = $2, updated_at = NOW() WHERE account_id = $1`,
+            [accountId, phoneNumber]
+        );
+    } catch (error) {
+        console.error(`❌ [ACCOUNTS] Error recording number for ${accountId}:`, error.message);
+    }
+}
+
+/**
+ * Delete an account (the 'default' account can't be deleted)
+ * @param {string} accountId - Account id
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAccount(accountId) {
+    if (!dbPool || accountId === DEFAULT_ACCOUNT_ID) return false;
+
+    const result = await dbPool.query(
+        'DELETE FROM whatsapp_accounts WHERE account_id = $1',
+        [accountId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Decide whether the bot runs on an account
+ * An explicit bot_enabled flag wins; otherwise the linked number must be in SALES_PHONE_NUMBERS.
+ * @param {Object} account - Account record
+ * @param {string} authenticatedNumber - Linked number (digits)
+ * @returns {boolean} True if bot automation is enabled
+ */
+function isBotEnabledFor(account, authenticatedNumber) {
+    if (typeof account?.bot_enabled === 'boolean') {
+        return account.bot_enabled;
+    }
+    return !!authenticatedNumber && SALES_PHONE_NUMBERS.includes(authenticatedNumber);
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT_ID,
+    SALES_PHONE_NUMBERS,
+    setDbPool,
+    normalizeAccountId,
+    seedAccounts,
+    listAccounts,
+    getAccount,
+    createAccount,
+    updateAccount,
+    recordAuthenticatedNumber,
+    deleteAccount,
+    isBotEnabledFor
+};
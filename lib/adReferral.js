@@ -0,0 +1,134 @@
+/**
+ * Click-to-WhatsApp (CTWA) Ad Referrals
+ * Leads who tap a Facebook/Instagram ad arrive with the ad context attached to their
+ * first message (contextInfo.externalAdReply + conversion fields). It's stored per
+ * number in ad_referrals, copied onto the session when the bot is triggered and sent
+ * to Monday.com with the lead, so every lead can be attributed to the ad it came from.
+ *
+ * The referral and the trigger keyword don't have to arrive in the same message -
+ * the latest referral within AD_REFERRAL_WINDOW_DAYS is used.
+ */
+
+const { normalizePhoneNumber } = require('./suppression');
+
+// How long a referral stays attributable to a later trigger
+const AD_REFERRAL_WINDOW_DAYS = parseInt(process.env.AD_REFERRAL_WINDOW_DAYS) || 7;
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Find the contextInfo of a message, whatever content type carries it
+ * @param {Object} message - Baileys msg.message
+ * @returns {Object|null} contextInfo
+ */
+function findContextInfo(message) {
+    if (!message) return null;
+
+    // Disappearing-message chats wrap the content one level deeper
+    const content = message.ephemeralMessage?.message || message;
+
+    for (const value of Object.values(content)) {
+        if (value && typeof value === 'object' && value.contextInfo) {
+            return value.contextInfo;
+        }
+    }
+    return null;
+}
+
+/**
+ * Extract CTWA ad referral fields from an inbound message
+ * @param {Object} message - Baileys msg.message
+ * @returns {Object|null} { adId, headline, body, sourceUrl, sourceType, sourceApp, ctwaClid, mediaUrl, conversionSource } or null
+ */
+function extractAdReferral(message) {
+    const contextInfo = findContextInfo(message);
+    const adReply = contextInfo?.externalAdReply;
+    if (!adReply) return null;
+
+    // Only ad clicks carry a source id / ctwa click id - plain link previews don't
+    if (!adReply.sourceId && !adReply.ctwaClid) return null;
+
+    return {
+        adId: adReply.sourceId || null,
+        headline: adReply.title || null,
+        body: adReply.body || null,
+        sourceUrl: adReply.sourceUrl || null,
+        sourceType: adReply.sourceType || null,
+        sourceApp: contextInfo.entryPointConversionApp || null,
+        ctwaClid: adReply.ctwaClid || null,
+        mediaUrl: adReply.mediaUrl || adReply.thumbnailUrl || null,
+        conversionSource: contextInfo.conversionSource || contextInfo.entryPointConversionSource || null
+    };
+}
+
+/**
+ * utm_source value recorded on the session for a referral (funnel grouping)
+ * @param {Object|null} referral - Extracted referral
+ * @returns {string|null} 'ctwa_<app>' / 'ctwa', or null without a referral
+ */
+function toUtmSource(referral) {
+    if (!referral) return null;
+    return referral.sourceApp ? `ctwa_${String(referral.sourceApp).toLowerCase()}` : 'ctwa';
+}
+
+/**
+ * Remember the latest ad referral for a number
+ * @param {string} chatId - WhatsApp chat ID (LID or phone)
+ * @param {Object} referral - Extracted referral
+ * @returns {Promise<boolean>} True if stored
+ */
+async function saveReferral(chatId, referral) {
+    const phoneNumber = normalizePhoneNumber(chatId);
+    if (!dbPool || !phoneNumber || !referral) return false;
+
+    try {
+        await dbPool.query(
+            `INSERT INTO ad_referrals (phone_number, chat_id, referral, received_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (phone_number) DO UPDATE SET
+                 chat_id = EXCLUDED.chat_id,
+                 referral = EXCLUDED.referral,
+                 received_at = NOW()`,
+            [phoneNumber, chatId, JSON.stringify(referral)]
+        );
+        return true;
+    } catch (error) {
+        console.error('❌ [AD-REFERRAL] Error storing referral:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Latest ad referral for a number, if it's recent enough to attribute
+ * @param {string} chatId - WhatsApp chat ID (LID or phone)
+ * @returns {Promise<Object|null>} Referral
+ */
+async function getRecentReferral(chatId) {
+    const phoneNumber = normalizePhoneNumber(chatId);
+    if (!dbPool || !phoneNumber) return null;
+
+    try {
+        const result = await dbPool.query(
+            `SELECT referral FROM ad_referrals
+             WHERE phone_number = $1 AND received_at > NOW() - make_interval(days => $2)`,
+            [phoneNumber, AD_REFERRAL_WINDOW_DAYS]
+        );
+        return result.rows[0]?.referral || null;
+    } catch (error) {
+        console.error('❌ [AD-REFERRAL] Error loading referral:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    AD_REFERRAL_WINDOW_DAYS,
+    setDbPool,
+    extractAdReferral,
+    toUtmSource,
+    saveReferral,
+    getRecentReferral
+};
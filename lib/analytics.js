@@ -0,0 +1,204 @@
+/**
+ * Funnel Analytics
+ * Lead funnel built from the sessions table timestamps:
+ *   triggered (created_at) -> form sent (form_sent_at) -> form completed (form_completed_at)
+ *   -> appointment booked (appointment_scheduled_at)
+ *
+ * Conversions are attributed to the last scheduled message the lead received before
+ * converting (scheduled_messages.message_type), or 'before_reminders' when they
+ * converted before any drip message went out.
+ *
+ * A/B variants (see messageCopy.js): getVariantReport compares the variants of a message type by
+ * how many of the leads who got each one completed the form / booked a call afterwards.
+ */
+
+// SQL expression per grouping (whitelisted - never interpolate user input)
+// Weeks start on Sunday (Israeli work week)
+const GROUP_BY_EXPRESSIONS = {
+    day: `to_char(date_trunc('day', s.created_at), 'YYYY-MM-DD')`,
+    week: `to_char(date_trunc('week', s.created_at + INTERVAL '1 day') - INTERVAL '1 day', 'YYYY-MM-DD')`,
+    utm_source: `COALESCE(s.utm_source, s.form_data->>'utm_source', 'unknown')`,
+    trigger_keyword: `COALESCE(s.trigger_keyword, 'unknown')`
+};
+
+const GROUP_BY_OPTIONS = Object.keys(GROUP_BY_EXPRESSIONS);
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Percentage with one decimal, null when there is nothing to divide by
+ * @param {number} count - Converted
+ * @param {number} total - Eligible
+ * @returns {number|null} Rate in percent
+ */
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+/**
+ * Seconds -> minutes (one decimal), keeping nulls
+ * @param {string|number|null} seconds - Median from Postgres
+ * @returns {number|null} Minutes
+ */
+function toMinutes(seconds) {
+    return seconds === null || seconds === undefined ? null : Math.round((Number(seconds) / 60) * 10) / 10;
+}
+
+/**
+ * Funnel report for sessions created in [from, to)
+ * @param {Object} options
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {string} options.groupBy - 'day' | 'week' | 'utm_source' | 'trigger_keyword' | null for one total
+ * @param {string} options.accountId - Only sessions of this WhatsApp account (optional)
+ * @returns {Promise<Array>} One entry per group
+ */
+async function getFunnel({ from, to, groupBy = null, accountId = null }) {
+    if (!dbPool) return [];
+
+    const groupExpression = GROUP_BY_EXPRESSIONS[groupBy] || `'all'`;
+    const params = [from, to, accountId];
+
+    const funnelCte = `
+        WITH funnel AS (
+            SELECT ${groupExpression} AS grp, s.session_id, s.created_at,
+                   s.form_sent_at, s.form_completed_at, s.appointment_scheduled_at
+            FROM sessions s
+            WHERE s.created_at >= $1 AND s.created_at < $2
+              AND ($3::text IS NULL OR s.account_id = $3)
+        )`;
+
+    const stagesResult = await dbPool.query(`
+        ${funnelCte}
+        SELECT grp,
+               COUNT(*) AS triggered,
+               COUNT(form_sent_at) AS form_sent,
+               COUNT(form_completed_at) AS form_completed,
+               COUNT(appointment_scheduled_at) AS appointment_booked,
+               percentile_cont(0.5) WITHIN GROUP (
+                   ORDER BY EXTRACT(EPOCH FROM form_completed_at - created_at)
+               ) AS median_seconds_to_form,
+               percentile_cont(0.5) WITHIN GROUP (
+                   ORDER BY EXTRACT(EPOCH FROM appointment_scheduled_at - created_at)
+               ) AS median_seconds_to_appointment
+        FROM funnel
+        GROUP BY grp
+        ORDER BY grp
+    `, params);
+
+    // Last drip message sent before each conversion
+    const attributionResult = await dbPool.query(`
+        ${funnelCte},
+        conversions AS (
+            SELECT f.grp, 'formCompleted' AS stage,
+                   (SELECT m.message_type FROM scheduled_messages m
+                    WHERE m.session_id = f.session_id AND m.sent_at IS NOT NULL
+                      AND m.sent_at <= f.form_completed_at
+                    ORDER BY m.sent_at DESC LIMIT 1) AS message_type
+            FROM funnel f
+            WHERE f.form_completed_at IS NOT NULL
+            UNION ALL
+            SELECT f.grp, 'appointmentBooked' AS stage,
+                   (SELECT m.message_type FROM scheduled_messages m
+                    WHERE m.session_id = f.session_id AND m.sent_at IS NOT NULL
+                      AND m.sent_at <= f.appointment_scheduled_at
+                    ORDER BY m.sent_at DESC LIMIT 1) AS message_type
+            FROM funnel f
+            WHERE f.appointment_scheduled_at IS NOT NULL
+        )
+        SELECT grp, stage, COALESCE(message_type, 'before_reminders') AS message_type, COUNT(*) AS conversions
+        FROM conversions
+        GROUP BY grp, stage, COALESCE(message_type, 'before_reminders')
+    `, params);
+
+    const attribution = {};
+    for (const row of attributionResult.rows) {
+        attribution[row.grp] = attribution[row.grp] || { formCompleted: {}, appointmentBooked: {} };
+        attribution[row.grp][row.stage][row.message_type] = parseInt(row.conversions);
+    }
+
+    return stagesResult.rows.map(row => {
+        const triggered = parseInt(row.triggered);
+        const formSent = parseInt(row.form_sent);
+        const formCompleted = parseInt(row.form_completed);
+        const appointmentBooked = parseInt(row.appointment_booked);
+
+        return {
+            group: row.grp,
+            counts: { triggered, formSent, formCompleted, appointmentBooked },
+            conversionRates: {
+                triggeredToFormSent: rate(formSent, triggered),
+                formSentToCompleted: rate(formCompleted, formSent),
+                completedToAppointment: rate(appointmentBooked, formCompleted),
+                overall: rate(appointmentBooked, triggered)
+            },
+            medianMinutes: {
+                toFormCompleted: toMinutes(row.median_seconds_to_form),
+                toAppointmentBooked: toMinutes(row.median_seconds_to_appointment)
+            },
+            conversionsAfter: attribution[row.grp] || { formCompleted: {}, appointmentBooked: {} }
+        };
+    });
+}
+
+/**
+ * Conversions per A/B variant for scheduled messages sent in [from, to)
+ * A lead counts as converted by a variant when the conversion happened after they were sent it
+ * @param {Object} options
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {string} options.messageType - Only this message type (optional)
+ * @param {string} options.accountId - Only messages of this WhatsApp account (optional)
+ * @returns {Promise<Array>} One entry per message type and variant
+ */
+async function getVariantReport({ from, to, messageType = null, accountId = null }) {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(`
+        WITH received AS (
+            SELECT m.message_type, m.variant, m.session_id, MIN(m.sent_at) AS sent_at, COUNT(*) AS messages
+            FROM scheduled_messages m
+            WHERE m.variant IS NOT NULL AND m.sent_at IS NOT NULL
+              AND m.sent_at >= $1 AND m.sent_at < $2
+              AND ($3::text IS NULL OR m.message_type = $3)
+              AND ($4::text IS NULL OR m.account_id = $4)
+            GROUP BY m.message_type, m.variant, m.session_id
+        )
+        SELECT r.message_type, r.variant,
+               SUM(r.messages) AS sent,
+               COUNT(*) AS leads,
+               COUNT(*) FILTER (WHERE s.form_completed_at > r.sent_at) AS form_completed,
+               COUNT(*) FILTER (WHERE s.appointment_scheduled_at > r.sent_at) AS appointment_booked
+        FROM received r
+        JOIN sessions s ON s.session_id = r.session_id
+        GROUP BY r.message_type, r.variant
+        ORDER BY r.message_type, r.variant
+    `, [from, to, messageType, accountId]);
+
+    return result.rows.map(row => {
+        const leads = parseInt(row.leads);
+        const formCompleted = parseInt(row.form_completed);
+        const appointmentBooked = parseInt(row.appointment_booked);
+
+        return {
+            messageType: row.message_type,
+            variant: row.variant,
+            counts: { sent: parseInt(row.sent), leads, formCompleted, appointmentBooked },
+            conversionRates: {
+                formCompleted: rate(formCompleted, leads),
+                appointmentBooked: rate(appointmentBooked, leads)
+            }
+        };
+    });
+}
+
+module.exports = {
+    GROUP_BY_OPTIONS,
+    setDbPool,
+    getFunnel,
+    getVariantReport
+};
@@ -0,0 +1,348 @@
+/**
+ * API Key Authentication
+ * Named API keys stored in PostgreSQL, each scoped to one or more roles.
+ *
+ * Roles:
+ * - viewer: read-only access (chats, messages, sessions, queue status)
+ * - sender: send messages and media, manage templates
+ * - admin:  everything, including session resets and key management
+ *
+ * Keys are stored as SHA-256 hashes - the plaintext is returned once on creation.
+ * ADMIN_API_KEY (env) keeps working as a built-in admin key so existing
+ * integrations and the first key creation don't need the database.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'sender', 'admin'];
+
+// Cache validated keys briefly to avoid a DB round trip on every request
+// (unknown keys too - bounded, least recently used first out, so random keys can't grow it)
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const KEY_CACHE_MAX_ENTRIES = 1000;
+const keyCache = new Map();
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Hash an API key for storage/lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read the API key from the request (x-api-key header or Bearer token)
+ * @param {Object} req - Express request
+ * @returns {string|null} API key
+ */
+function getKeyFromRequest(req) {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) return headerKey;
+
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7).trim();
+    }
+
+    return null;
+}
+
+/**
+ * Check the env ADMIN_API_KEY using a constant-time comparison
+ * @param {string} key - Plaintext API key
+ * @returns {boolean} True if key matches ADMIN_API_KEY
+ */
+function isEnvAdminKey(key) {
+    if (!process.env.ADMIN_API_KEY || !key) return false;
+
+    const expected = Buffer.from(hashKey(process.env.ADMIN_API_KEY), 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Cached lookup result of a key hash (a hit moves it to the most recently used end)
+ * @param {string} keyHash - Key hash
+ * @returns {Object|undefined} { record } or undefined when not cached / expired
+ */
+function getCachedKey(keyHash) {
+    const cached = keyCache.get(keyHash);
+    if (!cached) return undefined;
+
+    keyCache.delete(keyHash);
+    if (cached.expiresAt <= Date.now()) return undefined;
+
+    keyCache.set(keyHash, cached);
+    return cached;
+}
+
+/**
+ * Cache a lookup result, dropping the least recently used entries over KEY_CACHE_MAX_ENTRIES
+ * @param {string} keyHash - Key hash
+ * @param {Object|null} record - Key record, or null for an unknown key
+ */
+function cacheKey(keyHash, record) {
+    keyCache.delete(keyHash);
+    keyCache.set(keyHash, { record, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+
+    while (keyCache.size > KEY_CACHE_MAX_ENTRIES) {
+        keyCache.delete(keyCache.keys().next().value);
+    }
+}
+
+/**
+ * Resolve a plaintext key to its record
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<Object|null>} { id, name, roles } or null if unknown/revoked
+ */
+async function findKey(key) {
+    if (!key) return null;
+
+    if (isEnvAdminKey(key)) {
+        return { id: null, name: 'env:ADMIN_API_KEY', roles: ['admin'] };
+    }
+
+    if (!dbPool) return null;
+
+    const keyHash = hashKey(key);
+    const cached = getCachedKey(keyHash);
+    if (cached) {
+        return cached.record;
+    }
+
+    try {
+        const result = await dbPool.query(
+            `SELECT id, name, roles FROM api_keys
+             WHERE key_hash = $1 AND revoked_at IS NULL`,
+            [keyHash]
+        );
+
+        const record = result.rows[0] || null;
+        cacheKey(keyHash, record);
+
+        if (record) {
+            // Fire-and-forget usage tracking
+            dbPool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [record.id])
+                .catch(error => console.error('❌ [API-KEYS] Error updating last_used_at:', error.message));
+        }
+
+        return record;
+    } catch (error) {
+        console.error('❌ [API-KEYS] Error looking up key:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Check whether a key record grants a role (admin implies every role)
+ * @param {Object} record - Key record
+ * @param {string[]} roles - Accepted roles
+ * @returns {boolean} True if allowed
+ */
+function hasRole(record, roles) {
+    if (!record) return false;
+    if (record.roles.includes('admin')) return true;
+    return roles.some(role => record.roles.includes(role));
+}
+
+/**
+ * Write an entry to the audit log (never throws)
+ * @param {Object} entry - Audit entry
+ */
+async function logAction({ apiKeyId = null, keyName = null, action, statusCode = null, ip = null, details = null }) {
+    if (!dbPool) return;
+
+    try {
+        await dbPool.query(
+            `INSERT INTO api_key_audit_log (api_key_id, key_name, action, status_code, ip, details)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [apiKeyId, keyName, action, statusCode, ip, details ? JSON.stringify(details) : null]
+        );
+    } catch (error) {
+        console.error('❌ [API-KEYS] Error writing audit log:', error.message);
+    }
+}
+
+/**
+ * Express middleware factory - require a key with one of the given roles
+ * Mutating requests (and every rejected request) are written to the audit log.
+ * @param {...string} roles - Accepted roles (admin is always accepted)
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        const action = `${req.method} ${req.baseUrl || ''}${req.path}`;
+
+        try {
+            const key = getKeyFromRequest(req);
+
+            if (!key) {
+                await logAction({ action, statusCode: 401, ip: req.ip });
+                return res.status(401).json({
+                    success: false,
+                    error: 'Unauthorized - API key required'
+                });
+            }
+
+            const record = await findKey(key);
+
+            if (!record) {
+                console.log(`⚠️  [API-KEYS] Invalid API key for ${action}`);
+                await logAction({ action, statusCode: 401, ip: req.ip });
+                return res.status(401).json({
+                    success: false,
+                    error: 'Unauthorized - invalid or revoked API key'
+                });
+            }
+
+            if (!hasRole(record, roles)) {
+                console.log(`⚠️  [API-KEYS] Key "${record.name}" lacks role [${roles.join(', ')}] for ${action}`);
+                await logAction({ apiKeyId: record.id, keyName: record.name, action, statusCode: 403, ip: req.ip });
+                return res.status(403).json({
+                    success: false,
+                    error: `Forbidden - requires role: ${roles.join(' or ')}`
+                });
+            }
+
+            req.apiKey = record;
+
+            // Audit mutating actions once the response is sent
+            // Routes can attach what they changed in res.locals.auditDetails
+            if (req.method !== 'GET') {
+                res.on('finish', () => {
+                    logAction({
+                        apiKeyId: record.id,
+                        keyName: record.name,
+                        action,
+                        statusCode: res.statusCode,
+                        ip: req.ip,
+                        details: res.locals.auditDetails || null
+                    });
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('❌ [API-KEYS] Auth middleware error:', error);
+            res.status(500).json({ success: false, error: 'Authentication error' });
+        }
+    };
+}
+
+/**
+ * Create a new API key
+ * @param {string} name - Unique human-readable name (e.g. "dashboard", "calendly")
+ * @param {string[]} roles - Roles to grant
+ * @returns {Promise<Object>} Key record including the plaintext key (only time it's available)
+ */
+async function createKey(name, roles) {
+    if (!dbPool) {
+        throw new Error('Database not available');
+    }
+
+    const invalidRoles = roles.filter(role => !ROLES.includes(role));
+    if (invalidRoles.length > 0) {
+        throw new Error(`Invalid roles: ${invalidRoles.join(', ')} (allowed: ${ROLES.join(', ')})`);
+    }
+
+    const key = `wab_${crypto.randomBytes(24).toString('hex')}`;
+
+    const result = await dbPool.query(
+        `INSERT INTO api_keys (name, key_hash, key_prefix, roles)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, name, key_prefix, roles, created_at`,
+        [name, hashKey(key), key.substring(0, 12), roles]
+    );
+
+    console.log(`🔑 [API-KEYS] Created key "${name}" with roles [${roles.join(', ')}]`);
+    return { ...result.rows[0], key };
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - Key ID
+ * @returns {Promise<Object|null>} Revoked key record or null if not found
+ */
+async function revokeKey(id) {
+    if (!dbPool) {
+        throw new Error('Database not available');
+    }
+
+    const result = await dbPool.query(
+        `UPDATE api_keys SET revoked_at = NOW()
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING id, name, key_hash, key_prefix, roles, revoked_at`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const { key_hash, ...revoked } = result.rows[0];
+    keyCache.delete(key_hash);
+
+    console.log(`🔑 [API-KEYS] Revoked key "${revoked.name}"`);
+    return revoked;
+}
+
+/**
+ * List all API keys (never includes hashes)
+ * @returns {Promise<Array>} Key records
+ */
+async function listKeys() {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(
+        `SELECT id, name, key_prefix, roles, created_at, last_used_at, revoked_at
+         FROM api_keys
+         ORDER BY created_at DESC`
+    );
+    return result.rows;
+}
+
+/**
+ * Get recent audit log entries
+ * @param {Object} options - { apiKeyId, limit }
+ * @returns {Promise<Array>} Audit entries, newest first
+ */
+async function getAuditLog({ apiKeyId = null, limit = 100 } = {}) {
+    if (!dbPool) return [];
+
+    const params = [];
+    let where = '';
+
+    if (apiKeyId) {
+        params.push(apiKeyId);
+        where = 'WHERE api_key_id = $1';
+    }
+
+    params.push(limit);
+    const result = await dbPool.query(
+        `SELECT id, api_key_id, key_name, action, status_code, ip, details, created_at
+         FROM api_key_audit_log
+         ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    return result.rows;
+}
+
+module.exports = {
+    ROLES,
+    setDbPool,
+    requireRole,
+    createKey,
+    revokeKey,
+    listKeys,
+    getAuditLog,
+    logAction
+};
@@ -0,0 +1,311 @@
+/**
+ * Baileys Auth State Providers
+ * Where the WhatsApp credentials and Signal keys live between restarts:
+ * - 'file'     - useMultiFileAuthState on disk (WHATSAPP_SESSION_PATH)
+ * - 'postgres' - baileys_auth table, every key batch written in a single transaction
+ *
+ * A half-written key file on disk is what causes the "Bad MAC" / LOGOUT loops after
+ * a crash or redeploy; the Postgres backend either commits a whole batch or nothing,
+ * and removes the need for a persistent disk.
+ *
+ * Select with AUTH_STATE_BACKEND (default 'file'). Existing session directories can be
+ * moved into the database once with `node import-auth-state.js`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useMultiFileAuthState, initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+const AUTH_STATE_BACKENDS = ['file', 'postgres'];
+
+const AUTH_STATE_BACKEND = (process.env.AUTH_STATE_BACKEND || 'file').toLowerCase();
+
+// Row key for one auth state in baileys_auth (lets several accounts share the table)
+const AUTH_STATE_SESSION_ID = process.env.AUTH_STATE_SESSION_ID || 'default';
+
+// category used for the creds row (all other rows are Signal key types)
+const CREDS_CATEGORY = 'creds';
+
+/**
+ * Serialize a value the same way useMultiFileAuthState does (Buffers -> base64)
+ * @param {*} value - Creds or key value
+ * @returns {string} JSON text
+ */
+function serialize(value) {
+    return JSON.stringify(value, BufferJSON.replacer);
+}
+
+/**
+ * Revive a stored value (base64 -> Buffers)
+ * @param {string} text - JSON text
+ * @returns {*} Creds or key value
+ */
+function deserialize(text) {
+    return JSON.parse(text, BufferJSON.reviver);
+}
+
+/**
+ * Auth state backed by the baileys_auth table
+ * Drop-in replacement for useMultiFileAuthState - returns { state, saveCreds }
+ * @param {Pool} pool - PostgreSQL pool
+ * @param {string} sessionId - Auth state key (one per WhatsApp account)
+ * @returns {Promise<Object>} { state: { creds, keys }, saveCreds }
+ */
+async function usePostgresAuthState(pool, sessionId = AUTH_STATE_SESSION_ID) {
+    const credsResult = await pool.query(
+        `SELECT data::text AS data FROM baileys_auth
+         WHERE session_id = $1 AND category = $2 AND key_id = ''`,
+        [sessionId, CREDS_CATEGORY]
+    );
+
+    const creds = credsResult.rows.length > 0
+        ? deserialize(credsResult.rows[0].data)
+        : initAuthCreds();
+
+    const keys = {
+        get: async (type, ids) => {
+            const data = {};
+            if (ids.length === 0) return data;
+
+            const result = await pool.query(
+                `SELECT key_id, data::text AS data FROM baileys_auth
+                 WHERE session_id = $1 AND category = $2 AND key_id = ANY($3)`,
+                [sessionId, type, ids]
+            );
+
+            for (const row of result.rows) {
+                let value = deserialize(row.data);
+                if (type === 'app-state-sync-key' && value) {
+                    value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                }
+                data[row.key_id] = value;
+            }
+            return data;
+        },
+
+        // data: { [type]: { [id]: value | null } } - null deletes the key
+        set: async (data) => {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+
+                for (const type of Object.keys(data)) {
+                    for (const [id, value] of Object.entries(data[type])) {
+                        if (value) {
+                            await client.query(
+                                `INSERT INTO baileys_auth (session_id, category, key_id, data, updated_at)
+                                 VALUES ($1, $2, $3, $4::jsonb, NOW())
+                                 ON CONFLICT (session_id, category, key_id)
+                                 DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+                                [sessionId, type, id, serialize(value)]
+                            );
+                        } else {
+                            await client.query(
+                                `DELETE FROM baileys_auth
+                                 WHERE session_id = $1 AND category = $2 AND key_id = $3`,
+                                [sessionId, type, id]
+                            );
+                        }
+                    }
+                }
+
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                console.error('❌ [AUTH-STATE] Failed to store signal keys (rolled back):', error.message);
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+    };
+
+    const saveCreds = async () => {
+        await pool.query(
+            `INSERT INTO baileys_auth (session_id, category, key_id, data, updated_at)
+             VALUES ($1, $2, '', $3::jsonb, NOW())
+             ON CONFLICT (session_id, category, key_id)
+             DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+            [sessionId, CREDS_CATEGORY, serialize(creds)]
+        );
+    };
+
+    return {
+        state: { creds, keys },
+        saveCreds
+    };
+}
+
+/**
+ * Delete a stored auth state (forces a new QR login)
+ * @param {Pool} pool - PostgreSQL pool
+ * @param {string} sessionId - Auth state key
+ * @returns {Promise<number>} Rows deleted
+ */
+async function clearPostgresAuthState(pool, sessionId = AUTH_STATE_SESSION_ID) {
+    const result = await pool.query('DELETE FROM baileys_auth WHERE session_id = $1', [sessionId]);
+    return result.rowCount;
+}
+
+/**
+ * Check whether the database already holds credentials for a session
+ * @param {Pool} pool - PostgreSQL pool
+ * @param {string} sessionId - Auth state key
+ * @returns {Promise<boolean>} True if a creds row exists
+ */
+async function hasPostgresAuthState(pool, sessionId = AUTH_STATE_SESSION_ID) {
+    const result = await pool.query(
+        `SELECT 1 FROM baileys_auth WHERE session_id = $1 AND category = $2 AND key_id = ''`,
+        [sessionId, CREDS_CATEGORY]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Map a useMultiFileAuthState file name back to { type, id }
+ * Files are named "<type>-<id>.json" with "/" -> "__" and ":" -> "-" in the id.
+ * The ":" replacement is lossy; sender key IDs ("group::user::device") are the only
+ * IDs that contain it, so "--" is mapped back to "::" for that type.
+ * @param {string} fileName - File name inside the session directory
+ * @param {string[]} types - Known key types, longest first
+ * @returns {Object|null} { type, id } or null for files that aren't keys
+ */
+function parseKeyFileName(fileName, types) {
+    if (!fileName.endsWith('.json')) return null;
+    const base = fileName.slice(0, -'.json'.length);
+
+    const type = types.find(t => base.startsWith(`${t}-`));
+    if (!type) return null;
+
+    let id = base.slice(type.length + 1).replace(/__/g, '/');
+    if (type === 'sender-key') {
+        id = id.replace(/--/g, '::');
+    }
+    return { type, id };
+}
+
+// Key types written by useMultiFileAuthState (longest first so "sender-key-memory" beats "sender-key")
+const KEY_FILE_TYPES = [
+    'app-state-sync-version',
+    'app-state-sync-key',
+    'sender-key-memory',
+    'device-list',
+    'lid-mapping',
+    'sender-key',
+    'pre-key',
+    'session',
+    'tctoken'
+];
+
+/**
+ * One-time import of a useMultiFileAuthState directory into baileys_auth
+ * Runs in a single transaction and replaces whatever is stored for the session.
+ * @param {Pool} pool - PostgreSQL pool
+ * @param {string} directory - Session directory (contains creds.json)
+ * @param {string} sessionId - Auth state key
+ * @returns {Promise<Object>} { creds, keys, skipped } counts
+ */
+async function importAuthStateFromDirectory(pool, directory, sessionId = AUTH_STATE_SESSION_ID) {
+    const credsPath = path.join(directory, 'creds.json');
+    if (!fs.existsSync(credsPath)) {
+        const error = new Error(`No creds.json found in ${directory}`);
+        error.code = 'AUTH_STATE_NOT_FOUND';
+        throw error;
+    }
+
+    const stats = { creds: 0, keys: 0, skipped: [] };
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM baileys_auth WHERE session_id = $1', [sessionId]);
+
+        for (const fileName of fs.readdirSync(directory)) {
+            const text = fs.readFileSync(path.join(directory, fileName), 'utf-8');
+
+            let category;
+            let keyId;
+            if (fileName === 'creds.json') {
+                category = CREDS_CATEGORY;
+                keyId = '';
+            } else {
+                const parsed = parseKeyFileName(fileName, KEY_FILE_TYPES);
+                if (!parsed) {
+                    stats.skipped.push(fileName);
+                    continue;
+                }
+                category = parsed.type;
+                keyId = parsed.id;
+            }
+
+            // Round-trip through the reviver/replacer to validate the file and normalize encoding
+            const value = deserialize(text);
+            await client.query(
+                `INSERT INTO baileys_auth (session_id, category, key_id, data, updated_at)
+                 VALUES ($1, $2, $3, $4::jsonb, NOW())
+                 ON CONFLICT (session_id, category, key_id)
+                 DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+                [sessionId, category, keyId, serialize(value)]
+            );
+
+            if (category === CREDS_CATEGORY) {
+                stats.creds++;
+            } else {
+                stats.keys++;
+            }
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    console.log(`✅ [AUTH-STATE] Imported ${directory} into session "${sessionId}" (${stats.keys} keys, ${stats.skipped.length} files skipped)`);
+    return stats;
+}
+
+/**
+ * Create the configured auth state provider
+ * Falls back to the file backend when Postgres is selected but no pool is available.
+ * @param {Object} options
+ * @param {string} options.backend - 'file' | 'postgres'
+ * @param {string} options.sessionPath - Session directory for the file backend
+ * @param {Pool} options.pool - PostgreSQL pool for the postgres backend
+ * @param {string} options.sessionId - Auth state key for the postgres backend
+ * @returns {Promise<Object>} { state, saveCreds, backend }
+ */
+async function createAuthState({ backend = AUTH_STATE_BACKEND, sessionPath, pool, sessionId = AUTH_STATE_SESSION_ID }) {
+    if (!AUTH_STATE_BACKENDS.includes(backend)) {
+        console.warn(`⚠️  [AUTH-STATE] Unknown AUTH_STATE_BACKEND "${backend}" - using file`);
+        backend = 'file';
+    }
+
+    if (backend === 'postgres' && !pool) {
+        console.warn('⚠️  [AUTH-STATE] AUTH_STATE_BACKEND=postgres but no database is configured - using file');
+        backend = 'file';
+    }
+
+    if (backend === 'postgres') {
+        const { state, saveCreds } = await usePostgresAuthState(pool, sessionId);
+        console.log(`🔐 [AUTH-STATE] Using Postgres auth state (session "${sessionId}")`);
+        return { state, saveCreds, backend };
+    }
+
+    const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
+    console.log(`🔐 [AUTH-STATE] Using file auth state (${sessionPath})`);
+    return { state, saveCreds, backend };
+}
+
+module.exports = {
+    AUTH_STATE_BACKENDS,
+    AUTH_STATE_BACKEND,
+    AUTH_STATE_SESSION_ID,
+    usePostgresAuthState,
+    clearPostgresAuthState,
+    hasPostgresAuthState,
+    importAuthStateFromDirectory,
+    createAuthState
+};
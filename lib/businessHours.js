@@ -0,0 +1,311 @@
+/**
+ * Business Hours Policy
+ * The one definition of "when may we message a lead", used by the Bull scheduler
+ * (timezoneHelper.getNextValidBusinessTime), the legacy reminder scheduler and the
+ * manual send routes.
+ *
+ * Policy format:
+ * {
+ *   "timezone": "Asia/Jerusalem",
+ *   "days": {                                   // null = closed all day
+ *     "sunday": { "start": 9, "end": 20 }, ..., "friday": { "start": 9, "end": 13 }, "saturday": null
+ *   },
+ *   "messageTypes": {                           // Optional per-message-type overrides
+ *     "video_testimonial": { "start": 9, "end": 21 },          // same window on every open day
+ *     "appointment_reminder_4": { "friday": null }             // or per day
+ *   },
+ *   "enforceOnManualSends": false               // Refuse /api/send* outside the policy (admins can override)
+ * }
+ *
+ * A { start, end } override (message type or campaign step businessHours) replaces the window of
+ * every day that is open in the base policy; Friday keeps its early close. Hours are integers 0-24.
+ * Yom tov, closure days and erev chag cutoffs (holidays.js) apply on top of every window.
+ *
+ * Source, first match wins: business_hours_policy table (admin API) -> BUSINESS_HOURS_POLICY env (JSON)
+ * -> DEFAULT_POLICY. Cached in memory; reloaded on startup and whenever the admin API changes it.
+ */
+
+const { DateTime } = require('luxon');
+const holidays = require('./holidays');
+
+// Luxon weekday number (Monday = 1) -> policy day name
+const DAY_NAMES = [null, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Sun-Thu 9:00-20:00, no messages on the Israeli weekend
+const DEFAULT_POLICY = {
+    timezone: 'Asia/Jerusalem',
+    days: {
+        sunday: { start: 9, end: 20 },
+        monday: { start: 9, end: 20 },
+        tuesday: { start: 9, end: 20 },
+        wednesday: { start: 9, end: 20 },
+        thursday: { start: 9, end: 20 },
+        friday: null,
+        saturday: null
+    },
+    messageTypes: {},
+    enforceOnManualSends: false
+};
+
+// error.code set on manual sends refused outside business hours
+const OUTSIDE_BUSINESS_HOURS_ERROR_CODE = 'OUTSIDE_BUSINESS_HOURS';
+
+let dbPool = null;
+let currentPolicy = null;
+let currentSource = 'default';
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Validate a { start, end } window
+ * @param {*} window - Window to check
+ * @returns {boolean} True if valid
+ */
+function isValidWindow(window) {
+    return !!window &&
+        Number.isInteger(window.start) && Number.isInteger(window.end) &&
+        window.start >= 0 && window.end <= 24 && window.start < window.end;
+}
+
+/**
+ * Validate a policy (partial policies are merged over DEFAULT_POLICY)
+ * @param {Object} policy - Policy to check
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+function validatePolicy(policy) {
+    const errors = [];
+    const dayNames = DAY_NAMES.filter(Boolean);
+
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['policy must be an object'];
+    }
+
+    if (policy.timezone !== undefined && !DateTime.now().setZone(policy.timezone).isValid) {
+        errors.push(`timezone "${policy.timezone}" is not a valid IANA timezone`);
+    }
+
+    for (const [day, window] of Object.entries(policy.days || {})) {
+        if (!dayNames.includes(day)) {
+            errors.push(`days.${day} is not a day name (${dayNames.join(', ')})`);
+        } else if (window !== null && !isValidWindow(window)) {
+            errors.push(`days.${day} must be null or { start, end } with 0 <= start < end <= 24`);
+        }
+    }
+
+    for (const [messageType, override] of Object.entries(policy.messageTypes || {})) {
+        if (!override || typeof override !== 'object') {
+            errors.push(`messageTypes.${messageType} must be an object`);
+            continue;
+        }
+
+        const { start, end, ...days } = override;
+        if ((start !== undefined || end !== undefined) && !isValidWindow({ start, end })) {
+            errors.push(`messageTypes.${messageType} must have { start, end } with 0 <= start < end <= 24`);
+        }
+        for (const [day, window] of Object.entries(days)) {
+            if (!dayNames.includes(day)) {
+                errors.push(`messageTypes.${messageType}.${day} is not a day name`);
+            } else if (window !== null && !isValidWindow(window)) {
+                errors.push(`messageTypes.${messageType}.${day} must be null or { start, end }`);
+            }
+        }
+    }
+
+    if (policy.enforceOnManualSends !== undefined && typeof policy.enforceOnManualSends !== 'boolean') {
+        errors.push('enforceOnManualSends must be a boolean');
+    }
+
+    return errors;
+}
+
+/**
+ * Merge a (partial) policy over the defaults
+ * @param {Object} policy - Partial policy
+ * @returns {Object} Complete policy
+ */
+function mergePolicy(policy = {}) {
+    return {
+        timezone: policy.timezone || DEFAULT_POLICY.timezone,
+        days: { ...DEFAULT_POLICY.days, ...(policy.days || {}) },
+        messageTypes: { ...(policy.messageTypes || {}) },
+        enforceOnManualSends: policy.enforceOnManualSends === true
+    };
+}
+
+/**
+ * Policy from the BUSINESS_HOURS_POLICY env var (invalid JSON/policies are ignored with an error)
+ * @returns {Object|null} Partial policy
+ */
+function loadPolicyFromEnv() {
+    if (!process.env.BUSINESS_HOURS_POLICY) return null;
+
+    try {
+        const policy = JSON.parse(process.env.BUSINESS_HOURS_POLICY);
+        const errors = validatePolicy(policy);
+        if (errors.length > 0) {
+            console.error(`❌ [BUSINESS-HOURS] Ignoring invalid BUSINESS_HOURS_POLICY: ${errors.join('; ')}`);
+            return null;
+        }
+        return policy;
+    } catch (error) {
+        console.error('❌ [BUSINESS-HOURS] BUSINESS_HOURS_POLICY is not valid JSON:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Reload the active policy (database row, then env, then defaults)
+ * @returns {Promise<Object>} { policy, source }
+ */
+async function loadPolicy() {
+    let policy = null;
+    let source = 'default';
+
+    if (dbPool) {
+        try {
+            const result = await dbPool.query('SELECT policy FROM business_hours_policy WHERE id = 1');
+            if (result.rows[0]) {
+                policy = result.rows[0].policy;
+                source = 'database';
+            }
+        } catch (error) {
+            console.error('❌ [BUSINESS-HOURS] Error loading policy from database:', error.message);
+        }
+    }
+
+    if (!policy) {
+        policy = loadPolicyFromEnv();
+        source = policy ? 'env' : 'default';
+    }
+
+    currentPolicy = mergePolicy(policy || {});
+    currentSource = source;
+
+    console.log(`🕘 [BUSINESS-HOURS] Policy loaded (source: ${source}, timezone: ${currentPolicy.timezone})`);
+    return getPolicy();
+}
+
+/**
+ * Active policy (env/defaults until loadPolicy has run)
+ * @returns {Object} { policy, source }
+ */
+function getPolicy() {
+    if (!currentPolicy) {
+        const envPolicy = loadPolicyFromEnv();
+        currentPolicy = mergePolicy(envPolicy || {});
+        currentSource = envPolicy ? 'env' : 'default';
+    }
+    return { policy: currentPolicy, source: currentSource };
+}
+
+/**
+ * Store a policy in the database (replaces the env/default policy)
+ * @param {Object} policy - Partial policy, merged over the defaults
+ * @param {string} updatedBy - API key name
+ * @returns {Promise<Object>} { policy, source }
+ */
+async function savePolicy(policy, updatedBy = null) {
+    if (!dbPool) {
+        const error = new Error('Storing the business hours policy requires a database');
+        error.code = 'DATABASE_UNAVAILABLE';
+        throw error;
+    }
+
+    await dbPool.query(
+        `INSERT INTO business_hours_policy (id, policy, updated_by, updated_at)
+         VALUES (1, $1, $2, NOW())
+         ON CONFLICT (id) DO UPDATE SET policy = EXCLUDED.policy, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+        [JSON.stringify(mergePolicy(policy)), updatedBy]
+    );
+
+    console.log(`🕘 [BUSINESS-HOURS] Policy updated${updatedBy ? ` by "${updatedBy}"` : ''}`);
+    return await loadPolicy();
+}
+
+/**
+ * Drop the database policy and fall back to env/defaults
+ * @returns {Promise<Object>} { policy, source }
+ */
+async function resetPolicy() {
+    if (dbPool) {
+        await dbPool.query('DELETE FROM business_hours_policy WHERE id = 1');
+    }
+    return await loadPolicy();
+}
+
+/**
+ * Time zone all windows are expressed in
+ * @returns {string} IANA timezone
+ */
+function getTimezone() {
+    return getPolicy().policy.timezone;
+}
+
+/**
+ * Sending window of the day a given time falls on
+ * @param {DateTime} dateTime - Any time on the day
+ * @param {Object} options
+ * @param {string} options.messageType - Apply this message type's override (optional)
+ * @param {Object} options.hours - { start, end } override, e.g. a campaign step's businessHours (optional)
+ * @returns {Object|null} { start, end } hours in the policy timezone, or null if closed all day
+ */
+function getWindow(dateTime, { messageType = null, hours = null } = {}) {
+    const { policy } = getPolicy();
+    const local = dateTime.setZone(policy.timezone);
+    const day = DAY_NAMES[local.weekday];
+
+    const baseWindow = policy.days[day];
+    let window = baseWindow;
+
+    // Message type override wins over the caller's hours (the policy is the source of truth)
+    const { start, end, ...dayOverrides } = policy.messageTypes[messageType] || {};
+    const override = start !== undefined ? { start, end } : hours;
+
+    if (day in dayOverrides) {
+        window = dayOverrides[day];
+    } else if (baseWindow && override) {
+        // Friday keeps its early close
+        window = day === 'friday'
+            ? { start: override.start, end: Math.min(override.end, baseWindow.end) }
+            : override;
+    }
+
+    if (!window) return null;
+
+    // Holidays and closure days close the day, erev chag ends it early
+    const dateKey = local.toISODate();
+    if (holidays.isClosedDay(dateKey)) return null;
+
+    const cutoffHour = holidays.getEarlyCutoffHour(dateKey);
+    const windowEnd = cutoffHour !== null ? Math.min(window.end, cutoffHour) : window.end;
+
+    return windowEnd > window.start ? { start: window.start, end: windowEnd } : null;
+}
+
+/**
+ * Check if messages may be sent at a given time
+ * @param {DateTime} dateTime - Time to check
+ * @param {Object} options - { messageType, hours } (see getWindow)
+ * @returns {boolean} True if within the policy
+ */
+function isOpenAt(dateTime, options = {}) {
+    const window = getWindow(dateTime, options);
+    const hour = dateTime.setZone(getTimezone()).hour;
+    return !!window && hour >= window.start && hour < window.end;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    OUTSIDE_BUSINESS_HOURS_ERROR_CODE,
+    setDbPool,
+    validatePolicy,
+    loadPolicy,
+    getPolicy,
+    savePolicy,
+    resetPolicy,
+    getTimezone,
+    getWindow,
+    isOpenAt
+};
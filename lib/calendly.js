@@ -0,0 +1,183 @@
+/**
+ * Calendly Webhook Helpers
+ * Signature verification and payload parsing for invitee.created / invitee.canceled
+ *
+ * Calendly signs every delivery with the webhook signing key:
+ *   Calendly-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Docs: https://developer.calendly.com/api-docs/ZG9jOjM2MzE2MDM4-webhook-signatures
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'calendly-webhook-signature';
+
+// Reject deliveries signed more than 3 minutes ago (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 3 * 60;
+
+const EVENTS = {
+    INVITEE_CREATED: 'invitee.created',
+    INVITEE_CANCELED: 'invitee.canceled'
+};
+
+// What an invitee.canceled delivery means for the session's stored booking
+const CANCELLATION = {
+    CANCELED: 'canceled',       // The stored meeting was cancelled
+    RESCHEDULED: 'rescheduled', // Followed by an invitee.created for the new time - keep the booking
+    STALE: 'stale'              // An earlier booking (e.g. the old time of a reschedule) - nothing to do
+};
+
+/**
+ * Parse the Calendly-Webhook-Signature header
+ * @param {string} header - Header value ("t=...,v1=...")
+ * @returns {Object|null} { timestamp, signature } or null if malformed
+ */
+function parseSignatureHeader(header) {
+    if (!header) return null;
+
+    const parts = {};
+    for (const part of header.split(',')) {
+        const [key, value] = part.split('=');
+        if (key && value) {
+            parts[key.trim()] = value.trim();
+        }
+    }
+
+    if (!parts.t || !parts.v1) return null;
+    return { timestamp: parseInt(parts.t), signature: parts.v1 };
+}
+
+/**
+ * Verify a webhook delivery signature
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {string} header - Calendly-Webhook-Signature header value
+ * @param {string} signingKey - Webhook signing key
+ * @param {number} now - Current unix time in seconds
+ * @returns {Object} { valid, reason }
+ */
+function verifySignature(rawBody, header, signingKey, now = Math.floor(Date.now() / 1000)) {
+    const parsed = parseSignatureHeader(header);
+    if (!parsed) {
+        return { valid: false, reason: 'Missing or malformed signature header' };
+    }
+
+    if (!Number.isFinite(parsed.timestamp) || Math.abs(now - parsed.timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        return { valid: false, reason: 'Signature timestamp outside tolerance' };
+    }
+
+    const expected = crypto
+        .createHmac('sha256', signingKey)
+        .update(`${parsed.timestamp}.${rawBody}`)
+        .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = Buffer.from(parsed.signature, 'hex');
+
+    if (expectedBuffer.length !== actualBuffer.length || !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true, reason: null };
+}
+
+/**
+ * Normalize a phone number to the format stored in sessions (digits, 972 prefix)
+ * @param {string} phone - Phone number as entered by the invitee
+ * @returns {string|null} Normalized phone number
+ */
+function normalizePhone(phone) {
+    if (!phone) return null;
+
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length < 9) return null;
+
+    // Israeli local format: 054XXXXXXX -> 97254XXXXXXX
+    if (digits.startsWith('0')) {
+        return '972' + digits.substring(1);
+    }
+    return digits;
+}
+
+/**
+ * Check that a reschedule link points at the booking provider before it's sent to a lead
+ * Accepts https URLs on calendly.com (or a subdomain) or a host listed in BOOKING_URL_HOSTS
+ * @param {string} value - Reschedule URL from the webhook body
+ * @param {string} [allowedHosts] - Comma-separated extra hosts (defaults to BOOKING_URL_HOSTS)
+ * @returns {boolean} True if the URL may be sent
+ */
+function isRescheduleUrl(value, allowedHosts = process.env.BOOKING_URL_HOSTS || '') {
+    if (typeof value !== 'string') return false;
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) return false;
+
+    const hosts = ['calendly.com', ...allowedHosts.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)];
+    return hosts.some(host => url.hostname === host || url.hostname.endsWith('.' + host));
+}
+
+/**
+ * Extract the fields we care about from a Calendly webhook body
+ * Session matching uses utm_content (session ID appended to the booking link) when present,
+ * otherwise the invitee's SMS reminder number or a phone answer in the booking questions.
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} Normalized invitee event
+ */
+function parseInviteeEvent(body) {
+    const payload = body?.payload || {};
+    const scheduledEvent = payload.scheduled_event || {};
+    const tracking = payload.tracking || {};
+
+    const phoneAnswer = (payload.questions_and_answers || [])
+        .map(qa => normalizePhone(qa.answer))
+        .find(Boolean);
+
+    return {
+        event: body?.event,
+        sessionId: tracking.utm_content || null,
+        phoneNumber: normalizePhone(payload.text_reminder_number) || phoneAnswer || null,
+        email: payload.email || null,
+        name: payload.name || null,
+        inviteeUri: payload.uri || null,
+        eventUri: scheduledEvent.uri || payload.event || null,
+        eventName: scheduledEvent.name || null,
+        startTime: scheduledEvent.start_time || null,
+        endTime: scheduledEvent.end_time || null,
+        location: scheduledEvent.location?.join_url || scheduledEvent.location?.location || null,
+        rescheduleUrl: payload.reschedule_url || null,
+        cancelUrl: payload.cancel_url || null,
+        // invitee.canceled with rescheduled=true is followed by an invitee.created for the new time
+        rescheduled: payload.rescheduled === true,
+        cancelReason: payload.cancellation?.reason || null
+    };
+}
+
+/**
+ * Classify an invitee.canceled delivery against the session's stored booking
+ * Calendly sends a reschedule as canceled(old) + created(new) in no guaranteed order, so a cancel
+ * only clears the booking when it's for the meeting stored on the session and not a reschedule.
+ * @param {Object} session - Session row (meeting_event_uri)
+ * @param {Object} invitee - Parsed invitee.canceled event
+ * @returns {string} One of CANCELLATION
+ */
+function classifyCancellation(session, invitee) {
+    if (!invitee.eventUri || invitee.eventUri !== session?.meeting_event_uri) {
+        return CANCELLATION.STALE;
+    }
+    return invitee.rescheduled ? CANCELLATION.RESCHEDULED : CANCELLATION.CANCELED;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    EVENTS,
+    CANCELLATION,
+    verifySignature,
+    normalizePhone,
+    isRescheduleUrl,
+    parseInviteeEvent,
+    classifyCancellation
+};
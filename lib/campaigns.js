@@ -0,0 +1,309 @@
+/**
+ * Drip Campaign Definitions
+ *
+ * Follow-up sequences are defined as data instead of code, so marketing can
+ * change timing, copy order or media without a deploy.
+ *
+ * Definitions live in the `campaigns` table (seeded from campaigns.json on first run).
+ * When the database is not available, campaigns.json is used directly.
+ *
+ * Step format:
+ * {
+ *   "messageType": "form_reminder_19pm",            // One of MESSAGE_TYPES
+ *   "timing": {
+ *     "anchor": "next_time" | "next_day" | "same_day" | "delay",
+ *     "hour": 19, "minute": 0,                       // For time anchors
+ *     "cutoffHour": 18,                              // next_time: after this hour, use tomorrow
+ *     "minutes": 60,                                 // For delay anchor
+ *     "from": "start" | "previous"                   // Reference point (default: start)
+ *   },
+ *   "businessHours": { "start": 9, "end": 20 },      // Optional window (default: business hours policy,
+ *                                                    //   a messageTypes override in the policy wins)
+ *   "stopWhen": ["form_completed"],                  // Skip the step once any condition is true
+ *   "mediaUrl": "{testimonialVideoUrl}"              // Optional, supports {variable} placeholders
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MESSAGE_TYPES } = require('./messageTemplates');
+const { ISRAEL_TIMEZONE, getNextValidBusinessTime } = require('./timezoneHelper');
+
+const CAMPAIGNS_FILE = path.join(__dirname, '..', 'campaigns.json');
+
+const TIMING_ANCHORS = ['next_time', 'next_day', 'same_day', 'delay'];
+
+// Stop conditions evaluated by the worker right before sending (see messageScheduler.js)
+const STOP_CONDITIONS = {
+    form_completed: (session) => !!session.form_completed_at,
+    appointment_scheduled: (session) => !!session.appointment_scheduled_at,
+    session_not_active: (session) => session.status !== 'active',
+    session_not_completed: (session) => session.status !== 'completed',
+    meeting_canceled: (session) => !!session.meeting_canceled_at || !session.meeting_start_at
+};
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Load campaign definitions from campaigns.json
+ * @returns {Array} Campaign definitions
+ */
+function loadCampaignsFromFile() {
+    try {
+        if (fs.existsSync(CAMPAIGNS_FILE)) {
+            const data = fs.readFileSync(CAMPAIGNS_FILE, 'utf8');
+            return JSON.parse(data).campaigns || [];
+        }
+    } catch (error) {
+        console.error('❌ [CAMPAIGNS] Error loading campaigns from file:', error.message);
+    }
+    return [];
+}
+
+/**
+ * Seed the campaigns table from campaigns.json (only campaigns that don't exist yet)
+ * @param {Object} pool - PostgreSQL pool
+ */
+async function seedCampaigns(pool) {
+    const campaigns = loadCampaignsFromFile();
+
+    for (const campaign of campaigns) {
+        await pool.query(
+            `INSERT INTO campaigns (name, description, active, steps)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (name) DO NOTHING`,
+            [campaign.name, campaign.description || null, campaign.active !== false, JSON.stringify(campaign.steps)]
+        );
+    }
+
+    console.log(`📦 [CAMPAIGNS] Seeded ${campaigns.length} default campaigns (existing ones kept)`);
+}
+
+/**
+ * Get a campaign definition by name (database first, campaigns.json fallback)
+ * @param {string} name - Campaign name
+ * @returns {Promise<Object|null>} Campaign definition
+ */
+async function getCampaign(name) {
+    if (dbPool) {
+        try {
+            const result = await dbPool.query(
+                'SELECT name, description, active, steps, updated_at FROM campaigns WHERE name = $1',
+                [name]
+            );
+            if (result.rows.length > 0) {
+                return result.rows[0];
+            }
+        } catch (error) {
+            console.error(`❌ [CAMPAIGNS] Error loading campaign ${name} from database:`, error.message);
+        }
+    }
+
+    return loadCampaignsFromFile().find(campaign => campaign.name === name) || null;
+}
+
+/**
+ * List all campaign definitions
+ * @returns {Promise<Array>} Campaign definitions
+ */
+async function listCampaigns() {
+    if (dbPool) {
+        try {
+            const result = await dbPool.query(
+                'SELECT name, description, active, steps, updated_at FROM campaigns ORDER BY name'
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('❌ [CAMPAIGNS] Error listing campaigns from database:', error.message);
+        }
+    }
+
+    return loadCampaignsFromFile();
+}
+
+/**
+ * Validate a campaign definition
+ * @param {Object} campaign - { description, active, steps }
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+function validateCampaign(campaign) {
+    const errors = [];
+    const messageTypes = Object.values(MESSAGE_TYPES);
+    const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+    if (!campaign || !Array.isArray(campaign.steps) || campaign.steps.length === 0) {
+        return ['steps must be a non-empty array'];
+    }
+
+    campaign.steps.forEach((step, index) => {
+        const label = `steps[${index}]`;
+
+        if (!messageTypes.includes(step.messageType)) {
+            errors.push(`${label}.messageType must be one of: ${messageTypes.join(', ')}`);
+        }
+
+        const timing = step.timing || {};
+        if (!TIMING_ANCHORS.includes(timing.anchor)) {
+            errors.push(`${label}.timing.anchor must be one of: ${TIMING_ANCHORS.join(', ')}`);
+        } else if (timing.anchor === 'delay') {
+            if (!Number.isFinite(timing.minutes) || timing.minutes < 0) {
+                errors.push(`${label}.timing.minutes must be a non-negative number`);
+            }
+        } else if (!isHour(timing.hour)) {
+            errors.push(`${label}.timing.hour must be an integer 0-23`);
+        }
+
+        if (timing.from && !['start', 'previous'].includes(timing.from)) {
+            errors.push(`${label}.timing.from must be "start" or "previous"`);
+        }
+
+        if (step.businessHours) {
+            const { start, end } = step.businessHours;
+            if (!isHour(start) || !Number.isInteger(end) || end < 1 || end > 24 || start >= end) {
+                errors.push(`${label}.businessHours must be { start, end } with 0 <= start < end <= 24`);
+            }
+        }
+
+        if (step.stopWhen !== undefined) {
+            if (!Array.isArray(step.stopWhen)) {
+                errors.push(`${label}.stopWhen must be an array`);
+            } else {
+                const unknown = step.stopWhen.filter(condition => !STOP_CONDITIONS[condition]);
+                if (unknown.length > 0) {
+                    errors.push(`${label}.stopWhen has unknown conditions: ${unknown.join(', ')} (allowed: ${Object.keys(STOP_CONDITIONS).join(', ')})`);
+                }
+            }
+        }
+
+        if (step.mediaUrl !== undefined && step.mediaUrl !== null && typeof step.mediaUrl !== 'string') {
+            errors.push(`${label}.mediaUrl must be a string`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Create or replace a campaign definition
+ * @param {string} name - Campaign name
+ * @param {Object} campaign - { description, active, steps }
+ * @returns {Promise<Object>} Saved campaign
+ */
+async function saveCampaign(name, { description = null, active = true, steps }) {
+    if (!dbPool) {
+        throw new Error('Database not available');
+    }
+
+    const result = await dbPool.query(
+        `INSERT INTO campaigns (name, description, active, steps, updated_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (name) DO UPDATE SET
+             description = EXCLUDED.description,
+             active = EXCLUDED.active,
+             steps = EXCLUDED.steps,
+             updated_at = NOW()
+         RETURNING name, description, active, steps, updated_at`,
+        [name, description, active !== false, JSON.stringify(steps)]
+    );
+
+    console.log(`✅ [CAMPAIGNS] Saved campaign ${name} (${steps.length} steps)`);
+    return result.rows[0];
+}
+
+/**
+ * Calculate when a step should be sent
+ * @param {Object} step - Campaign step
+ * @param {DateTime} startTime - When the campaign started
+ * @param {DateTime} previousTime - When the previous step is scheduled (startTime for the first step)
+ * @returns {DateTime} Scheduled time, moved into the step's business-hours window
+ */
+function calculateStepTime(step, startTime, previousTime) {
+    const { anchor, hour, minute = 0, cutoffHour, minutes, from = 'start' } = step.timing;
+    const reference = (from === 'previous' ? previousTime : startTime).setZone(ISRAEL_TIMEZONE);
+    const atTime = { hour, minute, second: 0, millisecond: 0 };
+
+    let scheduledFor;
+
+    switch (anchor) {
+        case 'delay':
+            // Pure delays are not moved into business hours unless a window is given
+            scheduledFor = reference.plus({ minutes });
+            return step.businessHours
+                ? getNextValidBusinessTime(scheduledFor, step.businessHours, step.messageType)
+                : scheduledFor;
+
+        case 'next_time': {
+            // Today at hour:minute, or tomorrow if we're past the cutoff (defaults to the hour itself)
+            const cutoff = cutoffHour !== undefined ? cutoffHour : hour;
+            scheduledFor = reference.hour < cutoff
+                ? reference.set(atTime)
+                : reference.plus({ days: 1 }).set(atTime);
+            break;
+        }
+
+        case 'next_day':
+            scheduledFor = reference.plus({ days: 1 }).set(atTime);
+            break;
+
+        case 'same_day':
+            scheduledFor = reference.set(atTime);
+            break;
+
+        default:
+            throw new Error(`Unknown timing anchor: ${anchor}`);
+    }
+
+    return getNextValidBusinessTime(scheduledFor, step.businessHours || null, step.messageType);
+}
+
+/**
+ * Replace {variable} placeholders in a step string (e.g. mediaUrl)
+ * @param {string} value - String with placeholders
+ * @param {Object} variables - Variable values
+ * @returns {string|null} Interpolated string, or null if a placeholder has no value
+ */
+function interpolate(value, variables = {}) {
+    if (!value) return null;
+
+    let missing = false;
+    const result = value.replace(/\{(\w+)\}/g, (match, key) => {
+        if (variables[key] === undefined || variables[key] === null || variables[key] === '') {
+            missing = true;
+            return '';
+        }
+        return variables[key];
+    });
+
+    return missing ? null : result;
+}
+
+/**
+ * Check a session against a step's stop conditions
+ * @param {string[]} stopWhen - Condition names
+ * @param {Object} session - Session row (status, form/appointment/meeting timestamps)
+ * @returns {string|null} First condition that is met, or null
+ */
+function getMetStopCondition(stopWhen, session) {
+    if (!Array.isArray(stopWhen) || stopWhen.length === 0) return null;
+    if (!session) return 'session_not_found';
+
+    return stopWhen.find(condition => STOP_CONDITIONS[condition]?.(session)) || null;
+}
+
+module.exports = {
+    TIMING_ANCHORS,
+    STOP_CONDITIONS,
+    setDbPool,
+    seedCampaigns,
+    getCampaign,
+    listCampaigns,
+    validateCampaign,
+    saveCampaign,
+    calculateStepTime,
+    interpolate,
+    getMetStopCondition
+};
@@ -0,0 +1,216 @@
+/**
+ * In-WhatsApp Questionnaire
+ * Runs the questionnaire (questionnaire.js) as a conversation for leads who don't open the
+ * /chatbot link: one question per message, numbered options, answers validated as they come.
+ * Per-chat state lives in chat_questionnaires (one row per session), so a restart mid-flow
+ * picks up at the same question.
+ *
+ * A flow starts right after the trigger when BOT_QUESTIONNAIRE_MODE=whatsapp (instead of the
+ * chatbot link), or when a lead with an active session sends one of BOT_QUESTIONNAIRE_KEYWORDS.
+ * Completion goes through the same path as the web form (formSubmission.js).
+ */
+
+const questionnaire = require('./questionnaire');
+
+// 'web' - send the /chatbot link (default) | 'whatsapp' - ask the questions in the chat
+const QUESTIONNAIRE_MODE = process.env.BOT_QUESTIONNAIRE_MODE === 'whatsapp' ? 'whatsapp' : 'web';
+
+// Replies that start the in-chat flow for a lead with an active session
+const START_KEYWORDS = (process.env.BOT_QUESTIONNAIRE_KEYWORDS || 'שאלון,questionnaire')
+    .split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+
+// Replies that go back to the previous question
+const BACK_KEYWORDS = ['חזרה', 'back'];
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Check if a message asks for the in-chat questionnaire
+ * @param {string} messageText - Message text
+ * @returns {boolean} True if it's a start keyword
+ */
+function isStartKeyword(messageText) {
+    return START_KEYWORDS.includes(String(messageText || '').trim().toLowerCase());
+}
+
+/**
+ * Question text with progress, e.g. "(3/10)"
+ * @param {Object} step - Step to ask
+ * @param {Object} state - { answers, history }
+ * @returns {string} Message text
+ */
+function formatStep(step, { answers, history }) {
+    return questionnaire.formatQuestion(step, {
+        number: history.length + 1,
+        total: questionnaire.countSteps(answers)
+    });
+}
+
+/**
+ * Start (or restart) the in-chat questionnaire for a session
+ * @param {Object} session - { session_id, chat_id }
+ * @returns {Promise<string>} First question to send
+ */
+async function startQuestionnaire(session) {
+    const firstStep = questionnaire.getFirstStep();
+
+    if (dbPool) {
+        await dbPool.query(
+            `INSERT INTO chat_questionnaires (session_id, chat_id, current_step, answers, history, status, started_at, updated_at)
+             VALUES ($1, $2, $3, '{}', '[]', 'active', NOW(), NOW())
+             ON CONFLICT (session_id) DO UPDATE SET
+                 chat_id = EXCLUDED.chat_id,
+                 current_step = EXCLUDED.current_step,
+                 answers = '{}',
+                 history = '[]',
+                 status = 'active',
+                 started_at = NOW(),
+                 updated_at = NOW(),
+                 completed_at = NULL`,
+            [session.session_id, session.chat_id, firstStep.id]
+        );
+    }
+
+    console.log(`📋 [QUESTIONNAIRE] Started in-chat questionnaire for session ${session.session_id}`);
+    return formatStep(firstStep, { answers: {}, history: [] });
+}
+
+/**
+ * In-progress questionnaire of a chat (only while its session is active, or completed with
+ * unfinished completion steps - see sessionManager.hasPendingCompletion)
+ * @param {string} chatId - WhatsApp chat ID
+ * @returns {Promise<Object|null>} { session_id, chat_id, current_step, answers, history }
+ */
+async function getActiveQuestionnaire(chatId) {
+    if (!dbPool || !chatId) return null;
+
+    const result = await dbPool.query(
+        `SELECT q.session_id, q.chat_id, q.current_step, q.answers, q.history
+         FROM chat_questionnaires q
+         JOIN sessions s ON s.session_id = q.session_id
+         WHERE q.chat_id = $1 AND q.status = 'active' AND s.expires_at > NOW()
+           AND (s.status = 'active'
+                OR (s.status = 'completed' AND s.form_completed_at IS NOT NULL
+                    AND (s.summary_sent_at IS NULL OR s.monday_synced_at IS NULL)))
+         ORDER BY q.updated_at DESC
+         LIMIT 1`,
+        [chatId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Move a questionnaire to its next state, unless another reply already moved it
+ * @param {Object} state - Current state (as loaded)
+ * @param {Object} next - { currentStep, answers, history, status }
+ * @returns {Promise<boolean>} False if the state changed in the meantime
+ */
+async function saveState(state, { currentStep, answers, history, status = 'active' }) {
+    const result = await dbPool.query(
+        `UPDATE chat_questionnaires
+         SET current_step = $3, answers = $4, history = $5, status = $6, updated_at = NOW(),
+             completed_at = CASE WHEN $6 = 'completed' THEN NOW() ELSE NULL END
+         WHERE session_id = $1 AND current_step = $2 AND status = 'active'`,
+        [state.session_id, state.current_step, currentStep, JSON.stringify(answers), JSON.stringify(history), status]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Handle a lead's reply to the current question
+ * @param {Object} state - Active questionnaire (getActiveQuestionnaire)
+ * @param {string} messageText - Reply text
+ * @returns {Promise<Object>} { reply, completed, answers } - reply is null when the message was a duplicate
+ */
+async function handleReply(state, messageText) {
+    const step = questionnaire.getStep(state.current_step);
+    const answers = state.answers || {};
+    const history = state.history || [];
+
+    // Back to the previous question (its answer is kept until it's answered again)
+    if (BACK_KEYWORDS.includes(String(messageText || '').trim().toLowerCase()) && history.length > 0) {
+        const previousStep = questionnaire.getStep(history[history.length - 1]);
+        const previousHistory = history.slice(0, -1);
+        const saved = await saveState(state, { currentStep: previousStep.id, answers, history: previousHistory });
+        return {
+            reply: saved ? formatStep(previousStep, { answers, history: previousHistory }) : null,
+            completed: false,
+            answers
+        };
+    }
+
+    const { value, error } = questionnaire.parseAnswer(step, messageText);
+    if (error) {
+        return { reply: `${error}\n\n${formatStep(step, { answers, history })}`, completed: false, answers };
+    }
+
+    const nextAnswers = { ...answers, [step.field]: value };
+    const nextHistory = [...history, step.id];
+    const nextStep = questionnaire.findNextStep(step.id, nextAnswers);
+
+    if (!nextStep) {
+        // Drop answers from branches the lead left by going back
+        const { answers: finalAnswers, errors } = questionnaire.validateAnswers(nextAnswers);
+
+        if (errors.length > 0) {
+            // A question on the final path is unanswered - ask it before completing
+            const missingStep = questionnaire.getQuestionSteps().find(candidate => candidate.field === errors[0].field);
+            const saved = await saveState(state, { currentStep: missingStep.id, answers: finalAnswers, history: nextHistory });
+            return {
+                reply: saved ? formatStep(missingStep, { answers: finalAnswers, history: nextHistory }) : null,
+                completed: false,
+                answers: finalAnswers
+            };
+        }
+
+        const saved = await saveState(state, { currentStep: step.id, answers: finalAnswers, history: nextHistory, status: 'completed' });
+        if (saved) {
+            console.log(`✅ [QUESTIONNAIRE] Session ${state.session_id} completed the in-chat questionnaire`);
+        }
+        return { reply: null, completed: saved, answers: finalAnswers };
+    }
+
+    const saved = await saveState(state, { currentStep: nextStep.id, answers: nextAnswers, history: nextHistory });
+    return {
+        reply: saved ? formatStep(nextStep, { answers: nextAnswers, history: nextHistory }) : null,
+        completed: false,
+        answers: nextAnswers
+    };
+}
+
+/**
+ * Reopen a completed questionnaire at its last question (completing the form failed)
+ * The lead's next reply answers the last question again and retries the completion
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the questionnaire was reopened
+ */
+async function reopenQuestionnaire(sessionId) {
+    if (!dbPool) return false;
+
+    const result = await dbPool.query(
+        `UPDATE chat_questionnaires
+         SET status = 'active', completed_at = NULL, updated_at = NOW(),
+             history = history - (jsonb_array_length(history) - 1)
+         WHERE session_id = $1 AND status = 'completed'`,
+        [sessionId]
+    );
+    if (result.rowCount > 0) {
+        console.log(`↩️  [QUESTIONNAIRE] Reopened in-chat questionnaire for session ${sessionId}`);
+    }
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    QUESTIONNAIRE_MODE,
+    START_KEYWORDS,
+    setDbPool,
+    isStartKeyword,
+    startQuestionnaire,
+    getActiveQuestionnaire,
+    handleReply,
+    reopenQuestionnaire
+};
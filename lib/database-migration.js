@@ -2,6 +2,7 @@
 // Adds reminder tracking columns to sessions table
 
 const { Pool } = require('pg');
+const { convertLegacyTemplate } = require('./templateVariables');
 
 async function migrateReminderColumns(pool) {
     try {
@@ -24,6 +25,30 @@ async function migrateReminderColumns(pool) {
     }
 }
 
+async function migrateMeetingColumns(pool) {
+    try {
+        console.log('🔄 Running database migration for meeting columns...');
+
+        // Booked meeting details from the Calendly webhook
+        await pool.query(`
+            ALTER TABLE sessions
+            ADD COLUMN IF NOT EXISTS meeting_start_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS meeting_end_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS invitee_email VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS meeting_event_uri TEXT,
+            ADD COLUMN IF NOT EXISTS meeting_reschedule_url TEXT,
+            ADD COLUMN IF NOT EXISTS meeting_cancel_url TEXT,
+            ADD COLUMN IF NOT EXISTS meeting_canceled_at TIMESTAMP;
+        `);
+
+        console.log('✅ Meeting columns migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Meeting columns migration failed:', error);
+        return false;
+    }
+}
+
 async function migrateLidMappings(pool) {
     try {
         console.log('🔄 Running database migration for LID mappings table...');
@@ -51,7 +76,511 @@ async function migrateLidMappings(pool) {
     }
 }
 
+async function migrateMessageStore(pool) {
+    try {
+        console.log('🔄 Running database migration for messages table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id SERIAL PRIMARY KEY,
+                message_id VARCHAR(255) NOT NULL,
+                chat_id VARCHAR(255) NOT NULL,
+                remote_jid VARCHAR(255),
+                from_me BOOLEAN NOT NULL DEFAULT false,
+                sender_name VARCHAR(255),
+                body TEXT,
+                message_type VARCHAR(30) DEFAULT 'text',
+                media_url TEXT,
+                timestamp TIMESTAMP NOT NULL DEFAULT NOW(),
+                is_read BOOLEAN NOT NULL DEFAULT false,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (chat_id, message_id)
+            );
+        `);
+
+        // Index for per-chat history and chat list ordering
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_chat_timestamp ON messages(chat_id, timestamp DESC);
+        `);
+
+        // Partial index for unread counts
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(chat_id)
+            WHERE from_me = false AND is_read = false;
+        `);
+
+        // Delivery receipts for outbound messages (see lib/receipts.js) - NULL for inbound
+        await pool.query(`
+            ALTER TABLE messages
+            ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+        `);
+
+        // Receipts look messages up by key id alone
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_outbound_id ON messages(message_id)
+            WHERE from_me = true;
+        `);
+
+        console.log('✅ Messages table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Messages table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateApiKeys(pool) {
+    try {
+        console.log('🔄 Running database migration for API keys tables...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                key_prefix VARCHAR(20) NOT NULL,
+                roles TEXT[] NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT NOW(),
+                last_used_at TIMESTAMP,
+                revoked_at TIMESTAMP
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_key_audit_log (
+                id SERIAL PRIMARY KEY,
+                api_key_id INTEGER REFERENCES api_keys(id),
+                key_name VARCHAR(100),
+                action VARCHAR(255) NOT NULL,
+                status_code INTEGER,
+                ip VARCHAR(64),
+                details JSONB,
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_api_key_audit_key ON api_key_audit_log(api_key_id, created_at DESC);
+        `);
+
+        console.log('✅ API keys tables migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ API keys tables migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateCampaigns(pool) {
+    try {
+        console.log('🔄 Running database migration for campaigns table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS campaigns (
+                name VARCHAR(100) PRIMARY KEY,
+                description TEXT,
+                active BOOLEAN DEFAULT true,
+                steps JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ Campaigns table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Campaigns table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateSuppressedNumbers(pool) {
+    try {
+        console.log('🔄 Running database migration for suppressed numbers table...');
+
+        // Opt-out list - numbers here are never messaged (see lib/suppression.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS suppressed_numbers (
+                phone_number VARCHAR(32) PRIMARY KEY,
+                chat_id VARCHAR(255),
+                reason TEXT,
+                source VARCHAR(20) NOT NULL DEFAULT 'keyword',
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ Suppressed numbers table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Suppressed numbers table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateChatHandoffs(pool) {
+    try {
+        console.log('🔄 Running database migration for chat handoffs table...');
+
+        // Human agent takeover per chat (see lib/handoff.js) - one row per phone, reused across handoffs
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS chat_handoffs (
+                phone_number VARCHAR(32) PRIMARY KEY,
+                chat_id VARCHAR(255),
+                taken_by VARCHAR(100),
+                source VARCHAR(20) NOT NULL DEFAULT 'api',
+                started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                last_activity_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMP NOT NULL,
+                released_at TIMESTAMP
+            );
+        `);
+
+        console.log('✅ Chat handoffs table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Chat handoffs table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateBaileysAuthState(pool) {
+    try {
+        console.log('🔄 Running database migration for Baileys auth state table...');
+
+        // WhatsApp creds + Signal keys for AUTH_STATE_BACKEND=postgres (see lib/authState.js)
+        // category is the Baileys key type ('creds' for the credentials row, key_id '')
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS baileys_auth (
+                session_id VARCHAR(100) NOT NULL,
+                category VARCHAR(50) NOT NULL,
+                key_id VARCHAR(255) NOT NULL,
+                data JSONB NOT NULL,
+                updated_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (session_id, category, key_id)
+            );
+        `);
+
+        console.log('✅ Baileys auth state table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Baileys auth state table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateAccounts(pool) {
+    try {
+        console.log('🔄 Running database migration for WhatsApp accounts table...');
+
+        // One row per linked WhatsApp number (see lib/accounts.js)
+        // bot_enabled NULL = not configured, falls back to SALES_PHONE_NUMBERS
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS whatsapp_accounts (
+                account_id VARCHAR(50) PRIMARY KEY,
+                name VARCHAR(100),
+                bot_enabled BOOLEAN,
+                phone_number VARCHAR(32),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ WhatsApp accounts table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ WhatsApp accounts table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateAdReferrals(pool) {
+    try {
+        console.log('🔄 Running database migration for ad referrals table...');
+
+        // Latest Click-to-WhatsApp ad referral per number (see lib/adReferral.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ad_referrals (
+                phone_number VARCHAR(32) PRIMARY KEY,
+                chat_id VARCHAR(255),
+                referral JSONB NOT NULL,
+                received_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ Ad referrals table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Ad referrals table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateClosureDays(pool) {
+    try {
+        console.log('🔄 Running database migration for closure days table...');
+
+        // Ad-hoc days with no outbound messages, on top of the computed holidays (see lib/holidays.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS closure_days (
+                closure_date DATE PRIMARY KEY,
+                reason TEXT,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ Closure days table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Closure days table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateBusinessHoursPolicy(pool) {
+    try {
+        console.log('🔄 Running database migration for business hours policy table...');
+
+        // Single-row policy set through the admin API (see lib/businessHours.js), overrides BUSINESS_HOURS_POLICY
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS business_hours_policy (
+                id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+                policy JSONB NOT NULL,
+                updated_by VARCHAR(100),
+                updated_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ Business hours policy table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Business hours policy table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateMessageCopy(pool) {
+    try {
+        console.log('🔄 Running database migration for message copy table...');
+
+        // Edited bot message copy, one row per version (see lib/messageCopy.js); the latest version is live,
+        // NULL content means "back to the code default"
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_copy_versions (
+                id SERIAL PRIMARY KEY,
+                message_type VARCHAR(100) NOT NULL,
+                version INTEGER NOT NULL,
+                content TEXT,
+                note TEXT,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (message_type, version)
+            );
+        `);
+
+        console.log('✅ Message copy table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Message copy table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateMessageVariants(pool) {
+    try {
+        console.log('🔄 Running database migration for message variants table...');
+
+        // A/B variants per message type (see lib/messageCopy.js); NULL content = the type's live copy (control)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS message_variants (
+                message_type VARCHAR(100) NOT NULL,
+                variant_key VARCHAR(50) NOT NULL,
+                content TEXT,
+                weight INTEGER NOT NULL DEFAULT 1 CHECK (weight >= 0),
+                active BOOLEAN DEFAULT true,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW(),
+                retired_at TIMESTAMP,
+                PRIMARY KEY (message_type, variant_key)
+            );
+        `);
+
+        console.log('✅ Message variants table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Message variants table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateChatQuestionnaires(pool) {
+    try {
+        console.log('🔄 Running database migration for chat questionnaires table...');
+
+        // In-WhatsApp questionnaire state, one row per session (see lib/chatQuestionnaire.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS chat_questionnaires (
+                session_id VARCHAR(255) PRIMARY KEY,
+                chat_id VARCHAR(255) NOT NULL,
+                current_step INTEGER NOT NULL,
+                answers JSONB DEFAULT '{}',
+                history JSONB DEFAULT '[]',
+                status VARCHAR(20) DEFAULT 'active',
+                started_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP
+            );
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_chat_questionnaires_chat ON chat_questionnaires(chat_id, status);
+        `);
+
+        console.log('✅ Chat questionnaires table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Chat questionnaires table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateFormProgress(pool) {
+    try {
+        console.log('🔄 Running database migration for form progress table...');
+
+        // One row per session, updated on every answer (see lib/formProgress.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS form_progress (
+                session_id VARCHAR(255) PRIMARY KEY,
+                answers JSONB DEFAULT '{}',
+                history JSONB DEFAULT '[]',
+                started_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        console.log('✅ Form progress table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Form progress table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateProcessedEvents(pool) {
+    try {
+        console.log('🔄 Running database migration for processed events table...');
+
+        // Idempotency keys of form submissions / completion webhooks and their first response (see lib/idempotency.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS processed_events (
+                scope VARCHAR(50) NOT NULL,
+                idempotency_key VARCHAR(255) NOT NULL,
+                session_id VARCHAR(255),
+                status VARCHAR(20) DEFAULT 'processing',
+                response_status INTEGER,
+                response_body JSONB,
+                created_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP,
+                PRIMARY KEY (scope, idempotency_key)
+            );
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_processed_events_session ON processed_events(session_id);
+        `);
+
+        console.log('✅ Processed events table migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Processed events table migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateCompletionSteps(pool) {
+    try {
+        console.log('🔄 Running database migration for completion step columns...');
+
+        const existing = await pool.query(
+            `SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'sessions' AND column_name = 'summary_sent_at'`
+        );
+
+        // Completion side effects (form summary, Monday.com sync), recorded apart from the status
+        // change so a completion that failed half-way can be retried (see sessionManager.markCompleted)
+        await pool.query(`
+            ALTER TABLE sessions
+            ADD COLUMN IF NOT EXISTS summary_sent_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS monday_synced_at TIMESTAMP;
+        `);
+
+        // Sessions completed before the columns existed went through every step - only on first run
+        if (existing.rows.length === 0) {
+            await pool.query(`
+                UPDATE sessions
+                SET summary_sent_at = form_completed_at, monday_synced_at = form_completed_at
+                WHERE form_completed_at IS NOT NULL
+            `);
+        }
+
+        console.log('✅ Completion step columns migration completed successfully');
+        return true;
+    } catch (error) {
+        console.error('❌ Completion step columns migration failed:', error);
+        return false;
+    }
+}
+
+async function migrateTemplatePlaceholders(pool, knownTemplates = []) {
+    try {
+        console.log('🔄 Running database migration for template placeholders...');
+
+        // Agent templates stored before {{variables}} still contain literal XXXX (see lib/templateVariables.js)
+        const result = await pool.query(
+            `SELECT id, name, content FROM templates WHERE variables IS NULL AND content LIKE '%XXXX%'`
+        );
+
+        for (const template of result.rows) {
+            const converted = convertLegacyTemplate(template, knownTemplates);
+            if (!converted) continue;
+
+            await pool.query(
+                'UPDATE templates SET content = $2, variables = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [template.id, converted.content, JSON.stringify(converted.variables)]
+            );
+            console.log(`📝 Template "${template.name}" now uses ${converted.variables.map(variable => `{{${variable.name}}}`).join(', ')}`);
+        }
+
+        console.log(`✅ Template placeholders migration completed successfully (${result.rows.length} converted)`);
+        return true;
+    } catch (error) {
+        console.error('❌ Template placeholders migration failed:', error);
+        return false;
+    }
+}
+
 module.exports = {
     migrateReminderColumns,
-    migrateLidMappings
+    migrateMeetingColumns,
+    migrateLidMappings,
+    migrateMessageStore,
+    migrateApiKeys,
+    migrateCampaigns,
+    migrateSuppressedNumbers,
+    migrateChatHandoffs,
+    migrateBaileysAuthState,
+    migrateAccounts,
+    migrateAdReferrals,
+    migrateClosureDays,
+    migrateBusinessHoursPolicy,
+    migrateMessageCopy,
+    migrateMessageVariants,
+    migrateChatQuestionnaires,
+    migrateFormProgress,
+    migrateProcessedEvents,
+    migrateCompletionSteps,
+    migrateTemplatePlaceholders
 };
@@ -0,0 +1,143 @@
+/**
+ * Form Progress
+ * Answers a lead has given in the web chatbot so far, one row per session (form_progress).
+ * The chatbot posts every answer (POST /api/forms/progress/:sessionId) and restores the
+ * conversation from GET when /chatbot?session=... is reopened.
+ *
+ * The 19:00 form reminder (Message #3) is rendered again when it's sent, with how far the lead
+ * got and the next unanswered question (see messageScheduler.js).
+ */
+
+const questionnaire = require('./questionnaire');
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Saved progress of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} { answers, history, updatedAt, answeredCount, totalCount, nextStep }, or null when nothing was answered
+ */
+async function getProgress(sessionId) {
+    if (!dbPool || !sessionId) return null;
+
+    const result = await dbPool.query(
+        'SELECT answers, history, updated_at FROM form_progress WHERE session_id = $1',
+        [sessionId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const { answers, history, updated_at } = result.rows[0];
+    return {
+        answers,
+        history,
+        updatedAt: updated_at,
+        ...questionnaire.summarizeProgress(answers)
+    };
+}
+
+/**
+ * Store an answer to one question
+ * Answering a question again drops the later steps from the history (the chatbot continues from there)
+ * and the answers to branches that no longer apply
+ * @param {string} sessionId - Session ID
+ * @param {number} stepId - Question answered
+ * @param {*} value - Answer
+ * @returns {Promise<Object>} Progress (as getProgress)
+ */
+async function saveAnswer(sessionId, stepId, value) {
+    if (!dbPool) {
+        const error = new Error('Saving form progress requires a database');
+        error.code = 'DATABASE_UNAVAILABLE';
+        throw error;
+    }
+
+    const step = questionnaire.getStep(Number(stepId));
+    if (!step) {
+        const error = new Error(`Unknown question: ${stepId}`);
+        error.code = 'INVALID_ANSWER';
+        throw error;
+    }
+
+    const checked = questionnaire.checkAnswer(step, value);
+    if (checked.error) {
+        const error = new Error(checked.error);
+        error.code = 'INVALID_ANSWER';
+        throw error;
+    }
+
+    const client = await dbPool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT answers, history FROM form_progress WHERE session_id = $1 FOR UPDATE',
+            [sessionId]
+        );
+        const saved = existing.rows[0] || { answers: {}, history: [] };
+
+        const answers = questionnaire.pruneAnswers({ ...saved.answers, [step.field]: checked.value });
+        const history = [...saved.history.filter(id => id < step.id), step.id];
+
+        await client.query(
+            `INSERT INTO form_progress (session_id, answers, history)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (session_id) DO UPDATE SET
+                 answers = EXCLUDED.answers,
+                 history = EXCLUDED.history,
+                 updated_at = NOW()`,
+            [sessionId, JSON.stringify(answers), JSON.stringify(history)]
+        );
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return await getProgress(sessionId);
+}
+
+/**
+ * Forget a session's progress (the lead restarted the chatbot, or completed the form)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if there was progress to clear
+ */
+async function clearProgress(sessionId) {
+    if (!dbPool || !sessionId) return false;
+
+    const result = await dbPool.query('DELETE FROM form_progress WHERE session_id = $1', [sessionId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Variables for the form reminder when the lead already started the questionnaire
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} { answeredCount, totalCount, nextQuestion }, or null without progress
+ */
+async function getReminderVariables(sessionId) {
+    const progress = await getProgress(sessionId);
+    if (!progress || progress.answeredCount === 0 || !progress.nextStep) return null;
+
+    return {
+        answeredCount: progress.answeredCount,
+        totalCount: progress.totalCount,
+        nextQuestion: progress.nextStep.message
+            .split('\n')[0]
+            .replace(/\*\*(.*?)\*\*/g, '*$1*')
+            .replace(/\[(.*?)\]\((.*?)\)/g, '$1')
+    };
+}
+
+module.exports = {
+    setDbPool,
+    getProgress,
+    saveAnswer,
+    clearProgress,
+    getReminderVariables
+};
@@ -0,0 +1,174 @@
+/**
+ * Form Submission
+ * What happens when a lead completes the questionnaire - shared by the web chatbot
+ * (api/submit-form.js) and the in-WhatsApp questionnaire (chatQuestionnaire.js):
+ *
+ * 1. Marks the session completed with the answers
+ * 2. Cancels pending form reminders (Messages #3, #4, #5)
+ * 3. Sends Message #6 (form summary) immediately
+ * 4. Sends Message #7 (appointment link) immediately
+ * 5. Starts the appointment follow-up campaign (Messages #8-11, see campaigns.json)
+ * 6. Updates the session's Monday.com lead (or creates one)
+ * Steps 3-5 are skipped for numbers that opted out (see suppression.js)
+ *
+ * Steps 3-5 and 6 are each recorded on the session when done (summary_sent_at, monday_synced_at).
+ * If one fails, the submission fails and a retry of the completed session does what's left.
+ */
+
+const sessionManager = require('./sessionManager');
+const { getMessage, MESSAGE_TYPES } = require('./messageTemplates');
+const {
+    sendWhatsAppMessage,
+    startCampaign,
+    cancelSessionMessages
+} = require('./messageScheduler');
+const { getNowInIsrael } = require('./timezoneHelper');
+const { createLead, updateLead } = require('./mondayClient');
+const { isSuppressed } = require('./suppression');
+const { buildSummaryVariables } = require('./questionnaire');
+
+/**
+ * Generate unique lead ID for CRM tracking
+ * Format: LEAD-YYYYMMDDHHMMSS-XXX
+ * Example: LEAD-20251027111419-A3F
+ */
+function generateLeadId() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    const hours = String(now.getHours()).padStart(2, '0');
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    const seconds = String(now.getSeconds()).padStart(2, '0');
+
+    // Generate random 3-character suffix for extra uniqueness
+    const suffix = Math.random().toString(36).substring(2, 5).toUpperCase();
+
+    return `LEAD-${year}${month}${day}${hours}${minutes}${seconds}-${suffix}`;
+}
+
+/**
+ * Complete a session's questionnaire
+ * @param {Object} session - Active session row (sessionManager.getSession), or a completed one with unfinished steps
+ * @param {Object} formData - Answers by field (age, goal, status, ..., name)
+ * @returns {Promise<Object>} { leadId, mondayItemId }
+ * @throws {Error} code SESSION_ALREADY_COMPLETED when another submission completed the session first
+ *   (nothing is sent or updated then)
+ */
+async function completeFormSubmission(session, formData) {
+    const sessionId = session.session_id;
+
+    // Generate unique lead ID for CRM tracking
+    const leadId = generateLeadId();
+
+    // Session is valid - mark as completed (also clears pendingUsers internally)
+    // The status change is row-locked: only one completion of a session gets past this point
+    // (or a retry of a completion that failed half-way - it only does the steps left)
+    const completedSession = await sessionManager.markCompleted(sessionId, formData);
+
+    // Cancel any pending form reminder messages (Messages #3, #4)
+    // These are no longer needed since the form has been completed
+    await cancelSessionMessages(sessionId, 'form_reminder%');
+    await cancelSessionMessages(sessionId, 'video_testimonial');
+
+    if (await sessionManager.claimCompletionStep(sessionId, 'summary_sent_at')) {
+        try {
+            await sendCompletionMessages(session, formData);
+        } catch (error) {
+            await sessionManager.releaseCompletionStep(sessionId, 'summary_sent_at');
+            throw error;
+        }
+    }
+
+    // Update or Create lead in Monday.com with form data
+    // Check if session has an existing Monday.com item ID (created during trigger)
+    let mondayItemId = completedSession.form_data?.monday_item_id || session.form_data?.monday_item_id;
+
+    if (await sessionManager.claimCompletionStep(sessionId, 'monday_synced_at')) {
+        try {
+            mondayItemId = await syncMondayLead(session, formData, mondayItemId);
+        } catch (error) {
+            await sessionManager.releaseCompletionStep(sessionId, 'monday_synced_at');
+            throw error;
+        }
+    }
+
+    console.log(`✅ Form submitted successfully for session: ${sessionId}, Lead ID: ${leadId}`);
+
+    return { leadId, mondayItemId };
+}
+
+/**
+ * Send the form summary and appointment link and start the follow-up campaign (steps 3-5)
+ * @param {Object} session - Session row
+ * @param {Object} formData - Answers by field
+ */
+async function sendCompletionMessages(session, formData) {
+    const sessionId = session.session_id;
+
+    // Lead opted out - record the form, but send nothing over WhatsApp
+    const optedOut = await isSuppressed(session.phone_number) || await isSuppressed(session.chat_id);
+
+    if (optedOut) {
+        console.log(`🚫 Session ${sessionId} belongs to an opted-out number - skipping summary, link and reminders`);
+        return;
+    }
+
+    // Send Message #6 (Form Summary) immediately to WhatsApp
+    const formSummaryMessage = getMessage(MESSAGE_TYPES.FORM_SUMMARY, buildSummaryVariables(formData));
+
+    // Send with chat_id if available, otherwise phone conversion will happen automatically
+    // (from the WhatsApp account the lead started the conversation with)
+    const sendOptions = { accountId: session.account_id };
+    await sendWhatsAppMessage(session.phone_number, formSummaryMessage, null, session.chat_id, sendOptions);
+
+    // Send Message #7 (Appointment Link) immediately
+    const appointmentLinkMessage = getMessage(MESSAGE_TYPES.APPOINTMENT_LINK);
+    await sendWhatsAppMessage(session.phone_number, appointmentLinkMessage, null, session.chat_id, sendOptions);
+
+    // Start appointment follow-up campaign (Messages #8-11)
+    await startCampaign('appointment_followup', {
+        sessionId,
+        phoneNumber: session.phone_number,
+        chatId: session.chat_id,
+        startTime: getNowInIsrael()
+    });
+}
+
+/**
+ * Update the session's Monday.com lead with the answers, or create one (step 6)
+ * @param {Object} session - Session row
+ * @param {Object} formData - Answers by field
+ * @param {string|null} existingMondayItemId - Item created when the session started
+ * @returns {Promise<string|null>} Monday.com item ID
+ */
+async function syncMondayLead(session, formData, existingMondayItemId) {
+    if (existingMondayItemId) {
+        // Update existing lead with form data
+        console.log(`📝 Updating existing Monday.com lead: ${existingMondayItemId}`);
+        const mondayResponse = await updateLead(existingMondayItemId, {
+            name: formData.name,
+            phone_number: session.phone_number,
+            ...formData
+        });
+        return mondayResponse.itemId || existingMondayItemId;
+    }
+
+    // No existing lead - create new one
+    console.log(`📝 Creating new Monday.com lead (no existing item ID)`);
+    const mondayResponse = await createLead({
+        name: formData.name,
+        phone_number: session.phone_number,
+        ...formData
+    });
+
+    if (mondayResponse.itemId) {
+        await sessionManager.setMondayItemId(session.session_id, mondayResponse.itemId);
+    }
+    return mondayResponse.itemId;
+}
+
+module.exports = {
+    generateLeadId,
+    completeFormSubmission
+};
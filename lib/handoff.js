@@ -0,0 +1,121 @@
+/**
+ * Human Agent Handoff
+ * Per-chat "human takeover" state that pauses all automation for that lead:
+ * - Scheduled messages are held (re-queued) until the handoff ends
+ * - Bot trigger keywords are ignored
+ * - AVI chatbot forwarding is skipped
+ *
+ * A handoff starts via the API or automatically when a salesperson sends a message
+ * from the phone itself (fromMe message arriving as a 'notify' upsert). Every manual
+ * message extends it; it ends after HANDOFF_IDLE_MINUTES without activity or when
+ * released explicitly.
+ */
+
+const { normalizePhoneNumber } = require('./suppression');
+
+// Idle period after the last manual message before automation resumes
+const HANDOFF_IDLE_MINUTES = parseInt(process.env.HANDOFF_IDLE_MINUTES) || 120;
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Start a handoff, or extend the active one (resets the idle timer)
+ * @param {string} chatId - WhatsApp chat ID or phone number
+ * @param {Object} options - { takenBy, source ('api' | 'phone'), idleMinutes }
+ * @returns {Promise<Object|null>} Handoff record
+ */
+async function startHandoff(chatId, { takenBy = null, source = 'api', idleMinutes = HANDOFF_IDLE_MINUTES } = {}) {
+    const phoneNumber = normalizePhoneNumber(chatId);
+    if (!dbPool || !phoneNumber) return null;
+
+    const result = await dbPool.query(
+        `INSERT INTO chat_handoffs (phone_number, chat_id, taken_by, source, started_at, last_activity_at, expires_at)
+         VALUES ($1, $2, $3, $4, NOW(), NOW(), NOW() + make_interval(mins => $5))
+         ON CONFLICT (phone_number) DO UPDATE SET
+             chat_id = COALESCE(EXCLUDED.chat_id, chat_handoffs.chat_id),
+             taken_by = COALESCE(EXCLUDED.taken_by, chat_handoffs.taken_by),
+             source = CASE WHEN chat_handoffs.released_at IS NULL AND chat_handoffs.expires_at > NOW()
+                           THEN chat_handoffs.source ELSE EXCLUDED.source END,
+             started_at = CASE WHEN chat_handoffs.released_at IS NULL AND chat_handoffs.expires_at > NOW()
+                               THEN chat_handoffs.started_at ELSE NOW() END,
+             last_activity_at = NOW(),
+             expires_at = EXCLUDED.expires_at,
+             released_at = NULL
+         RETURNING *`,
+        [phoneNumber, chatId.includes('@') ? chatId : null, takenBy, source, idleMinutes]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Release a handoff - automation resumes immediately
+ * @param {string} chatId - WhatsApp chat ID or phone number
+ * @returns {Promise<boolean>} True if an active handoff was released
+ */
+async function releaseHandoff(chatId) {
+    const phoneNumber = normalizePhoneNumber(chatId);
+    if (!dbPool || !phoneNumber) return false;
+
+    const result = await dbPool.query(
+        `UPDATE chat_handoffs
+         SET released_at = NOW()
+         WHERE phone_number = $1 AND released_at IS NULL AND expires_at > NOW()`,
+        [phoneNumber]
+    );
+
+    if (result.rowCount > 0) {
+        console.log(`🤖 [HANDOFF] Released ${phoneNumber} - automation resumed`);
+    }
+    return result.rowCount > 0;
+}
+
+/**
+ * Get the active handoff for a chat
+ * @param {string} phoneOrChatId - Phone number or WhatsApp chat ID
+ * @returns {Promise<Object|null>} Active handoff record or null
+ */
+async function getActiveHandoff(phoneOrChatId) {
+    const phoneNumber = normalizePhoneNumber(phoneOrChatId);
+    if (!dbPool || !phoneNumber) return null;
+
+    try {
+        const result = await dbPool.query(
+            `SELECT * FROM chat_handoffs
+             WHERE phone_number = $1 AND released_at IS NULL AND expires_at > NOW()`,
+            [phoneNumber]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('❌ [HANDOFF] Error checking handoff state:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List active handoffs
+ * @returns {Promise<Array>} Active handoff records, most recent activity first
+ */
+async function listActiveHandoffs() {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(
+        `SELECT * FROM chat_handoffs
+         WHERE released_at IS NULL AND expires_at > NOW()
+         ORDER BY last_activity_at DESC`
+    );
+    return result.rows;
+}
+
+module.exports = {
+    HANDOFF_IDLE_MINUTES,
+    setDbPool,
+    startHandoff,
+    releaseHandoff,
+    getActiveHandoff,
+    listActiveHandoffs
+};
@@ -0,0 +1,331 @@
+/**
+ * Jewish Holidays & Closure Days
+ * Computes the yom tov calendar from the Hebrew calendar (molad + postponement rules),
+ * so there is no hand-maintained date list to go stale, plus ad-hoc closure days
+ * that admins add through the API (closure_days table).
+ *
+ * Day types:
+ * - yom_tov   - no messages all day (Rosh Hashanah, Yom Kippur, Sukkot, Shmini Atzeret, Pesach, Shavuot)
+ * - erev_chag - business day that ends early (EREV_CHAG_CUTOFF_HOUR), the chag starts at sunset
+ * - closure   - admin-defined closure day, no messages all day
+ *
+ * HOLIDAY_CALENDAR=diaspora adds the second days (Sukkot II, Simchat Torah, Pesach II/VIII, Shavuot II).
+ * Chol hamoed days are regular business days.
+ *
+ * Consulted by the business hours policy (businessHours.js) for every sending window.
+ * Closure days are cached in memory - lookups are synchronous, the cache is reloaded on startup
+ * and whenever a closure day is added or removed.
+ */
+
+// 'israel' (default) or 'diaspora'
+const HOLIDAY_CALENDAR = process.env.HOLIDAY_CALENDAR === 'diaspora' ? 'diaspora' : 'israel';
+
+// Erev chag: no messages from this hour (Israel time) onwards
+const EREV_CHAG_CUTOFF_HOUR = parseInt(process.env.EREV_CHAG_CUTOFF_HOUR) || 14;
+
+// Hebrew year = Gregorian year + 3761 from Rosh Hashanah onwards
+const HEBREW_YEAR_OFFSET = 3761;
+
+// Fixed day number (days since 0001-01-01 proleptic Gregorian, day 1) of the Hebrew epoch
+const HEBREW_EPOCH = -1373427;
+
+// Fixed day number of 1970-01-01 (Unix epoch)
+const UNIX_EPOCH_FIXED = 719163;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Yom tov days as offsets from Rosh Hashanah (Tishrei) or the first day of Pesach (Nisan 15)
+// diasporaOnly days are skipped in the Israel calendar
+const ROSH_HASHANAH_HOLIDAYS = [
+    { offset: 0, name: 'Rosh Hashanah I' },
+    { offset: 1, name: 'Rosh Hashanah II' },
+    { offset: 9, name: 'Yom Kippur' },
+    { offset: 14, name: 'Sukkot I' },
+    { offset: 15, name: 'Sukkot II', diasporaOnly: true },
+    { offset: 21, name: 'Shmini Atzeret' },
+    { offset: 22, name: 'Simchat Torah', diasporaOnly: true }
+];
+
+const PESACH_HOLIDAYS = [
+    { offset: 0, name: 'Pesach I' },
+    { offset: 1, name: 'Pesach II', diasporaOnly: true },
+    { offset: 6, name: 'Pesach VII' },
+    { offset: 7, name: 'Pesach VIII', diasporaOnly: true },
+    { offset: 50, name: 'Shavuot' },
+    { offset: 51, name: 'Shavuot II', diasporaOnly: true }
+];
+
+// 15 Nisan -> 1 Tishrei is always 163 days (Nisan-Elul have fixed lengths)
+const PESACH_TO_ROSH_HASHANAH_DAYS = 163;
+
+// Computed holidays per Gregorian year and calendar ('2026:israel' -> Map(dateKey -> holiday))
+const holidayCache = new Map();
+
+// Admin closure days (dateKey -> { date, reason, createdBy, createdAt })
+let closureDays = new Map();
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Days from the Hebrew epoch to the molad of Tishrei (with the "molad zaken"/weekday postponement folded in)
+ * @param {number} hebrewYear - Hebrew year (e.g. 5787)
+ * @returns {number} Elapsed days
+ */
+function hebrewCalendarElapsedDays(hebrewYear) {
+    const monthsElapsed = Math.floor((235 * hebrewYear - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+
+    // Rosh Hashanah never falls on Sunday, Wednesday or Friday
+    return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+/**
+ * Extra postponement that keeps year lengths valid (GaTaRaD / BeTU'TaKPaT rules)
+ * @param {number} hebrewYear - Hebrew year
+ * @returns {number} 0, 1 or 2 days
+ */
+function hebrewNewYearDelay(hebrewYear) {
+    const previous = hebrewCalendarElapsedDays(hebrewYear - 1);
+    const current = hebrewCalendarElapsedDays(hebrewYear);
+    const next = hebrewCalendarElapsedDays(hebrewYear + 1);
+
+    if (next - current === 356) return 2;
+    if (current - previous === 382) return 1;
+    return 0;
+}
+
+/**
+ * Fixed day number of 1 Tishrei (Rosh Hashanah day 1)
+ * @param {number} hebrewYear - Hebrew year
+ * @returns {number} Fixed day number
+ */
+function roshHashanahFixed(hebrewYear) {
+    return HEBREW_EPOCH + hebrewCalendarElapsedDays(hebrewYear) + hebrewNewYearDelay(hebrewYear);
+}
+
+/**
+ * Fixed day number -> 'YYYY-MM-DD'
+ * @param {number} fixed - Fixed day number
+ * @returns {string} Date key
+ */
+function fixedToDateKey(fixed) {
+    return new Date((fixed - UNIX_EPOCH_FIXED) * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Yom tov and erev chag days of a Gregorian year
+ * @param {number} year - Gregorian year
+ * @param {Object} options - { calendar: 'israel' | 'diaspora' }
+ * @returns {Array} [{ date, name, type: 'yom_tov' | 'erev_chag' }] sorted by date
+ */
+function getHolidays(year, { calendar = HOLIDAY_CALENDAR } = {}) {
+    return [...getHolidayMap(year, calendar).values()]
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Build (and cache) the holiday map of a Gregorian year
+ * Pesach/Shavuot belong to the Hebrew year that started the previous autumn, but
+ * Pesach is always 163 days before the Rosh Hashanah of the same Gregorian year.
+ * @param {number} year - Gregorian year
+ * @param {string} calendar - 'israel' | 'diaspora'
+ * @returns {Map} dateKey -> holiday
+ */
+function getHolidayMap(year, calendar) {
+    const cacheKey = `${year}:${calendar}`;
+    if (holidayCache.has(cacheKey)) {
+        return holidayCache.get(cacheKey);
+    }
+
+    const diaspora = calendar === 'diaspora';
+    const roshHashanah = roshHashanahFixed(year + HEBREW_YEAR_OFFSET);
+    const pesach = roshHashanah - PESACH_TO_ROSH_HASHANAH_DAYS;
+
+    const yomTovDays = [
+        ...PESACH_HOLIDAYS.map(holiday => ({ ...holiday, fixed: pesach + holiday.offset })),
+        ...ROSH_HASHANAH_HOLIDAYS.map(holiday => ({ ...holiday, fixed: roshHashanah + holiday.offset }))
+    ].filter(holiday => diaspora || !holiday.diasporaOnly);
+
+    const holidays = new Map();
+    const yomTovFixed = new Set(yomTovDays.map(holiday => holiday.fixed));
+
+    for (const holiday of yomTovDays) {
+        const date = fixedToDateKey(holiday.fixed);
+        holidays.set(date, { date, name: holiday.name, type: 'yom_tov' });
+
+        // The day before the first day of each chag ends early
+        if (!yomTovFixed.has(holiday.fixed - 1)) {
+            const erevDate = fixedToDateKey(holiday.fixed - 1);
+            holidays.set(erevDate, { date: erevDate, name: `Erev ${holiday.name.replace(/ I$/, '')}`, type: 'erev_chag' });
+        }
+    }
+
+    // In Israel Shmini Atzeret and Simchat Torah are the same day
+    if (!diaspora) {
+        const shminiAtzeret = fixedToDateKey(roshHashanah + 21);
+        holidays.get(shminiAtzeret).name = 'Shmini Atzeret / Simchat Torah';
+    }
+
+    holidayCache.set(cacheKey, holidays);
+    return holidays;
+}
+
+/**
+ * Calendar info for a single date
+ * @param {string} dateKey - 'YYYY-MM-DD' (Israel date)
+ * @returns {Object} { date, holiday, erevChag, closure } - names/reason or null
+ */
+function getDayInfo(dateKey) {
+    const holiday = getHolidayMap(parseInt(dateKey.substring(0, 4)), HOLIDAY_CALENDAR).get(dateKey);
+    const closure = closureDays.get(dateKey);
+
+    return {
+        date: dateKey,
+        holiday: holiday?.type === 'yom_tov' ? holiday.name : null,
+        erevChag: holiday?.type === 'erev_chag' ? holiday.name : null,
+        closure: closure ? (closure.reason || 'Closed') : null
+    };
+}
+
+/**
+ * Check if a date is a yom tov
+ * @param {string} dateKey - 'YYYY-MM-DD' (Israel date)
+ * @returns {boolean} True on yom tov
+ */
+function isHoliday(dateKey) {
+    return getDayInfo(dateKey).holiday !== null;
+}
+
+/**
+ * Check if no messages may be sent at all on a date (yom tov or admin closure day)
+ * @param {string} dateKey - 'YYYY-MM-DD' (Israel date)
+ * @returns {boolean} True if closed
+ */
+function isClosedDay(dateKey) {
+    const info = getDayInfo(dateKey);
+    return info.holiday !== null || info.closure !== null;
+}
+
+/**
+ * Early cutoff hour for a date (erev chag), if any
+ * @param {string} dateKey - 'YYYY-MM-DD' (Israel date)
+ * @returns {number|null} Hour after which nothing is sent, or null for a regular day
+ */
+function getEarlyCutoffHour(dateKey) {
+    return getDayInfo(dateKey).erevChag ? EREV_CHAG_CUTOFF_HOUR : null;
+}
+
+/**
+ * Reload the closure day cache from the database
+ * @returns {Promise<number>} Number of closure days loaded
+ */
+async function loadClosureDays() {
+    if (!dbPool) return 0;
+
+    try {
+        const result = await dbPool.query(
+            `SELECT to_char(closure_date, 'YYYY-MM-DD') AS date, reason, created_by, created_at
+             FROM closure_days
+             ORDER BY closure_date`
+        );
+
+        closureDays = new Map(result.rows.map(row => [row.date, {
+            date: row.date,
+            reason: row.reason,
+            createdBy: row.created_by,
+            createdAt: row.created_at
+        }]));
+
+        console.log(`📅 [HOLIDAYS] Loaded ${closureDays.size} closure day(s)`);
+        return closureDays.size;
+    } catch (error) {
+        console.error('❌ [HOLIDAYS] Error loading closure days:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Check a 'YYYY-MM-DD' string is a real calendar date
+ * @param {string} dateKey - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDateKey(dateKey) {
+    if (typeof dateKey !== 'string' || !DATE_KEY_PATTERN.test(dateKey)) return false;
+    const parsed = new Date(`${dateKey}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(dateKey);
+}
+
+/**
+ * Add (or update the reason of) an admin closure day
+ * @param {Object} params - { date: 'YYYY-MM-DD', reason, createdBy }
+ * @returns {Promise<Object>} Closure day
+ */
+async function addClosureDay({ date, reason = null, createdBy = null }) {
+    if (!dbPool) {
+        const error = new Error('Closure days require a database');
+        error.code = 'DATABASE_UNAVAILABLE';
+        throw error;
+    }
+
+    await dbPool.query(
+        `INSERT INTO closure_days (closure_date, reason, created_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (closure_date) DO UPDATE SET reason = EXCLUDED.reason, created_by = EXCLUDED.created_by`,
+        [date, reason, createdBy]
+    );
+    await loadClosureDays();
+
+    console.log(`📅 [HOLIDAYS] Closure day ${date} added${reason ? ` (${reason})` : ''}`);
+    return closureDays.get(date);
+}
+
+/**
+ * Remove an admin closure day
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<boolean>} True if removed
+ */
+async function removeClosureDay(date) {
+    if (!dbPool) return false;
+
+    const result = await dbPool.query('DELETE FROM closure_days WHERE closure_date = $1', [date]);
+    await loadClosureDays();
+
+    if (result.rowCount > 0) {
+        console.log(`📅 [HOLIDAYS] Closure day ${date} removed`);
+    }
+    return result.rowCount > 0;
+}
+
+/**
+ * List admin closure days (from the cache)
+ * @param {Object} options - { from: 'YYYY-MM-DD' } only days on/after this date
+ * @returns {Array} Closure days sorted by date
+ */
+function listClosureDays({ from = null } = {}) {
+    return [...closureDays.values()]
+        .filter(day => !from || day.date >= from)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+    HOLIDAY_CALENDAR,
+    EREV_CHAG_CUTOFF_HOUR,
+    setDbPool,
+    getHolidays,
+    getDayInfo,
+    isHoliday,
+    isClosedDay,
+    getEarlyCutoffHour,
+    isValidDateKey,
+    loadClosureDays,
+    addClosureDay,
+    removeClosureDay,
+    listClosureDays
+};
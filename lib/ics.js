@@ -0,0 +1,101 @@
+/**
+ * iCalendar (.ics) Builder
+ * Minimal RFC 5545 VEVENT generator for "add to calendar" links sent over WhatsApp
+ */
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20261020T100000Z)
+ * @param {Date|string} date - Date to format
+ * @returns {string} iCalendar timestamp
+ */
+function formatIcsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a text value (commas, semicolons, backslashes and newlines)
+ * @param {string} value - Text value
+ * @returns {string} Escaped value
+ */
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (Hebrew characters are multi-byte in UTF-8)
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+        // Continuation lines start with a space, which counts toward the limit
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = char;
+        } else {
+            current += char;
+        }
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Build an .ics calendar file with a single event
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable unique ID (re-downloads update the same calendar entry)
+ * @param {string} event.title - Event title
+ * @param {Date|string} event.start - Start time
+ * @param {Date|string} event.end - End time
+ * @param {string} event.description - Optional description
+ * @param {string} event.location - Optional location / meeting link
+ * @returns {string} iCalendar file content
+ */
+function buildIcsEvent({ uid, title, start, end, description = '', location = '' }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Baz Financim//WhatsApp Bot//HE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeText(title)}`
+    ];
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (location) {
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+
+    // Alert 30 minutes before
+    lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(title)}`,
+        'TRIGGER:-PT30M',
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    );
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildIcsEvent
+};
@@ -0,0 +1,185 @@
+/**
+ * Idempotent Request Processing
+ * Form submissions and completion webhooks can arrive more than once (double taps, network retries,
+ * redeliveries). Each delivery is identified by an idempotency key - the Idempotency-Key header, or
+ * one derived from the session ("session:<id>") - and recorded in processed_events. Header keys are
+ * scoped to the session ("session:<id>:<key>", or "anonymous:<ip>:<key>" without one), so callers
+ * can't replay each other's responses:
+ *
+ * - The first delivery with a key runs the route; a successful (2xx) response is stored
+ * - Repeats get the stored response back (Idempotent-Replayed: true) without running the route again
+ * - A repeat that arrives while the first delivery is still running waits for its result
+ * - Failed deliveries (non-2xx) are forgotten, so a retry runs the route again
+ *
+ * Requests without a key (e.g. anonymous submissions without the header) are processed normally.
+ */
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a repeat waits for the first delivery before giving up with 409
+const PROCESSING_WAIT_MS = 10 * 1000;
+const PROCESSING_POLL_MS = 250;
+
+// A delivery still 'processing' after this long crashed mid-way - the next repeat takes it over
+const STALE_PROCESSING_MINUTES = 5;
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Idempotency key of a request
+ * @param {Object} req - Express request
+ * @param {string|null} sessionId - Session the request belongs to (scopes the header key, or is the key without one)
+ * @returns {string|null} Key, or null when the request can't be identified
+ */
+function getIdempotencyKey(req, sessionId = null) {
+    const owner = sessionId ? `session:${sessionId}` : null;
+    const header = req.headers[IDEMPOTENCY_HEADER];
+
+    if (typeof header === 'string' && header.trim()) {
+        return `${owner || `anonymous:${req.ip}`}:${header.trim()}`.substring(0, MAX_KEY_LENGTH);
+    }
+    return owner ? owner.substring(0, MAX_KEY_LENGTH) : null;
+}
+
+/**
+ * Claim a key for processing
+ * @param {string} scope - Route the key belongs to
+ * @param {string} key - Idempotency key
+ * @param {string|null} sessionId - Session (stored for reference)
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, status, body } (stored response, or 409 while still processing)
+ */
+async function claim(scope, key, sessionId) {
+    const deadline = Date.now() + PROCESSING_WAIT_MS;
+
+    while (true) {
+        const inserted = await dbPool.query(
+            `INSERT INTO processed_events (scope, idempotency_key, session_id)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (scope, idempotency_key) DO NOTHING
+             RETURNING scope`,
+            [scope, key, sessionId]
+        );
+        if (inserted.rows.length > 0) return { claimed: true };
+
+        const takenOver = await dbPool.query(
+            `UPDATE processed_events SET created_at = NOW()
+             WHERE scope = $1 AND idempotency_key = $2 AND status = 'processing'
+               AND created_at < NOW() - make_interval(mins => $3)
+             RETURNING scope`,
+            [scope, key, STALE_PROCESSING_MINUTES]
+        );
+        if (takenOver.rows.length > 0) return { claimed: true };
+
+        const existing = await dbPool.query(
+            `SELECT status, response_status, response_body FROM processed_events
+             WHERE scope = $1 AND idempotency_key = $2`,
+            [scope, key]
+        );
+        const event = existing.rows[0];
+
+        // Gone between the insert and the select (the first delivery failed) - try to claim again
+        if (!event) continue;
+
+        if (event.status === 'completed') {
+            return { claimed: false, status: event.response_status, body: event.response_body };
+        }
+
+        if (Date.now() >= deadline) {
+            return {
+                claimed: false,
+                status: 409,
+                body: {
+                    success: false,
+                    error: 'A request with this idempotency key is still being processed',
+                    message: 'הבקשה הקודמת עדיין בטיפול. אנא המתן/י מספר שניות ונסה/י שוב.'
+                }
+            };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, PROCESSING_POLL_MS));
+    }
+}
+
+/**
+ * Store the response of a claimed key, or release the key if the request failed
+ * @param {string} scope - Route the key belongs to
+ * @param {string} key - Idempotency key
+ * @param {number} status - Response status
+ * @param {Object} body - Response body
+ */
+async function settle(scope, key, status, body) {
+    if (status >= 200 && status < 300) {
+        await dbPool.query(
+            `UPDATE processed_events
+             SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW()
+             WHERE scope = $1 AND idempotency_key = $2`,
+            [scope, key, status, JSON.stringify(body ?? null)]
+        );
+    } else {
+        await dbPool.query(
+            'DELETE FROM processed_events WHERE scope = $1 AND idempotency_key = $2 AND status = \'processing\'',
+            [scope, key]
+        );
+    }
+}
+
+/**
+ * Express middleware factory - process each idempotency key once per scope
+ * @param {string} scope - Route name (keys are unique per scope)
+ * @param {Function} getSessionId - (req) => session ID the key is derived from when there's no header (or null)
+ * @returns {Function} Express middleware
+ */
+function idempotent(scope, getSessionId = () => null) {
+    return async (req, res, next) => {
+        const sessionId = getSessionId(req) || null;
+        const key = getIdempotencyKey(req, sessionId);
+        if (!dbPool || !key) return next();
+
+        let claimed;
+        try {
+            claimed = await claim(scope, key, sessionId);
+        } catch (error) {
+            // Don't block submissions on the bookkeeping table - process without the guarantee
+            console.error(`❌ [IDEMPOTENCY] Error claiming ${scope} ${key}:`, error.message);
+            return next();
+        }
+
+        if (!claimed.claimed) {
+            console.log(`🔁 [IDEMPOTENCY] Repeated ${scope} ${key} - returning the original response (${claimed.status})`);
+            return res.status(claimed.status).set(REPLAYED_HEADER, 'true').json(claimed.body);
+        }
+
+        // Record the response when the route sends it (or release the key if it never does)
+        let settled = false;
+        const settleOnce = (status, body) => {
+            if (settled) return;
+            settled = true;
+            settle(scope, key, status, body).catch(error => {
+                console.error(`❌ [IDEMPOTENCY] Error recording ${scope} ${key}:`, error.message);
+            });
+        };
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            settleOnce(res.statusCode, body);
+            return json(body);
+        };
+        res.on('close', () => settleOnce(500, null));
+
+        next();
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    setDbPool,
+    getIdempotencyKey,
+    idempotent
+};
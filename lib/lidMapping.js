@@ -126,10 +126,37 @@ async function getAllMappings() {
     }
 }
 
+/**
+ * Get the contact name stored for a LID or phone number
+ * @param {string} lidOrPhone - LID, phone number or chat ID
+ * @returns {string|null} - Contact name or null if unknown
+ */
+async function getNameForContact(lidOrPhone) {
+    if (!dbPool || !lidOrPhone) {
+        return null;
+    }
+
+    const cleanId = lidOrPhone.split('@')[0];
+
+    try {
+        const result = await dbPool.query(
+            `SELECT name FROM lid_mappings
+             WHERE (lid = $1 OR phone_number = $1) AND name IS NOT NULL
+             ORDER BY updated_at DESC LIMIT 1`,
+            [cleanId]
+        );
+        return result.rows[0]?.name || null;
+    } catch (error) {
+        console.error('❌ [LID-MAPPING] Error getting name:', error.message);
+        return null;
+    }
+}
+
 module.exports = {
     setDbPool,
     storeLidMapping,
     getPhoneFromLid,
     getLidFromPhone,
+    getNameForContact,
     getAllMappings
 };
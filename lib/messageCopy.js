@@ -0,0 +1,298 @@
+/**
+ * Message Copy
+ * Editable, versioned copy for the bot's message types (messageTemplates.MESSAGE_TYPES).
+ * Every edit adds a version to message_copy_versions; the latest version of a type is live.
+ * Rolling back adds a new version with the old content, so history is never rewritten.
+ * A version with NULL content switches the type back to the default copy in code.
+ *
+ * A/B variants: a message type can have several weighted variants (message_variants). Scheduled
+ * messages pick one (messageTemplates.renderMessageVariant) and store its key on the scheduled_messages
+ * row, so conversions can be attributed per variant (analytics.getVariantReport). The 'control'
+ * variant is the live copy above; other variants carry their own content. Retired variants stop
+ * being picked but stay in the report.
+ *
+ * The live copy and active variants are cached in memory so getMessage() stays synchronous - they're
+ * reloaded on startup and after every change made through this module.
+ */
+
+// Variant key standing for the type's live copy
+const CONTROL_VARIANT = 'control';
+
+const VARIANT_KEY_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+// Concurrent saves of a type can pick the same next version - the loser retries with the next one
+const MAX_SAVE_ATTEMPTS = 5;
+
+let dbPool = null;
+
+// messageType -> { version, content, createdBy, createdAt }
+let activeCopy = new Map();
+
+// messageType -> [{ key, content, weight }] (active variants only)
+let activeVariants = new Map();
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+function requireDatabase() {
+    if (!dbPool) {
+        const error = new Error('Editing message copy requires a database');
+        error.code = 'DATABASE_UNAVAILABLE';
+        throw error;
+    }
+}
+
+/**
+ * Reload the live copy of every message type
+ * @returns {Promise<number>} Number of message types with edited copy
+ */
+async function loadCopy() {
+    if (!dbPool) return 0;
+
+    try {
+        const result = await dbPool.query(
+            `SELECT DISTINCT ON (message_type) message_type, version, content, created_by, created_at
+             FROM message_copy_versions
+             ORDER BY message_type, version DESC`
+        );
+
+        const copy = new Map();
+        for (const row of result.rows) {
+            if (row.content === null) continue;
+            copy.set(row.message_type, {
+                version: row.version,
+                content: row.content,
+                createdBy: row.created_by,
+                createdAt: row.created_at
+            });
+        }
+        activeCopy = copy;
+
+        const variantsResult = await dbPool.query(
+            `SELECT message_type, variant_key, content, weight
+             FROM message_variants
+             WHERE active = true AND weight > 0
+             ORDER BY message_type, variant_key`
+        );
+
+        const variants = new Map();
+        for (const row of variantsResult.rows) {
+            if (!variants.has(row.message_type)) variants.set(row.message_type, []);
+            variants.get(row.message_type).push({ key: row.variant_key, content: row.content, weight: row.weight });
+        }
+        activeVariants = variants;
+
+        console.log(`📝 [MESSAGE-COPY] Loaded edited copy for ${copy.size} message type(s), variants for ${variants.size}`);
+        return copy.size;
+    } catch (error) {
+        console.error('❌ [MESSAGE-COPY] Error loading message copy:', error.message);
+        return activeCopy.size;
+    }
+}
+
+/**
+ * Live edited copy of a message type
+ * @param {string} messageType - Message type
+ * @returns {Object|null} { version, content, createdBy, createdAt }, or null when the code default is live
+ */
+function getActiveCopy(messageType) {
+    return activeCopy.get(messageType) || null;
+}
+
+/**
+ * Version history of a message type (newest first)
+ * @param {string} messageType - Message type
+ * @returns {Promise<Object[]>} Versions
+ */
+async function getHistory(messageType) {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(
+        `SELECT version, content, note, created_by, created_at
+         FROM message_copy_versions
+         WHERE message_type = $1
+         ORDER BY version DESC`,
+        [messageType]
+    );
+    return result.rows;
+}
+
+/**
+ * Store a new version of a message type and make it live
+ * @param {string} messageType - Message type
+ * @param {string|null} content - New copy with {{variable}} placeholders (null = back to the code default)
+ * @param {Object} options - { note, createdBy }
+ * @returns {Promise<Object>} Stored version
+ */
+async function saveCopy(messageType, content, { note = null, createdBy = null } = {}) {
+    requireDatabase();
+
+    let result;
+    for (let attempt = 1; !result; attempt++) {
+        try {
+            result = await dbPool.query(
+                `INSERT INTO message_copy_versions (message_type, version, content, note, created_by)
+                 SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+                 FROM message_copy_versions WHERE message_type = $1
+                 RETURNING version, content, note, created_by, created_at`,
+                [messageType, content, note, createdBy]
+            );
+        } catch (error) {
+            // Unique violation on (message_type, version) - another save took this version number
+            if (error.code !== '23505' || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+            console.log(`🔁 [MESSAGE-COPY] ${messageType} version taken by a concurrent save - retrying`);
+        }
+    }
+
+    await loadCopy();
+
+    const version = result.rows[0];
+    console.log(`📝 [MESSAGE-COPY] ${messageType} v${version.version}${content === null ? ' (code default)' : ''}${createdBy ? ` by "${createdBy}"` : ''}`);
+    return version;
+}
+
+/**
+ * Make an earlier version live again (stored as a new version)
+ * @param {string} messageType - Message type
+ * @param {number} version - Version to restore
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} Stored version
+ */
+async function rollbackCopy(messageType, version, { createdBy = null } = {}) {
+    requireDatabase();
+
+    const result = await dbPool.query(
+        'SELECT content FROM message_copy_versions WHERE message_type = $1 AND version = $2',
+        [messageType, version]
+    );
+
+    if (result.rows.length === 0) {
+        const error = new Error(`Version ${version} of ${messageType} not found`);
+        error.code = 'MESSAGE_COPY_VERSION_NOT_FOUND';
+        throw error;
+    }
+
+    return await saveCopy(messageType, result.rows[0].content, { note: `Rollback to v${version}`, createdBy });
+}
+
+/**
+ * Switch a message type back to the default copy in code (kept in the history)
+ * @param {string} messageType - Message type
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} Stored version
+ */
+async function resetCopy(messageType, { createdBy = null } = {}) {
+    return await saveCopy(messageType, null, { note: 'Reset to default', createdBy });
+}
+
+/**
+ * Active variants of a message type
+ * @param {string} messageType - Message type
+ * @returns {Object[]} [{ key, content, weight }] - content is null for the control variant
+ */
+function getActiveVariants(messageType) {
+    return activeVariants.get(messageType) || [];
+}
+
+/**
+ * All variants of a message type, including retired ones
+ * @param {string} messageType - Message type
+ * @returns {Promise<Object[]>} Variants
+ */
+async function listVariants(messageType) {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(
+        `SELECT variant_key, content, weight, active, created_by, created_at, retired_at
+         FROM message_variants
+         WHERE message_type = $1
+         ORDER BY variant_key`,
+        [messageType]
+    );
+    return result.rows;
+}
+
+/**
+ * Create or update a variant and (re)activate it
+ * The first variant of a type also creates the control variant (live copy) with weight 1
+ * @param {string} messageType - Message type
+ * @param {string} variantKey - Variant key (a-z, 0-9, _ and -); 'control' is the live copy
+ * @param {Object} variant - { content (ignored for control), weight }
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} Stored variant
+ */
+async function saveVariant(messageType, variantKey, { content = null, weight = 1 } = {}, { createdBy = null } = {}) {
+    requireDatabase();
+
+    if (!VARIANT_KEY_PATTERN.test(variantKey || '')) {
+        const error = new Error('Variant key must be 1-50 characters of a-z, 0-9, _ and -');
+        error.code = 'INVALID_VARIANT';
+        throw error;
+    }
+
+    if (variantKey !== CONTROL_VARIANT) {
+        await dbPool.query(
+            `INSERT INTO message_variants (message_type, variant_key, content, weight, created_by)
+             VALUES ($1, $2, NULL, 1, $3)
+             ON CONFLICT (message_type, variant_key) DO NOTHING`,
+            [messageType, CONTROL_VARIANT, createdBy]
+        );
+    }
+
+    const result = await dbPool.query(
+        `INSERT INTO message_variants (message_type, variant_key, content, weight, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (message_type, variant_key) DO UPDATE SET
+             content = EXCLUDED.content,
+             weight = EXCLUDED.weight,
+             active = true,
+             retired_at = NULL
+         RETURNING variant_key, content, weight, active, created_by, created_at, retired_at`,
+        [messageType, variantKey, variantKey === CONTROL_VARIANT ? null : content, weight, createdBy]
+    );
+
+    await loadCopy();
+
+    console.log(`🧪 [MESSAGE-COPY] Variant ${messageType}/${variantKey} saved (weight ${weight})${createdBy ? ` by "${createdBy}"` : ''}`);
+    return result.rows[0];
+}
+
+/**
+ * Stop picking a variant (it stays in the report)
+ * @param {string} messageType - Message type
+ * @param {string} variantKey - Variant key
+ * @returns {Promise<Object|null>} Retired variant, or null if not found
+ */
+async function retireVariant(messageType, variantKey) {
+    requireDatabase();
+
+    const result = await dbPool.query(
+        `UPDATE message_variants SET active = false, retired_at = NOW()
+         WHERE message_type = $1 AND variant_key = $2
+         RETURNING variant_key, content, weight, active, created_by, created_at, retired_at`,
+        [messageType, variantKey]
+    );
+
+    await loadCopy();
+
+    if (result.rows[0]) {
+        console.log(`🧪 [MESSAGE-COPY] Variant ${messageType}/${variantKey} retired`);
+    }
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    CONTROL_VARIANT,
+    setDbPool,
+    loadCopy,
+    getActiveCopy,
+    getHistory,
+    saveCopy,
+    rollbackCopy,
+    resetCopy,
+    getActiveVariants,
+    listVariants,
+    saveVariant,
+    retireVariant
+};
@@ -7,27 +7,41 @@
  * Integrates with:
  * - Bull queue (messageQueue.js)
  * - Message templates (messageTemplates.js)
- * - Timezone helper (timezoneHelper.js)
+ * - Timezone helper (timezoneHelper.js) and holiday calendar (holidays.js)
+ * - Drip campaign definitions (campaigns.js)
  * - PostgreSQL database
- * - Baileys WhatsApp client (direct)
+ * - Baileys WhatsApp clients (direct, one per account - see accounts.js)
+ * - Message store (messageStore.js) for chat history
  */
 
 const { messageQueue } = require('./messageQueue');
-const { getMessage, MESSAGE_TYPES, validateVariables } = require('./messageTemplates');
+const { renderMessageVariant, renderMessageForVariant, MESSAGE_TYPES, validateVariables } = require('./messageTemplates');
 const {
     getNowInIsrael,
     toIsraelTime,
     scheduleWithDelay,
-    calculate19pmReminderTime,
-    calculateVideoTestimonialTime,
-    calculateNextAppointmentReminderTime,
+    calculateMeetingReminderTimes,
     getNextValidBusinessTime,
+    ISRAEL_TIMEZONE,
     toISOString,
     toDate,
     getScheduleDescription
 } = require('./timezoneHelper');
+const messageStore = require('./messageStore');
+const suppression = require('./suppression');
+const handoff = require('./handoff');
+const holidays = require('./holidays');
+const formProgress = require('./formProgress');
+const { DEFAULT_ACCOUNT_ID } = require('./accounts');
+const { getCampaign, calculateStepTime, interpolate, getMetStopCondition } = require('./campaigns');
 const { Pool } = require('pg');
 
+// While a chat is in human handoff, held messages re-check this often (so a release resumes them promptly)
+const HANDOFF_RECHECK_MINUTES = 15;
+
+// Rendered again when sent, with how far the lead got in the questionnaire since scheduling
+const PROGRESS_MESSAGE_TYPES = [MESSAGE_TYPES.FORM_REMINDER_19PM];
+
 // Database connection
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
@@ -36,24 +50,33 @@ const pool = new Pool({
     } : false
 });
 
-// Baileys socket client (injected via setSockClient)
-let sockClient = null;
+// Baileys socket clients by account id (injected via setSockClient)
+const sockClients = new Map();
+
+// Bull allows a single process handler per queue
+let workerInitialized = false;
 
 /**
- * Set the Baileys socket client for direct message sending
- * @param {Object} sock - Baileys socket instance
+ * Set the Baileys socket client an account sends scheduled messages with
+ * @param {Object|null} sock - Baileys socket instance (null unbinds the account)
+ * @param {string} accountId - WhatsApp account id
  */
-function setSockClient(sock) {
-    sockClient = sock;
-    console.log('✅ Baileys socket client set for message scheduler');
+function setSockClient(sock, accountId = DEFAULT_ACCOUNT_ID) {
+    if (sock) {
+        sockClients.set(accountId, sock);
+        console.log(`✅ Baileys socket client set for message scheduler (account: ${accountId})`);
+    } else if (sockClients.delete(accountId)) {
+        console.log(`🔌 Baileys socket client removed from message scheduler (account: ${accountId})`);
+    }
 }
 
 /**
- * Get the current socket client
+ * Get the socket client bound to an account
+ * @param {string} accountId - WhatsApp account id
  * @returns {Object|null} Baileys socket instance
  */
-function getSockClient() {
-    return sockClient;
+function getSockClient(accountId = DEFAULT_ACCOUNT_ID) {
+    return sockClients.get(accountId) || null;
 }
 
 /**
@@ -89,6 +112,9 @@ function phoneToWhatsAppId(phoneNumber) {
  * @param {Object} params.variables - Variables for message template (optional)
  * @param {DateTime} params.scheduledFor - When to send (Luxon DateTime)
  * @param {string} params.mediaUrl - Optional media URL for attachments
+ * @param {string} params.campaign - Campaign name this message belongs to (optional)
+ * @param {string[]} params.stopWhen - Stop conditions checked before sending (optional)
+ * @param {string} params.accountId - Sending WhatsApp account - optional, taken from the session if not provided
  * @returns {Promise<Object>} Scheduled message record
  */
 async function scheduleMessage({
@@ -98,41 +124,52 @@ async function scheduleMessage({
     messageType,
     variables = {},
     scheduledFor,
-    mediaUrl = null
+    mediaUrl = null,
+    campaign = null,
+    stopWhen = null,
+    accountId = null
 }) {
     try {
         // Validate variables if message requires them
         validateVariables(messageType, variables);
 
-        // Generate message content
-        const messageContent = getMessage(messageType, variables);
+        // Generate message content (A/B variant picked per session, see messageCopy.js)
+        const { content: messageContent, variant } = renderMessageVariant(messageType, variables, { assignmentKey: sessionId });
 
         // Convert scheduled time to JavaScript Date for Bull
         const scheduledDate = toDate(scheduledFor);
 
-        // If chatId not provided, try to retrieve from session
+        // If chatId / accountId not provided, try to retrieve from session
         let effectiveChatId = chatId;
-        if (!effectiveChatId && sessionId) {
+        let effectiveAccountId = accountId;
+        if ((!effectiveChatId || !effectiveAccountId) && sessionId) {
             try {
                 const sessionResult = await pool.query(
-                    'SELECT chat_id FROM sessions WHERE session_id = $1',
+                    'SELECT chat_id, account_id FROM sessions WHERE session_id = $1',
                     [sessionId]
                 );
                 if (sessionResult.rows.length > 0) {
-                    effectiveChatId = sessionResult.rows[0].chat_id;
+                    effectiveChatId = effectiveChatId || sessionResult.rows[0].chat_id;
+                    effectiveAccountId = effectiveAccountId || sessionResult.rows[0].account_id;
                 }
             } catch (err) {
                 console.warn(`⚠️  Could not retrieve chat_id from session ${sessionId}:`, err.message);
             }
         }
+        effectiveAccountId = effectiveAccountId || DEFAULT_ACCOUNT_ID;
 
         // Store in database first (including chat_id)
         const result = await pool.query(
             `INSERT INTO scheduled_messages
-            (session_id, phone_number, chat_id, message_type, message_content, scheduled_for, status)
-            VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+            (session_id, phone_number, chat_id, message_type, message_content, scheduled_for, status,
+             media_url, campaign, stop_conditions, account_id, variant, variables)
+            VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11, $12)
             RETURNING *`,
-            [sessionId, phoneNumber, effectiveChatId, messageType, messageContent, toISOString(scheduledFor)]
+            [
+                sessionId, phoneNumber, effectiveChatId, messageType, messageContent, toISOString(scheduledFor),
+                mediaUrl, campaign, stopWhen ? JSON.stringify(stopWhen) : null, effectiveAccountId, variant,
+                JSON.stringify(variables)
+            ]
         );
 
         const scheduledMessageRecord = result.rows[0];
@@ -144,6 +181,7 @@ async function scheduleMessage({
                 sessionId,
                 phoneNumber,
                 chatId: effectiveChatId,
+                accountId: effectiveAccountId,
                 messageType,
                 messageContent,
                 mediaUrl
@@ -162,7 +200,7 @@ async function scheduleMessage({
 
         console.log(
             `📅 Scheduled ${messageType} for ${phoneNumber} ` +
-            `(session: ${sessionId}) at ${scheduledFor.toLocaleString()} ` +
+            `(session: ${sessionId}, account: ${effectiveAccountId}) at ${scheduledFor.toLocaleString()} ` +
             `[${getScheduleDescription(scheduledFor)}]`
         );
 
@@ -198,108 +236,134 @@ async function scheduleChatbotLink(sessionId, phoneNumber, chatbotUrl) {
 }
 
 /**
- * Schedule Message #3: 19:00 Form Reminder (Sent ONCE)
- * Sends once at 19:00 Israel time if form not completed
- * Does not repeat to avoid appearing robotic
- * @param {string} sessionId - Session ID
- * @param {string} phoneNumber - Phone number
- * @param {string} chatbotUrl - Chatbot URL
- * @param {DateTime} firstMessageTime - When first message was sent
- * @returns {Promise<Object>} Scheduled message
+ * Start a drip campaign for a session
+ * Schedules every step of the campaign definition (see campaigns.js / campaigns.json).
+ * Each step is sent ONCE; the worker skips it if one of its stop conditions is met.
+ * @param {string} campaignName - Campaign name (e.g. 'form_followup', 'appointment_followup')
+ * @param {Object} params - Campaign parameters
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.phoneNumber - Phone number
+ * @param {string} params.chatId - WhatsApp chat ID (optional)
+ * @param {DateTime} params.startTime - Campaign start (Luxon DateTime, defaults to now)
+ * @param {Object} params.variables - Template/media variables (e.g. chatbotUrl, testimonialVideoUrl)
+ * @returns {Promise<Object[]>} Array of scheduled messages
  */
-async function schedule19pmReminder(sessionId, phoneNumber, chatbotUrl, firstMessageTime) {
-    const scheduledFor = calculate19pmReminderTime(firstMessageTime);
+async function startCampaign(campaignName, {
+    sessionId,
+    phoneNumber,
+    chatId = null,
+    startTime = getNowInIsrael(),
+    variables = {}
+}) {
+    const campaign = await getCampaign(campaignName);
 
-    // Only schedule if time is valid (weekday, business hours)
-    const validScheduledFor = getNextValidBusinessTime(scheduledFor);
+    if (!campaign) {
+        throw new Error(`Unknown campaign: ${campaignName}`);
+    }
 
-    return scheduleMessage({
-        sessionId,
-        phoneNumber,
-        messageType: MESSAGE_TYPES.FORM_REMINDER_19PM,
-        variables: { chatbotUrl },
-        scheduledFor: validScheduledFor
-    });
-}
+    if (campaign.active === false) {
+        console.log(`⏸️  Campaign ${campaignName} is inactive - nothing scheduled for session ${sessionId}`);
+        return [];
+    }
 
-/**
- * Schedule Message #4: Video Testimonial (Sent ONCE at 20:00)
- * Sends once at 20:00 (8 PM) Israel time if form not completed
- * Does not repeat to avoid appearing robotic
- * @param {string} sessionId - Session ID
- * @param {string} phoneNumber - Phone number
- * @param {DateTime} firstMessageTime - When first message was sent
- * @param {string} videoUrl - URL to testimonial video
- * @returns {Promise<Object>} Scheduled message
- */
-async function scheduleVideoTestimonial(sessionId, phoneNumber, firstMessageTime, videoUrl) {
-    const scheduledFor = calculateVideoTestimonialTime(firstMessageTime);
+    const scheduledMessages = [];
+    let previousTime = startTime;
 
-    // Only schedule if time is valid (weekday, business hours)
-    const validScheduledFor = getNextValidBusinessTime(scheduledFor);
+    for (const [index, step] of campaign.steps.entries()) {
+        const scheduledFor = calculateStepTime(step, startTime, previousTime);
+        previousTime = scheduledFor;
 
-    return scheduleMessage({
-        sessionId,
-        phoneNumber,
-        messageType: MESSAGE_TYPES.VIDEO_TESTIMONIAL,
-        scheduledFor: validScheduledFor,
-        mediaUrl: videoUrl
-    });
+        // Skip steps whose media placeholder has no value (e.g. no testimonial video configured)
+        const mediaUrl = step.mediaUrl ? interpolate(step.mediaUrl, variables) : null;
+        if (step.mediaUrl && !mediaUrl) {
+            console.warn(`⚠️  Campaign ${campaignName} step ${index + 1} (${step.messageType}) skipped - media URL not available`);
+            continue;
+        }
+
+        try {
+            const scheduled = await scheduleMessage({
+                sessionId,
+                phoneNumber,
+                chatId,
+                messageType: step.messageType,
+                variables,
+                scheduledFor,
+                mediaUrl,
+                campaign: campaignName,
+                stopWhen: step.stopWhen || null
+            });
+            scheduledMessages.push(scheduled);
+        } catch (error) {
+            // Don't let one bad step block the rest of the sequence
+            console.error(`❌ Campaign ${campaignName} step ${index + 1} (${step.messageType}) failed:`, error.message);
+        }
+    }
+
+    console.log(`📣 Started campaign ${campaignName} for session ${sessionId} (${scheduledMessages.length}/${campaign.steps.length} steps scheduled)`);
+    return scheduledMessages;
 }
 
 /**
- * Schedule appointment reminders (Messages #7-10)
- * Each reminder sends ONCE in sequence (does not repeat)
- * All reminders send at 19:00 (7 PM) on subsequent business days
- * @param {string} sessionId - Session ID
- * @param {string} phoneNumber - Phone number
- * @param {DateTime} appointmentLinkSentTime - When appointment link was sent
+ * Schedule pre-meeting reminders (24h and 1h before the booked call)
+ * Any previously scheduled meeting reminders for the session are cancelled first,
+ * so calling this again after a reschedule moves the reminders to the new time.
+ * Reminders whose time has already passed are skipped (e.g. meeting booked for later today).
+ * @param {Object} params - Meeting parameters
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.phoneNumber - Phone number
+ * @param {string} params.chatId - WhatsApp chat ID (optional)
+ * @param {DateTime} params.meetingStart - Meeting start (Luxon DateTime)
+ * @param {string} params.calendarUrl - Link to the meeting's .ics file
+ * @param {string} params.rescheduleUrl - Reschedule link (optional)
  * @returns {Promise<Object[]>} Array of scheduled messages
  */
-async function scheduleAppointmentReminders(sessionId, phoneNumber, appointmentLinkSentTime) {
-    const scheduledMessages = [];
-
-    // Message #7: First reminder (sent ONCE at 19:00 next business day)
-    const reminder1Time = calculateNextAppointmentReminderTime(appointmentLinkSentTime);
+async function scheduleMeetingReminders({
+    sessionId,
+    phoneNumber,
+    chatId = null,
+    meetingStart,
+    calendarUrl,
+    rescheduleUrl = null
+}) {
+    await cancelSessionMessages(sessionId, 'meeting_reminder%');
 
-    const reminder1 = await scheduleMessage({
-        sessionId,
-        phoneNumber,
-        messageType: MESSAGE_TYPES.APPOINTMENT_REMINDER_1,
-        scheduledFor: reminder1Time
-    });
-    scheduledMessages.push(reminder1);
+    const now = getNowInIsrael();
+    const { dayBefore, hourBefore } = calculateMeetingReminderTimes(meetingStart);
+    const localStart = meetingStart.setZone(ISRAEL_TIMEZONE).setLocale('he');
+
+    const variables = {
+        meetingDay: localStart.toFormat('cccc'),
+        meetingDate: localStart.toFormat('dd/MM'),
+        meetingTime: localStart.toFormat('HH:mm'),
+        calendarUrl,
+        rescheduleUrl
+    };
+
+    const reminders = [
+        { messageType: MESSAGE_TYPES.MEETING_REMINDER_24H, scheduledFor: dayBefore },
+        { messageType: MESSAGE_TYPES.MEETING_REMINDER_1H, scheduledFor: hourBefore }
+    ];
 
-    // Message #8: Second reminder (sent ONCE, next available slot after first)
-    const reminder2Time = calculateNextAppointmentReminderTime(reminder1Time);
-    const reminder2 = await scheduleMessage({
-        sessionId,
-        phoneNumber,
-        messageType: MESSAGE_TYPES.APPOINTMENT_REMINDER_2,
-        scheduledFor: reminder2Time
-    });
-    scheduledMessages.push(reminder2);
+    const scheduledMessages = [];
 
-    // Message #9: Third reminder (sent ONCE, next available slot)
-    const reminder3Time = calculateNextAppointmentReminderTime(reminder2Time);
-    const reminder3 = await scheduleMessage({
-        sessionId,
-        phoneNumber,
-        messageType: MESSAGE_TYPES.APPOINTMENT_REMINDER_3,
-        scheduledFor: reminder3Time
-    });
-    scheduledMessages.push(reminder3);
+    for (const { messageType, scheduledFor } of reminders) {
+        if (scheduledFor <= now) {
+            console.log(`⏭️  Skipping ${messageType} for session ${sessionId} - send time already passed`);
+            continue;
+        }
 
-    // Message #10: Fourth reminder (sent ONCE, final reminder)
-    const reminder4Time = calculateNextAppointmentReminderTime(reminder3Time);
-    const reminder4 = await scheduleMessage({
-        sessionId,
-        phoneNumber,
-        messageType: MESSAGE_TYPES.APPOINTMENT_REMINDER_4,
-        scheduledFor: reminder4Time
-    });
-    scheduledMessages.push(reminder4);
+        scheduledMessages.push(await scheduleMessage({
+            sessionId,
+            phoneNumber,
+            chatId,
+            messageType,
+            variables,
+            scheduledFor,
+            stopWhen: ['meeting_canceled']
+        }));
+    }
 
+    console.log(`📅 Scheduled ${scheduledMessages.length} meeting reminders for session ${sessionId} (meeting at ${localStart.toFormat('dd/MM HH:mm')})`);
     return scheduledMessages;
 }
 
@@ -411,20 +475,247 @@ async function cancelAllPendingMessages() {
     }
 }
 
+/**
+ * Cancel all pending messages for a phone number, across sessions (used on opt-out)
+ * @param {string} phoneNumber - Phone number (digits only)
+ * @returns {Promise<number>} Number of messages cancelled
+ */
+async function cancelPhoneMessages(phoneNumber) {
+    try {
+        const result = await pool.query(
+            `SELECT id, job_id
+             FROM scheduled_messages
+             WHERE status = 'pending'
+               AND (phone_number = $1 OR split_part(chat_id, '@', 1) = $1)`,
+            [phoneNumber]
+        );
+
+        let cancelledCount = 0;
+
+        for (const row of result.rows) {
+            const cancelled = await cancelScheduledMessage(row.id);
+            if (cancelled) cancelledCount++;
+        }
+
+        console.log(`✅ Cancelled ${cancelledCount} pending messages for ${phoneNumber}`);
+        return cancelledCount;
+
+    } catch (error) {
+        console.error(`❌ Error cancelling messages for ${phoneNumber}:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Build a scheduled message error with a code the routes map to HTTP statuses
+ * @param {string} message - Error message
+ * @param {string} code - 'SCHEDULED_MESSAGE_NOT_FOUND' | 'INVALID_MESSAGE_STATUS' | 'JOB_ACTIVE' | 'DELIVERY_FAILED'
+ * @returns {Error} Error with .code
+ */
+function scheduledMessageError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Get a scheduled message by id
+ * @param {number} scheduledMessageId - ID of scheduled message
+ * @returns {Promise<Object|null>} Scheduled message record
+ */
+async function getScheduledMessage(scheduledMessageId) {
+    if (!Number.isInteger(scheduledMessageId)) return null;
+
+    const result = await pool.query('SELECT * FROM scheduled_messages WHERE id = $1', [scheduledMessageId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Load a scheduled message and check it is in one of the allowed statuses
+ * @param {number} scheduledMessageId - ID of scheduled message
+ * @param {string[]} allowedStatuses - Statuses the action applies to
+ * @returns {Promise<Object>} Scheduled message record
+ */
+async function getScheduledMessageForAction(scheduledMessageId, allowedStatuses) {
+    const record = await getScheduledMessage(scheduledMessageId);
+
+    if (!record) {
+        throw scheduledMessageError(`Scheduled message ${scheduledMessageId} not found`, 'SCHEDULED_MESSAGE_NOT_FOUND');
+    }
+    if (!allowedStatuses.includes(record.status)) {
+        throw scheduledMessageError(
+            `Scheduled message ${scheduledMessageId} is ${record.status} (expected ${allowedStatuses.join(' or ')})`,
+            'INVALID_MESSAGE_STATUS'
+        );
+    }
+    return record;
+}
+
+/**
+ * Bull job data for a stored scheduled message
+ * @param {Object} record - scheduled_messages row
+ * @returns {Object} Job data (same shape as scheduleMessage)
+ */
+function buildJobData(record) {
+    return {
+        scheduledMessageId: record.id,
+        sessionId: record.session_id,
+        phoneNumber: record.phone_number,
+        chatId: record.chat_id,
+        accountId: record.account_id,
+        messageType: record.message_type,
+        messageContent: record.message_content,
+        mediaUrl: record.media_url
+    };
+}
+
+/**
+ * Remove a message's Bull job, if it's still in the queue
+ * @param {string} jobId - Bull job id
+ */
+async function removeQueuedJob(jobId) {
+    if (!jobId) return;
+
+    const job = await messageQueue.getJob(jobId);
+    if (!job) return;
+
+    try {
+        await job.remove();
+    } catch (error) {
+        // The worker holds a lock on the job while it's sending - Bull refuses to remove it
+        throw scheduledMessageError(
+            `Job ${jobId} is being processed right now (${error.message}) - try again in a moment`,
+            'JOB_ACTIVE'
+        );
+    }
+}
+
+/**
+ * Move a pending scheduled message to a new time (replaces its Bull job)
+ * @param {number} scheduledMessageId - ID of scheduled message
+ * @param {DateTime} scheduledFor - New send time
+ * @returns {Promise<Object>} { previousScheduledFor, scheduledFor, jobId }
+ */
+async function rescheduleScheduledMessage(scheduledMessageId, scheduledFor) {
+    const record = await getScheduledMessageForAction(scheduledMessageId, ['pending']);
+
+    await removeQueuedJob(record.job_id);
+    const { heldUntil, jobId } = await requeueScheduledMessage(buildJobData(record), scheduledFor, 'rescheduled');
+
+    console.log(`🔁 Rescheduled message ${scheduledMessageId} (${record.message_type}) to ${heldUntil}`);
+    return { previousScheduledFor: record.scheduled_for, scheduledFor: heldUntil, jobId };
+}
+
+/**
+ * Send a pending or failed scheduled message right away
+ * Runs through the worker's checks (stop conditions, opt-out, handoff, closure days),
+ * so the result can also be a skip or a hold.
+ * @param {number} scheduledMessageId - ID of scheduled message
+ * @returns {Promise<Object>} Worker result ({ success } / { skipped, reason } / { held, heldUntil })
+ */
+async function sendScheduledMessageNow(scheduledMessageId) {
+    const record = await getScheduledMessageForAction(scheduledMessageId, ['pending', 'failed']);
+
+    // Remove the queued job first so the message can't go out twice
+    await removeQueuedJob(record.job_id);
+    await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'pending', job_id = NULL, scheduled_for = NOW(), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [scheduledMessageId]
+    );
+
+    console.log(`⚡ Sending scheduled message ${scheduledMessageId} (${record.message_type}) now`);
+    return await processScheduledMessage({ id: `send-now-${scheduledMessageId}`, data: buildJobData(record) });
+}
+
+/**
+ * Re-queue a failed scheduled message
+ * Only messages that failed to send are retried - one WhatsApp accepted (message_key_id set) and
+ * later reported as failed by a receipt may have reached the lead, so it's rejected (DELIVERY_FAILED).
+ * @param {number} scheduledMessageId - ID of scheduled message
+ * @param {DateTime} sendAt - When to send (defaults to now)
+ * @returns {Promise<Object>} { scheduledFor, jobId }
+ */
+async function retryScheduledMessage(scheduledMessageId, sendAt = getNowInIsrael()) {
+    const record = await getScheduledMessageForAction(scheduledMessageId, ['failed']);
+
+    if (record.message_key_id) {
+        throw scheduledMessageError(
+            `Scheduled message ${scheduledMessageId} was sent and then reported failed by WhatsApp - use send-now to send it again`,
+            'DELIVERY_FAILED'
+        );
+    }
+
+    // Bull may still hold the failed job (attempts exhausted) - drop it before re-queueing
+    await removeQueuedJob(record.job_id);
+    await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'pending', error_message = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [scheduledMessageId]
+    );
+
+    const { heldUntil, jobId } = await requeueScheduledMessage(buildJobData(record), sendAt, 'retry');
+
+    console.log(`🔄 Re-queued failed message ${scheduledMessageId} (${record.message_type}) for ${heldUntil}`);
+    return { scheduledFor: heldUntil, jobId };
+}
+
+/**
+ * Re-queue every scheduled message that failed to send (optionally of one session / account)
+ * Messages reported failed by a delivery receipt are left out (see retryScheduledMessage)
+ * @param {Object} filters - { sessionId, accountId }
+ * @returns {Promise<number[]>} IDs of re-queued messages
+ */
+async function retryFailedMessages({ sessionId = null, accountId = null } = {}) {
+    const result = await pool.query(
+        `SELECT id FROM scheduled_messages
+         WHERE status = 'failed' AND message_key_id IS NULL
+           AND ($1::text IS NULL OR session_id = $1)
+           AND ($2::text IS NULL OR account_id = $2)
+         ORDER BY scheduled_for ASC`,
+        [sessionId, accountId]
+    );
+
+    const retried = [];
+    for (const row of result.rows) {
+        try {
+            await retryScheduledMessage(row.id);
+            retried.push(row.id);
+        } catch (error) {
+            console.error(`❌ Error re-queueing failed message ${row.id}:`, error.message);
+        }
+    }
+
+    console.log(`🔄 Re-queued ${retried.length}/${result.rows.length} failed messages`);
+    return retried;
+}
+
 /**
  * Send a WhatsApp message directly via Baileys socket
  * CONSOLIDATED VERSION: No HTTP calls, direct Baileys integration
+ * Refuses opted-out numbers (error.code = NUMBER_SUPPRESSED) unless overrideSuppression is set.
  * @param {string} phoneNumber - Recipient phone number (for logging/reference)
  * @param {string} message - Message text
  * @param {string} mediaUrl - Optional media URL
  * @param {string} chatId - WhatsApp chat ID - if not provided, will convert phoneNumber
+ * @param {Object} options - { overrideSuppression, accountId } - admin override for opted-out numbers,
+ *                           sending account (defaults to 'default')
  * @returns {Promise<Object>} Send result
  */
-async function sendWhatsAppMessage(phoneNumber, message, mediaUrl = null, chatId = null) {
+async function sendWhatsAppMessage(phoneNumber, message, mediaUrl = null, chatId = null, { overrideSuppression = false, accountId = null } = {}) {
     const startTime = Date.now();
     try {
+        const sockClient = getSockClient(accountId || DEFAULT_ACCOUNT_ID);
         if (!sockClient) {
-            throw new Error('Baileys socket not initialized - call setSockClient first');
+            throw new Error(`Baileys socket not initialized for account ${accountId || DEFAULT_ACCOUNT_ID} - call setSockClient first`);
+        }
+
+        // Opt-out check on both identifiers (chatId may be an unresolved LID)
+        await suppression.assertNotSuppressed(phoneNumber, { override: overrideSuppression });
+        if (chatId) {
+            await suppression.assertNotSuppressed(chatId, { override: overrideSuppression });
         }
 
         console.log(`⏱️  [TIMING] sendWhatsAppMessage START for ${phoneNumber}`);
@@ -434,11 +725,13 @@ async function sendWhatsAppMessage(phoneNumber, message, mediaUrl = null, chatId
         console.log(`📤 Sending WhatsApp message to ${whatsappId} (original: ${phoneNumber})${mediaUrl ? ' (with media)' : ''}`);
 
         let result;
+        let messageType = 'text';
 
         if (mediaUrl) {
             // Send media with caption
             // Detect media type from URL
             const isVideo = mediaUrl.includes('video') || mediaUrl.endsWith('.mp4') || mediaUrl.endsWith('.mov');
+            messageType = isVideo ? 'video' : 'image';
 
             if (isVideo) {
                 result = await sockClient.sendMessage(whatsappId, {
@@ -456,6 +749,9 @@ async function sendWhatsAppMessage(phoneNumber, message, mediaUrl = null, chatId
             result = await sockClient.sendMessage(whatsappId, { text: message });
         }
 
+        // Record in chat history (never throws)
+        await messageStore.storeOutgoingMessage(whatsappId, result, { body: message, messageType, mediaUrl });
+
         const totalDuration = Date.now() - startTime;
         console.log(`✅ Message sent successfully to ${whatsappId}`);
         console.log(`⏱️  [TIMING] TOTAL sendWhatsAppMessage took ${totalDuration}ms`);
@@ -469,6 +765,121 @@ async function sendWhatsAppMessage(phoneNumber, message, mediaUrl = null, chatId
     }
 }
 
+/**
+ * Re-queue a scheduled message for a later time (its status is not changed)
+ * @param {Object} jobData - Bull job data (see scheduleMessage)
+ * @param {DateTime} heldUntil - When to send
+ * @param {string} label - Job id label ('held', 'rescheduled', 'retry', ...)
+ * @returns {Promise<Object>} { held, heldUntil, jobId }
+ */
+async function requeueScheduledMessage(jobData, heldUntil, label = 'held') {
+    const { scheduledMessageId, sessionId, messageType } = jobData;
+
+    const heldJob = await messageQueue.add(jobData, {
+        delay: Math.max(toDate(heldUntil).getTime() - Date.now(), 0),
+        jobId: `${messageType}_${sessionId}_${label}_${Date.now()}`
+    });
+
+    await pool.query(
+        `UPDATE scheduled_messages
+         SET job_id = $1, scheduled_for = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [heldJob.id.toString(), toISOString(heldUntil), scheduledMessageId]
+    );
+
+    return { held: true, heldUntil: toISOString(heldUntil), jobId: heldJob.id.toString() };
+}
+
+/**
+ * Re-queue a message the worker can't send now (human handoff, closure day)
+ * Meeting reminders are only useful before the meeting - one that would be held past
+ * the meeting start is cancelled instead.
+ * @param {Object} jobData - Bull job data
+ * @param {DateTime} heldUntil - When to try again
+ * @param {Object|null} session - Session row (meeting_start_at)
+ * @returns {Promise<Object>} { held, heldUntil, jobId } or { skipped, reason }
+ */
+async function holdForLater(jobData, heldUntil, session) {
+    const { scheduledMessageId, phoneNumber, messageType } = jobData;
+
+    if (messageType.startsWith('meeting_reminder') && session?.meeting_start_at
+        && heldUntil >= toIsraelTime(session.meeting_start_at)) {
+        console.log(`⏭️  Dropping ${messageType} for ${phoneNumber} - holding it would send it after the meeting started`);
+        await pool.query(
+            `UPDATE scheduled_messages SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [scheduledMessageId]
+        );
+        return { skipped: true, reason: 'meeting_started' };
+    }
+
+    return await requeueScheduledMessage(jobData, heldUntil);
+}
+
+/**
+ * Re-queue a scheduled message while its chat is in human handoff
+ * The message stays 'pending' and is retried at the handoff expiry (or the next re-check),
+ * moved into business hours so a long conversation doesn't push a reminder into the night.
+ * @param {Object} job - Bull job
+ * @param {Object} activeHandoff - Active handoff record
+ * @param {Object|null} session - Session row (meeting reminders aren't held past the meeting)
+ * @returns {Promise<Object>} { held, heldUntil } or { skipped, reason }
+ */
+async function holdScheduledMessage(job, activeHandoff, session) {
+    const { phoneNumber, messageType } = job.data;
+
+    const expiresAt = toIsraelTime(activeHandoff.expires_at);
+    const recheckAt = getNowInIsrael().plus({ minutes: HANDOFF_RECHECK_MINUTES });
+    const heldUntil = getNextValidBusinessTime(expiresAt < recheckAt ? expiresAt : recheckAt);
+
+    console.log(`✋ Holding ${messageType} for ${phoneNumber} - human handoff active (${activeHandoff.taken_by || activeHandoff.source}), re-check ${getScheduleDescription(heldUntil)}`);
+    return await holdForLater(job.data, heldUntil, session);
+}
+
+/**
+ * Stop conditions for messages scheduled without a campaign definition
+ * - Appointment reminders require a completed session (form was filled)
+ * - Form reminders require an active session (form not yet completed)
+ * - Meeting reminders require a meeting that is still booked
+ * @param {string} messageType - Message type
+ * @returns {string[]|null} Stop conditions
+ */
+function getDefaultStopConditions(messageType) {
+    if (messageType.startsWith('appointment_reminder')) {
+        return ['appointment_scheduled', 'session_not_completed'];
+    }
+    if (messageType.startsWith('form_reminder') || messageType === 'video_testimonial') {
+        return ['form_completed', 'session_not_active'];
+    }
+    if (messageType.startsWith('meeting_reminder')) {
+        return ['meeting_canceled'];
+    }
+    return null;
+}
+
+/**
+ * Content to send for a scheduled message
+ * Form reminders are rendered again (same A/B variant) when the lead has started the questionnaire
+ * since scheduling, so the reminder says how far they got and which question is next.
+ * @param {Object} jobData - { sessionId, messageType, messageContent }
+ * @param {Object} record - scheduled_messages row ({ variables, variant })
+ * @returns {Promise<string>} Message content
+ */
+async function resolveMessageContent({ sessionId, messageType, messageContent }, { variables, variant }) {
+    // Rows scheduled before variables were stored are sent as rendered
+    if (!PROGRESS_MESSAGE_TYPES.includes(messageType) || !variables) return messageContent;
+
+    try {
+        const progressVariables = await formProgress.getReminderVariables(sessionId);
+        if (!progressVariables) return messageContent;
+
+        console.log(`📋 ${messageType} for session ${sessionId} includes progress (${progressVariables.answeredCount}/${progressVariables.totalCount})`);
+        return renderMessageForVariant(messageType, { ...variables, ...progressVariables }, variant);
+    } catch (error) {
+        console.warn(`⚠️  Could not add questionnaire progress to ${messageType} for session ${sessionId}:`, error.message);
+        return messageContent;
+    }
+}
+
 /**
  * Process a scheduled message job (called by Bull worker)
  * @param {Object} job - Bull job object
@@ -480,6 +891,7 @@ async function processScheduledMessage(job) {
         sessionId,
         phoneNumber,
         chatId,
+        accountId,
         messageType,
         messageContent,
         mediaUrl
@@ -490,7 +902,7 @@ async function processScheduledMessage(job) {
     try {
         // Check if message should still be sent and retrieve chatId if not in job data
         const result = await pool.query(
-            'SELECT status, chat_id FROM scheduled_messages WHERE id = $1',
+            'SELECT status, chat_id, stop_conditions, account_id, variables, variant FROM scheduled_messages WHERE id = $1',
             [scheduledMessageId]
         );
 
@@ -498,7 +910,7 @@ async function processScheduledMessage(job) {
             throw new Error(`Scheduled message ${scheduledMessageId} not found in database`);
         }
 
-        const { status, chat_id } = result.rows[0];
+        const { status, chat_id, stop_conditions, account_id } = result.rows[0];
 
         // Don't send if cancelled
         if (status === 'cancelled') {
@@ -506,51 +918,73 @@ async function processScheduledMessage(job) {
             return { skipped: true, reason: 'cancelled' };
         }
 
-        // Verify session status before sending (safety net)
+        // Verify session state before sending (safety net)
         const sessionResult = await pool.query(
-            'SELECT status FROM sessions WHERE session_id = $1',
+            `SELECT status, form_completed_at, appointment_scheduled_at, meeting_start_at, meeting_canceled_at
+             FROM sessions WHERE session_id = $1`,
             [sessionId]
         );
-        const sessionStatus = sessionResult.rows[0]?.status;
-
-        // For appointment reminders - require completed session (form was filled)
-        if (messageType.startsWith('appointment_reminder')) {
-            if (sessionStatus !== 'completed') {
-                console.log(`⏭️  Skipping ${messageType} - session not completed (status: ${sessionStatus})`);
-                await pool.query(
-                    `UPDATE scheduled_messages SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-                    [scheduledMessageId]
-                );
-                return { skipped: true, reason: 'session_not_completed' };
-            }
-        }
-
-        // For form reminders - require active session (form not yet completed)
-        if (messageType === 'form_reminder_19pm' || messageType === 'video_testimonial') {
-            if (sessionStatus !== 'active') {
-                console.log(`⏭️  Skipping ${messageType} - session not active (status: ${sessionStatus})`);
-                await pool.query(
-                    `UPDATE scheduled_messages SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-                    [scheduledMessageId]
-                );
-                return { skipped: true, reason: 'session_not_active' };
-            }
+        const session = sessionResult.rows[0] || null;
+
+        // Campaign steps carry their own stop conditions; older rows fall back to the message type
+        const stopWhen = stop_conditions || getDefaultStopConditions(messageType);
+        const metCondition = getMetStopCondition(stopWhen, session);
+
+        if (metCondition) {
+            console.log(`⏭️  Skipping ${messageType} - stop condition met: ${metCondition} (session status: ${session?.status})`);
+            await pool.query(
+                `UPDATE scheduled_messages SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [scheduledMessageId]
+            );
+            return { skipped: true, reason: metCondition };
         }
 
         // Use chatId from job data, or from database, or convert phone number
         const effectiveChatId = chatId || chat_id;
 
-        // Send the message directly via Baileys
-        await sendWhatsAppMessage(phoneNumber, messageContent, mediaUrl, effectiveChatId);
+        // Lead opted out after this was scheduled
+        if (await suppression.isSuppressed(phoneNumber) || await suppression.isSuppressed(effectiveChatId)) {
+            console.log(`⏭️  Skipping ${messageType} - ${phoneNumber} has opted out`);
+            await pool.query(
+                `UPDATE scheduled_messages SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [scheduledMessageId]
+            );
+            return { skipped: true, reason: 'number_suppressed' };
+        }
 
-        // Update database status
+        // A salesperson is talking to the lead - hold until the handoff ends
+        const activeHandoff = await handoff.getActiveHandoff(phoneNumber) || await handoff.getActiveHandoff(effectiveChatId);
+        if (activeHandoff) {
+            return await holdScheduledMessage(job, activeHandoff, session);
+        }
+
+        // Closure day added after this was scheduled (holidays are already skipped when scheduling)
+        const today = getNowInIsrael();
+        if (holidays.isClosedDay(today.toISODate())) {
+            const heldUntil = getNextValidBusinessTime(today);
+            console.log(`📅 Holding ${messageType} for ${phoneNumber} - closed today, moved ${getScheduleDescription(heldUntil)}`);
+            return await holdForLater(job.data, heldUntil, session);
+        }
+
+        const content = await resolveMessageContent(job.data, result.rows[0]);
+
+        // Send the message directly via Baileys, from the account that owns the session
+        // (jobs queued before multi-account have no accountId in their data)
+        const sendResult = await sendWhatsAppMessage(phoneNumber, content, mediaUrl, effectiveChatId, {
+            accountId: accountId || account_id
+        });
+
+        // Update database status - the message key lets receipts move it to delivered/read (lib/receipts.js)
+        // (content is stored as sent, in case it was rendered again with progress)
         await pool.query(
             `UPDATE scheduled_messages
              SET status = 'sent',
+                 message_key_id = $2,
+                 message_content = $3,
                  sent_at = CURRENT_TIMESTAMP,
                  updated_at = CURRENT_TIMESTAMP
              WHERE id = $1`,
-            [scheduledMessageId]
+            [scheduledMessageId, sendResult.messageId || null, content]
         );
 
         console.log(`✅ Successfully sent ${messageType} to ${phoneNumber}`);
@@ -585,6 +1019,10 @@ async function processScheduledMessage(job) {
  * This should be called once when the server starts
  */
 function initializeWorker() {
+    // Called whenever a bot-enabled account connects - the single worker serves every account
+    if (workerInitialized) return;
+    workerInitialized = true;
+
     messageQueue.process(async (job) => {
         return await processScheduledMessage(job);
     });
@@ -595,21 +1033,28 @@ function initializeWorker() {
 /**
  * List all scheduled messages for a session (any status)
  * @param {string} sessionId - Session ID (optional, if null returns all)
+ * @param {string} accountId - Only messages sent by this account (optional)
  * @returns {Promise<Array>} List of messages
  */
-async function listSessionMessages(sessionId = null) {
+async function listSessionMessages(sessionId = null, accountId = null) {
     try {
         let query = `
             SELECT
                 id, session_id, phone_number, message_type,
-                scheduled_for, status, created_at, sent_at, job_id
+                scheduled_for, status, created_at, sent_at, delivered_at, read_at,
+                job_id, message_key_id, account_id
             FROM scheduled_messages
+            WHERE 1=1
         `;
         const params = [];
 
         if (sessionId) {
-            query += ` WHERE session_id = $1`;
             params.push(sessionId);
+            query += ` AND session_id = $${params.length}`;
+        }
+        if (accountId) {
+            params.push(accountId);
+            query += ` AND account_id = $${params.length}`;
         }
 
         query += ` ORDER BY created_at DESC LIMIT 100`;
@@ -624,9 +1069,10 @@ async function listSessionMessages(sessionId = null) {
 
 /**
  * List all pending scheduled messages
+ * @param {string} accountId - Only messages sent by this account (optional)
  * @returns {Promise<Array>} List of pending messages
  */
-async function listPendingJobs() {
+async function listPendingJobs(accountId = null) {
     try {
         const result = await pool.query(`
             SELECT
@@ -637,14 +1083,17 @@ async function listPendingJobs() {
                 scheduled_for,
                 status,
                 created_at,
-                job_id
+                job_id,
+                account_id
             FROM scheduled_messages
             WHERE status = 'pending'
+              AND ($1::text IS NULL OR account_id = $1)
             ORDER BY scheduled_for ASC
-        `);
+        `, [accountId]);
 
         return result.rows.map(row => ({
             id: row.id,
+            accountId: row.account_id,
             sessionId: row.session_id,
             phone: row.phone_number,
             type: row.message_type,
@@ -710,14 +1159,21 @@ module.exports = {
     // Scheduling functions
     scheduleMessage,
     scheduleChatbotLink,
-    schedule19pmReminder,
-    scheduleVideoTestimonial,
-    scheduleAppointmentReminders,
+    startCampaign,
+    scheduleMeetingReminders,
 
     // Cancellation functions
     cancelScheduledMessage,
     cancelSessionMessages,
     cancelAllPendingMessages,
+    cancelPhoneMessages,
+
+    // Admin functions
+    getScheduledMessage,
+    rescheduleScheduledMessage,
+    sendScheduledMessageNow,
+    retryScheduledMessage,
+    retryFailedMessages,
 
     // Sending functions
     sendWhatsAppMessage,
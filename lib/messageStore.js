@@ -0,0 +1,365 @@
+/**
+ * Message Store
+ * Persists inbound and outbound WhatsApp messages in PostgreSQL
+ *
+ * Baileys has no chat/message history API (makeInMemoryStore was removed in 6.7.x),
+ * so every message we see or send is recorded here. /api/chats and /api/messages
+ * are built on top of this table.
+ */
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Normalize a chat ID so the same conversation is always stored under one key
+ * "972501234567@c.us" and "972501234567:12@s.whatsapp.net" -> "972501234567@s.whatsapp.net"
+ * @param {string} chatId - WhatsApp chat ID
+ * @returns {string|null} Normalized chat ID
+ */
+function normalizeChatId(chatId) {
+    if (!chatId) return null;
+
+    const [user, server] = chatId.split('@');
+    if (!server) {
+        // Bare phone number
+        return `${user.replace(/\D/g, '')}@s.whatsapp.net`;
+    }
+
+    const cleanUser = user.split(':')[0];
+    const cleanServer = server === 'c.us' ? 's.whatsapp.net' : server;
+    return `${cleanUser}@${cleanServer}`;
+}
+
+/**
+ * Convert a Baileys messageTimestamp (number, string or Long) to a Date
+ * @param {number|string|Object} timestamp - Unix timestamp in seconds
+ * @returns {Date} JavaScript Date
+ */
+function toTimestampDate(timestamp) {
+    if (!timestamp) return new Date();
+
+    const seconds = typeof timestamp === 'object' && typeof timestamp.toNumber === 'function'
+        ? timestamp.toNumber()
+        : Number(timestamp);
+
+    return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : new Date();
+}
+
+/**
+ * Extract the text body and content type from a Baileys message payload
+ * @param {Object} message - msg.message from Baileys
+ * @returns {Object} { body, type }
+ */
+function extractMessageContent(message) {
+    if (!message) {
+        return { body: '', type: 'unknown' };
+    }
+
+    // Unwrap ephemeral / view-once containers
+    const inner = message.ephemeralMessage?.message
+        || message.viewOnceMessage?.message
+        || message.viewOnceMessageV2?.message
+        || message;
+
+    if (inner.conversation) {
+        return { body: inner.conversation, type: 'text' };
+    }
+    if (inner.extendedTextMessage) {
+        return { body: inner.extendedTextMessage.text || '', type: 'text' };
+    }
+    if (inner.imageMessage) {
+        return { body: inner.imageMessage.caption || '', type: 'image' };
+    }
+    if (inner.videoMessage) {
+        return { body: inner.videoMessage.caption || '', type: 'video' };
+    }
+    if (inner.audioMessage) {
+        return { body: '', type: 'audio' };
+    }
+    if (inner.documentMessage) {
+        return {
+            body: inner.documentMessage.caption || inner.documentMessage.fileName || '',
+            type: 'document'
+        };
+    }
+    if (inner.documentWithCaptionMessage?.message?.documentMessage) {
+        const doc = inner.documentWithCaptionMessage.message.documentMessage;
+        return { body: doc.caption || doc.fileName || '', type: 'document' };
+    }
+    if (inner.stickerMessage) {
+        return { body: '', type: 'sticker' };
+    }
+    if (inner.contactMessage) {
+        return { body: inner.contactMessage.displayName || '', type: 'contact' };
+    }
+    if (inner.locationMessage) {
+        return { body: inner.locationMessage.name || inner.locationMessage.address || '', type: 'location' };
+    }
+    if (inner.reactionMessage) {
+        return { body: inner.reactionMessage.text || '', type: 'reaction' };
+    }
+    if (inner.buttonsResponseMessage) {
+        return { body: inner.buttonsResponseMessage.selectedDisplayText || '', type: 'text' };
+    }
+    if (inner.listResponseMessage) {
+        return { body: inner.listResponseMessage.title || '', type: 'text' };
+    }
+
+    return { body: '', type: 'unknown' };
+}
+
+/**
+ * Store a single message
+ * Duplicate deliveries of the same message (e.g. our own sends echoed back
+ * through messages.upsert) are ignored via the (chat_id, message_id) unique key.
+ * @param {Object} params - Message fields
+ * @param {string} params.messageId - Baileys message key id
+ * @param {string} params.chatId - Chat ID (phone JID, resolved from LID when possible)
+ * @param {string} params.remoteJid - Raw remoteJid from the message key (may be a LID)
+ * @param {boolean} params.fromMe - True for outbound messages
+ * @param {string} params.senderName - Push name of the sender (inbound only)
+ * @param {string} params.body - Text body or caption
+ * @param {string} params.messageType - text, image, video, audio, document, sticker, ...
+ * @param {string} params.mediaUrl - Media URL for outbound media sends
+ * @param {Date} params.timestamp - When the message was sent
+ * @param {string} params.deliveryStatus - Outbound only: 'sent' (default) or 'failed'
+ * @returns {Promise<boolean>} True if stored
+ */
+async function storeMessage({
+    messageId,
+    chatId,
+    remoteJid = null,
+    fromMe = false,
+    senderName = null,
+    body = '',
+    messageType = 'text',
+    mediaUrl = null,
+    timestamp = new Date(),
+    deliveryStatus = null
+}) {
+    if (!dbPool) {
+        return false;
+    }
+
+    const normalizedChatId = normalizeChatId(chatId);
+    if (!normalizedChatId) {
+        return false;
+    }
+
+    // Outbound sends without a returned key still get stored with a local ID
+    const effectiveMessageId = messageId || `local-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+    try {
+        await dbPool.query(`
+            INSERT INTO messages
+                (message_id, chat_id, remote_jid, from_me, sender_name, body, message_type, media_url, timestamp, is_read, delivery_status)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (chat_id, message_id) DO NOTHING
+        `, [
+            effectiveMessageId,
+            normalizedChatId,
+            remoteJid || chatId,
+            fromMe,
+            senderName,
+            body || '',
+            messageType,
+            mediaUrl,
+            timestamp,
+            fromMe, // Outbound messages never count as unread
+            fromMe ? (deliveryStatus || 'sent') : null
+        ]);
+        return true;
+    } catch (error) {
+        console.error('❌ [MESSAGE-STORE] Error storing message:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Store a message received through the Baileys messages.upsert event
+ * @param {Object} msg - Baileys WAMessage
+ * @param {string} chatId - Resolved chat ID (LID already mapped to phone when possible)
+ * @returns {Promise<boolean>} True if stored
+ */
+async function storeBaileysMessage(msg, chatId) {
+    if (!msg?.key || !msg.message) {
+        return false;
+    }
+
+    const { body, type } = extractMessageContent(msg.message);
+
+    // Protocol messages (deletes, key distribution, etc.) carry no content
+    if (type === 'unknown') {
+        return false;
+    }
+
+    return storeMessage({
+        messageId: msg.key.id,
+        chatId: chatId || msg.key.remoteJid,
+        remoteJid: msg.key.remoteJid,
+        fromMe: !!msg.key.fromMe,
+        senderName: msg.key.fromMe ? null : (msg.pushName || null),
+        body,
+        messageType: type,
+        timestamp: toTimestampDate(msg.messageTimestamp)
+    });
+}
+
+/**
+ * Store an outbound message after a sendMessage call
+ * @param {string} chatId - Chat the message was sent to
+ * @param {Object} sendResult - Return value of sock.sendMessage (undefined if the send threw)
+ * @param {Object} content - { body, messageType, mediaUrl, deliveryStatus ('failed' for sends that threw) }
+ * @returns {Promise<boolean>} True if stored
+ */
+async function storeOutgoingMessage(chatId, sendResult, { body = '', messageType = 'text', mediaUrl = null, deliveryStatus = 'sent' } = {}) {
+    return storeMessage({
+        messageId: sendResult?.key?.id,
+        chatId,
+        remoteJid: sendResult?.key?.remoteJid || chatId,
+        fromMe: true,
+        body,
+        messageType,
+        mediaUrl,
+        timestamp: sendResult?.messageTimestamp ? toTimestampDate(sendResult.messageTimestamp) : new Date(),
+        deliveryStatus
+    });
+}
+
+/**
+ * Get paginated chat list with last message and unread count
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { chats, total }
+ */
+async function getChats({ limit = 50, offset = 0 } = {}) {
+    if (!dbPool) {
+        return { chats: [], total: 0 };
+    }
+
+    try {
+        const result = await dbPool.query(`
+            WITH last_messages AS (
+                SELECT DISTINCT ON (chat_id)
+                    chat_id, message_id, from_me, body, message_type, timestamp
+                FROM messages
+                ORDER BY chat_id, timestamp DESC, id DESC
+            )
+            SELECT
+                l.chat_id,
+                l.message_id,
+                l.from_me,
+                l.body,
+                l.message_type,
+                l.timestamp,
+                COALESCE(
+                    (SELECT n.sender_name FROM messages n
+                     WHERE n.chat_id = l.chat_id AND n.from_me = false AND n.sender_name IS NOT NULL
+                     ORDER BY n.timestamp DESC LIMIT 1),
+                    (SELECT lm.name FROM lid_mappings lm
+                     WHERE lm.phone_number = split_part(l.chat_id, '@', 1) AND lm.name IS NOT NULL
+                     LIMIT 1)
+                ) AS name,
+                (SELECT COUNT(*) FROM messages u
+                 WHERE u.chat_id = l.chat_id AND u.from_me = false AND u.is_read = false) AS unread_count
+            FROM last_messages l
+            ORDER BY l.timestamp DESC
+            LIMIT $1 OFFSET $2
+        `, [limit, offset]);
+
+        const totalResult = await dbPool.query('SELECT COUNT(DISTINCT chat_id) AS count FROM messages');
+
+        return {
+            chats: result.rows,
+            total: parseInt(totalResult.rows[0].count)
+        };
+    } catch (error) {
+        console.error('❌ [MESSAGE-STORE] Error getting chats:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get paginated message history, newest first
+ * @param {Object} options - { chatId, limit, offset }
+ * @returns {Promise<Object>} { messages, total }
+ */
+async function getMessages({ chatId = null, limit = 50, offset = 0 } = {}) {
+    if (!dbPool) {
+        return { messages: [], total: 0 };
+    }
+
+    const params = [];
+    let where = '';
+
+    if (chatId) {
+        params.push(normalizeChatId(chatId));
+        where = `WHERE chat_id = $${params.length}`;
+    }
+
+    try {
+        const totalResult = await dbPool.query(
+            `SELECT COUNT(*) AS count FROM messages ${where}`,
+            params
+        );
+
+        const result = await dbPool.query(`
+            SELECT id, message_id, chat_id, from_me, sender_name, body,
+                   message_type, media_url, timestamp, is_read,
+                   delivery_status, delivered_at, read_at
+            FROM messages
+            ${where}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        return {
+            messages: result.rows,
+            total: parseInt(totalResult.rows[0].count)
+        };
+    } catch (error) {
+        console.error('❌ [MESSAGE-STORE] Error getting messages:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Mark all inbound messages in a chat as read
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array>} Keys of the messages that were unread (for sending read receipts)
+ */
+async function markChatRead(chatId) {
+    if (!dbPool) {
+        return [];
+    }
+
+    try {
+        const result = await dbPool.query(`
+            UPDATE messages
+            SET is_read = true
+            WHERE chat_id = $1 AND from_me = false AND is_read = false
+            RETURNING message_id, remote_jid
+        `, [normalizeChatId(chatId)]);
+
+        return result.rows
+            .filter(row => !row.message_id.startsWith('local-'))
+            .map(row => ({ remoteJid: row.remote_jid, id: row.message_id, fromMe: false }));
+    } catch (error) {
+        console.error('❌ [MESSAGE-STORE] Error marking chat read:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    setDbPool,
+    normalizeChatId,
+    extractMessageContent,
+    storeMessage,
+    storeBaileysMessage,
+    storeOutgoingMessage,
+    getChats,
+    getMessages,
+    markChatRead
+};
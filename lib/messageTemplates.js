@@ -1,8 +1,9 @@
 /**
  * WhatsApp Bot Message Templates
  *
- * This module contains all 11 message templates used by the WhatsApp bot.
- * Each template supports variable substitution for dynamic content.
+ * This module contains the message templates used by the WhatsApp bot.
+ * Each template supports {{variable}} substitution for dynamic content.
+ * Copy edited through the admin API (messageCopy.js) replaces the defaults below.
  *
  * Source: /docs/bot-messages.md
  */
@@ -19,12 +20,25 @@ const MESSAGE_TYPES = {
     APPOINTMENT_REMINDER_2: 'appointment_reminder_2',
     APPOINTMENT_REMINDER_3: 'appointment_reminder_3',
     APPOINTMENT_REMINDER_4: 'appointment_reminder_4',
-    ACTIVE_SESSION_REMINDER: 'active_session_reminder'
+    ACTIVE_SESSION_REMINDER: 'active_session_reminder',
+    MEETING_REMINDER_24H: 'meeting_reminder_24h',
+    MEETING_REMINDER_1H: 'meeting_reminder_1h'
 };
 
-// Static message templates (no variables)
-const STATIC_MESSAGES = {
-    [MESSAGE_TYPES.INTRODUCTION]: `*תודה שפנית, נעים מאוד שמי אבי ישי 😊*
+const crypto = require('crypto');
+const messageCopy = require('./messageCopy');
+const { extractVariables, interpolate } = require('./templateVariables');
+const { getSummaryVariableNames } = require('./questionnaire');
+
+// Booking page linked from the appointment messages (overridable per send with the appointmentUrl variable)
+const DEFAULT_APPOINTMENT_URL = 'https://lp.baz-f.co.il/';
+
+/**
+ * Default copy of every message type, used until copy is edited through the admin API (messageCopy.js).
+ * {{variable}} placeholders are filled by getMessage().
+ */
+const DEFAULT_COPY = {
+    [MESSAGE_TYPES.INTRODUCTION]: process.env.BOT_INTRODUCTION_MESSAGE || `*תודה שפנית, נעים מאוד שמי אבי ישי 😊*
 בעלים של בז פיננסים, כלכלן בעל תואר B.A במנהל עסקים ומחזיק ברישיון פנסיוני עם ניסיון של מעל 20 שנה.
 
 חברתנו מעניקה פתרונות במגוון תחומים:
@@ -38,127 +52,173 @@ const STATIC_MESSAGES = {
 *✅ ייעוץ משכנתאות*
 *✅ פתרונות אשראי נוספים*`,
 
-    [MESSAGE_TYPES.VIDEO_TESTIMONIAL]: `משתף אותכם בחוויה שעברו משפחת יוסף
+    // Message #2 - BOT_CHATBOT_LINK_MESSAGE may still use the old single-brace {chatbotUrl}
+    [MESSAGE_TYPES.CHATBOT_LINK]: (process.env.BOT_CHATBOT_LINK_MESSAGE || '').replace('{chatbotUrl}', '{{chatbotUrl}}') ||
+        `📝 *הכנתי לך 10 שאלות קצרות כדי שאוכל למפות את עולמכם הפיננסי בהתאמה אישית*
+
+*כנסו ללינק:*
+👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
+
+{{chatbotUrl}}
+
+*💥הקישור תקף ל-24 שעות💥*`,
+
+    // Message #3
+    [MESSAGE_TYPES.FORM_REMINDER_19PM]: `שוב שלום 😊{{progressText}}
+
+כדי שנוכל להמשיך בתהליך, יש למלא את השאלון הקצר ממש דקה מזמנך.
+
+👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
+
+{{chatbotUrl}}`,
+
+    // Message #4: Video caption
+    [MESSAGE_TYPES.VIDEO_TESTIMONIAL]: process.env.BOT_VIDEO_CAPTION || `משתף אותכם בחוויה שעברו משפחת יוסף
 ד"ר חזי מנכ"ל כפר הנוער כנות ורעייתו מיכל`,
 
+    // Message #5
+    [MESSAGE_TYPES.FORM_SUMMARY]: `*🙏🏻 תודה רבה על מילוי השאלון!*
+
+*✍🏻 סיכום הפרטים שלך:*
+
+{{summaryLines}}`,
+
     [MESSAGE_TYPES.APPOINTMENT_LINK]: `📅 *עכשיו נשאר רק לקבוע שיחה קצרה לעבור על הדברים.*
 
 *ניתן לשריין זמן שנוח לך*
 
 👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
 
-*כנסו ללינק: https://lp.baz-f.co.il/*`,
+*כנסו ללינק: {{appointmentUrl}}*`,
 
     [MESSAGE_TYPES.APPOINTMENT_REMINDER_1]: `📅 ראיתי שטרם נקבעה פגישה. מניח את הלינק פה שוב אשמח שנתאם.
 
 👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
 
-כנסו ללינק: https://lp.baz-f.co.il/`,
+כנסו ללינק: {{appointmentUrl}}`,
 
     [MESSAGE_TYPES.APPOINTMENT_REMINDER_2]: `📅 היי עדיין לא נקבעה פגישה, אנחנו בהחלט יכולים לעזור בעולמות הפנסיוניים והפיננסים, בלינק הבא ישנן המלצות מלקוחות שכבר עברו תהליך וגם מכאן ניתן לתאם פגישה
 
 👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
 
-כנסו ללינק: https://lp.baz-f.co.il/`,
+כנסו ללינק: {{appointmentUrl}}`,
 
     [MESSAGE_TYPES.APPOINTMENT_REMINDER_3]: `היי שוב אני לא נעים להציק לך, שלב ראשון של מילוי השאלון כבר מאחורינו ולצורך בדיקת התאמה יש להיכנס ללינק לקביעת פגישה
 
 👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
 
-כנסו ללינק: https://lp.baz-f.co.il`,
+כנסו ללינק: {{appointmentUrl}}`,
 
     [MESSAGE_TYPES.APPOINTMENT_REMINDER_4]: `היי עדיין לא נקבע פגישה "חבל" כבר קיבלנו תשובות לשאלון.
 
-מתי עדיפו שנחזר אליכם:  בבין השעות 9:00 עד 12:00  או 13:00 ל-15:00.
+מתי עדיפו שנחזור אליכם:  בבין השעות 9:00 עד 12:00  או 13:00 ל-15:00.
 
 👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
 
-כנסו ללינק: https://lp.baz-f.co.il/`
-};
+כנסו ללינק: {{appointmentUrl}}`,
 
-// Dynamic message template functions (with variable substitution)
-const DYNAMIC_MESSAGES = {
-    /**
-     * Message #2: Chatbot Link
-     * Variables: {chatbotUrl}
-     */
-    [MESSAGE_TYPES.CHATBOT_LINK]: (variables) => {
-        const { chatbotUrl } = variables;
-        return `📝 *הכנתי לך 10 שאלות קצרות כדי שאוכל למפות את עולמכם הפיננסי בהתאמה אישית*
+    // Message #13
+    [MESSAGE_TYPES.ACTIVE_SESSION_REMINDER]: `יש לך טופס פתוח! ⏳
 
-*כנסו ללינק:*
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
+המשך/י למלא כאן:
+{{chatbotUrl}}`,
 
-${chatbotUrl}
+    // ~24 hours before the booked call
+    [MESSAGE_TYPES.MEETING_REMINDER_24H]: `📅 *תזכורת: השיחה שלנו נקבעה ל{{meetingDay}}, {{meetingDate}} בשעה {{meetingTime}}*
 
-*💥הקישור תקף ל-24 שעות💥*`;
-    },
+להוספה ליומן:
+👇🏻👇🏻👇🏻
+{{calendarUrl}}{{rescheduleText}}`,
 
-    /**
-     * Message #3: Form Reminder at 19:00
-     * Variables: {chatbotUrl}
-     */
-    [MESSAGE_TYPES.FORM_REMINDER_19PM]: (variables) => {
-        const { chatbotUrl } = variables;
-        return `שוב שלום 😊
+    // 1 hour before the booked call
+    [MESSAGE_TYPES.MEETING_REMINDER_1H]: `⏰ *בעוד שעה ({{meetingTime}}) מתחילה השיחה שלנו*
 
-כדי שנוכל להמשיך בתהליך, יש למלא את השאלון הקצר ממש דקה מזמנך.
+מחכה לך! 😊
 
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
+להוספה ליומן:
+{{calendarUrl}}`
+};
 
-${chatbotUrl}`;
+// Variables each message type is rendered with (required ones are checked by validateVariables)
+const MESSAGE_VARIABLES = {
+    [MESSAGE_TYPES.CHATBOT_LINK]: { required: ['chatbotUrl'] },
+    // Progress variables are only set when the lead already started the questionnaire (formProgress.js)
+    [MESSAGE_TYPES.FORM_REMINDER_19PM]: {
+        required: ['chatbotUrl'],
+        optional: ['answeredCount', 'totalCount', 'nextQuestion', 'progressText']
     },
-
-    /**
-     * Message #5: Form Summary
-     * Variables: {name, ageGroup, financialGoal, maritalStatus, employmentStatus,
-     *            pensionContributions, monthlySalary, pensionCapital,
-     *            savingsAndInvestments, investmentLocation, mortgage}
-     */
-    [MESSAGE_TYPES.FORM_SUMMARY]: (variables) => {
-        const {
-            name,
-            ageGroup,
-            financialGoal,
-            maritalStatus,
-            employmentStatus,
-            pensionContributions,
-            monthlySalary,
-            pensionCapital,
-            savingsAndInvestments,
-            investmentLocation,
-            mortgage
-        } = variables;
-
-        return `*🙏🏻 תודה רבה על מילוי השאלון!*
-
-*✍🏻 סיכום הפרטים שלך:*
-
-✅ *שם* : ${name}
-✅ *קבוצת גיל:* ${ageGroup}
-✅ *מטרה פיננסית:* ${financialGoal}
-✅ *מצב משפחתי :* ${maritalStatus}
-✅ *סטטוס תעסוקה :* ${employmentStatus}
-✅ *הפרשות פנסיוניות :* ${pensionContributions}
-✅ *שכר ברוטו חודשי :* ${monthlySalary} ₪
-✅ *הון פנסיוני :* ${pensionCapital}
-✅ *חסכונות והשקעות :* ${savingsAndInvestments}
-✅ *מיקום השקעות :* ${investmentLocation}
-✅ *משכנתא :* ${mortgage}`;
+    [MESSAGE_TYPES.ACTIVE_SESSION_REMINDER]: { required: ['chatbotUrl'] },
+    [MESSAGE_TYPES.MEETING_REMINDER_24H]: {
+        required: ['meetingDay', 'meetingDate', 'meetingTime', 'calendarUrl'],
+        optional: ['rescheduleUrl', 'rescheduleText']
     },
+    [MESSAGE_TYPES.MEETING_REMINDER_1H]: { required: ['meetingTime', 'calendarUrl'] },
+    // summaryLines is built from the questionnaire definition (forms.json); each answer is also available on its own
+    [MESSAGE_TYPES.FORM_SUMMARY]: {
+        required: ['summaryLines'],
+        optional: getSummaryVariableNames()
+    },
+    [MESSAGE_TYPES.APPOINTMENT_LINK]: { optional: ['appointmentUrl'] },
+    [MESSAGE_TYPES.APPOINTMENT_REMINDER_1]: { optional: ['appointmentUrl'] },
+    [MESSAGE_TYPES.APPOINTMENT_REMINDER_2]: { optional: ['appointmentUrl'] },
+    [MESSAGE_TYPES.APPOINTMENT_REMINDER_3]: { optional: ['appointmentUrl'] },
+    [MESSAGE_TYPES.APPOINTMENT_REMINDER_4]: { optional: ['appointmentUrl'] }
+};
 
-    /**
-     * Message #13: Active Session Reminder
-     * Variables: {chatbotUrl}
-     */
-    [MESSAGE_TYPES.ACTIVE_SESSION_REMINDER]: (variables) => {
-        const { chatbotUrl } = variables;
-        return `יש לך טופס פתוח! ⏳
+/**
+ * Variables computed from the caller's variables before rendering
+ * @param {Object} variables - Caller's variables
+ * @returns {Object} Variables used to fill the copy
+ */
+function withDefaultVariables(variables) {
+    const { rescheduleUrl, answeredCount, totalCount, nextQuestion } = variables;
+    return {
+        appointmentUrl: DEFAULT_APPOINTMENT_URL,
+        rescheduleText: rescheduleUrl
+            ? `
+
+לא מסתדר? ניתן לשנות מועד כאן:
+${rescheduleUrl}`
+            : '',
+        progressText: answeredCount
+            ? `
+
+כבר ענית על ${answeredCount} מתוך ${totalCount} שאלות 💪
+ממשיכים מהשאלה: ${nextQuestion}`
+            : '',
+        ...variables
+    };
+}
 
-המשך/י למלא כאן:
-${chatbotUrl}`;
+/**
+ * Copy a message type is currently sent with
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @returns {Object} { content, source: 'database'|'default', version }
+ */
+function getMessageCopy(messageType) {
+    if (!(messageType in DEFAULT_COPY)) {
+        throw new Error(`Unknown message type: ${messageType}`);
     }
-};
+
+    const edited = messageCopy.getActiveCopy(messageType);
+    return edited
+        ? { content: edited.content, source: 'database', version: edited.version }
+        : { content: DEFAULT_COPY[messageType], source: 'default', version: null };
+}
+
+/**
+ * Render copy for a message type (live copy unless content is given, e.g. for a preview)
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {Object} variables - Variables for the placeholders
+ * @param {Object} options
+ * @param {string} options.content - Copy to render instead of the live copy (optional)
+ * @param {boolean} options.keepMissing - Leave placeholders without a value visible (previews)
+ * @returns {string} Formatted message
+ */
+function renderMessage(messageType, variables = {}, { content = null, keepMissing = false } = {}) {
+    const copy = content !== null ? content : getMessageCopy(messageType).content;
+    return interpolate(copy, withDefaultVariables(variables), { keepMissing });
+}
 
 /**
  * Get a message template by type
@@ -167,17 +227,92 @@ ${chatbotUrl}`;
  * @returns {string} Formatted message
  */
 function getMessage(messageType, variables = {}) {
-    // Check if it's a static message
-    if (STATIC_MESSAGES[messageType]) {
-        return STATIC_MESSAGES[messageType];
+    return renderMessage(messageType, variables);
+}
+
+/**
+ * Pick one of a message type's active A/B variants by weight
+ * With an assignment key (the session id) the pick is stable: the same lead always gets the same variant
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {string} assignmentKey - Stable key for the lead (optional, random pick without it)
+ * @returns {Object|null} { key, content, weight }, or null when the type has no variants
+ */
+function chooseVariant(messageType, assignmentKey = null) {
+    const variants = messageCopy.getActiveVariants(messageType);
+    if (variants.length === 0) return null;
+
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const fraction = assignmentKey
+        ? parseInt(crypto.createHash('sha1').update(`${assignmentKey}:${messageType}`).digest('hex').slice(0, 8), 16) / 0x100000000
+        : Math.random();
+
+    let point = fraction * totalWeight;
+    for (const variant of variants) {
+        point -= variant.weight;
+        if (point < 0) return variant;
     }
+    return variants[variants.length - 1];
+}
 
-    // Check if it's a dynamic message
-    if (DYNAMIC_MESSAGES[messageType]) {
-        return DYNAMIC_MESSAGES[messageType](variables);
+/**
+ * Render a message type with an A/B variant (scheduled messages store the variant key)
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {Object} variables - Variables for the placeholders
+ * @param {Object} options
+ * @param {string} options.assignmentKey - Stable key for the lead, e.g. the session id (optional)
+ * @returns {Object} { content, variant } - variant is null when the type has no variants
+ */
+function renderMessageVariant(messageType, variables = {}, { assignmentKey = null } = {}) {
+    const variant = chooseVariant(messageType, assignmentKey);
+    if (!variant) {
+        return { content: getMessage(messageType, variables), variant: null };
     }
 
-    throw new Error(`Unknown message type: ${messageType}`);
+    return {
+        content: renderMessage(messageType, variables, { content: variant.content }),
+        variant: variant.key
+    };
+}
+
+/**
+ * Render a message type with a given A/B variant's copy (e.g. when re-rendering a scheduled message)
+ * Falls back to the live copy when the variant is the control or no longer active
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {Object} variables - Variables for the placeholders
+ * @param {string} variantKey - Variant the message was assigned (optional)
+ * @returns {string} Formatted message
+ */
+function renderMessageForVariant(messageType, variables = {}, variantKey = null) {
+    const variant = messageCopy.getActiveVariants(messageType).find(candidate => candidate.key === variantKey);
+    return renderMessage(messageType, variables, { content: variant?.content ?? null });
+}
+
+/**
+ * Variables a message type's copy may use
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @returns {Object} { required: string[], optional: string[] }
+ */
+function getMessageVariables(messageType) {
+    const { required = [], optional = [] } = MESSAGE_VARIABLES[messageType] || {};
+    return { required, optional };
+}
+
+/**
+ * Check edited copy before it's stored: only the message type's variables may be used
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {string} content - Copy to check
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+function validateCopy(messageType, content) {
+    if (!(messageType in DEFAULT_COPY)) return [`Unknown message type: ${messageType}`];
+    if (typeof content !== 'string' || !content.trim()) return ['content must be a non-empty string'];
+
+    const { required, optional } = getMessageVariables(messageType);
+    const unknown = extractVariables(content).filter(name => !required.includes(name) && !optional.includes(name));
+
+    return unknown.length > 0
+        ? [`${messageType} has no variables named: ${unknown.join(', ')} (available: ${[...required, ...optional].join(', ') || 'none'})`]
+        : [];
 }
 
 /**
@@ -187,30 +322,7 @@ function getMessage(messageType, variables = {}) {
  * @returns {boolean} True if valid, throws error if invalid
  */
 function validateVariables(messageType, variables) {
-    const requiredVariables = {
-        [MESSAGE_TYPES.CHATBOT_LINK]: ['chatbotUrl'],
-        [MESSAGE_TYPES.FORM_REMINDER_19PM]: ['chatbotUrl'],
-        [MESSAGE_TYPES.ACTIVE_SESSION_REMINDER]: ['chatbotUrl'],
-        [MESSAGE_TYPES.FORM_SUMMARY]: [
-            'name',
-            'ageGroup',
-            'financialGoal',
-            'maritalStatus',
-            'employmentStatus',
-            'pensionContributions',
-            'monthlySalary',
-            'pensionCapital',
-            'savingsAndInvestments',
-            'investmentLocation',
-            'mortgage'
-        ]
-    };
-
-    const required = requiredVariables[messageType];
-    if (!required) {
-        // No required variables for this message type
-        return true;
-    }
+    const { required } = getMessageVariables(messageType);
 
     const missing = required.filter(key => !(key in variables));
     if (missing.length > 0) {
@@ -306,6 +418,21 @@ function getMessageMetadata(messageType) {
             trigger: 'user_message_when_session_active',
             requiresVariables: true,
             schedulable: false
+        },
+        [MESSAGE_TYPES.MEETING_REMINDER_24H]: {
+            timing: '24h_before_meeting',
+            trigger: 'meeting_booked',
+            requiresVariables: true,
+            schedulable: true,
+            respectsWeekend: true,
+            businessHours: '9:00-20:00'
+        },
+        [MESSAGE_TYPES.MEETING_REMINDER_1H]: {
+            timing: '1h_before_meeting',
+            trigger: 'meeting_booked',
+            requiresVariables: true,
+            schedulable: true,
+            respectsWeekend: false
         }
     };
 
@@ -314,7 +441,15 @@ function getMessageMetadata(messageType) {
 
 module.exports = {
     MESSAGE_TYPES,
+    DEFAULT_COPY,
     getMessage,
+    getMessageCopy,
+    renderMessage,
+    chooseVariant,
+    renderMessageVariant,
+    renderMessageForVariant,
+    getMessageVariables,
+    validateCopy,
     validateVariables,
     getMessageMetadata
 };
@@ -5,28 +5,27 @@
  * Replaces the previous Make.com webhook integration.
  */
 
+const { buildMondayColumns } = require('./questionnaire');
+
 const MONDAY_API_URL = 'https://api.monday.com/v2';
 const MONDAY_API_TOKEN = process.env.MONDAY_API_TOKEN;
 const MONDAY_BOARD_ID = process.env.MONDAY_BOARD_ID || '1682160309';
 
 // Column ID mapping for the leads board
+// Questionnaire answer columns are defined per field in forms.json (mondayColumn)
 const COLUMN_IDS = {
     phone: 'lead_phone',
-    age: 'text_mky9mxvj',
-    goal: 'text_mky9afk9',
-    familyStatus: 'text_mky910dn',
-    employment: 'text_mky922qm',
-    pensionContributions: 'text_mky9z7kz',
-    salary: 'text_mky9bspx',
-    pensionCapital: 'text_mky9nmrp',
-    savings: 'text_mky9m0h3',
-    investments: 'text_mky9gpfx',
-    knowsReturn: 'text_mky9qspa',
-    returnRate: 'text_mky9sd34',
-    mortgage: 'text_mky9pw11',
     leadStatus: 'color__1'
 };
 
+// Click-to-WhatsApp ad attribution columns - only sent when configured (not every board has them)
+const AD_COLUMN_IDS = {
+    adId: process.env.MONDAY_COLUMN_AD_ID,
+    adHeadline: process.env.MONDAY_COLUMN_AD_HEADLINE,
+    adSourceUrl: process.env.MONDAY_COLUMN_AD_SOURCE_URL,
+    ctwaClid: process.env.MONDAY_COLUMN_CTWA_CLID
+};
+
 /**
  * Format phone number for Monday.com phone column
  * @param {string} phone - Phone number
@@ -58,54 +57,8 @@ function buildColumnValues(formData, phoneNumber) {
         columnValues[COLUMN_IDS.phone] = formatPhone(phoneNumber);
     }
 
-    // Text fields - direct mapping
-    if (formData.age) {
-        columnValues[COLUMN_IDS.age] = formData.age;
-    }
-
-    if (formData.goal) {
-        columnValues[COLUMN_IDS.goal] = formData.goal;
-    }
-
-    if (formData.status) {
-        columnValues[COLUMN_IDS.familyStatus] = formData.status;
-    }
-
-    if (formData.employment) {
-        columnValues[COLUMN_IDS.employment] = formData.employment;
-    }
-
-    if (formData.pension) {
-        columnValues[COLUMN_IDS.pensionContributions] = formData.pension;
-    }
-
-    if (formData.salary) {
-        columnValues[COLUMN_IDS.salary] = formData.salary;
-    }
-
-    if (formData.pensionAmount) {
-        columnValues[COLUMN_IDS.pensionCapital] = formData.pensionAmount;
-    }
-
-    if (formData.savings) {
-        columnValues[COLUMN_IDS.savings] = formData.savings;
-    }
-
-    if (formData.investments) {
-        columnValues[COLUMN_IDS.investments] = formData.investments;
-    }
-
-    if (formData.knowsReturn) {
-        columnValues[COLUMN_IDS.knowsReturn] = formData.knowsReturn;
-    }
-
-    if (formData.return) {
-        columnValues[COLUMN_IDS.returnRate] = formData.return;
-    }
-
-    if (formData.mortgage) {
-        columnValues[COLUMN_IDS.mortgage] = formData.mortgage;
-    }
+    // Questionnaire answers - text columns from the form definition
+    Object.assign(columnValues, buildMondayColumns(formData));
 
     // Set lead status to "ליד חדש" (index 0)
     columnValues[COLUMN_IDS.leadStatus] = { index: 0 };
@@ -113,9 +66,31 @@ function buildColumnValues(formData, phoneNumber) {
     return JSON.stringify(columnValues);
 }
 
+/**
+ * Add CTWA ad referral values to a column values object
+ * @param {object} columnValues - Parsed column values
+ * @param {object} referral - Ad referral (see lib/adReferral.js)
+ */
+function addReferralColumns(columnValues, referral) {
+    if (!referral) return;
+
+    const values = {
+        adId: referral.adId,
+        adHeadline: referral.headline,
+        adSourceUrl: referral.sourceUrl,
+        ctwaClid: referral.ctwaClid
+    };
+
+    for (const [field, columnId] of Object.entries(AD_COLUMN_IDS)) {
+        if (columnId && values[field]) {
+            columnValues[columnId] = String(values[field]);
+        }
+    }
+}
+
 /**
  * Create a new lead in Monday.com
- * @param {object} data - Lead data including formData, phone_number, name, etc.
+ * @param {object} data - Lead data including formData, phone_number, name, referral (CTWA ad), etc.
  * @returns {Promise<object>} Monday.com API response
  */
 async function createLead(data) {
@@ -123,9 +98,15 @@ async function createLead(data) {
         throw new Error('MONDAY_API_TOKEN environment variable is not set');
     }
 
-    const { name, phone_number, ...formData } = data;
+    const { name, phone_number, referral, ...formData } = data;
     const itemName = name || 'ליד חדש';
-    const columnValues = buildColumnValues(formData, phone_number);
+    const parsedColumns = JSON.parse(buildColumnValues(formData, phone_number));
+    addReferralColumns(parsedColumns, referral);
+    const columnValues = JSON.stringify(parsedColumns);
+
+    if (referral) {
+        console.log(`📣 Lead came from ad ${referral.adId || '-'} (${referral.headline || 'no headline'})`);
+    }
 
     const query = `
         mutation {
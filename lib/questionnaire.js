@@ -0,0 +1,473 @@
+/**
+ * Questionnaire Definition
+ * The lead questionnaire is defined once, in forms.json, and everything else derives from it:
+ * - the web chatbot (chatbot/index.html) renders it from GET /api/forms/:id
+ * - the in-WhatsApp flow (chatQuestionnaire.js) asks the same questions
+ * - submissions are validated and sanitized against it (api/submit-form.js)
+ * - the form summary (FORM_SUMMARY, stupid-bot's summary) and the Monday.com columns are built from its fields
+ *
+ * Form format:
+ * {
+ *   "id": "lead-questionnaire",
+ *   "fields": {                                    // Order = summary order
+ *     "age": {
+ *       "summary": { "label": "קבוצת גיל", "emoji": "🎂", "variable": "ageGroup", "suffix": "", "hideWhenEmpty": false },
+ *       "mondayColumn": "text_mky9mxvj"              // Optional Monday.com column id
+ *     },
+ *     "privacyConsent": { "label": "אישור מדיניות הפרטיות" }  // Name in validation messages (default: summary label)
+ *   },
+ *   "steps": [
+ *     { "id": 3, "field": "age", "message": "...", "options": ["20-35", ...] },
+ *     { "id": 4, "field": "goal", "condition": { "field": "age", "value": "מעל 60" }, "options": [...] },
+ *     { "id": 10, "field": "salary", "inputType": "number", "min": 0, "max": 1000000 },
+ *     { "id": 18, "field": "name", "inputType": "text", "minLength": 2, "maxLength": 60 },
+ *     { "id": 19, "type": "closing", "options": ["לקביעת פגישה"], "link": "https://..." }
+ *   ]
+ * }
+ *
+ * Steps with a `field` are questions. A step with a `condition` is only asked when the earlier
+ * answer matches; otherwise the next applicable step is asked. Intro/closing steps are screens of
+ * the web chatbot only - in WhatsApp the intro message is already sent and completion sends the
+ * summary and appointment link (formSubmission.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMS_FILE = path.join(__dirname, '..', 'forms.json');
+
+// Form used by the bot, the web chatbot and submissions
+const DEFAULT_FORM_ID = 'lead-questionnaire';
+
+// Shown in summaries for questions without an answer
+const EMPTY_ANSWER = 'לא צוין';
+
+// Fields a submission may carry besides the answers (the chatbot forwards its UTM parameters)
+const SUBMISSION_EXTRA_FIELDS = ['utm_source', 'utm_campaign', 'utm_content'];
+const EXTRA_FIELD_MAX_LENGTH = 200;
+
+/**
+ * Load form definitions from forms.json
+ * @returns {Array} Forms
+ */
+function loadFormsFromFile() {
+    try {
+        return JSON.parse(fs.readFileSync(FORMS_FILE, 'utf8')).forms || [];
+    } catch (error) {
+        console.error('❌ [QUESTIONNAIRE] Error loading forms.json:', error.message);
+        return [];
+    }
+}
+
+const FORMS = loadFormsFromFile();
+
+/**
+ * Get a form definition
+ * @param {string} formId - Form id (default: the lead questionnaire)
+ * @returns {Object|null} Form
+ */
+function getForm(formId = DEFAULT_FORM_ID) {
+    return FORMS.find(form => form.id === formId) || null;
+}
+
+/**
+ * Form as served to the web chatbot (no CRM column ids)
+ * @param {string} formId - Form id
+ * @returns {Object|null} { id, title, version, steps }
+ */
+function getPublicForm(formId) {
+    const form = getForm(formId);
+    if (!form) return null;
+
+    const { id, title, version, steps } = form;
+    return { id, title, version, steps };
+}
+
+/**
+ * Question steps of a form (steps that collect a field)
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object[]} Steps
+ */
+function getQuestionSteps(form = getForm()) {
+    return form.steps.filter(step => step.field);
+}
+
+/**
+ * Get a step by id
+ * @param {number} stepId - Step id
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object|null} Step
+ */
+function getStep(stepId, form = getForm()) {
+    return getQuestionSteps(form).find(step => step.id === stepId) || null;
+}
+
+/**
+ * First question of the questionnaire
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} Step
+ */
+function getFirstStep(form = getForm()) {
+    return getQuestionSteps(form)[0];
+}
+
+/**
+ * Check a step's condition against the answers so far
+ * @param {Object} step - Step
+ * @param {Object} answers - Answers by field
+ * @returns {boolean} True if the step should be asked
+ */
+function isStepApplicable(step, answers) {
+    if (!step.condition) return true;
+
+    const { field, value } = step.condition;
+    const answer = answers[field];
+    return Array.isArray(value) ? value.includes(answer) : answer === value;
+}
+
+/**
+ * Drop answers to questions that don't apply with the other answers (a branch the lead left)
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} Answers on the lead's current path
+ */
+function pruneAnswers(answers, form = getForm()) {
+    let pruned = { ...answers };
+
+    // Dropping an answer can close a branch that depends on it - repeat until nothing changes
+    while (true) {
+        const askedFields = new Set(getQuestionSteps(form)
+            .filter(step => isStepApplicable(step, pruned))
+            .map(step => step.field));
+        const next = Object.fromEntries(Object.entries(pruned).filter(([field]) => askedFields.has(field)));
+
+        if (Object.keys(next).length === Object.keys(pruned).length) return next;
+        pruned = next;
+    }
+}
+
+/**
+ * Next question to ask after a step (same order and branching as the web chatbot)
+ * @param {number} currentId - Step just answered
+ * @param {Object} answers - Answers by field, including the current step
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object|null} Next step, or null when the questionnaire is complete
+ */
+function findNextStep(currentId, answers, form = getForm()) {
+    return getQuestionSteps(form).find(step => step.id > currentId && isStepApplicable(step, answers)) || null;
+}
+
+/**
+ * Number of questions a lead with these answers is asked in total (branching included)
+ * Branches that depend on a question not answered yet count as one question
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {number} Question count
+ */
+function countSteps(answers, form = getForm()) {
+    const pendingBranches = new Set();
+    let count = 0;
+
+    for (const step of getQuestionSteps(form)) {
+        if (step.condition && !(step.condition.field in answers)) {
+            pendingBranches.add(step.condition.field);
+        } else if (isStepApplicable(step, answers)) {
+            count++;
+        }
+    }
+    return count + pendingBranches.size;
+}
+
+/**
+ * Clean submitted text before it reaches the database, Monday.com and WhatsApp:
+ * control, zero-width and bidi control characters are dropped, whitespace collapsed
+ * @param {*} value - Submitted value
+ * @returns {string} Clean text
+ */
+function sanitizeText(value) {
+    return String(value)
+        .replace(/[\u0000-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check a free-text / number answer against its step's limits
+ * @param {Object} step - Step being answered
+ * @param {string} value - Answer
+ * @returns {Object} { value } (normalized) or { error } (Hebrew, shown to the lead)
+ */
+function checkInput(step, value) {
+    const text = sanitizeText(value ?? '');
+
+    if (step.inputType === 'number') {
+        const digits = text.replace(/[,₪\s]/g, '');
+        const amount = Number(digits);
+        if (!/^\d+(\.\d+)?$/.test(digits) || amount < step.min || amount > step.max) {
+            return { error: 'נא לרשום סכום בספרות בלבד (לדוגמה 12000)' };
+        }
+        return { value: digits };
+    }
+
+    if (text.length < (step.minLength || 1) || text.length > (step.maxLength || 500)) {
+        return { error: `נא לרשום בין ${step.minLength || 1} ל-${step.maxLength || 500} תווים` };
+    }
+    return { value: text };
+}
+
+/**
+ * Validate a typed reply to a step (WhatsApp)
+ * Option steps accept the option number ("2") or its exact text
+ * @param {Object} step - Step being answered
+ * @param {string} text - Reply text
+ * @returns {Object} { value } or { error } (Hebrew, shown to the lead)
+ */
+function parseAnswer(step, text) {
+    const reply = String(text || '').trim();
+
+    if (step.options) {
+        const number = parseInt(reply, 10);
+        if (/^\d+$/.test(reply) && number >= 1 && number <= step.options.length) {
+            return { value: step.options[number - 1] };
+        }
+
+        const option = step.options.find(candidate => candidate.toLowerCase() === reply.toLowerCase());
+        if (option) return { value: option };
+
+        return { error: `נא להשיב במספר בין 1 ל-${step.options.length}` };
+    }
+
+    return checkInput(step, reply);
+}
+
+/**
+ * Validate a chatbot answer to a step: option steps take the exact option text
+ * @param {Object} step - Step being answered
+ * @param {*} value - Answer
+ * @returns {Object} { value } (normalized) or { error } (Hebrew)
+ */
+function checkAnswer(step, value) {
+    if (value === undefined || value === null || value === '') {
+        return { error: 'נא לענות על השאלה' };
+    }
+
+    if (step.options) {
+        const option = step.options.find(candidate => candidate === sanitizeText(value));
+        return option ? { value: option } : { error: 'נא לבחור אחת מהאפשרויות' };
+    }
+
+    return checkInput(step, value);
+}
+
+/**
+ * Validate answers against the form
+ * Every question that applies to these answers must be answered with an allowed value; answers to
+ * questions that don't apply (the other branch) are dropped. Other fields are passed through untouched.
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} { answers (normalized), errors: [{ field, error }] }
+ */
+function validateAnswers(answers, form = getForm()) {
+    const normalized = { ...answers };
+    const errors = [];
+    const askedFields = new Set();
+
+    for (const step of getQuestionSteps(form)) {
+        if (!isStepApplicable(step, normalized)) continue;
+        askedFields.add(step.field);
+
+        const checked = checkAnswer(step, normalized[step.field]);
+        if (checked.error) {
+            errors.push({ field: step.field, error: checked.error });
+        } else {
+            normalized[step.field] = checked.value;
+        }
+    }
+
+    for (const step of getQuestionSteps(form)) {
+        if (!askedFields.has(step.field)) delete normalized[step.field];
+    }
+
+    return { answers: normalized, errors };
+}
+
+/**
+ * Validate and sanitize a complete form submission (POST /api/submit-form body without session_id)
+ * Only the form's fields and SUBMISSION_EXTRA_FIELDS are accepted; values must be text or numbers
+ * @param {Object} submitted - Submitted fields
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} { answers (sanitized), errors: [{ field, error }] } - errors are in Hebrew
+ */
+function validateSubmission(submitted, form = getForm()) {
+    const questionFields = new Set(getQuestionSteps(form).map(step => step.field));
+    const answers = {};
+    const errors = [];
+
+    for (const [field, value] of Object.entries(submitted || {})) {
+        if (!questionFields.has(field) && !SUBMISSION_EXTRA_FIELDS.includes(field)) {
+            errors.push({ field, error: 'שדה לא מוכר' });
+            continue;
+        }
+
+        // Empty values count as unanswered
+        if (value === undefined || value === null || value === '') continue;
+
+        if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+            errors.push({ field, error: 'ערך לא תקין' });
+            continue;
+        }
+
+        const text = sanitizeText(value);
+        if (SUBMISSION_EXTRA_FIELDS.includes(field) && text.length > EXTRA_FIELD_MAX_LENGTH) {
+            errors.push({ field, error: `עד ${EXTRA_FIELD_MAX_LENGTH} תווים` });
+            continue;
+        }
+        answers[field] = text;
+    }
+
+    // One error per field - a value already rejected above isn't also reported as unanswered
+    const validated = validateAnswers(answers, form);
+    const rejected = new Set(errors.map(({ field }) => field));
+    return {
+        answers: validated.answers,
+        errors: [...errors, ...validated.errors.filter(({ field }) => !rejected.has(field))]
+    };
+}
+
+/**
+ * How far a lead got: questions answered, questions in total and the next unanswered question
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} { answeredCount, totalCount, nextStep } - nextStep is null when every question is answered
+ */
+function summarizeProgress(answers, form = getForm()) {
+    const applicable = getQuestionSteps(form).filter(step => isStepApplicable(step, answers));
+
+    return {
+        answeredCount: applicable.filter(step => step.field in answers).length,
+        totalCount: countSteps(answers, form),
+        nextStep: applicable.find(step => !(step.field in answers)) || null
+    };
+}
+
+/**
+ * Summary lines of a submission, in the form's field order
+ * Fields without an answer show EMPTY_ANSWER, unless marked hideWhenEmpty
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object[]} [{ field, label, emoji, variable, value, suffix, answered }]
+ */
+function getSummaryEntries(answers, form = getForm()) {
+    const entries = [];
+
+    for (const [field, { summary }] of Object.entries(form.fields)) {
+        if (!summary) continue;
+
+        const answer = answers[field];
+        const answered = answer !== undefined && answer !== null && answer !== '';
+        if (!answered && summary.hideWhenEmpty) continue;
+
+        entries.push({
+            field,
+            label: summary.label,
+            emoji: summary.emoji || '✅',
+            variable: summary.variable || field,
+            value: answered ? String(answer) : EMPTY_ANSWER,
+            suffix: answered ? summary.suffix || '' : '',
+            answered
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Variables for the FORM_SUMMARY message: one per summary field plus the rendered summaryLines
+ * (field variables hold the bare answer; units such as ₪ are only added in summaryLines)
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} Variables
+ */
+function buildSummaryVariables(answers, form = getForm()) {
+    const entries = getSummaryEntries(answers, form);
+    const variables = Object.fromEntries(entries.map(entry => [entry.variable, entry.value]));
+
+    variables.summaryLines = entries.map(entry => `✅ *${entry.label}:* ${entry.value}${entry.suffix}`).join('\n');
+    return variables;
+}
+
+/**
+ * Summary variable names of a form (FORM_SUMMARY copy may use them)
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {string[]} Variable names
+ */
+function getSummaryVariableNames(form = getForm()) {
+    return Object.entries(form?.fields || {})
+        .filter(([, { summary }]) => summary)
+        .map(([field, { summary }]) => summary.variable || field);
+}
+
+/**
+ * Monday.com column values for the answered fields that have a column
+ * @param {Object} answers - Answers by field
+ * @param {Object} form - Form (default: the lead questionnaire)
+ * @returns {Object} { columnId: value }
+ */
+function buildMondayColumns(answers, form = getForm()) {
+    const columns = {};
+
+    for (const [field, { mondayColumn }] of Object.entries(form.fields)) {
+        const answer = answers[field];
+        if (mondayColumn && answer !== undefined && answer !== null && answer !== '') {
+            columns[mondayColumn] = String(answer);
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * WhatsApp text of a question: **bold** -> *bold*, [text](url) -> text: url, numbered options
+ * @param {Object} step - Step
+ * @param {Object} progress - { number, total } shown as "(3/10)" (optional)
+ * @returns {string} Message text
+ */
+function formatQuestion(step, progress = null) {
+    const message = step.message
+        .replace(/\*\*(.*?)\*\*/g, '*$1*')
+        .replace(/\[(.*?)\]\((.*?)\)/g, '$1: $2');
+
+    const parts = [progress ? `(${progress.number}/${progress.total}) ${message}` : message];
+
+    if (step.options) {
+        parts.push('');
+        step.options.forEach((option, index) => parts.push(`${index + 1}. ${option}`));
+        parts.push('', '_ניתן להשיב במספר_');
+    } else if (step.placeholder) {
+        parts.push('', `_${step.placeholder}_`);
+    }
+
+    return parts.join('\n');
+}
+
+module.exports = {
+    DEFAULT_FORM_ID,
+    getForm,
+    getPublicForm,
+    getQuestionSteps,
+    getStep,
+    getFirstStep,
+    findNextStep,
+    pruneAnswers,
+    countSteps,
+    parseAnswer,
+    checkAnswer,
+    validateAnswers,
+    validateSubmission,
+    summarizeProgress,
+    getSummaryEntries,
+    buildSummaryVariables,
+    getSummaryVariableNames,
+    buildMondayColumns,
+    formatQuestion
+};
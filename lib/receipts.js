@@ -0,0 +1,186 @@
+/**
+ * Delivery & Read Receipts
+ * Tracks what happened to our outbound messages after sendMessage resolved:
+ * sent -> delivered -> read (or failed).
+ *
+ * The Baileys message key id is stored on scheduled_messages (message_key_id) and on
+ * the messages table (message_id, manual sends). Two socket events feed this module:
+ * - messages.update         - status changes of our own messages (SERVER_ACK, DELIVERY_ACK, READ, ERROR)
+ * - message-receipt.update  - per-recipient delivery/read receipts
+ *
+ * Statuses only move forward (a late "delivered" never overwrites "read").
+ */
+
+// proto.WebMessageInfo.Status values from Baileys
+const BAILEYS_STATUS = {
+    ERROR: 0,
+    PENDING: 1,
+    SERVER_ACK: 2,
+    DELIVERY_ACK: 3,
+    READ: 4,
+    PLAYED: 5
+};
+
+// Statuses each delivery status may replace (forward-only)
+const PREVIOUS_STATUSES = {
+    delivered: ['sent'],
+    read: ['sent', 'delivered'],
+    failed: ['sent']
+};
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Map a Baileys message status to our delivery status
+ * @param {number} status - proto.WebMessageInfo.Status
+ * @returns {string|null} 'delivered' | 'read' | 'failed', or null for statuses we don't track
+ */
+function statusFromBaileys(status) {
+    switch (status) {
+        case BAILEYS_STATUS.ERROR:
+            return 'failed';
+        case BAILEYS_STATUS.DELIVERY_ACK:
+            return 'delivered';
+        case BAILEYS_STATUS.READ:
+        case BAILEYS_STATUS.PLAYED:
+            return 'read';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Record a status change for one of our messages
+ * Updates the scheduled message (if it was one) and the chat history row.
+ * @param {string} messageId - Baileys message key id
+ * @param {string} status - 'delivered' | 'read' | 'failed'
+ * @param {Date} at - When it happened (defaults to now)
+ * @returns {Promise<number>} Rows updated
+ */
+async function applyDeliveryStatus(messageId, status, at = new Date()) {
+    const previous = PREVIOUS_STATUSES[status];
+    if (!dbPool || !messageId || !previous) return 0;
+
+    // A read receipt implies delivery, so delivered_at is filled in too
+    const deliveredAt = status === 'delivered' || status === 'read' ? at : null;
+    const readAt = status === 'read' ? at : null;
+
+    try {
+        const scheduled = await dbPool.query(
+            `UPDATE scheduled_messages
+             SET status = $2::varchar,
+                 delivered_at = COALESCE(delivered_at, $3),
+                 read_at = COALESCE(read_at, $4),
+                 error_message = CASE WHEN $2::varchar = 'failed' THEN 'WhatsApp reported a delivery error' ELSE error_message END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE message_key_id = $1 AND status = ANY($5)`,
+            [messageId, status, deliveredAt, readAt, previous]
+        );
+
+        const stored = await dbPool.query(
+            `UPDATE messages
+             SET delivery_status = $2,
+                 delivered_at = COALESCE(delivered_at, $3),
+                 read_at = COALESCE(read_at, $4)
+             WHERE message_id = $1 AND from_me = true AND COALESCE(delivery_status, 'sent') = ANY($5)`,
+            [messageId, status, deliveredAt, readAt, previous]
+        );
+
+        if (scheduled.rowCount > 0) {
+            console.log(`📬 [RECEIPTS] Scheduled message ${messageId} -> ${status}`);
+        }
+        return scheduled.rowCount + stored.rowCount;
+    } catch (error) {
+        console.error('❌ [RECEIPTS] Error applying delivery status:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Handle a Baileys messages.update batch
+ * @param {Array} updates - [{ key, update: { status } }]
+ */
+async function handleMessagesUpdate(updates) {
+    for (const { key, update } of updates || []) {
+        if (!key?.fromMe || update?.status === undefined || update?.status === null) continue;
+
+        const status = statusFromBaileys(update.status);
+        if (status) {
+            await applyDeliveryStatus(key.id, status);
+        }
+    }
+}
+
+/**
+ * Handle a Baileys message-receipt.update batch
+ * @param {Array} receipts - [{ key, receipt: { receiptTimestamp, readTimestamp, playedTimestamp } }]
+ */
+async function handleReceiptUpdate(receipts) {
+    for (const { key, receipt } of receipts || []) {
+        if (!key?.fromMe || !receipt) continue;
+
+        const readTimestamp = receipt.readTimestamp || receipt.playedTimestamp;
+        if (readTimestamp) {
+            await applyDeliveryStatus(key.id, 'read', new Date(Number(readTimestamp) * 1000));
+        } else if (receipt.receiptTimestamp) {
+            await applyDeliveryStatus(key.id, 'delivered', new Date(Number(receipt.receiptTimestamp) * 1000));
+        }
+    }
+}
+
+/**
+ * Delivery funnel per scheduled message type (which reminders actually get read)
+ * @param {Object} options - { days, accountId }
+ * @returns {Promise<Array>} [{ messageType, total, sent, delivered, read, failed, deliveryRate, readRate }]
+ */
+async function getDeliveryStats({ days = 30, accountId = null } = {}) {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(
+        `SELECT message_type,
+                COUNT(*) FILTER (WHERE status IN ('sent', 'delivered', 'read', 'failed')) AS total,
+                COUNT(*) FILTER (WHERE status = 'sent') AS sent,
+                COUNT(*) FILTER (WHERE status = 'delivered') AS delivered,
+                COUNT(*) FILTER (WHERE status = 'read') AS read,
+                COUNT(*) FILTER (WHERE status = 'failed') AS failed
+         FROM scheduled_messages
+         WHERE scheduled_for > NOW() - make_interval(days => $1)
+           AND ($2::text IS NULL OR account_id = $2)
+         GROUP BY message_type
+         ORDER BY message_type`,
+        [days, accountId]
+    );
+
+    return result.rows.map(row => {
+        const total = parseInt(row.total);
+        const delivered = parseInt(row.delivered);
+        const read = parseInt(row.read);
+        const rate = (count) => total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+
+        return {
+            messageType: row.message_type,
+            total,
+            sent: parseInt(row.sent),
+            delivered,
+            read,
+            failed: parseInt(row.failed),
+            // Read messages were delivered too
+            deliveryRate: rate(delivered + read),
+            readRate: rate(read)
+        };
+    });
+}
+
+module.exports = {
+    BAILEYS_STATUS,
+    setDbPool,
+    statusFromBaileys,
+    applyDeliveryStatus,
+    handleMessagesUpdate,
+    handleReceiptUpdate,
+    getDeliveryStats
+};
@@ -1,17 +1,15 @@
 // Reminder message templates for stupidBot
 // Based on BOT-FOLLOW-UP-RULES.md
 
+const { getMessage, MESSAGE_TYPES } = require('./messageTemplates');
+
+// Copy lives in messageTemplates (editable through the message copy admin API) - only the
+// deprecated form reminders that have no message type of their own are kept here
 const REMINDER_MESSAGES = {
     // ========== QUESTIONNAIRE FOLLOW-UP MESSAGES ==========
 
     // Message #3: Scheduled Reminder (Sent at 19:00 Israel Time)
-    formReminder1: (formLink) => `שוב שלום 😊
-
-כדי שנוכל להמשיך בתהליך, יש למלא את השאלון הקצר ממש דקה מזמנך.
-
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
-
-${formLink}`,
+    formReminder1: (formLink) => getMessage(MESSAGE_TYPES.FORM_REMINDER_19PM, { chatbotUrl: formLink }),
 
     // Deprecated - kept for backwards compatibility
     formReminder2: (formLink) => `היי, עדיין לא ענית על השאלון, זה ממש חצי דקה, שוב מניח את הלינק.
@@ -26,34 +24,16 @@ ${formLink}`,
     // ========== APPOINTMENT SCHEDULING FOLLOW-UP MESSAGES ==========
 
     // Message #8: First Appointment Reminder (1 Hour After Appointment Link)
-    appointmentReminder1: (appointmentLink) => `📅 ראיתי שטרם נקבעה פגישה. מניח את הלינק פה שוב אשמח שנתאם.
-
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
-
-כנסו ללינק: ${appointmentLink}`,
+    appointmentReminder1: (appointmentLink) => getMessage(MESSAGE_TYPES.APPOINTMENT_REMINDER_1, { appointmentUrl: appointmentLink }),
 
     // Message #9: Second Appointment Reminder
-    appointmentReminder2: (appointmentLink) => `📅 היי עדיין לא נקבעה פגישה, אנחנו בהחלט יכולים לעזור בעלמות הפנסיוניים והפיננסים, בלינק הבא ישנן המלצות מלקוחות שכבר עברו תהליך וגם מכאן ניתן לתאם פגישה
-
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
-
-כנסו ללינק: ${appointmentLink}`,
+    appointmentReminder2: (appointmentLink) => getMessage(MESSAGE_TYPES.APPOINTMENT_REMINDER_2, { appointmentUrl: appointmentLink }),
 
     // Message #10: Third Appointment Reminder
-    appointmentReminder3: (appointmentLink) => `היי שוב אני לא נעים לחצות לך, שלב ראשון של מילוי השאלון כבר מאחורינו ולאור בקירת התאמה יש להכנס ללינק לקביעת פגישה
-
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
-
-כנסו ללינק: ${appointmentLink}`,
+    appointmentReminder3: (appointmentLink) => getMessage(MESSAGE_TYPES.APPOINTMENT_REMINDER_3, { appointmentUrl: appointmentLink }),
 
     // Message #11: Fourth Appointment Reminder
-    appointmentReminder4: (appointmentLink) => `היי עדיין לא נקבע פגישה "חבל" כבר קיבלנו תשובות לשאלון.
-
-מתי עדיפו שנחזור אליכם:  בבין השעות 9:00 עד 12:00  או 13:00 ל-15:00.
-
-👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻
-
-כנסו ללינק: ${appointmentLink}`
+    appointmentReminder4: (appointmentLink) => getMessage(MESSAGE_TYPES.APPOINTMENT_REMINDER_4, { appointmentUrl: appointmentLink })
 };
 
 // Get reminder message by type and stage
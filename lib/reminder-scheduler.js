@@ -2,7 +2,8 @@
 // Checks database for users needing reminders and sends them
 
 const { getReminderMessage, getMaxStage } = require('./reminder-messages');
-const { isWithinOperatingHours, isWithinTimeWindow } = require('./operating-hours');
+const { DateTime } = require('luxon');
+const businessHours = require('./businessHours');
 
 // Environment-based timing configuration
 const IS_TEST_MODE = process.env.REMINDER_TEST_MODE === 'true';
@@ -76,7 +77,8 @@ function getNextReminderStage(sentAt, alreadySent, type) {
 
         // Check if there's a time window requirement
         if (rule.windowStart !== null && rule.windowEnd !== null) {
-            if (!isWithinTimeWindow(rule.windowStart, rule.windowEnd)) {
+            const hours = { start: rule.windowStart, end: rule.windowEnd };
+            if (!businessHours.isOpenAt(DateTime.now(), { hours })) {
                 continue; // Not in required window, skip for now
             }
         }
@@ -98,7 +100,7 @@ async function checkFormReminders() {
     }
 
     // In test mode, bypass operating hours check for testing purposes
-    if (!IS_TEST_MODE && !isWithinOperatingHours()) {
+    if (!IS_TEST_MODE && !businessHours.isOpenAt(DateTime.now())) {
         // logger.info('🚫 [REMINDER-SCHEDULER] Outside operating hours, skipping form reminders');
         return;
     }
@@ -153,7 +155,7 @@ async function checkAppointmentReminders() {
     }
 
     // In test mode, bypass operating hours check for testing purposes
-    if (!IS_TEST_MODE && !isWithinOperatingHours()) {
+    if (!IS_TEST_MODE && !businessHours.isOpenAt(DateTime.now())) {
         // logger.info('🚫 [REMINDER-SCHEDULER] Outside operating hours, skipping appointment reminders');
         return;
     }
@@ -324,7 +326,7 @@ async function getReminderStats() {
 
         return {
             testMode: IS_TEST_MODE,
-            operatingHoursStatus: isWithinOperatingHours(),
+            operatingHoursStatus: businessHours.isOpenAt(DateTime.now()),
             awaitingFormReminders: parseInt(formResult.rows[0].count),
             awaitingAppointmentReminders: parseInt(appointmentResult.rows[0].count),
             timingConfig: {
@@ -7,6 +7,11 @@
 
 const { Pool } = require('pg');
 const { cancelSessionMessages } = require('./messageScheduler');
+const { DEFAULT_ACCOUNT_ID } = require('./accounts');
+const { clearProgress } = require('./formProgress');
+
+// Completion side effects, each recorded when done (see markCompleted)
+const COMPLETION_STEPS = ['summary_sent_at', 'monday_synced_at'];
 
 class SessionManager {
     constructor() {
@@ -110,7 +115,7 @@ class SessionManager {
                     message_type VARCHAR(50) NOT NULL,
                     message_content TEXT NOT NULL,
                     scheduled_for TIMESTAMP NOT NULL,
-                    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'cancelled')),
+                    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'delivered', 'read', 'failed', 'cancelled')),
                     job_id VARCHAR(255),
                     sent_at TIMESTAMP,
                     error_message TEXT,
@@ -120,6 +125,56 @@ class SessionManager {
                 )
             `);
 
+            // Campaign tracking columns (drip campaigns, see lib/campaigns.js)
+            await client.query(`
+                ALTER TABLE scheduled_messages
+                ADD COLUMN IF NOT EXISTS media_url TEXT,
+                ADD COLUMN IF NOT EXISTS campaign VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS stop_conditions JSONB
+            `);
+
+            // Owning WhatsApp account (multi-account, see lib/accounts.js) - existing rows belong to 'default'
+            await client.query(`
+                ALTER TABLE sessions ADD COLUMN IF NOT EXISTS account_id VARCHAR(50) DEFAULT 'default'
+            `);
+            await client.query(`
+                ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS account_id VARCHAR(50) DEFAULT 'default'
+            `);
+
+            // A/B variant the message was rendered with (see lib/messageCopy.js)
+            await client.query(`
+                ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS variant VARCHAR(50)
+            `);
+
+            // Template variables the message was rendered with - form reminders are rendered again
+            // with the lead's questionnaire progress when they're sent (see lib/formProgress.js)
+            await client.query(`
+                ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS variables JSONB
+            `);
+
+            // Delivery receipts (see lib/receipts.js) - Baileys key of the sent message, sent -> delivered -> read
+            await client.query(`
+                ALTER TABLE scheduled_messages
+                ADD COLUMN IF NOT EXISTS message_key_id VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS read_at TIMESTAMP
+            `);
+            await client.query(`
+                ALTER TABLE scheduled_messages DROP CONSTRAINT IF EXISTS scheduled_messages_status_check
+            `);
+            await client.query(`
+                ALTER TABLE scheduled_messages ADD CONSTRAINT scheduled_messages_status_check
+                CHECK (status IN ('pending', 'sent', 'delivered', 'read', 'failed', 'cancelled'))
+            `);
+
+            // Lead source for funnel analytics (see lib/analytics.js)
+            await client.query(`
+                ALTER TABLE sessions
+                ADD COLUMN IF NOT EXISTS trigger_keyword VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS utm_source VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS ad_referral JSONB
+            `);
+
             // Create calendar_events table for short URL redirects
             await client.query(`
                 CREATE TABLE IF NOT EXISTS calendar_events (
@@ -147,6 +202,10 @@ class SessionManager {
                 CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)
             `);
 
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_sessions_created ON sessions(created_at)
+            `);
+
             // Create partial unique index to ensure only one active session per phone number
             await client.query(`
                 CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_phone_active
@@ -163,6 +222,10 @@ class SessionManager {
                 CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status ON scheduled_messages(status)
             `);
 
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_scheduled_messages_key ON scheduled_messages(message_key_id)
+            `);
+
             console.log('✅ Database initialized (tables and indexes ready)');
         } catch (error) {
             console.error('❌ Error initializing database:', error.message);
@@ -188,8 +251,12 @@ class SessionManager {
     /**
      * Create a new session for a phone number
      * If an active session exists, it will be marked as expired
+     * @param {string} phoneNumber - Phone number
+     * @param {string} chatId - WhatsApp chat ID (optional)
+     * @param {string} accountId - WhatsApp account the lead is talking to
+     * @param {Object} tracking - Lead source: { triggerKeyword, utmSource, referral (CTWA ad, see lib/adReferral.js) }
      */
-    async createSession(phoneNumber, chatId = null) {
+    async createSession(phoneNumber, chatId = null, accountId = DEFAULT_ACCOUNT_ID, { triggerKeyword = null, utmSource = null, referral = null } = {}) {
         const client = await this.pool.connect();
         try {
             await client.query('BEGIN');
@@ -225,17 +292,18 @@ class SessionManager {
             const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
             await client.query(
-                `INSERT INTO sessions (session_id, phone_number, chat_id, expires_at, status, form_sent_at)
-                 VALUES ($1, $2, $3, $4, 'active', NOW())`,
-                [sessionId, phoneNumber, chatId, expiresAt]
+                `INSERT INTO sessions (session_id, phone_number, chat_id, expires_at, status, form_sent_at, account_id, trigger_keyword, utm_source, ad_referral)
+                 VALUES ($1, $2, $3, $4, 'active', NOW(), $5, $6, $7, $8)`,
+                [sessionId, phoneNumber, chatId, expiresAt, accountId, triggerKeyword, utmSource, referral ? JSON.stringify(referral) : null]
             );
 
             await client.query('COMMIT');
 
-            console.log(`✅ Created new session ${sessionId} for ${phoneNumber}`);
+            console.log(`✅ Created new session ${sessionId} for ${phoneNumber} (account: ${accountId})`);
             return {
                 sessionId,
                 phoneNumber,
+                accountId,
                 expiresAt,
                 chatbotUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/chatbot?session=${sessionId}`
             };
@@ -311,35 +379,123 @@ class SessionManager {
 
     /**
      * Mark session as completed
+     * The session row is locked (SELECT ... FOR UPDATE) while its status changes, so of two concurrent
+     * completions only the first succeeds - the other gets an error with code SESSION_ALREADY_COMPLETED
+     * and must not repeat the completion side effects (summary, reminders, Monday.com).
+     * A session whose completion failed after the status change (hasPendingCompletion) is returned
+     * as is, so a retry can finish the remaining steps (claimCompletionStep).
      */
     async markCompleted(sessionId, formData = {}) {
+        const client = await this.pool.connect();
         try {
-            const result = await this.pool.query(
+            await client.query('BEGIN');
+
+            const locked = await client.query(
+                'SELECT * FROM sessions WHERE session_id = $1 FOR UPDATE',
+                [sessionId]
+            );
+
+            if (locked.rows.length === 0) {
+                throw new Error('Session not found');
+            }
+
+            if (locked.rows[0].status === 'completed') {
+                if (this.hasPendingCompletion(locked.rows[0])) {
+                    await client.query('COMMIT');
+                    console.log(`🔁 Session ${sessionId} is completed with unfinished steps - resuming the completion`);
+                    return locked.rows[0];
+                }
+
+                const error = new Error(`Session ${sessionId} is already completed`);
+                error.code = 'SESSION_ALREADY_COMPLETED';
+                throw error;
+            }
+
+            const result = await client.query(
                 `UPDATE sessions
                  SET status = 'completed',
                      completed_at = CURRENT_TIMESTAMP,
                      form_completed_at = CURRENT_TIMESTAMP,
                      appointment_sent_at = CURRENT_TIMESTAMP,
-                     form_data = $2
+                     form_data = $2::jsonb || jsonb_strip_nulls(jsonb_build_object('monday_item_id', form_data->'monday_item_id'))
                  WHERE session_id = $1
                  RETURNING *`,
                 [sessionId, JSON.stringify(formData)]
             );
 
-            if (result.rows.length === 0) {
-                throw new Error('Session not found');
-            }
+            await client.query('COMMIT');
 
             const session = result.rows[0];
 
             // Clear from pending users map (direct, no HTTP)
             this.clearPendingUser(session.phone_number);
 
+            // The chatbot's saved answers aren't needed anymore (the link now shows "already completed")
+            await clearProgress(sessionId).catch(error => {
+                console.error(`⚠️  Error clearing form progress for session ${sessionId}:`, error.message);
+            });
+
             console.log(`✅ Marked session ${sessionId} as completed (form & appointment timestamps set)`);
             return session;
         } catch (error) {
-            console.error('❌ Error marking session as completed:', error);
+            await client.query('ROLLBACK');
+            if (error.code === 'SESSION_ALREADY_COMPLETED') {
+                console.log(`⏭️  ${error.message} - not completing again`);
+            } else {
+                console.error('❌ Error marking session as completed:', error);
+            }
             throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Check if a completed session still has completion steps to do (an earlier attempt failed)
+     * Sessions completed by a booking without the form (form_completed_at unset) have none
+     * @param {Object} session - Session row
+     * @returns {boolean} True if a retry should finish the completion
+     */
+    hasPendingCompletion(session) {
+        return session.status === 'completed'
+            && !!session.form_completed_at
+            && COMPLETION_STEPS.some(step => !session[step]);
+    }
+
+    /**
+     * Claim a completion step before doing it - only one completion attempt gets each step
+     * Release it (releaseCompletionStep) if the step fails so a retry can do it
+     * @param {string} sessionId - Session ID
+     * @param {string} step - One of COMPLETION_STEPS
+     * @returns {Promise<boolean>} False if the step was already done (or is being done)
+     */
+    async claimCompletionStep(sessionId, step) {
+        if (!COMPLETION_STEPS.includes(step)) {
+            throw new Error(`Unknown completion step: ${step}`);
+        }
+
+        const result = await this.pool.query(
+            `UPDATE sessions SET ${step} = CURRENT_TIMESTAMP
+             WHERE session_id = $1 AND ${step} IS NULL`,
+            [sessionId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Release a claimed completion step that failed
+     * @param {string} sessionId - Session ID
+     * @param {string} step - One of COMPLETION_STEPS
+     */
+    async releaseCompletionStep(sessionId, step) {
+        if (!COMPLETION_STEPS.includes(step)) {
+            throw new Error(`Unknown completion step: ${step}`);
+        }
+
+        try {
+            await this.pool.query(`UPDATE sessions SET ${step} = NULL WHERE session_id = $1`, [sessionId]);
+        } catch (error) {
+            console.error(`❌ Error releasing completion step ${step} for session ${sessionId}:`, error);
         }
     }
 
@@ -364,6 +520,120 @@ class SessionManager {
         }
     }
 
+    /**
+     * Find the session a booked meeting belongs to
+     * Expired sessions are included - leads often book days after the trigger.
+     * @param {Object} params - { sessionId, phoneNumber }
+     * @returns {Promise<Object|null>} Session row
+     */
+    async findSessionForMeeting({ sessionId = null, phoneNumber = null }) {
+        try {
+            if (sessionId) {
+                const result = await this.pool.query(
+                    `SELECT * FROM sessions WHERE session_id = $1`,
+                    [sessionId]
+                );
+                if (result.rows.length > 0) {
+                    return result.rows[0];
+                }
+            }
+
+            if (phoneNumber) {
+                // Prefer the session that got the appointment link
+                const result = await this.pool.query(
+                    `SELECT * FROM sessions
+                     WHERE phone_number = $1
+                     ORDER BY (status = 'completed') DESC, created_at DESC
+                     LIMIT 1`,
+                    [phoneNumber]
+                );
+                if (result.rows.length > 0) {
+                    return result.rows[0];
+                }
+            }
+
+            return null;
+        } catch (error) {
+            console.error('❌ Error finding session for meeting:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store booked meeting details and mark the appointment as scheduled
+     * @param {string} sessionId - Session ID
+     * @param {Object} meeting - { startTime, endTime, email, eventUri, rescheduleUrl, cancelUrl }
+     * @returns {Promise<Object>} Updated session
+     */
+    async recordMeetingScheduled(sessionId, meeting) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE sessions
+                 SET appointment_scheduled_at = COALESCE(appointment_scheduled_at, CURRENT_TIMESTAMP),
+                     status = 'completed',
+                     meeting_start_at = $2,
+                     meeting_end_at = $3,
+                     invitee_email = COALESCE($4, invitee_email),
+                     meeting_event_uri = COALESCE($5, meeting_event_uri),
+                     meeting_reschedule_url = COALESCE($6, meeting_reschedule_url),
+                     meeting_cancel_url = COALESCE($7, meeting_cancel_url),
+                     meeting_canceled_at = NULL
+                 WHERE session_id = $1
+                 RETURNING *`,
+                [
+                    sessionId,
+                    meeting.startTime,
+                    meeting.endTime || null,
+                    meeting.email || null,
+                    meeting.eventUri || null,
+                    meeting.rescheduleUrl || null,
+                    meeting.cancelUrl || null
+                ]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Session not found');
+            }
+
+            console.log(`✅ Recorded meeting for session ${sessionId} at ${meeting.startTime}`);
+            return result.rows[0];
+        } catch (error) {
+            console.error('❌ Error recording meeting:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a booked meeting as cancelled (appointment no longer scheduled)
+     * Only applies while the session still holds that meeting - a newer booking is left alone
+     * @param {string} sessionId - Session ID
+     * @param {string} eventUri - Calendly event URI of the cancelled meeting
+     * @returns {Promise<Object|null>} Updated session, or null if the session holds a different meeting
+     */
+    async recordMeetingCanceled(sessionId, eventUri) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE sessions
+                 SET appointment_scheduled_at = NULL,
+                     meeting_canceled_at = CURRENT_TIMESTAMP
+                 WHERE session_id = $1 AND meeting_event_uri = $2
+                 RETURNING *`,
+                [sessionId, eventUri]
+            );
+
+            if (result.rows.length === 0) {
+                console.log(`⏭️  Session ${sessionId} no longer holds meeting ${eventUri} - cancellation not recorded`);
+                return null;
+            }
+
+            console.log(`✅ Recorded meeting cancellation for session ${sessionId}`);
+            return result.rows[0];
+        } catch (error) {
+            console.error('❌ Error recording meeting cancellation:', error);
+            throw error;
+        }
+    }
+
     /**
      * Expire a session
      */
@@ -405,8 +675,8 @@ class SessionManager {
     /**
      * Reset session for a phone number (called when user types "reset")
      */
-    async resetSession(phoneNumber, chatId = null) {
-        return await this.createSession(phoneNumber, chatId);
+    async resetSession(phoneNumber, chatId = null, accountId = DEFAULT_ACCOUNT_ID) {
+        return await this.createSession(phoneNumber, chatId, accountId);
     }
 
     /**
@@ -543,6 +813,33 @@ class SessionManager {
         }
     }
 
+    /**
+     * Create an "add to calendar" link for a booked meeting
+     * @param {Object} meeting - { startTime, endTime, eventName, location, rescheduleUrl }
+     * @returns {Promise<string>} Public .ics URL
+     */
+    async createMeetingCalendarLink(meeting) {
+        const startTime = new Date(meeting.startTime);
+        // Calendly always sends end_time; default to a 30 minute call otherwise
+        const endTime = meeting.endTime
+            ? new Date(meeting.endTime)
+            : new Date(startTime.getTime() + 30 * 60 * 1000);
+
+        const description = meeting.rescheduleUrl
+            ? `לשינוי מועד: ${meeting.rescheduleUrl}`
+            : null;
+
+        const id = await this.createCalendarEvent(
+            meeting.eventName || process.env.MEETING_EVENT_NAME || 'שיחת ייעוץ - בז פיננסים',
+            startTime,
+            endTime,
+            description,
+            meeting.location || null
+        );
+
+        return `${process.env.BASE_URL || 'http://localhost:3000'}/calendar/${id}.ics`;
+    }
+
     /**
      * Get calendar event by ID
      */
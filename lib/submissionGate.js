@@ -0,0 +1,86 @@
+/**
+ * Anonymous Submission Gate
+ * Form submissions without a session_id don't come from a bot conversation (landing pages, embeds, ...)
+ * and create Monday.com leads directly, so they have to prove they're legitimate:
+ *
+ * - HMAC: server-side callers sign the raw body with FORM_SIGNING_SECRET
+ *     X-Form-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *   (same scheme as Calendly webhooks, see calendly.js)
+ * - Captcha: browser callers send the widget's token in X-Captcha-Token, verified with
+ *   FORM_CAPTCHA_SECRET against FORM_CAPTCHA_VERIFY_URL (Cloudflare Turnstile by default -
+ *   reCAPTCHA and hCaptcha siteverify endpoints take the same parameters)
+ *
+ * With neither configured, anonymous submissions are rejected. They're also rate limited per IP (server.js).
+ */
+
+const { verifySignature } = require('./calendly');
+
+const SIGNATURE_HEADER = 'x-form-signature';
+const CAPTCHA_HEADER = 'x-captcha-token';
+
+const DEFAULT_CAPTCHA_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+// Don't hold a submission for a slow captcha provider
+const CAPTCHA_TIMEOUT_MS = 5000;
+
+/**
+ * Verify a captcha token with the provider
+ * @param {string} token - Token from the captcha widget
+ * @param {string} remoteIp - Submitter's IP (optional)
+ * @returns {Promise<Object>} { valid, reason }
+ */
+async function verifyCaptcha(token, remoteIp = null) {
+    const params = new URLSearchParams({ secret: process.env.FORM_CAPTCHA_SECRET, response: token });
+    if (remoteIp) params.set('remoteip', remoteIp);
+
+    try {
+        const response = await fetch(process.env.FORM_CAPTCHA_VERIFY_URL || DEFAULT_CAPTCHA_VERIFY_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params,
+            signal: AbortSignal.timeout(CAPTCHA_TIMEOUT_MS)
+        });
+        const result = await response.json();
+
+        return result.success
+            ? { valid: true, reason: null }
+            : { valid: false, reason: `Captcha rejected (${(result['error-codes'] || []).join(', ') || 'no reason given'})` };
+    } catch (error) {
+        return { valid: false, reason: `Captcha verification failed: ${error.message}` };
+    }
+}
+
+/**
+ * Check whether an anonymous submission may be accepted
+ * @param {Object} req - Express request (rawBody is captured by express.json in server.js)
+ * @returns {Promise<Object>} { allowed, method: 'hmac'|'captcha'|null, reason }
+ */
+async function verifyAnonymousSubmission(req) {
+    const signingSecret = process.env.FORM_SIGNING_SECRET;
+    const captchaSecret = process.env.FORM_CAPTCHA_SECRET;
+
+    if (!signingSecret && !captchaSecret) {
+        return { allowed: false, method: null, reason: 'Anonymous submissions are disabled (no FORM_SIGNING_SECRET or FORM_CAPTCHA_SECRET)' };
+    }
+
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (signingSecret && signature) {
+        const verification = verifySignature(req.rawBody || '', signature, signingSecret);
+        return { allowed: verification.valid, method: 'hmac', reason: verification.reason };
+    }
+
+    const token = req.headers[CAPTCHA_HEADER];
+    if (captchaSecret && token) {
+        const verification = await verifyCaptcha(token, req.ip);
+        return { allowed: verification.valid, method: 'captcha', reason: verification.reason };
+    }
+
+    return { allowed: false, method: null, reason: 'Missing signature or captcha token' };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    CAPTCHA_HEADER,
+    verifyCaptcha,
+    verifyAnonymousSubmission
+};
@@ -0,0 +1,186 @@
+/**
+ * Opt-out / Suppression List
+ * Leads who reply with an opt-out keyword ("stop", "הסר", ...) are added to the
+ * suppressed_numbers table and are never messaged again unless they opt back in
+ * or an admin explicitly overrides the suppression for a single send.
+ *
+ * Enforced in: sendWhatsAppMessage / processScheduledMessage (messageScheduler.js),
+ * the /api/send* routes (server.js), form submission and bot automation.
+ */
+
+// Whole-message keywords (case-insensitive, surrounding punctuation ignored)
+// Note: "start"/"התחל" are bot trigger keywords, so opt-in uses different words
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'stop,unsubscribe,stop all,remove,הסר,הסירו,הסרה,להסיר,הסר אותי,תסירו אותי,עצור,די,לא מעוניין,לא מעוניינת')
+    .split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+
+const OPT_IN_KEYWORDS = (process.env.OPT_IN_KEYWORDS || 'unstop,resume,subscribe,חידוש,הצטרפות,חזרה')
+    .split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+
+const CONFIRMATION_MESSAGES = {
+    optOut: process.env.OPT_OUT_CONFIRMATION_MESSAGE ||
+        'הוסרת מרשימת התפוצה ✅\nלא נשלח אליך הודעות נוספות.\n\nלחידוש קבלת הודעות שלח/י "חידוש".',
+    optIn: process.env.OPT_IN_CONFIRMATION_MESSAGE ||
+        'חודשה קבלת ההודעות ✅\nשמחים שחזרת! 😊'
+};
+
+// error.code set on sends refused because the recipient opted out
+const SUPPRESSED_ERROR_CODE = 'NUMBER_SUPPRESSED';
+
+let dbPool = null;
+
+function setDbPool(pool) {
+    dbPool = pool;
+}
+
+/**
+ * Normalize a phone number or chat ID to the suppression key
+ * "972501234567@s.whatsapp.net", "0501234567", "+972-50-123-4567" -> "972501234567"
+ * LID chats that couldn't be resolved are keyed by the LID number.
+ * @param {string} phoneOrChatId - Phone number or WhatsApp chat ID
+ * @returns {string|null} Digits-only phone number
+ */
+function normalizePhoneNumber(phoneOrChatId) {
+    if (!phoneOrChatId) return null;
+
+    const user = String(phoneOrChatId).split('@')[0].split(':')[0];
+    const digits = user.replace(/\D/g, '');
+    if (!digits) return null;
+
+    // Israeli local format: 05XXXXXXXX -> 9725XXXXXXXX
+    return digits.startsWith('0') ? '972' + digits.substring(1) : digits;
+}
+
+/**
+ * Detect an opt-out / opt-in keyword (the whole message must be the keyword)
+ * @param {string} messageText - Inbound message text
+ * @returns {string|null} 'opt_out', 'opt_in' or null
+ */
+function matchKeyword(messageText) {
+    if (!messageText) return null;
+
+    const normalized = messageText
+        .trim()
+        .toLowerCase()
+        .replace(/^[\s.,!?'"()-]+|[\s.,!?'"()-]+$/g, '')
+        .replace(/\s+/g, ' ');
+
+    if (OPT_OUT_KEYWORDS.includes(normalized)) return 'opt_out';
+    if (OPT_IN_KEYWORDS.includes(normalized)) return 'opt_in';
+    return null;
+}
+
+/**
+ * Check whether a number has opted out
+ * @param {string} phoneOrChatId - Phone number or WhatsApp chat ID
+ * @returns {Promise<boolean>} True if suppressed
+ */
+async function isSuppressed(phoneOrChatId) {
+    const phoneNumber = normalizePhoneNumber(phoneOrChatId);
+    if (!dbPool || !phoneNumber) return false;
+
+    try {
+        const result = await dbPool.query(
+            'SELECT 1 FROM suppressed_numbers WHERE phone_number = $1',
+            [phoneNumber]
+        );
+        return result.rows.length > 0;
+    } catch (error) {
+        // Fail open - a DB hiccup shouldn't block every send
+        console.error('❌ [SUPPRESSION] Error checking suppression list:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Throw (error.code = NUMBER_SUPPRESSED) if a number has opted out
+ * @param {string} phoneOrChatId - Phone number or WhatsApp chat ID
+ * @param {Object} options - { override } - admin override skips the check
+ */
+async function assertNotSuppressed(phoneOrChatId, { override = false } = {}) {
+    if (override) {
+        if (await isSuppressed(phoneOrChatId)) {
+            console.warn(`⚠️  [SUPPRESSION] Admin override - sending to opted-out number ${normalizePhoneNumber(phoneOrChatId)}`);
+        }
+        return;
+    }
+
+    if (await isSuppressed(phoneOrChatId)) {
+        const error = new Error(`Recipient ${normalizePhoneNumber(phoneOrChatId)} has opted out`);
+        error.code = SUPPRESSED_ERROR_CODE;
+        throw error;
+    }
+}
+
+/**
+ * Add a number to the suppression list
+ * @param {string} phoneOrChatId - Phone number or WhatsApp chat ID
+ * @param {Object} details - { reason, source ('keyword' | 'admin'), chatId }
+ * @returns {Promise<Object|null>} Suppression record
+ */
+async function suppress(phoneOrChatId, { reason = null, source = 'keyword', chatId = null } = {}) {
+    const phoneNumber = normalizePhoneNumber(phoneOrChatId);
+    if (!dbPool || !phoneNumber) return null;
+
+    const result = await dbPool.query(
+        `INSERT INTO suppressed_numbers (phone_number, chat_id, reason, source)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (phone_number) DO UPDATE SET
+             chat_id = COALESCE(EXCLUDED.chat_id, suppressed_numbers.chat_id),
+             reason = EXCLUDED.reason,
+             source = EXCLUDED.source,
+             created_at = NOW()
+         RETURNING *`,
+        [phoneNumber, chatId, reason, source]
+    );
+
+    console.log(`🚫 [SUPPRESSION] ${phoneNumber} opted out (${source}${reason ? `: ${reason}` : ''})`);
+    return result.rows[0];
+}
+
+/**
+ * Remove a number from the suppression list (opt back in)
+ * @param {string} phoneOrChatId - Phone number or WhatsApp chat ID
+ * @returns {Promise<boolean>} True if the number was suppressed
+ */
+async function unsuppress(phoneOrChatId) {
+    const phoneNumber = normalizePhoneNumber(phoneOrChatId);
+    if (!dbPool || !phoneNumber) return false;
+
+    const result = await dbPool.query(
+        'DELETE FROM suppressed_numbers WHERE phone_number = $1',
+        [phoneNumber]
+    );
+
+    if (result.rowCount > 0) {
+        console.log(`✅ [SUPPRESSION] ${phoneNumber} opted back in`);
+    }
+    return result.rowCount > 0;
+}
+
+/**
+ * List suppressed numbers, newest first
+ * @returns {Promise<Array>} Suppression records
+ */
+async function listSuppressed() {
+    if (!dbPool) return [];
+
+    const result = await dbPool.query(
+        'SELECT phone_number, chat_id, reason, source, created_at FROM suppressed_numbers ORDER BY created_at DESC'
+    );
+    return result.rows;
+}
+
+module.exports = {
+    OPT_OUT_KEYWORDS,
+    OPT_IN_KEYWORDS,
+    CONFIRMATION_MESSAGES,
+    SUPPRESSED_ERROR_CODE,
+    setDbPool,
+    normalizePhoneNumber,
+    matchKeyword,
+    isSuppressed,
+    assertNotSuppressed,
+    suppress,
+    unsuppress,
+    listSuppressed
+};
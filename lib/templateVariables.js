@@ -0,0 +1,230 @@
+/**
+ * Template Variables
+ * Agent templates (/api/templates) use {{variable}} placeholders instead of literal "XXXX"
+ * that had to be replaced by hand. Each template declares its variables:
+ *
+ *   "variables": [
+ *     "name",                                                  // required, no default
+ *     { "name": "policy", "label": "מספר פוליסה" },
+ *     { "name": "company", "required": false, "default": "" }
+ *   ]
+ *
+ * Templates without declarations (older rows) require every placeholder in their content.
+ *
+ * Values are resolved per send, first match wins:
+ *   request variables -> session form_data (same key) -> contact name from lid_mappings ("name" only)
+ *   -> declared default
+ *
+ * Templates stored before variables existed still contain "XXXX" - migrateTemplatePlaceholders
+ * (database-migration.js) converts them with convertLegacyTemplate.
+ */
+
+// {{name}} / {{ name }} - letters, digits and underscores, not starting with a digit
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// error.code set when a render/send is missing required variables
+const MISSING_VARIABLES_ERROR_CODE = 'MISSING_TEMPLATE_VARIABLES';
+
+// Placeholder agents used to replace by hand before {{variables}}
+const LEGACY_PLACEHOLDER = 'XXXX';
+
+/**
+ * Own value of a variable (names like "constructor" must not resolve from the prototype)
+ * @param {Object} values - Values by variable name
+ * @param {string} name - Variable name
+ * @returns {*} Value, or undefined when not set
+ */
+function getValue(values, name) {
+    return values && Object.hasOwn(values, name) ? values[name] : undefined;
+}
+
+/**
+ * Placeholder names used in a template's content (in order of first use)
+ * @param {string} content - Template content
+ * @returns {string[]} Variable names
+ */
+function extractVariables(content) {
+    const names = [];
+    for (const match of String(content || '').matchAll(VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Normalize variable declarations (strings become required variables)
+ * @param {Array} variables - Declarations from the request / database
+ * @returns {Object[]} [{ name, label, required, default }]
+ */
+function normalizeDeclarations(variables) {
+    return (variables || []).map(variable => {
+        const declaration = typeof variable === 'string' ? { name: variable } : variable;
+        return {
+            name: declaration.name,
+            label: declaration.label || null,
+            required: declaration.required !== false,
+            default: declaration.default !== undefined ? declaration.default : null
+        };
+    });
+}
+
+/**
+ * Validate a template's content against its declared variables
+ * @param {Object} template - { content, variables }
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+function validateTemplateDefinition({ content, variables }) {
+    if (variables === undefined || variables === null) return [];
+    if (!Array.isArray(variables)) return ['variables must be an array'];
+
+    const errors = [];
+    const names = [];
+
+    variables.forEach((variable, index) => {
+        const name = typeof variable === 'string' ? variable : variable?.name;
+        if (!VARIABLE_NAME_PATTERN.test(name || '')) {
+            errors.push(`variables[${index}] must be a name (letters, digits, _) or { name, label, required, default }`);
+        } else if (names.includes(name)) {
+            errors.push(`variables[${index}] "${name}" is declared twice`);
+        } else {
+            names.push(name);
+        }
+    });
+
+    const undeclared = extractVariables(content).filter(name => !names.includes(name));
+    if (undeclared.length > 0) {
+        errors.push(`content uses undeclared variables: ${undeclared.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Variables of a stored template (declared, or derived from its content)
+ * @param {Object} template - { content, variables }
+ * @returns {Object[]} [{ name, label, required, default }]
+ */
+function getTemplateVariables(template) {
+    if (Array.isArray(template.variables)) {
+        return normalizeDeclarations(template.variables);
+    }
+    return normalizeDeclarations(extractVariables(template.content));
+}
+
+/**
+ * Resolve variable values from the request, the lead's session and contact name
+ * @param {Object} template - Stored template
+ * @param {Object} sources - { values, formData, contactName }
+ * @returns {Object} { values, sources } - resolved values and where each came from
+ */
+function resolveValues(template, { values = {}, formData = {}, contactName = null } = {}) {
+    const resolved = {};
+    const resolvedFrom = {};
+
+    for (const variable of getTemplateVariables(template)) {
+        const { name } = variable;
+        const candidates = [
+            ['request', getValue(values, name)],
+            ['session', getValue(formData, name)],
+            ['contact', name === 'name' ? contactName : null],
+            ['default', variable.default]
+        ];
+
+        const found = candidates.find(([, value]) => value !== undefined && value !== null && value !== '');
+        if (found) {
+            resolved[name] = String(found[1]);
+            resolvedFrom[name] = found[0];
+        }
+    }
+
+    return { values: resolved, sources: resolvedFrom };
+}
+
+/**
+ * Throw if a required variable has no value (mirrors messageTemplates.validateVariables)
+ * @param {Object} template - Stored template
+ * @param {Object} values - Resolved values
+ * @returns {boolean} True if all required variables are present
+ */
+function validateValues(template, values) {
+    const missing = getTemplateVariables(template)
+        .filter(variable => variable.required && getValue(values, variable.name) === undefined)
+        .map(variable => variable.name);
+
+    if (missing.length > 0) {
+        const error = new Error(`Missing required variables for template "${template.name}": ${missing.join(', ')}`);
+        error.code = MISSING_VARIABLES_ERROR_CODE;
+        error.missing = missing;
+        throw error;
+    }
+    return true;
+}
+
+/**
+ * Replace {{placeholders}} in a text, without any validation
+ * @param {string} content - Text with placeholders
+ * @param {Object} values - Values by variable name
+ * @param {Object} options
+ * @param {boolean} options.keepMissing - Leave placeholders without a value as-is (previews) instead of empty
+ * @returns {string} Filled text
+ */
+function interpolate(content, values = {}, { keepMissing = false } = {}) {
+    return String(content).replace(VARIABLE_PATTERN, (placeholder, name) => {
+        const value = getValue(values, name);
+        if (value === undefined || value === null) return keepMissing ? placeholder : '';
+        return String(value);
+    });
+}
+
+/**
+ * Fill a template's placeholders (optional variables without a value render empty)
+ * @param {Object} template - Stored template
+ * @param {Object} values - Resolved values
+ * @returns {string} Message text
+ */
+function renderTemplate(template, values) {
+    validateValues(template, values);
+    return interpolate(template.content, values);
+}
+
+/**
+ * Convert a template that still uses literal XXXX placeholders to {{variables}}
+ * A template shipped in templates.json (same name, same text once its variables read XXXX) gets its
+ * named variables from there; others get value1, value2, ... in order of appearance.
+ * @param {Object} template - Stored template { name, content }
+ * @param {Object[]} knownTemplates - Templates from templates.json
+ * @returns {Object|null} { content, variables }, or null when there's nothing to convert
+ */
+function convertLegacyTemplate(template, knownTemplates = []) {
+    const content = String(template.content || '');
+    if (!content.includes(LEGACY_PLACEHOLDER)) return null;
+
+    const known = knownTemplates.find(candidate => candidate.name === template.name
+        && Array.isArray(candidate.variables)
+        && String(candidate.content).replace(VARIABLE_PATTERN, LEGACY_PLACEHOLDER) === content);
+    if (known) {
+        return { content: known.content, variables: known.variables };
+    }
+
+    const variables = [];
+    const converted = content.split(LEGACY_PLACEHOLDER).reduce((text, part) => {
+        variables.push({ name: `value${variables.length + 1}`, label: `ערך ${variables.length + 1}` });
+        return `${text}{{${variables[variables.length - 1].name}}}${part}`;
+    });
+
+    return { content: converted, variables };
+}
+
+module.exports = {
+    MISSING_VARIABLES_ERROR_CODE,
+    extractVariables,
+    normalizeDeclarations,
+    validateTemplateDefinition,
+    getTemplateVariables,
+    resolveValues,
+    validateValues,
+    interpolate,
+    renderTemplate,
+    convertLegacyTemplate
+};
@@ -4,21 +4,25 @@
  * Handles all Israel timezone logic (Asia/Jerusalem) and business hours enforcement.
  * Implements the timing rules from /docs/bot-messages.md
  *
- * Business Hours:
+ * Business Hours (see businessHours.js for the configurable policy):
  * - Sunday-Thursday: 9:00-20:00 (reminder messages)
  * - Friday-Saturday: NO reminder messages (Israeli weekend)
+ * - Yom tov and admin closure days: NO reminder messages (see holidays.js)
+ * - Erev chag: window ends at EREV_CHAG_CUTOFF_HOUR
  */
 
 const { DateTime } = require('luxon');
+const businessHours = require('./businessHours');
+const { MESSAGE_TYPES } = require('./messageTemplates');
 
 // Constants
 const ISRAEL_TIMEZONE = 'Asia/Jerusalem';
 
-// Business hours for reminder messages (Sunday-Thursday only)
-const BUSINESS_HOURS = {
-    start: 9, // 9:00
-    end: 20   // 20:00
-};
+// Default business hours for reminder messages (Sunday-Thursday window of the default policy)
+const BUSINESS_HOURS = businessHours.DEFAULT_POLICY.days.sunday;
+
+// How far ahead/back to search for a business day (covers Pesach/Sukkot + weekends + closure runs)
+const MAX_BUSINESS_DAY_SEARCH = 60;
 
 // Days of week (Sunday = 7 in Luxon, Monday = 1)
 const WEEKDAYS = {
@@ -56,6 +60,18 @@ function toIsraelTime(timestamp) {
     return DateTime.fromJSDate(new Date(timestamp)).setZone(ISRAEL_TIMEZONE);
 }
 
+/**
+ * Parse an ISO 8601 timestamp from a request body
+ * @param {*} value - Value to parse
+ * @returns {DateTime|null} DateTime in Israel timezone, or null if it isn't a valid ISO string
+ */
+function parseIsoTime(value) {
+    if (typeof value !== 'string') return null;
+
+    const parsed = DateTime.fromISO(value.trim(), { zone: ISRAEL_TIMEZONE });
+    return parsed.isValid ? parsed.setZone(ISRAEL_TIMEZONE) : null;
+}
+
 /**
  * Check if a given time is during Israeli weekend (Friday or Saturday)
  * @param {DateTime} dateTime - DateTime to check
@@ -87,61 +103,102 @@ function isWithinBusinessHours(dateTime, customHours = null) {
     return hour >= hours.start && hour < hours.end;
 }
 
+/**
+ * Get the business-hours window of the day a given time falls on (from the business hours policy)
+ * Closed days (weekend, yom tov, closure days) have no window; erev chag ends early.
+ * @param {DateTime} dateTime - Any time on the day
+ * @param {Object} customHours - Optional custom hours {start, end}
+ * @param {string} messageType - Optional message type (per-type policy overrides)
+ * @returns {Object|null} { start, end } hours, or null if nothing may be sent that day
+ */
+function getBusinessWindow(dateTime, customHours = null, messageType = null) {
+    return businessHours.getWindow(dateTime, { hours: customHours, messageType });
+}
+
 /**
  * Check if a given time is valid for sending reminder messages
- * Must be: Israeli weekday (Sun-Thu) AND within business hours (9:00-20:00)
+ * Must be inside the policy window of its day (Sun-Thu 9:00-20:00 by default,
+ * no holidays/closure days, erev chag cutoff)
  * @param {DateTime} dateTime - DateTime to check
  * @param {Object} customHours - Optional custom hours {start, end}
+ * @param {string} messageType - Optional message type
  * @returns {boolean} True if valid time for reminders
  */
-function isValidReminderTime(dateTime, customHours = null) {
-    return isIsraeliWeekday(dateTime) && isWithinBusinessHours(dateTime, customHours);
+function isValidReminderTime(dateTime, customHours = null, messageType = null) {
+    return businessHours.isOpenAt(dateTime, { hours: customHours, messageType });
 }
 
 /**
  * Get the next valid business hour from a given time
- * Skips weekends and enforces 9:00-20:00 window
+ * Skips closed days and enforces the day's window
  * @param {DateTime} fromTime - Starting time
  * @param {Object} customHours - Optional custom hours {start, end}
- * @returns {DateTime} Next valid business time
+ * @param {string} messageType - Optional message type
+ * @returns {DateTime} Next valid business time (in the policy timezone)
  */
-function getNextValidBusinessTime(fromTime, customHours = null) {
-    const hours = customHours || BUSINESS_HOURS;
-    let nextTime = fromTime;
+function getNextValidBusinessTime(fromTime, customHours = null, messageType = null) {
+    let nextTime = fromTime.setZone(businessHours.getTimezone());
 
-    // If already valid, return as-is
-    if (isValidReminderTime(nextTime, customHours)) {
-        return nextTime;
-    }
+    for (let day = 0; day < MAX_BUSINESS_DAY_SEARCH; day++) {
+        const window = getBusinessWindow(nextTime, customHours, messageType);
+
+        if (window && nextTime.hour < window.end) {
+            // Before start hour -> start hour today, otherwise already valid
+            return nextTime.hour < window.start
+                ? nextTime.set({ hour: window.start, minute: 0, second: 0, millisecond: 0 })
+                : nextTime;
+        }
 
-    // If we're on a weekend, skip to next Sunday
-    if (isIsraeliWeekend(nextTime)) {
-        // Move to next Sunday at business start hour
-        const daysUntilSunday = nextTime.weekday === WEEKDAYS.FRIDAY ? 2 : 1;
-        nextTime = nextTime.plus({ days: daysUntilSunday })
-            .set({ hour: hours.start, minute: 0, second: 0, millisecond: 0 });
-        return nextTime;
+        // Closed or past the end of the window -> try the next day from midnight
+        nextTime = nextTime.plus({ days: 1 }).startOf('day');
     }
 
-    // If we're outside business hours on a weekday
-    if (!isWithinBusinessHours(nextTime, customHours)) {
-        // If before start hour, move to start hour today
-        if (nextTime.hour < hours.start) {
-            nextTime = nextTime.set({ hour: hours.start, minute: 0, second: 0, millisecond: 0 });
-        }
-        // If after end hour, move to start hour next day
-        else if (nextTime.hour >= hours.end) {
-            nextTime = nextTime.plus({ days: 1 })
-                .set({ hour: hours.start, minute: 0, second: 0, millisecond: 0 });
-
-            // Check if next day is weekend, if so skip to Sunday
-            if (isIsraeliWeekend(nextTime)) {
-                return getNextValidBusinessTime(nextTime, customHours);
-            }
+    throw new Error(`No business time within ${MAX_BUSINESS_DAY_SEARCH} days of ${fromTime.toISO()}`);
+}
+
+/**
+ * Get the latest valid business time at or before a given time
+ * Mirror of getNextValidBusinessTime for reminders that must go out BEFORE an event
+ * (e.g. a "meeting tomorrow" reminder that would land on Saturday moves back to Thursday evening)
+ * @param {DateTime} fromTime - Latest acceptable time
+ * @param {Object} customHours - Optional custom hours {start, end}
+ * @param {string} messageType - Optional message type
+ * @returns {DateTime} Previous valid business time (last full hour of the window)
+ */
+function getPreviousValidBusinessTime(fromTime, customHours = null, messageType = null) {
+    let prevTime = fromTime.setZone(businessHours.getTimezone());
+
+    for (let day = 0; day < MAX_BUSINESS_DAY_SEARCH; day++) {
+        const window = getBusinessWindow(prevTime, customHours, messageType);
+
+        if (window && prevTime.hour >= window.start) {
+            // After the window -> last full hour of it, otherwise already valid
+            return prevTime.hour >= window.end
+                ? prevTime.set({ hour: window.end - 1, minute: 0, second: 0, millisecond: 0 })
+                : prevTime;
         }
+
+        // Closed or before the window -> try the previous day from its last minute
+        prevTime = prevTime.minus({ days: 1 }).endOf('day');
     }
 
-    return nextTime;
+    throw new Error(`No business time within ${MAX_BUSINESS_DAY_SEARCH} days before ${fromTime.toISO()}`);
+}
+
+/**
+ * Calculate when to send pre-meeting reminders
+ * - 24h reminder: 24 hours before, moved back into business hours (never after the original time)
+ * - 1h reminder: exactly 1 hour before - the lead is expecting the call, so no business-hours shift
+ * @param {DateTime} meetingStart - Meeting start time
+ * @returns {Object} { dayBefore, hourBefore } scheduled times
+ */
+function calculateMeetingReminderTimes(meetingStart) {
+    const israelTime = meetingStart.setZone(ISRAEL_TIMEZONE);
+
+    return {
+        dayBefore: getPreviousValidBusinessTime(israelTime.minus({ hours: 24 }), null, MESSAGE_TYPES.MEETING_REMINDER_24H),
+        hourBefore: israelTime.minus({ hours: 1 })
+    };
 }
 
 /**
@@ -258,18 +315,22 @@ module.exports = {
     // Core functions
     getNowInIsrael,
     toIsraelTime,
+    parseIsoTime,
 
     // Validation functions
     isIsraeliWeekend,
     isIsraeliWeekday,
     isWithinBusinessHours,
     isValidReminderTime,
+    getBusinessWindow,
 
     // Scheduling functions
     getNextValidBusinessTime,
+    getPreviousValidBusinessTime,
     calculate19pmReminderTime,
     calculateVideoTestimonialTime,
     calculateNextAppointmentReminderTime,
+    calculateMeetingReminderTimes,
     scheduleWithDelay,
 
     // Utility functions
@@ -1,7 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const QRCode = require('qrcode');
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, jidNormalizedUser } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, fetchLatestBaileysVersion, jidNormalizedUser } = require('@whiskeysockets/baileys');
 const { Boom } = require('@hapi/boom');
 const P = require('pino');
 const rateLimit = require('express-rate-limit');
@@ -12,8 +12,29 @@ const { Pool } = require('pg');
 // const cron = require('node-cron');
 const axios = require('axios');
 const stupidBot = require('./stupid-bot');
-const { migrateReminderColumns, migrateLidMappings } = require('./lib/database-migration');
+const { migrateReminderColumns, migrateMeetingColumns, migrateLidMappings, migrateMessageStore, migrateApiKeys, migrateCampaigns, migrateSuppressedNumbers, migrateChatHandoffs, migrateBaileysAuthState, migrateAccounts, migrateAdReferrals, migrateClosureDays, migrateBusinessHoursPolicy, migrateMessageCopy, migrateMessageVariants, migrateChatQuestionnaires, migrateFormProgress, migrateProcessedEvents, migrateCompletionSteps, migrateTemplatePlaceholders } = require('./lib/database-migration');
 const lidMapping = require('./lib/lidMapping');
+const messageStore = require('./lib/messageStore');
+const apiKeys = require('./lib/apiKeys');
+const { requireRole } = apiKeys;
+const campaigns = require('./lib/campaigns');
+const suppression = require('./lib/suppression');
+const handoff = require('./lib/handoff');
+const authState = require('./lib/authState');
+const accounts = require('./lib/accounts');
+const receipts = require('./lib/receipts');
+const analytics = require('./lib/analytics');
+const adReferral = require('./lib/adReferral');
+const holidays = require('./lib/holidays');
+const businessHours = require('./lib/businessHours');
+const messageCopy = require('./lib/messageCopy');
+const messageTemplates = require('./lib/messageTemplates');
+const chatQuestionnaire = require('./lib/chatQuestionnaire');
+const questionnaire = require('./lib/questionnaire');
+const formProgress = require('./lib/formProgress');
+const idempotency = require('./lib/idempotency');
+const templateVariables = require('./lib/templateVariables');
+const calendly = require('./lib/calendly');
 // DISABLED: node-cron reminder system replaced by Bull queue (see lib/messageScheduler.js)
 // const { initializeScheduler, checkAndSendReminders, getReminderStats } = require('./lib/reminder-scheduler');
 
@@ -21,7 +42,9 @@ const lidMapping = require('./lib/lidMapping');
 // CONSOLIDATED: Import Bull queue scheduler and session manager (from avi-website)
 // =============================================================================
 const sessionManager = require('./lib/sessionManager');
-const { initializeWorker, setSockClient, getQueueStats, listPendingJobs, listSessionMessages } = require('./lib/messageScheduler');
+const { initializeWorker, setSockClient, getSockClient, getQueueStats, listPendingJobs, listSessionMessages, cancelScheduledMessage, cancelSessionMessages, cancelPhoneMessages, scheduleMeetingReminders, getScheduledMessage, rescheduleScheduledMessage, sendScheduledMessageNow, retryScheduledMessage, retryFailedMessages } = require('./lib/messageScheduler');
+const { toIsraelTime, parseIsoTime, getNextValidBusinessTime } = require('./lib/timezoneHelper');
+const { buildIcsEvent } = require('./lib/ics');
 
 // =============================================================================
 // IMMEDIATE SESSION RESET (runs BEFORE server starts)
@@ -54,23 +77,6 @@ if (process.env.FORCE_SESSION_RESET === 'true') {
 const app = express();
 const port = process.env.PORT || 10000;
 
-// Sales phone numbers that should have bot enabled (comma-separated, support Israeli format)
-// Example: "0548294343,972548294343" or just "972548294343"
-const SALES_PHONE_NUMBERS = (process.env.SALES_PHONE_NUMBERS || process.env.SALES_PHONE_NUMBER || '')
-    .split(',')
-    .map(num => num.trim())
-    .filter(num => num.length > 0)
-    .map(num => {
-        // Normalize Israeli numbers: 054XXXXXXX -> 972548XXXXXX
-        if (num.startsWith('0')) {
-            return '972' + num.substring(1);
-        }
-        return num;
-    });
-
-// Bot enabled flag - determined after WhatsApp authentication
-let isBotEnabled = false;
-
 // CORS configuration - environment-based origins
 const getAllowedOrigins = () => {
     // Always include bot frontend URL
@@ -106,7 +112,8 @@ const corsOptions = {
   origin: getAllowedOrigins(),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-account-id', 'x-form-signature', 'x-captcha-token', 'idempotency-key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 // Rate limiting configuration for message endpoints
@@ -123,11 +130,33 @@ const messageLimiter = rateLimit({
     skip: (req) => process.env.NODE_ENV === 'development'
 });
 
+// Rate limiting for anonymous form submissions (no session_id) - these create Monday.com leads directly
+const anonymousSubmissionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minute window
+    max: parseInt(process.env.FORM_ANONYMOUS_RATE_LIMIT) || 5, // Max 5 anonymous submissions per 15 minutes per IP
+    message: {
+        success: false,
+        error: 'Too many form submissions. Please try again later.',
+        message: 'נשלחו יותר מדי טפסים. אנא נסה/י שוב מאוחר יותר.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => Boolean(req.body?.session_id) || process.env.NODE_ENV === 'development'
+});
+
 // Middleware
 app.use(cors(corsOptions));
 // Increase body size limit to 20MB to support large media files (images, videos)
 // Base64 encoding adds ~33% overhead: 16MB file = ~21MB base64
-app.use(express.json({ limit: '20mb' }));
+app.use(express.json({
+    limit: '20mb',
+    // Keep the raw body for webhook / signed form signature verification (HMAC is computed over the exact bytes)
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/') || req.originalUrl.startsWith('/api/submit-form')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ limit: '20mb', extended: true }));
 
 // =============================================================================
@@ -137,7 +166,105 @@ app.use('/chatbot', express.static(path.join(__dirname, 'chatbot')));
 app.get('/chatbot', (req, res) => {
     res.sendFile(path.join(__dirname, 'chatbot', 'index.html'));
 });
-app.post('/api/submit-form', require('./api/submit-form'));
+
+// Questionnaire definition the chatbot renders (public - no CRM column ids)
+app.get('/api/forms/:id', (req, res) => {
+    const form = questionnaire.getPublicForm(req.params.id);
+
+    if (!form) {
+        return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+
+    res.json({ success: true, form });
+});
+
+/**
+ * Session the chatbot's progress belongs to - only while the form is still open
+ * @returns {Promise<Object|null>} Active session, or null (response already sent)
+ */
+async function findOpenFormSession(req, res) {
+    const session = await sessionManager.getSession(req.params.sessionId);
+
+    if (!session || session.status !== 'active') {
+        res.status(404).json({
+            success: false,
+            error: 'Invalid, expired or completed session ID',
+            message: 'הקישור לא תקף או פג תוקפו. אנא בקש/י קישור חדש מהבוט.'
+        });
+        return null;
+    }
+    return session;
+}
+
+// Saved chatbot answers of a session (the chatbot restores the conversation from them)
+app.get('/api/forms/progress/:sessionId', async (req, res) => {
+    try {
+        const session = await findOpenFormSession(req, res);
+        if (!session) return;
+
+        const progress = await formProgress.getProgress(session.session_id);
+        res.json({ success: true, progress });
+    } catch (error) {
+        console.error('❌ Error loading form progress:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Store one chatbot answer { stepId, value }
+app.post('/api/forms/progress/:sessionId', async (req, res) => {
+    try {
+        const session = await findOpenFormSession(req, res);
+        if (!session) return;
+
+        const { stepId, value } = req.body;
+        const progress = await formProgress.saveAnswer(session.session_id, stepId, value);
+        res.json({ success: true, progress });
+    } catch (error) {
+        if (error.code === 'INVALID_ANSWER') {
+            return res.status(400).json({ success: false, error: error.code, message: error.message });
+        }
+        if (error.code === 'DATABASE_UNAVAILABLE') {
+            return res.status(503).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error saving form progress:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+// Repeats of a submission (same Idempotency-Key, or same session) get the first response back - chatbot restarts aren't keyed
+app.post('/api/submit-form', anonymousSubmissionLimiter, idempotency.idempotent('submit-form', (req) => {
+    const { session_id, action } = req.body || {};
+    return typeof session_id === 'string' && action !== 'reset' ? session_id : null;
+}), require('./api/submit-form'));
+app.post('/api/webhooks/calendly', require('./api/calendly-webhook'));
+
+// "Add to calendar" file for booked meetings (linked from pre-meeting reminders)
+app.get('/calendar/:id.ics', async (req, res) => {
+    try {
+        const event = await sessionManager.getCalendarEvent(req.params.id);
+
+        if (!event) {
+            return res.status(404).send('Calendar event not found or expired');
+        }
+
+        const ics = buildIcsEvent({
+            uid: `${event.id}@baz-f.co.il`,
+            title: event.event_name,
+            start: event.start_time,
+            end: event.end_time,
+            description: event.description,
+            location: event.location
+        });
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="meeting.ics"'
+        });
+        res.send(ics);
+    } catch (error) {
+        console.error('❌ [CALENDAR] Error serving .ics:', error);
+        res.status(500).send('Internal server error');
+    }
+});
 
 // PRIVACY: PII-safe logger utility
 const createLogger = () => {
@@ -195,19 +322,97 @@ async function initializeDatabase() {
             )
         `);
 
+        // Declared {{variables}} per template (see lib/templateVariables.js)
+        await dbPool.query('ALTER TABLE templates ADD COLUMN IF NOT EXISTS variables JSONB');
+
         // Note: sessions table is managed by avi-website and shared between services
         // No need to create it here - it already exists in the shared Frankfurt database
 
         // Migrate reminder columns to sessions table
         await migrateReminderColumns(dbPool);
 
+        // Migrate meeting detail columns (Calendly webhook)
+        await migrateMeetingColumns(dbPool);
+
         // Migrate LID mappings table for CTWA (Click-to-WhatsApp) ads contacts
         await migrateLidMappings(dbPool);
 
         // Initialize LID mapping module with database pool
         lidMapping.setDbPool(dbPool);
 
-        logger.info('✅ Database schema initialized (templates + reminder columns + LID mappings)');
+        // Migrate messages table (inbound/outbound message history for /api/chats)
+        await migrateMessageStore(dbPool);
+        messageStore.setDbPool(dbPool);
+        receipts.setDbPool(dbPool);
+        analytics.setDbPool(dbPool);
+
+        // Migrate API keys + audit log tables (role-based auth for admin/messaging routes)
+        await migrateApiKeys(dbPool);
+        apiKeys.setDbPool(dbPool);
+
+        // Migrate campaigns table and seed default drip campaigns from campaigns.json
+        if (await migrateCampaigns(dbPool)) {
+            await campaigns.seedCampaigns(dbPool);
+        }
+        campaigns.setDbPool(dbPool);
+
+        // Migrate opt-out suppression list
+        await migrateSuppressedNumbers(dbPool);
+        suppression.setDbPool(dbPool);
+
+        // Migrate human handoff state
+        await migrateChatHandoffs(dbPool);
+        handoff.setDbPool(dbPool);
+
+        // Migrate Baileys auth state table (AUTH_STATE_BACKEND=postgres)
+        await migrateBaileysAuthState(dbPool);
+
+        // Migrate WhatsApp accounts table and make sure the default account exists
+        if (await migrateAccounts(dbPool)) {
+            await accounts.seedAccounts(dbPool);
+        }
+        accounts.setDbPool(dbPool);
+
+        // Migrate Click-to-WhatsApp ad referrals table
+        await migrateAdReferrals(dbPool);
+        adReferral.setDbPool(dbPool);
+
+        // Migrate admin closure days and load them into the holiday calendar
+        if (await migrateClosureDays(dbPool)) {
+            holidays.setDbPool(dbPool);
+            await holidays.loadClosureDays();
+        }
+
+        // Migrate business hours policy table and load the active policy (DB, env or defaults)
+        if (await migrateBusinessHoursPolicy(dbPool)) {
+            businessHours.setDbPool(dbPool);
+        }
+        await businessHours.loadPolicy();
+
+        // Migrate message copy versions + A/B variants and load them (code defaults for the rest)
+        const messageCopyMigrated = await migrateMessageCopy(dbPool);
+        if (await migrateMessageVariants(dbPool) && messageCopyMigrated) {
+            messageCopy.setDbPool(dbPool);
+            await messageCopy.loadCopy();
+        }
+
+        // Migrate in-WhatsApp questionnaire state
+        await migrateChatQuestionnaires(dbPool);
+        chatQuestionnaire.setDbPool(dbPool);
+
+        // Migrate web chatbot progress (resume from the session link)
+        await migrateFormProgress(dbPool);
+        formProgress.setDbPool(dbPool);
+
+        // Migrate processed events (idempotent form submissions / completion webhooks)
+        if (await migrateProcessedEvents(dbPool)) {
+            idempotency.setDbPool(dbPool);
+        }
+
+        // Migrate completion step columns (retry a completion whose summary or Monday.com sync failed)
+        await migrateCompletionSteps(dbPool);
+
+        logger.info('✅ Database schema initialized (templates + reminder columns + LID mappings + messages + API keys + campaigns + suppression + handoffs + auth state + accounts + ad referrals + closure days + business hours + message copy + variants + chat questionnaires + form progress + processed events + completion steps)');
 
         // Migrate from JSON file to database if templates exist in file but not in DB
         const result = await dbPool.query('SELECT COUNT(*) FROM templates');
@@ -217,23 +422,90 @@ async function initializeDatabase() {
                 logger.info('📦 Migrating templates from JSON to database...');
                 for (const template of jsonTemplates) {
                     await dbPool.query(
-                        'INSERT INTO templates (id, name, content) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
-                        [template.id, template.name, template.content]
+                        'INSERT INTO templates (id, name, content, variables) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+                        [template.id, template.name, template.content, template.variables ? JSON.stringify(template.variables) : null]
                     );
                 }
                 logger.info(`✅ Migrated ${jsonTemplates.length} templates to database`);
             }
         }
+
+        // Templates seeded before {{variables}} still have literal XXXX placeholders
+        await migrateTemplatePlaceholders(dbPool, loadTemplatesFromFile());
     } catch (error) {
         logger.error('Error initializing database:', error);
     }
 }
 
-// WhatsApp client state
-let client = null;
-let qrString = null;
-let isConnected = false;
-let isAuthenticated = false;
+// WhatsApp client state - one entry per account (see lib/accounts.js)
+const whatsappAccounts = new Map();
+
+/**
+ * Get (or create) the runtime state for a WhatsApp account
+ * @param {string} accountId - Account id
+ * @returns {Object} Account state (socket, QR, connection and bot flags, health counters)
+ */
+function getAccountState(accountId) {
+    if (!whatsappAccounts.has(accountId)) {
+        whatsappAccounts.set(accountId, {
+            accountId,
+            client: null,
+            qrString: null,
+            isConnected: false,
+            isAuthenticated: false,
+            connectionStatus: 'disconnected',
+            // Bot enabled flag - determined after WhatsApp authentication
+            isBotEnabled: false,
+            phoneNumber: null,
+            lastSuccessfulChatsFetch: null,
+            consecutiveFailures: 0,
+            healthInterval: null,
+            // Pairing-code login (alternative to QR) - see refreshPairingCode
+            pairingPhoneNumber: null,
+            pairingCode: null,
+            pairingCodeExpiresAt: null,
+            pairingRequest: null
+        });
+    }
+    return whatsappAccounts.get(accountId);
+}
+
+// The default account always exists - routes called without an account id use it
+getAccountState(accounts.DEFAULT_ACCOUNT_ID);
+
+/**
+ * Resolve the WhatsApp account a request targets and attach it as req.account
+ * Account id comes from the x-account-id header or an account_id query/body param;
+ * requests without one use the 'default' account.
+ */
+function resolveAccount(req, res, next) {
+    const requested = req.headers['x-account-id'] || req.query.account_id || req.body?.account_id;
+    const accountId = requested ? accounts.normalizeAccountId(requested) : accounts.DEFAULT_ACCOUNT_ID;
+    const account = accountId ? whatsappAccounts.get(accountId) : null;
+
+    if (!account) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown WhatsApp account: ${requested}`
+        });
+    }
+
+    req.account = account;
+    req.accountRequested = !!requested;
+    next();
+}
+
+// Connection summary for status endpoints
+const formatAccountStatus = (account) => ({
+    accountId: account.accountId,
+    status: account.connectionStatus,
+    authenticated: account.isAuthenticated,
+    connected: account.isConnected,
+    hasQR: !!account.qrString,
+    hasPairingCode: !!account.pairingCode,
+    phoneNumber: account.phoneNumber,
+    botEnabled: account.isBotEnabled
+});
 
 // Note: makeInMemoryStore was removed from Baileys 6.7.x
 // LID resolution now relies on message fields (remoteJidAlt, participant)
@@ -287,12 +559,14 @@ async function resolveLidToPhone(jid, msg = null) {
     return jid;
 }
 
-// Health monitoring variables
-let lastSuccessfulChatsFetch = null;
-let consecutiveFailures = 0;
+// Health monitoring settings (counters are tracked per account)
 const MAX_CONSECUTIVE_FAILURES = 3;
 const HEALTH_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
-let connectionStatus = 'disconnected';
+
+// Pairing codes are treated as expired after this long and a fresh one is requested
+// on the next QR refresh (or status poll) while the account is still waiting to link
+const PAIRING_CODE_TTL_MS = (parseInt(process.env.PAIRING_CODE_TTL_SECONDS) || 120) * 1000;
+const PAIRING_CODE_WAIT_MS = 15000;
 
 // Track pending background operations for graceful shutdown
 const pendingOperations = new Set();
@@ -323,7 +597,7 @@ const loadTemplates = async () => {
     // Use PostgreSQL if available
     if (dbPool) {
         try {
-            const result = await dbPool.query('SELECT id, name, content FROM templates ORDER BY id');
+            const result = await dbPool.query('SELECT id, name, content, variables FROM templates ORDER BY id');
             return result.rows;
         } catch (error) {
             logger.error('Error loading templates from database:', error);
@@ -350,29 +624,64 @@ const saveTemplatesToFile = (templates) => {
     }
 };
 
+// Template as returned by the API - variables are always listed (declared or derived from {{placeholders}})
+const formatTemplate = (template) => ({
+    id: template.id,
+    name: template.name,
+    content: template.content,
+    variables: templateVariables.getTemplateVariables(template)
+});
+
+// Find a template by id (database or file)
+const findTemplate = async (id) => {
+    const templates = await loadTemplates();
+    return templates.find(template => template.id === id) || null;
+};
+
+// Lead data used to fill template variables: the session's form_data and the contact name
+// The session is the given one, or the latest session of the chat
+const loadTemplateContext = async ({ sessionId = null, chatId = null }) => {
+    let session = null;
+
+    if (dbPool && (sessionId || chatId)) {
+        const result = await dbPool.query(
+            `SELECT session_id, chat_id, account_id, form_data FROM sessions
+             WHERE ($1::text IS NOT NULL AND session_id = $1) OR ($1::text IS NULL AND chat_id = $2)
+             ORDER BY created_at DESC LIMIT 1`,
+            [sessionId, chatId]
+        );
+        session = result.rows[0] || null;
+    }
+
+    const targetChatId = chatId || session?.chat_id || null;
+    const contactName = targetChatId ? await lidMapping.getNameForContact(targetChatId) : null;
+
+    return { session, chatId: targetChatId, formData: session?.form_data || {}, contactName };
+};
+
 // Automatic recovery function - restarts WhatsApp client when hung
-async function recoverWhatsAppClient() {
-    logger.warn('🔄 [RECOVERY] Attempting to recover WhatsApp client...');
+async function recoverWhatsAppClient(account) {
+    logger.warn(`🔄 [RECOVERY] Attempting to recover WhatsApp client (account: ${account.accountId})...`);
 
     try {
-        if (client) {
+        if (account.client) {
             logger.info('🛑 [RECOVERY] Destroying existing client...');
-            client.end(new Error('Client closed'));
-            client = null;
+            account.client.end(new Error('Client closed'));
+            account.client = null;
         }
 
         // Reset state
-        isConnected = false;
-        isAuthenticated = false;
-        connectionStatus = 'recovering';
-        consecutiveFailures = 0;
+        account.isConnected = false;
+        account.isAuthenticated = false;
+        account.connectionStatus = 'recovering';
+        account.consecutiveFailures = 0;
 
         // Wait a bit before reinitializing
         await new Promise(resolve => setTimeout(resolve, 3000));
 
         // Reinitialize
         logger.info('🚀 [RECOVERY] Reinitializing WhatsApp client...');
-        initializeWhatsApp();
+        initializeWhatsApp(account.accountId);
 
         logger.info('✅ [RECOVERY] Recovery initiated successfully');
     } catch (error) {
@@ -381,22 +690,22 @@ async function recoverWhatsAppClient() {
 }
 
 // Periodic health check - monitors client health and triggers recovery if needed
-async function performPeriodicHealthCheck() {
+async function performPeriodicHealthCheck(account) {
     // Only check if authenticated
-    if (!isAuthenticated || !client) {
+    if (!account.isAuthenticated || !account.client) {
         return;
     }
 
     // Check if we've had too many consecutive failures
-    if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-        logger.error(`🚨 [HEALTH-MONITOR] Client appears hung (${consecutiveFailures} consecutive failures). Triggering recovery...`);
-        await recoverWhatsAppClient();
+    if (account.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        logger.error(`🚨 [HEALTH-MONITOR] Client for account ${account.accountId} appears hung (${account.consecutiveFailures} consecutive failures). Triggering recovery...`);
+        await recoverWhatsAppClient(account);
         return;
     }
 
     // Check if last successful fetch was too long ago (10 minutes)
-    if (lastSuccessfulChatsFetch) {
-        const timeSinceLastSuccess = Date.now() - lastSuccessfulChatsFetch;
+    if (account.lastSuccessfulChatsFetch) {
+        const timeSinceLastSuccess = Date.now() - account.lastSuccessfulChatsFetch;
         const TEN_MINUTES = 10 * 60 * 1000;
 
         if (timeSinceLastSuccess > TEN_MINUTES) {
@@ -405,73 +714,223 @@ async function performPeriodicHealthCheck() {
             try {
                 // Quick health test (5s timeout)
                 await Promise.race([
-                    client.getChats(),
+                    account.client.getChats(),
                     new Promise((_, reject) =>
                         setTimeout(() => reject(new Error('Health test timed out')), 5000)
                     )
                 ]);
 
                 logger.info('✅ [HEALTH-MONITOR] Client is responsive');
-                lastSuccessfulChatsFetch = Date.now();
-                consecutiveFailures = 0;
+                account.lastSuccessfulChatsFetch = Date.now();
+                account.consecutiveFailures = 0;
             } catch (error) {
                 logger.error(`❌ [HEALTH-MONITOR] Client failed health test: ${error.message}`);
-                consecutiveFailures++;
+                account.consecutiveFailures++;
 
-                if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+                if (account.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
                     logger.error('🚨 [HEALTH-MONITOR] Max failures reached. Triggering recovery...');
-                    await recoverWhatsAppClient();
+                    await recoverWhatsAppClient(account);
                 }
             }
         }
     }
 }
 
+// Use persistent storage if available (Render Disk), fallback to local
+const SESSION_BASE_PATH = process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions';
+
+// Non-default accounts keep their auth files in <session path>/accounts/<account id>
+const ACCOUNT_SESSIONS_DIR = 'accounts';
+
+/**
+ * Auth file directory for an account (the default account keeps the original location)
+ * @param {string} accountId - Account id
+ * @returns {string} Session directory
+ */
+function getAccountSessionPath(accountId) {
+    return accountId === accounts.DEFAULT_ACCOUNT_ID
+        ? SESSION_BASE_PATH
+        : path.join(SESSION_BASE_PATH, ACCOUNT_SESSIONS_DIR, accountId);
+}
+
+/**
+ * Postgres auth state key for an account (the default account keeps AUTH_STATE_SESSION_ID)
+ * @param {string} accountId - Account id
+ * @returns {string} baileys_auth session_id
+ */
+function getAccountAuthSessionId(accountId) {
+    return accountId === accounts.DEFAULT_ACCOUNT_ID ? authState.AUTH_STATE_SESSION_ID : accountId;
+}
+
+/**
+ * Close an account's socket and reset its connection state
+ * @param {Object} account - Account runtime state
+ * @param {string} reason - Reason passed to the socket
+ */
+function disconnectAccount(account, reason) {
+    // Baileys uses end(), not destroy()
+    if (account.client) {
+        const client = account.client;
+        account.client = null;
+        client.end(new Error(reason));
+        if (getSockClient(account.accountId) === client) {
+            setSockClient(null, account.accountId);
+        }
+    }
+
+    if (account.healthInterval) {
+        clearInterval(account.healthInterval);
+        account.healthInterval = null;
+    }
+
+    account.isConnected = false;
+    account.isAuthenticated = false;
+    account.connectionStatus = 'disconnected';
+    account.qrString = null;
+    clearPairingCode(account, { keepPhoneNumber: false });
+}
+
+/**
+ * Forget the account's pairing code
+ * @param {Object} account - Account runtime state
+ * @param {Object} options - { keepPhoneNumber } - keep pairing mode so the next socket gets a new code
+ */
+function clearPairingCode(account, { keepPhoneNumber = true } = {}) {
+    account.pairingCode = null;
+    account.pairingCodeExpiresAt = null;
+    if (!keepPhoneNumber) {
+        account.pairingPhoneNumber = null;
+    }
+}
+
+/**
+ * Get a valid pairing code for the account's pending phone number
+ * Reuses an unexpired code and never runs two requests at once; a code that arrives
+ * after its socket was replaced is discarded (it belongs to a dead session).
+ * @param {Object} account - Account runtime state
+ * @returns {Promise<string|null>} Pairing code, or null if the account isn't waiting to pair
+ */
+async function refreshPairingCode(account) {
+    const client = account.client;
+    if (!account.pairingPhoneNumber || !client || client.authState?.creds?.registered) {
+        return null;
+    }
+
+    if (account.pairingCode && account.pairingCodeExpiresAt > Date.now()) {
+        account.connectionStatus = 'pairing_code_ready';
+        return account.pairingCode;
+    }
+
+    if (account.pairingRequest) {
+        return account.pairingRequest;
+    }
+
+    clearPairingCode(account);
+    account.connectionStatus = 'pairing_code_requested';
+
+    account.pairingRequest = (async () => {
+        try {
+            const code = await client.requestPairingCode(account.pairingPhoneNumber);
+            if (account.client !== client) return null;
+
+            account.pairingCode = code;
+            account.pairingCodeExpiresAt = Date.now() + PAIRING_CODE_TTL_MS;
+            account.connectionStatus = 'pairing_code_ready';
+            console.log(`🔢 Pairing code generated for ${account.pairingPhoneNumber} (account: ${account.accountId})`);
+            return code;
+        } finally {
+            account.pairingRequest = null;
+        }
+    })();
+
+    return account.pairingRequest;
+}
+
+// Shape pairing state for API responses (code shown as XXXX-XXXX like the phone expects)
+const formatPairingCode = (account) => ({
+    account_id: account.accountId,
+    status: account.connectionStatus,
+    phoneNumber: account.pairingPhoneNumber,
+    pairingCode: account.pairingCode ? account.pairingCode.replace(/^(.{4})(.{4})$/, '$1-$2') : null,
+    expiresAt: account.pairingCodeExpiresAt ? new Date(account.pairingCodeExpiresAt).toISOString() : null
+});
+
+/**
+ * Delete an account's stored auth state (files, and database rows when AUTH_STATE_BACKEND=postgres)
+ * The default account's directory also holds the other accounts' directories, so only its own files go.
+ * @param {string} accountId - Account id
+ */
+async function clearAccountAuthState(accountId) {
+    const sessionPath = getAccountSessionPath(accountId);
+
+    try {
+        if (fs.existsSync(sessionPath)) {
+            for (const entry of fs.readdirSync(sessionPath)) {
+                if (accountId === accounts.DEFAULT_ACCOUNT_ID && entry === ACCOUNT_SESSIONS_DIR) continue;
+                fs.rmSync(path.join(sessionPath, entry), { recursive: true, force: true });
+            }
+            console.log(`✅ Session files cleared for account ${accountId}`);
+        }
+    } catch (e) {
+        console.error(`Failed to clear session files for account ${accountId}:`, e.message);
+    }
+
+    if (authState.AUTH_STATE_BACKEND !== 'postgres' || !dbPool) return;
+
+    try {
+        const deleted = await authState.clearPostgresAuthState(dbPool, getAccountAuthSessionId(accountId));
+        console.log(`✅ Database auth state cleared for account ${accountId} (${deleted} rows)`);
+    } catch (e) {
+        console.error('Failed to clear database auth state:', e.message);
+    }
+}
+
 // Initialize WhatsApp client with Baileys (WebSocket-based, no browser needed!)
-async function initializeWhatsApp() {
+async function initializeWhatsApp(accountId = accounts.DEFAULT_ACCOUNT_ID) {
+    const account = whatsappAccounts.get(accountId);
+
+    // GUARD: Account was deleted (e.g. a pending reconnect fired afterwards)
+    if (!account) {
+        console.log(`🛡️  Account ${accountId} no longer exists, skipping initialization`);
+        return;
+    }
+
     // GUARD: Prevent creating multiple client instances
-    if (client) {
-        console.log('🛡️  Client already exists, skipping initialization');
+    if (account.client) {
+        console.log(`🛡️  Client already exists for account ${accountId}, skipping initialization`);
         return;
     }
 
-    console.log('Initializing WhatsApp client with Baileys...');
+    console.log(`Initializing WhatsApp client with Baileys (account: ${accountId})...`);
 
-    // Use persistent storage if available (Render Disk), fallback to local
-    const sessionPath = process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions';
+    const sessionPath = getAccountSessionPath(accountId);
     console.log(`Using session storage at: ${sessionPath}`);
 
     // Helper function to clear corrupted session
-    const clearCorruptedSession = () => {
+    const clearCorruptedSession = async () => {
         console.log('🗑️  Clearing corrupted session files...');
-        try {
-            if (fs.existsSync(sessionPath)) {
-                fs.rmSync(sessionPath, { recursive: true, force: true });
-                console.log('✅ Corrupted session files cleared');
-            }
-        } catch (e) {
-            console.error('Failed to clear session:', e.message);
-        }
+        await clearAccountAuthState(accountId);
     };
 
     // Check for forced session reset (useful after Baileys version upgrade)
     if (process.env.FORCE_SESSION_RESET === 'true') {
         console.log('⚠️  FORCE_SESSION_RESET is set - clearing session before startup');
-        clearCorruptedSession();
+        await clearCorruptedSession();
     }
 
     try {
-        // Initialize auth state (replaces LocalAuth)
+        // Initialize auth state (replaces LocalAuth) - file or Postgres, see AUTH_STATE_BACKEND
+        const authOptions = { sessionPath, pool: dbPool, sessionId: getAccountAuthSessionId(accountId) };
         let authResult;
         try {
-            authResult = await useMultiFileAuthState(sessionPath);
+            authResult = await authState.createAuthState(authOptions);
         } catch (sessionError) {
             // Session files are corrupted (e.g., Bad MAC error after Baileys upgrade)
             console.error('⚠️  Session initialization failed:', sessionError.message);
             console.log('🔄 Attempting recovery by clearing corrupted session...');
-            clearCorruptedSession();
+            await clearCorruptedSession();
             // Retry with fresh session
-            authResult = await useMultiFileAuthState(sessionPath);
+            authResult = await authState.createAuthState(authOptions);
         }
         const { state, saveCreds } = authResult;
 
@@ -480,7 +939,7 @@ async function initializeWhatsApp() {
         console.log(`Using WA v${version.join('.')}, isLatest: ${isLatest}`);
 
         // Create socket (Baileys client) - NO BROWSER NEEDED!
-        client = makeWASocket({
+        const client = makeWASocket({
             version,
             auth: state,
             printQRInTerminal: false, // We handle QR via API
@@ -488,6 +947,7 @@ async function initializeWhatsApp() {
             browser: ['WhatsApp Bot', 'Chrome', '110.0.0'],
             markOnlineOnConnect: true
         });
+        account.client = client;
 
         // Event: Save credentials on update (CRITICAL for persistence)
         client.ev.on('creds.update', saveCreds);
@@ -498,44 +958,52 @@ async function initializeWhatsApp() {
 
             // QR Code received
             if (qr) {
-                console.log('🔶 QR code received');
-                qrString = qr;
-                connectionStatus = 'qr_ready';
+                console.log(`🔶 QR code received (account: ${accountId})`);
+                account.qrString = qr;
+                account.connectionStatus = 'qr_ready';
+
+                // Pairing-code login requested - the socket is ready for it once a QR arrives
+                if (account.pairingPhoneNumber) {
+                    refreshPairingCode(account).catch(error => {
+                        console.error(`❌ Failed to request pairing code (account: ${accountId}):`, error.message);
+                        account.connectionStatus = 'qr_ready';
+                    });
+                }
             }
 
             // Connection opened (ready)
             if (connection === 'open') {
-                console.log('✅ WhatsApp client is ready!');
-                isAuthenticated = true;
-                isConnected = true;
-                connectionStatus = 'authenticated';
-                qrString = null;
+                console.log(`✅ WhatsApp client is ready! (account: ${accountId})`);
+                account.isAuthenticated = true;
+                account.isConnected = true;
+                account.connectionStatus = 'authenticated';
+                account.qrString = null;
+                clearPairingCode(account, { keepPhoneNumber: false });
 
                 // Get authenticated number
                 try {
                     const authenticatedNumber = client.user?.id?.split(':')[0];
+                    account.phoneNumber = authenticatedNumber || null;
+
                     if (authenticatedNumber) {
-                        logger.info(`📱 Authenticated WhatsApp number: ${authenticatedNumber}`);
-
-                        // Check if this number is in the sales phone numbers list
-                        if (SALES_PHONE_NUMBERS.includes(authenticatedNumber)) {
-                            isBotEnabled = true;
-                            logger.info(`🤖 [BOT-ACTIVATION] Bot ENABLED for phone number ${authenticatedNumber}`);
-                        } else {
-                            isBotEnabled = false;
-                            logger.info(`🤖 [BOT-ACTIVATION] Bot DISABLED - phone ${authenticatedNumber} not in sales numbers [${SALES_PHONE_NUMBERS.join(', ')}]`);
-                        }
+                        logger.info(`📱 Authenticated WhatsApp number: ${authenticatedNumber} (account: ${accountId})`);
+                        await accounts.recordAuthenticatedNumber(accountId, authenticatedNumber);
+
+                        // Per-account flag, or the legacy sales phone numbers list if it was never set
+                        const accountRecord = await accounts.getAccount(accountId);
+                        account.isBotEnabled = accounts.isBotEnabledFor(accountRecord, authenticatedNumber);
+                        logger.info(`🤖 [BOT-ACTIVATION] Bot ${account.isBotEnabled ? 'ENABLED' : 'DISABLED'} for account ${accountId} (phone ${authenticatedNumber})`);
                     } else {
                         logger.warn('⚠️  Could not determine authenticated phone number, bot disabled');
-                        isBotEnabled = false;
+                        account.isBotEnabled = false;
                     }
                 } catch (error) {
                     logger.error('❌ Error checking phone number for bot activation:', error);
-                    isBotEnabled = false;
+                    account.isBotEnabled = false;
                 }
 
                 // Initialize reminder scheduler if bot is enabled and database is available
-                if (isBotEnabled && dbPool) {
+                if (account.isBotEnabled && dbPool) {
                     // =============================================================================
                     // DISABLED: node-cron reminder system replaced by Bull queue
                     // Bull queue provides persistent job scheduling (survives server restarts)
@@ -552,9 +1020,8 @@ async function initializeWhatsApp() {
                     // CONSOLIDATED: Initialize Bull queue worker for scheduled messages
                     // =============================================================================
                     try {
-                        // Set the Baileys socket for direct message sending
-                        setSockClient(client);
-                        logger.info('✅ Baileys socket client set for message scheduler');
+                        // Set the Baileys socket for direct message sending (this account's sessions)
+                        setSockClient(client, accountId);
 
                         // Initialize the Bull queue worker
                         initializeWorker();
@@ -571,13 +1038,20 @@ async function initializeWhatsApp() {
                     } catch (bullError) {
                         logger.error('❌ Error initializing Bull queue worker:', bullError);
                     }
+                } else {
+                    // Bot disabled for this account - its scheduled messages can't go out from here
+                    setSockClient(null, accountId);
                 }
 
                 // Start periodic health monitoring (every 5 minutes) - using setInterval instead of cron
-                setInterval(async () => {
-                    await performPeriodicHealthCheck();
-                }, 5 * 60 * 1000); // 5 minutes in milliseconds
-                logger.info('🏥 Health monitoring started (checking every 5 minutes)');
+                // (replaces the interval from a previous connection of this account)
+                if (account.healthInterval) {
+                    clearInterval(account.healthInterval);
+                }
+                account.healthInterval = setInterval(async () => {
+                    await performPeriodicHealthCheck(account);
+                }, HEALTH_CHECK_INTERVAL);
+                logger.info(`🏥 Health monitoring started for account ${accountId} (checking every 5 minutes)`);
             }
 
             // Connection closed (disconnected)
@@ -586,28 +1060,33 @@ async function initializeWhatsApp() {
                     ? lastDisconnect.error.output.statusCode !== DisconnectReason.loggedOut
                     : true;
 
-                console.log(`⚠️  Connection closed: ${lastDisconnect?.error?.message}`);
-                connectionStatus = 'disconnected';
-                isAuthenticated = false;
-                isConnected = false;
-                qrString = null;
+                console.log(`⚠️  Connection closed (account: ${accountId}): ${lastDisconnect?.error?.message}`);
+                account.connectionStatus = 'disconnected';
+                account.isAuthenticated = false;
+                account.isConnected = false;
+                account.qrString = null;
+                // A code is bound to the socket that requested it - the next socket requests a new one
+                clearPairingCode(account);
+                if (getSockClient(accountId) === client) {
+                    setSockClient(null, accountId);
+                }
 
                 if (shouldReconnect) {
                     console.log('🔄 Preparing to reconnect...');
 
-                    // Clean up
-                    if (client) {
+                    // Clean up (only if this socket is still the account's current one)
+                    if (account.client === client) {
                         client.ev.removeAllListeners();
-                        client = null;
+                        account.client = null;
                     }
 
                     // Reconnect after delay
                     setTimeout(() => {
-                        console.log('🔄 Reinitializing WhatsApp client...');
-                        initializeWhatsApp();
+                        console.log(`🔄 Reinitializing WhatsApp client (account: ${accountId})...`);
+                        initializeWhatsApp(accountId);
                     }, 5000);
                 } else {
-                    console.log('🛑 Logged out - not reconnecting');
+                    console.log(`🛑 Logged out - not reconnecting (account: ${accountId})`);
                 }
             }
         });
@@ -677,8 +1156,31 @@ async function initializeWhatsApp() {
         // MESSAGE EVENTS
         // =============================================================================
 
+        // Event: Status changes of our own messages (delivered / read / error) - see lib/receipts.js
+        client.ev.on('messages.update', async (updates) => {
+            await receipts.handleMessagesUpdate(updates);
+        });
+
+        // Event: Delivery/read receipts from recipients
+        client.ev.on('message-receipt.update', async (updates) => {
+            await receipts.handleReceiptUpdate(updates);
+        });
+
         // Event: Incoming messages (replaces 'message' event)
         client.ev.on('messages.upsert', async ({ messages, type }) => {
+            // Persist every message (new, appended and our own sends) for chat history
+            for (const msg of messages) {
+                try {
+                    const remoteJid = msg.key?.remoteJid;
+                    if (!remoteJid || remoteJid === 'status@broadcast' || remoteJid.includes('@g.us')) continue;
+
+                    const storeChatId = await resolveLidToPhone(remoteJid, msg);
+                    await messageStore.storeBaileysMessage(msg, storeChatId);
+                } catch (error) {
+                    logger.error('💾 Error storing message:', error);
+                }
+            }
+
             if (type !== 'notify') return; // Only handle new messages
 
             for (const msg of messages) {
@@ -686,11 +1188,26 @@ async function initializeWhatsApp() {
                     // Skip group messages
                     if (msg.key.remoteJid?.includes('@g.us')) continue;
 
-                    // Skip messages from self
-                    if (msg.key.fromMe) continue;
+                    // Messages from self: our own sends arrive as 'append', so a fromMe 'notify'
+                    // was typed on the phone by a salesperson - take the chat over from the bot
+                    if (msg.key.fromMe) {
+                        if (messageStore.extractMessageContent(msg.message).type !== 'unknown') {
+                            const handoffChatId = await resolveLidToPhone(msg.key.remoteJid, msg);
+                            const started = await handoff.startHandoff(handoffChatId, { source: 'phone' });
+                            if (started) {
+                                logger.info(`🙋 [HANDOFF] Manual message to ${handoffChatId} - automation paused until ${started.expires_at.toISOString()}`);
+                            }
+                        }
+                        continue;
+                    }
 
-                    // Skip if bot is disabled
-                    if (!isBotEnabled) continue;
+                    // Click-to-WhatsApp ad context - only the lead's first message from the ad carries it
+                    const referral = adReferral.extractAdReferral(msg.message);
+                    if (referral) {
+                        const referralChatId = await resolveLidToPhone(msg.key.remoteJid, msg);
+                        await adReferral.saveReferral(referralChatId, referral);
+                        logger.info(`📣 [CTWA] Ad referral from ${referralChatId}: ad ${referral.adId || '-'} "${referral.headline || ''}"`);
+                    }
 
                     // Get message text
                     const messageText = msg.message?.conversation
@@ -708,14 +1225,55 @@ async function initializeWhatsApp() {
                         logger.info(`📱 [LID-RESOLVED] ${rawChatId} -> ${chatId}`);
                     }
 
+                    // Opt-out / opt-in keywords take priority over all bot automation, and are recorded
+                    // even when the bot is disabled - only the confirmation reply needs the bot enabled
+                    const optKeyword = suppression.matchKeyword(messageText);
+                    if (optKeyword === 'opt_out') {
+                        await handleOptOut(client, chatId, messageText, { confirm: account.isBotEnabled });
+                        continue;
+                    }
+                    if (optKeyword === 'opt_in' && await suppression.unsuppress(chatId)) {
+                        logger.info(`✅ [OPT-IN] ${chatId} opted back in`);
+                        if (account.isBotEnabled) {
+                            await sendMessageAsync(client, chatId, suppression.CONFIRMATION_MESSAGES.optIn);
+                        }
+                        continue;
+                    }
+
+                    // Skip if bot is disabled for this account
+                    if (!account.isBotEnabled) continue;
+
+                    // Opted-out leads get no automated replies
+                    if (await suppression.isSuppressed(chatId)) {
+                        logger.info(`🚫 [OPT-OUT] Ignoring message from suppressed number ${chatId}`);
+                        continue;
+                    }
+
+                    // Human handoff - a salesperson owns this conversation (no triggers, no AVI forwarding)
+                    if (await handoff.getActiveHandoff(chatId)) {
+                        logger.info(`🙋 [HANDOFF] ${chatId} is in human handoff - skipping automation`);
+                        continue;
+                    }
+
                     // Check for trigger message FIRST (stupid-bot has priority)
-                    if (stupidBot.isTriggerMessage(messageText)) {
+                    const triggerKeyword = stupidBot.matchTriggerKeyword(messageText);
+                    if (triggerKeyword) {
                         const senderName = msg.pushName || 'Unknown';
                         logger.info(`🤖 [STUPID-BOT] Trigger from ${chatId} (${senderName}): "${messageText}"`);
-                        await stupidBot.handleTriggerMessage(client, chatId, logger, dbPool, senderName);
+                        const leadReferral = referral || await adReferral.getRecentReferral(chatId);
+                        await stupidBot.handleTriggerMessage(client, chatId, logger, dbPool, senderName, accountId, {
+                            triggerKeyword,
+                            referral: leadReferral,
+                            utmSource: adReferral.toUtmSource(leadReferral)
+                        });
                         return; // Message handled by stupid-bot
                     }
 
+                    // Answers to the in-WhatsApp questionnaire (or a request to start it)
+                    if (await stupidBot.handleQuestionnaireMessage(client, chatId, messageText, logger)) {
+                        continue;
+                    }
+
                     // If not a trigger, forward to avi-website API (avi-chatbot)
                     const aviWebsiteUrl = process.env.AVI_WEBSITE_API_URL;
 
@@ -758,20 +1316,93 @@ async function initializeWhatsApp() {
             }
         });
 
-        console.log('✅ WhatsApp client initialized with Baileys');
+        console.log(`✅ WhatsApp client initialized with Baileys (account: ${accountId})`);
 
     } catch (error) {
-        console.error('❌ Failed to initialize WhatsApp client:', error);
-        client = null;
+        console.error(`❌ Failed to initialize WhatsApp client (account: ${accountId}):`, error);
+        account.client = null;
 
         // Retry after 10 seconds
         setTimeout(() => {
             console.log('🔄 Retrying initialization...');
-            initializeWhatsApp();
+            initializeWhatsApp(accountId);
         }, 10000);
     }
 }
 
+// Opt-out keyword: suppress the number, cancel everything pending for it and confirm (when confirm is set)
+async function handleOptOut(client, chatId, messageText, { confirm = true } = {}) {
+    try {
+        const phoneNumber = suppression.normalizePhoneNumber(chatId);
+
+        await suppression.suppress(chatId, { reason: messageText, source: 'keyword', chatId });
+        const cancelledCount = await cancelPhoneMessages(phoneNumber);
+        sessionManager.clearPendingUser(phoneNumber);
+
+        logger.info(`🚫 [OPT-OUT] ${chatId} opted out (${cancelledCount} scheduled messages cancelled)`);
+
+        // Confirmation is the last message they get - sent directly, bypassing the suppression check
+        if (confirm) {
+            await sendMessageAsync(client, chatId, suppression.CONFIRMATION_MESSAGES.optOut);
+        }
+    } catch (error) {
+        logger.error('🚫 [OPT-OUT] Error handling opt-out:', error);
+    }
+}
+
+// Refuse manual sends outside business hours when the policy enforces it (responds 409 and returns false)
+// Admin keys may send anyway with override_business_hours=true (body or query)
+function checkBusinessHours(req, res) {
+    const { policy } = businessHours.getPolicy();
+    if (!policy.enforceOnManualSends) return true;
+
+    const override = req.body?.override_business_hours === true || req.query.override_business_hours === 'true';
+
+    if (override && !req.apiKey?.roles.includes('admin')) {
+        res.status(403).json({ success: false, error: 'override_business_hours requires the admin role' });
+        return false;
+    }
+
+    const now = toIsraelTime(Date.now());
+    if (override || businessHours.isOpenAt(now)) return true;
+
+    logger.warn(`🕘 [BUSINESS-HOURS] Refused manual send on ${req.path} - outside business hours`);
+    res.status(409).json({
+        success: false,
+        error: 'Outside business hours',
+        code: businessHours.OUTSIDE_BUSINESS_HOURS_ERROR_CODE,
+        nextAllowedAt: getNextValidBusinessTime(now).toISO()
+    });
+    return false;
+}
+
+// Refuse manual sends to opted-out numbers (responds 403 and returns false)
+// Admin keys may send anyway with override_suppression=true (body or query)
+async function checkSuppression(req, res, chatId) {
+    const override = req.body?.override_suppression === true || req.query.override_suppression === 'true';
+
+    if (override && !req.apiKey?.roles.includes('admin')) {
+        res.status(403).json({ success: false, error: 'override_suppression requires the admin role' });
+        return false;
+    }
+
+    try {
+        await suppression.assertNotSuppressed(chatId, { override });
+        return true;
+    } catch (error) {
+        if (error.code !== suppression.SUPPRESSED_ERROR_CODE) throw error;
+
+        logger.warn(`🚫 [OPT-OUT] Refused send to suppressed number ${chatId}`);
+        res.status(403).json({
+            success: false,
+            error: 'Recipient has opted out of messages',
+            code: error.code,
+            chatId
+        });
+        return false;
+    }
+}
+
 // STABILITY: Wrap message sending to track pending operations
 async function sendMessageAsync(client, chatId, message) {
     const operationId = `msg-${Date.now()}-${Math.random()}`;
@@ -779,11 +1410,14 @@ async function sendMessageAsync(client, chatId, message) {
 
     try {
         // Baileys requires { text: message } format
-        await client.sendMessage(chatId, { text: message });
+        const sent = await client.sendMessage(chatId, { text: message });
         console.log(`✓ Message sent successfully (${operationId})`);
+
+        await messageStore.storeOutgoingMessage(chatId, sent, { body: message });
         return true;
     } catch (error) {
         console.error(`✗ Failed to send message (${operationId}):`, error.message);
+        await messageStore.storeOutgoingMessage(chatId, null, { body: message, deliveryStatus: 'failed' });
         return false;
     } finally {
         pendingOperations.delete(operationId);
@@ -802,10 +1436,14 @@ async function sendMediaFromUrl(client, chatId, caption, mediaUrl) {
         const isVideo = mediaUrl.match(/\.(mp4|mov|avi|mkv|webm)($|\?)/i);
         const isImage = mediaUrl.match(/\.(jpg|jpeg|png|gif|webp)($|\?)/i);
 
+        let sent;
+        let messageType;
+
         if (isVideo) {
             // VIDEO - Direct URL streaming (NO CHROMIUM CODEC ISSUES!)
             // Baileys streams directly via WebSocket, no browser needed
-            await client.sendMessage(chatId, {
+            messageType = 'video';
+            sent = await client.sendMessage(chatId, {
                 video: { url: mediaUrl },
                 caption: caption || '',
                 gifPlayback: mediaUrl.includes('gif'), // For animated content
@@ -815,7 +1453,8 @@ async function sendMediaFromUrl(client, chatId, caption, mediaUrl) {
             console.log(`✓ [MEDIA] Video sent successfully (${operationId})`);
         } else if (isImage) {
             // IMAGE
-            await client.sendMessage(chatId, {
+            messageType = 'image';
+            sent = await client.sendMessage(chatId, {
                 image: { url: mediaUrl },
                 caption: caption || ''
             });
@@ -823,7 +1462,8 @@ async function sendMediaFromUrl(client, chatId, caption, mediaUrl) {
             console.log(`✓ [MEDIA] Image sent successfully (${operationId})`);
         } else {
             // DOCUMENT (fallback for other files)
-            await client.sendMessage(chatId, {
+            messageType = 'document';
+            sent = await client.sendMessage(chatId, {
                 document: { url: mediaUrl },
                 caption: caption || '',
                 mimetype: 'application/octet-stream',
@@ -833,6 +1473,7 @@ async function sendMediaFromUrl(client, chatId, caption, mediaUrl) {
             console.log(`✓ [MEDIA] Document sent successfully (${operationId})`);
         }
 
+        await messageStore.storeOutgoingMessage(chatId, sent, { body: caption, messageType, mediaUrl });
         return true;
 
     } catch (error) {
@@ -840,10 +1481,14 @@ async function sendMediaFromUrl(client, chatId, caption, mediaUrl) {
 
         // Fallback: text only
         try {
-            await client.sendMessage(chatId, { text: `${caption}\n\n[Media: ${mediaUrl}]` });
+            const fallbackText = `${caption}\n\n[Media: ${mediaUrl}]`;
+            const sent = await client.sendMessage(chatId, { text: fallbackText });
             console.log(`✓ [MEDIA] Sent text fallback (${operationId})`);
+
+            await messageStore.storeOutgoingMessage(chatId, sent, { body: fallbackText });
         } catch (fallbackError) {
             console.error(`❌ [MEDIA] Text fallback failed (${operationId}):`, fallbackError.message);
+            await messageStore.storeOutgoingMessage(chatId, null, { body: caption, mediaUrl, deliveryStatus: 'failed' });
         }
 
         return false;
@@ -852,38 +1497,134 @@ async function sendMediaFromUrl(client, chatId, caption, mediaUrl) {
     }
 }
 
-// Routes
-app.get('/', (req, res) => {
-    res.json({
-        message: 'WhatsApp Authentication Service',
-        status: connectionStatus,
-        authenticated: isAuthenticated,
-        connected: isConnected
-    });
-});
-
-app.get('/api/health', (req, res) => {
-    const timeSinceLastSuccess = lastSuccessfulChatsFetch
-        ? Date.now() - lastSuccessfulChatsFetch
-        : null;
+// Max media size accepted by WhatsApp for images/videos/audio (documents allow more,
+// but the request body limit is 20MB anyway)
+const MAX_MEDIA_SIZE = 16 * 1024 * 1024; // 16MB
 
-    res.json({
-        status: 'healthy',
-        whatsapp_status: connectionStatus,
-        authenticated: isAuthenticated,
-        connected: isConnected,
-        last_successful_fetch: lastSuccessfulChatsFetch
-            ? new Date(lastSuccessfulChatsFetch).toISOString()
-            : 'never',
-        time_since_last_success_ms: timeSinceLastSuccess,
-        consecutive_failures: consecutiveFailures,
-        client_responsive: consecutiveFailures < MAX_CONSECUTIVE_FAILURES
-    });
-});
+/**
+ * Detect the Baileys media kind from a mimetype
+ * @param {string} mimetype - e.g. image/jpeg, video/mp4, audio/ogg, application/pdf
+ * @returns {string} image | video | audio | sticker | document
+ */
+function detectMediaType(mimetype) {
+    const type = (mimetype || '').toLowerCase().split(';')[0].trim();
+
+    // WhatsApp stickers are always WebP images
+    if (type === 'image/webp') return 'sticker';
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/')) return 'audio';
+    return 'document';
+}
 
-// Deep health check - actually tests if client can fetch chats
-app.get('/api/health/deep', async (req, res) => {
-    if (!isAuthenticated || !client) {
+/**
+ * Build the Baileys message content for a media buffer
+ * @param {Object} params - Media parameters
+ * @param {Buffer} params.buffer - Raw media bytes
+ * @param {string} params.mimetype - Media mimetype
+ * @param {string} params.filename - Original filename (kept for documents)
+ * @param {string} params.caption - Optional caption (ignored for audio/stickers)
+ * @param {boolean} params.ptt - Send audio as a voice note
+ * @returns {Object} { content, mediaType }
+ */
+function buildMediaContent({ buffer, mimetype, filename, caption, ptt = false }) {
+    const mediaType = detectMediaType(mimetype);
+
+    switch (mediaType) {
+        case 'image':
+            return { mediaType, content: { image: buffer, mimetype, caption: caption || undefined } };
+        case 'video':
+            return { mediaType, content: { video: buffer, mimetype, caption: caption || undefined } };
+        case 'sticker':
+            return { mediaType, content: { sticker: buffer } };
+        case 'audio':
+            // Voice notes must be OGG/Opus to play inline on the phone
+            return {
+                mediaType,
+                content: {
+                    audio: buffer,
+                    mimetype: ptt ? 'audio/ogg; codecs=opus' : mimetype,
+                    ptt: !!ptt
+                }
+            };
+        default:
+            return {
+                mediaType,
+                content: {
+                    document: buffer,
+                    mimetype,
+                    fileName: filename || 'file',
+                    caption: caption || undefined
+                }
+            };
+    }
+}
+
+// Send media message from an in-memory buffer (base64 or binary upload)
+async function sendMediaBuffer(client, chatId, { buffer, mimetype, filename, caption, ptt }) {
+    const operationId = `media-${Date.now()}-${Math.random()}`;
+    pendingOperations.add(operationId);
+
+    try {
+        const { content, mediaType } = buildMediaContent({ buffer, mimetype, filename, caption, ptt });
+        console.log(`📤 [MEDIA] Sending ${mediaType}${ptt && mediaType === 'audio' ? ' (voice note)' : ''} to ${chatId} (${operationId})`);
+
+        const sent = await client.sendMessage(chatId, content);
+        console.log(`✓ [MEDIA] ${mediaType} sent successfully (${operationId})`);
+
+        await messageStore.storeOutgoingMessage(chatId, sent, {
+            body: caption || (mediaType === 'document' ? filename : ''),
+            messageType: mediaType
+        });
+
+        return { success: true, mediaType, messageId: sent?.key?.id || null };
+    } catch (error) {
+        console.error(`❌ [MEDIA] Failed (${operationId}):`, error.message);
+        await messageStore.storeOutgoingMessage(chatId, null, { body: caption || filename || '', deliveryStatus: 'failed' });
+        return { success: false, error: error.message };
+    } finally {
+        pendingOperations.delete(operationId);
+    }
+}
+
+// Routes
+app.get('/', resolveAccount, (req, res) => {
+    res.json({
+        message: 'WhatsApp Authentication Service',
+        account_id: req.account.accountId,
+        status: req.account.connectionStatus,
+        authenticated: req.account.isAuthenticated,
+        connected: req.account.isConnected
+    });
+});
+
+app.get('/api/health', resolveAccount, (req, res) => {
+    const { account } = req;
+    const timeSinceLastSuccess = account.lastSuccessfulChatsFetch
+        ? Date.now() - account.lastSuccessfulChatsFetch
+        : null;
+
+    res.json({
+        status: 'healthy',
+        account_id: account.accountId,
+        whatsapp_status: account.connectionStatus,
+        authenticated: account.isAuthenticated,
+        connected: account.isConnected,
+        last_successful_fetch: account.lastSuccessfulChatsFetch
+            ? new Date(account.lastSuccessfulChatsFetch).toISOString()
+            : 'never',
+        time_since_last_success_ms: timeSinceLastSuccess,
+        consecutive_failures: account.consecutiveFailures,
+        client_responsive: account.consecutiveFailures < MAX_CONSECUTIVE_FAILURES,
+        accounts: [...whatsappAccounts.values()].map(formatAccountStatus)
+    });
+});
+
+// Deep health check - actually tests if client can fetch chats
+app.get('/api/health/deep', resolveAccount, async (req, res) => {
+    const { client, isAuthenticated, isConnected } = req.account;
+
+    if (!isAuthenticated || !client) {
         return res.json({
             status: 'unhealthy',
             reason: 'Not authenticated',
@@ -918,11 +1659,11 @@ app.get('/api/health/deep', async (req, res) => {
 });
 
 // Get message templates
-app.get('/api/templates', async (req, res) => {
+app.get('/api/templates', requireRole('viewer'), async (req, res) => {
     try {
         logger.info('Fetching message templates');
         const templates = await loadTemplates();
-        res.json({ templates });
+        res.json({ templates: templates.map(formatTemplate) });
     } catch (error) {
         logger.error('Error fetching templates:', error);
         res.status(500).json({ error: 'Failed to fetch templates' });
@@ -930,23 +1671,29 @@ app.get('/api/templates', async (req, res) => {
 });
 
 // Create new template
-app.post('/api/templates', async (req, res) => {
+app.post('/api/templates', requireRole('sender'), async (req, res) => {
     try {
-        const { name, content } = req.body;
+        const { name, content, variables } = req.body;
 
         if (!name || !content) {
             return res.status(400).json({ error: 'Name and content are required' });
         }
 
+        const errors = templateVariables.validateTemplateDefinition({ content, variables });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid template variables', errors });
+        }
+        const declaredVariables = variables ? templateVariables.normalizeDeclarations(variables) : null;
+
         if (dbPool) {
             // Use PostgreSQL
             const result = await dbPool.query(
-                'INSERT INTO templates (name, content) VALUES ($1, $2) RETURNING id, name, content',
-                [name.trim(), content.trim()]
+                'INSERT INTO templates (name, content, variables) VALUES ($1, $2, $3) RETURNING id, name, content, variables',
+                [name.trim(), content.trim(), declaredVariables ? JSON.stringify(declaredVariables) : null]
             );
             const newTemplate = result.rows[0];
             logger.info('Created new template:', newTemplate.name);
-            res.status(201).json({ template: newTemplate });
+            res.status(201).json({ template: formatTemplate(newTemplate) });
         } else {
             // Use JSON file for local development
             const templates = await loadTemplates();
@@ -954,13 +1701,14 @@ app.post('/api/templates', async (req, res) => {
             const newTemplate = {
                 id: newId,
                 name: name.trim(),
-                content: content.trim()
+                content: content.trim(),
+                variables: declaredVariables
             };
             templates.push(newTemplate);
 
             if (saveTemplatesToFile(templates)) {
                 logger.info('Created new template:', newTemplate.name);
-                res.status(201).json({ template: newTemplate });
+                res.status(201).json({ template: formatTemplate(newTemplate) });
             } else {
                 res.status(500).json({ error: 'Failed to save template' });
             }
@@ -972,20 +1720,26 @@ app.post('/api/templates', async (req, res) => {
 });
 
 // Update template
-app.put('/api/templates/:id', async (req, res) => {
+app.put('/api/templates/:id', requireRole('sender'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const { name, content } = req.body;
+        const { name, content, variables } = req.body;
 
         if (!name || !content) {
             return res.status(400).json({ error: 'Name and content are required' });
         }
 
+        const errors = templateVariables.validateTemplateDefinition({ content, variables });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid template variables', errors });
+        }
+        const declaredVariables = variables ? templateVariables.normalizeDeclarations(variables) : null;
+
         if (dbPool) {
             // Use PostgreSQL
             const result = await dbPool.query(
-                'UPDATE templates SET name = $1, content = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING id, name, content',
-                [name.trim(), content.trim(), id]
+                'UPDATE templates SET name = $1, content = $2, variables = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING id, name, content, variables',
+                [name.trim(), content.trim(), declaredVariables ? JSON.stringify(declaredVariables) : null, id]
             );
 
             if (result.rows.length === 0) {
@@ -994,7 +1748,7 @@ app.put('/api/templates/:id', async (req, res) => {
 
             const updatedTemplate = result.rows[0];
             logger.info('Updated template:', updatedTemplate.name);
-            res.json({ template: updatedTemplate });
+            res.json({ template: formatTemplate(updatedTemplate) });
         } else {
             // Use JSON file for local development
             const templates = await loadTemplates();
@@ -1007,12 +1761,13 @@ app.put('/api/templates/:id', async (req, res) => {
             templates[index] = {
                 id,
                 name: name.trim(),
-                content: content.trim()
+                content: content.trim(),
+                variables: declaredVariables
             };
 
             if (saveTemplatesToFile(templates)) {
                 logger.info('Updated template:', templates[index].name);
-                res.json({ template: templates[index] });
+                res.json({ template: formatTemplate(templates[index]) });
             } else {
                 res.status(500).json({ error: 'Failed to save template' });
             }
@@ -1024,7 +1779,7 @@ app.put('/api/templates/:id', async (req, res) => {
 });
 
 // Delete template
-app.delete('/api/templates/:id', async (req, res) => {
+app.delete('/api/templates/:id', requireRole('sender'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
 
@@ -1066,16 +1821,227 @@ app.delete('/api/templates/:id', async (req, res) => {
     }
 });
 
-app.get('/api/auth/status', (req, res) => {
+// Preview a template with its variables filled { variables, session_id, chat_id }
+app.post('/api/templates/:id/render', requireRole('viewer'), async (req, res) => {
+    try {
+        const template = await findTemplate(parseInt(req.params.id));
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const context = await loadTemplateContext({ sessionId: req.body.session_id, chatId: req.body.chat_id });
+        const { values, sources } = templateVariables.resolveValues(template, {
+            values: req.body.variables || {},
+            formData: context.formData,
+            contactName: context.contactName
+        });
+
+        const content = templateVariables.renderTemplate(template, values);
+        res.json({ success: true, templateId: template.id, content, variables: values, sources });
+    } catch (error) {
+        if (error.code === templateVariables.MISSING_VARIABLES_ERROR_CODE) {
+            return res.status(400).json({ success: false, error: error.message, missing: error.missing });
+        }
+        logger.error('Error rendering template:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Render a template and send it { chatId | recipient | session_id, variables }
+// Goes through the same checks as /api/send (opt-out, business hours) and is sent from the
+// session's account unless one is requested
+app.post('/api/templates/:id/send', messageLimiter, requireRole('sender'), resolveAccount, async (req, res) => {
+    try {
+        const template = await findTemplate(parseInt(req.params.id));
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const context = await loadTemplateContext({
+            sessionId: req.body.session_id,
+            chatId: req.body.chatId || req.body.recipient
+        });
+
+        if (!context.chatId) {
+            return res.status(400).json({ success: false, error: 'chatId/recipient or a session_id with a chat is required' });
+        }
+
+        const account = !req.accountRequested && context.session?.account_id
+            ? whatsappAccounts.get(context.session.account_id) || req.account
+            : req.account;
+
+        if (!account.isAuthenticated || !account.client) {
+            return res.status(401).json({ success: false, error: 'Not authenticated' });
+        }
+
+        const { values } = templateVariables.resolveValues(template, {
+            values: req.body.variables || {},
+            formData: context.formData,
+            contactName: context.contactName
+        });
+        const message = templateVariables.renderTemplate(template, values);
+
+        if (!(await checkSuppression(req, res, context.chatId))) return;
+        if (!checkBusinessHours(req, res)) return;
+
+        res.locals.auditDetails = { templateId: template.id, chatId: context.chatId, variables: Object.keys(values) };
+
+        // Return 202 Accepted immediately - don't wait for WhatsApp
+        res.status(202).json({
+            success: true,
+            status: 'accepted',
+            message: 'Message queued for sending',
+            chatId: context.chatId,
+            content: message,
+            timestamp: new Date().toISOString()
+        });
+
+        const client = account.client;
+        setImmediate(() => {
+            sendMessageAsync(client, context.chatId, message);
+        });
+    } catch (error) {
+        if (error.code === templateVariables.MISSING_VARIABLES_ERROR_CODE) {
+            return res.status(400).json({ success: false, error: error.message, missing: error.missing });
+        }
+        logger.error('Error sending template:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List WhatsApp accounts with their connection status
+app.get('/api/accounts', requireRole('viewer'), async (req, res) => {
+    try {
+        const records = await accounts.listAccounts();
+
+        res.json({
+            success: true,
+            accounts: records.map(record => ({
+                ...formatAccountStatus(getAccountState(record.account_id)),
+                name: record.name,
+                botEnabledSetting: record.bot_enabled,
+                linkedNumber: record.phone_number
+            }))
+        });
+    } catch (error) {
+        logger.error('Error listing accounts:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create an account and start its QR login
+app.post('/api/accounts', requireRole('admin'), async (req, res) => {
+    try {
+        const { accountId, name, botEnabled } = req.body;
+        const normalizedId = accounts.normalizeAccountId(accountId);
+
+        if (!normalizedId) {
+            return res.status(400).json({
+                success: false,
+                error: 'accountId is required (lowercase letters, digits, "-" and "_", max 50 chars)'
+            });
+        }
+
+        if (botEnabled !== undefined && typeof botEnabled !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'botEnabled must be a boolean' });
+        }
+
+        const record = await accounts.createAccount({ accountId: normalizedId, name, botEnabled });
+
+        getAccountState(normalizedId);
+        initializeWhatsApp(normalizedId);
+
+        res.status(201).json({
+            success: true,
+            account: record,
+            message: `Account created - scan the QR code at /qr?account_id=${normalizedId}`
+        });
+    } catch (error) {
+        if (error.code === 'ACCOUNT_EXISTS') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        if (error.code === 'DATABASE_UNAVAILABLE') {
+            return res.status(503).json({ success: false, error: error.message });
+        }
+        logger.error('Error creating account:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Rename an account or change its bot-enabled flag (applies immediately)
+app.put('/api/accounts/:accountId', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, botEnabled } = req.body;
+
+        if (botEnabled !== undefined && typeof botEnabled !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'botEnabled must be a boolean' });
+        }
+
+        const record = await accounts.updateAccount(req.params.accountId, { name, botEnabled });
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+
+        const account = whatsappAccounts.get(record.account_id);
+        if (account && account.isAuthenticated) {
+            account.isBotEnabled = accounts.isBotEnabledFor(record, account.phoneNumber);
+            // Scheduled messages only go out through bot-enabled accounts
+            setSockClient(account.isBotEnabled ? account.client : null, record.account_id);
+            if (account.isBotEnabled && dbPool) {
+                initializeWorker();
+            }
+            logger.info(`🤖 [ACCOUNTS] Bot ${account.isBotEnabled ? 'enabled' : 'disabled'} for account ${record.account_id}`);
+        }
+
+        res.json({ success: true, account: record });
+    } catch (error) {
+        logger.error('Error updating account:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete an account - logs its socket out locally and removes its auth state
+app.delete('/api/accounts/:accountId', requireRole('admin'), async (req, res) => {
+    try {
+        const { accountId } = req.params;
+
+        if (accountId === accounts.DEFAULT_ACCOUNT_ID) {
+            return res.status(400).json({ success: false, error: 'The default account cannot be deleted' });
+        }
+
+        const account = whatsappAccounts.get(accountId);
+        if (account) {
+            // Remove the entry first so the close handler doesn't reconnect
+            whatsappAccounts.delete(accountId);
+            account.client?.ev.removeAllListeners();
+            disconnectAccount(account, 'Account deleted');
+            await clearAccountAuthState(accountId);
+        }
+
+        const deleted = await accounts.deleteAccount(accountId);
+        if (!deleted && !account) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+
+        logger.info(`🗑️  [ACCOUNTS] Deleted account ${accountId} (requested by key "${req.apiKey.name}")`);
+        res.json({ success: true, message: `Account ${accountId} deleted` });
+    } catch (error) {
+        logger.error('Error deleting account:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/auth/status', resolveAccount, (req, res) => {
     res.json({
-        status: connectionStatus,
-        authenticated: isAuthenticated,
-        connected: isConnected,
-        hasQR: !!qrString
+        account_id: req.account.accountId,
+        status: req.account.connectionStatus,
+        authenticated: req.account.isAuthenticated,
+        connected: req.account.isConnected,
+        hasQR: !!req.account.qrString
     });
 });
 
-// QR Code HTML viewer page
+// QR Code HTML viewer page (/qr?account_id=<id> for accounts other than default)
 app.get('/qr', (req, res) => {
     const html = `
 <!DOCTYPE html>
@@ -1137,6 +2103,8 @@ app.get('/qr', (req, res) => {
         .instructions li { margin: 8px 0; color: #555; line-height: 1.6; }
         .status { font-size: 14px; color: #666; margin-top: 15px; padding: 10px; background: #e8f5e9; border-radius: 8px; }
         .status.error { background: #ffebee; color: #c62828; }
+        .pairing-code { font-family: "SF Mono", Menlo, monospace; font-size: 40px; font-weight: bold; letter-spacing: 6px; color: #333; }
+        .pairing-expiry { font-size: 13px; color: #888; margin-top: 10px; }
     </style>
 </head>
 <body>
@@ -1155,16 +2123,44 @@ app.get('/qr', (req, res) => {
                 <li>Tap Link a Device</li>
                 <li>Point your phone at this screen to scan the QR code</li>
             </ol>
+            <p id="pairing-instructions" style="display: none; margin-top: 10px; color: #555;">
+                Linking with a pairing code? In step 4 tap <b>Link with phone number instead</b> and enter the code shown above.
+            </p>
         </div>
     </div>
     <script>
+        const accountId = new URLSearchParams(window.location.search).get('account_id');
+        const accountQuery = accountId ? '?account_id=' + encodeURIComponent(accountId) : '';
+        const qrUrl = '/api/auth/qr' + accountQuery;
+        const pairingUrl = '/api/auth/pairing-code' + accountQuery;
+
         async function checkStatus() {
             try {
-                const response = await fetch('/api/auth/qr');
-                const data = await response.json();
                 const qrcodeDiv = document.getElementById('qrcode');
                 const statusDiv = document.getElementById('status');
 
+                // A requested pairing code takes precedence over the QR code
+                const pairingResponse = await fetch(pairingUrl);
+                const pairing = await pairingResponse.json();
+                document.getElementById('pairing-instructions').style.display = pairing.phoneNumber ? 'block' : 'none';
+
+                if (pairing.pairingCode) {
+                    const expiresAt = new Date(pairing.expiresAt).toLocaleTimeString();
+                    qrcodeDiv.innerHTML = '<div><div class="pairing-code">' + pairing.pairingCode + '</div>' +
+                        '<div class="pairing-expiry">For +' + pairing.phoneNumber + ' - renews after ' + expiresAt + '</div></div>';
+                    statusDiv.textContent = 'Enter this code on your phone';
+                    statusDiv.className = 'status';
+                    return;
+                } else if (pairing.phoneNumber) {
+                    qrcodeDiv.innerHTML = '<p style="color: #666;">Generating pairing code...</p>';
+                    statusDiv.textContent = pairing.status;
+                    statusDiv.className = 'status';
+                    return;
+                }
+
+                const response = await fetch(qrUrl);
+                const data = await response.json();
+
                 if (data.qrImage) {
                     qrcodeDiv.innerHTML = \`<img src="\${data.qrImage}" alt="QR Code" />\`;
                     statusDiv.textContent = 'Ready to scan!';
@@ -1189,8 +2185,10 @@ app.get('/qr', (req, res) => {
     res.send(html);
 });
 
-app.get('/api/auth/qr', async (req, res) => {
+app.get('/api/auth/qr', resolveAccount, async (req, res) => {
     try {
+        const { qrString, connectionStatus } = req.account;
+
         if (!qrString) {
             return res.status(404).json({
                 error: 'No QR code available',
@@ -1210,22 +2208,101 @@ app.get('/api/auth/qr', async (req, res) => {
     }
 });
 
-app.post('/api/auth/connect', (req, res) => {
+// Pairing-code login: link by entering a code on the phone instead of scanning the QR
+// (WhatsApp > Linked Devices > Link a Device > Link with phone number instead)
+app.post('/api/auth/pairing-code', requireRole('admin'), resolveAccount, async (req, res) => {
+    try {
+        const { account } = req;
+        const phoneNumber = suppression.normalizePhoneNumber(req.body.phoneNumber || req.body.phone);
+
+        if (!phoneNumber || !/^\d{8,15}$/.test(phoneNumber)) {
+            return res.status(400).json({
+                success: false,
+                error: 'phoneNumber is required (international format, e.g. 972501234567)'
+            });
+        }
+
+        if (account.isAuthenticated) {
+            return res.status(409).json({
+                success: false,
+                error: 'Account is already linked - disconnect or reset it first',
+                status: account.connectionStatus
+            });
+        }
+
+        logger.info(`🔢 Pairing code requested for ${phoneNumber} (account: ${account.accountId}, key "${req.apiKey.name}")`);
+
+        // A new number (or a repeated request) always gets a fresh code
+        account.pairingPhoneNumber = phoneNumber;
+        clearPairingCode(account);
+
+        if (!account.client) {
+            initializeWhatsApp(account.accountId);
+        } else if (account.qrString) {
+            // Socket is already waiting for a login - request right away
+            await refreshPairingCode(account);
+        }
+
+        // Otherwise the code is requested on the socket's first QR event
+        const deadline = Date.now() + PAIRING_CODE_WAIT_MS;
+        while (!account.pairingCode && account.pairingPhoneNumber === phoneNumber && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        if (!account.pairingCode) {
+            return res.status(202).json({
+                success: true,
+                message: 'Pairing code is being generated - poll GET /api/auth/pairing-code',
+                ...formatPairingCode(account)
+            });
+        }
+
+        res.json({ success: true, ...formatPairingCode(account) });
+    } catch (error) {
+        console.error('Error requesting pairing code:', error);
+        res.status(500).json({ success: false, error: 'Failed to request pairing code', details: error.message });
+    }
+});
+
+app.get('/api/auth/pairing-code', resolveAccount, async (req, res) => {
+    try {
+        const { account } = req;
+
+        if (!account.pairingPhoneNumber) {
+            return res.status(404).json({
+                error: 'No pairing code requested',
+                status: account.connectionStatus
+            });
+        }
+
+        // Expired codes are replaced (no-op while a request is already running)
+        await refreshPairingCode(account);
+
+        res.json(formatPairingCode(account));
+    } catch (error) {
+        console.error('Error refreshing pairing code:', error);
+        res.status(500).json({ error: 'Failed to refresh pairing code' });
+    }
+});
+
+app.post('/api/auth/connect', requireRole('admin'), resolveAccount, (req, res) => {
     try {
-        if (isConnected) {
+        const { account } = req;
+
+        if (account.isConnected) {
             return res.json({
                 message: 'Already connected',
-                status: connectionStatus
+                status: account.connectionStatus
             });
         }
 
-        if (!client) {
-            initializeWhatsApp();
+        if (!account.client) {
+            initializeWhatsApp(account.accountId);
         }
 
         res.json({
             message: 'Connection initiated',
-            status: connectionStatus
+            status: account.connectionStatus
         });
     } catch (error) {
         console.error('Error initiating connection:', error);
@@ -1234,33 +2311,17 @@ app.post('/api/auth/connect', (req, res) => {
 });
 
 // Clear session storage (for corrupted persistent disk)
-app.post('/api/auth/clear-session', async (req, res) => {
+app.post('/api/auth/clear-session', requireRole('admin'), resolveAccount, async (req, res) => {
     try {
-        console.log('🗑️  Clearing session storage...');
-
-        // Close existing client (Baileys uses end(), not destroy())
-        if (client) {
-            client.end(new Error('Session cleared by admin'));
-            client = null;
-        }
-
-        // Clear session directory
-        const sessionPath = process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions';
-        const sessionDir = path.join(sessionPath, 'session');
+        const { account } = req;
+        console.log(`🗑️  Clearing session storage for account ${account.accountId}...`);
 
-        if (fs.existsSync(sessionDir)) {
-            fs.rmSync(sessionDir, { recursive: true, force: true });
-            console.log('✅ Session storage cleared');
-        }
-
-        // Reset state
-        isAuthenticated = false;
-        isConnected = false;
-        connectionStatus = 'disconnected';
-        qrString = null;
+        disconnectAccount(account, 'Session cleared by admin');
+        await clearAccountAuthState(account.accountId);
 
         res.json({
             success: true,
+            account_id: account.accountId,
             message: 'Session storage cleared. Please scan QR code again.'
         });
     } catch (error) {
@@ -1273,21 +2334,13 @@ app.post('/api/auth/clear-session', async (req, res) => {
     }
 });
 
-app.post('/api/auth/disconnect', async (req, res) => {
+app.post('/api/auth/disconnect', requireRole('admin'), resolveAccount, async (req, res) => {
     try {
-        if (client) {
-            client.end(new Error('Client closed'));
-            client = null;
-        }
-
-        isConnected = false;
-        isAuthenticated = false;
-        connectionStatus = 'disconnected';
-        qrString = null;
+        disconnectAccount(req.account, 'Client closed');
 
         res.json({
             message: 'Disconnected successfully',
-            status: connectionStatus
+            status: req.account.connectionStatus
         });
     } catch (error) {
         console.error('Error disconnecting:', error);
@@ -1295,37 +2348,15 @@ app.post('/api/auth/disconnect', async (req, res) => {
     }
 });
 
-app.post('/api/auth/reset', async (req, res) => {
+app.post('/api/auth/reset', requireRole('admin'), resolveAccount, async (req, res) => {
     try {
-        // SECURITY: Require admin API key to reset session
-        const apiKey = req.headers['x-api-key'];
-
-        if (!apiKey || apiKey !== process.env.ADMIN_API_KEY) {
-            console.log('⚠️  [RESET] Unauthorized reset attempt - missing or invalid API key');
-            return res.status(403).json({
-                success: false,
-                error: 'Unauthorized - Admin API key required'
-            });
-        }
-
-        console.log('Resetting WhatsApp session...');
+        const { account } = req;
+        console.log(`Resetting WhatsApp session for account ${account.accountId} (requested by key "${req.apiKey.name}")...`);
 
-        // Destroy existing client
-        if (client) {
-            client.end(new Error('Client closed'));
-            client = null;
-        }
-
-        // Reset state
-        isConnected = false;
-        isAuthenticated = false;
-        connectionStatus = 'disconnected';
-        qrString = null;
+        disconnectAccount(account, 'Client closed');
 
-        // Backup and delete session files
-        const fs = require('fs');
-        const path = require('path');
-        const sessionPath = process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions';
+        // Backup session files before they're cleared
+        const sessionPath = getAccountSessionPath(account.accountId);
 
         console.log(`Processing session files at: ${sessionPath}`);
 
@@ -1339,31 +2370,35 @@ app.post('/api/auth/reset', async (req, res) => {
 
             // Create timestamped backup
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = path.join(backupDir, `session-backup-${timestamp}`);
+            const backupPath = path.join(backupDir, `session-backup-${account.accountId}-${timestamp}`);
+            // The default account's directory also holds the other accounts' sessions
+            const accountsDir = path.join(sessionPath, ACCOUNT_SESSIONS_DIR);
 
             try {
-                fs.cpSync(sessionPath, backupPath, { recursive: true });
+                fs.cpSync(sessionPath, backupPath, {
+                    recursive: true,
+                    filter: (source) => account.accountId !== accounts.DEFAULT_ACCOUNT_ID || source !== accountsDir
+                });
                 console.log(`✓ Session backed up to: ${backupPath}`);
             } catch (error) {
                 console.error('⚠️  Failed to backup session:', error.message);
                 // Continue with deletion anyway, but log warning
             }
-
-            // Now safe to delete
-            fs.rmSync(sessionPath, { recursive: true, force: true });
-            console.log('✓ Session files deleted successfully');
         }
 
+        // Postgres auth state has no file backup - the reset forces a new QR login either way
+        await clearAccountAuthState(account.accountId);
+
         // Re-initialize WhatsApp after a short delay
         setTimeout(() => {
-            console.log('Re-initializing WhatsApp client...');
-            initializeWhatsApp();
+            console.log(`Re-initializing WhatsApp client for account ${account.accountId}...`);
+            initializeWhatsApp(account.accountId);
         }, 1000);
 
         res.json({
             success: true,
             message: 'WhatsApp session reset successfully. New QR code will be generated shortly.',
-            status: connectionStatus
+            status: account.connectionStatus
         });
     } catch (error) {
         console.error('Error resetting session:', error);
@@ -1375,8 +2410,9 @@ app.post('/api/auth/reset', async (req, res) => {
     }
 });
 
-app.get('/api/auth/chats', async (req, res) => {
+app.get('/api/auth/chats', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
@@ -1425,8 +2461,9 @@ app.get('/api/auth/chats', async (req, res) => {
 });
 
 // OPTIMIZED: Returns immediately (202 Accepted), sends message in background
-app.post('/api/auth/send', messageLimiter, async (req, res) => {
+app.post('/api/auth/send', messageLimiter, requireRole('sender'), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
@@ -1437,6 +2474,9 @@ app.post('/api/auth/send', messageLimiter, async (req, res) => {
             return res.status(400).json({ error: 'chatId and message are required' });
         }
 
+        if (!(await checkSuppression(req, res, chatId))) return;
+        if (!checkBusinessHours(req, res)) return;
+
         // Return 202 Accepted immediately - don't wait for WhatsApp
         res.status(202).json({
             success: true,
@@ -1456,62 +2496,143 @@ app.post('/api/auth/send', messageLimiter, async (req, res) => {
     }
 });
 
+// Parse limit/offset query params for paginated endpoints
+const parsePagination = (query, defaultLimit = 50, maxLimit = 200) => {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    return { limit, offset };
+};
+
+// Shape a stored message row for the bridge-compatible API
+const formatStoredMessage = (row) => ({
+    id: row.message_id,
+    chatId: row.chat_id,
+    fromMe: row.from_me,
+    senderName: row.sender_name,
+    body: row.body,
+    type: row.message_type,
+    mediaUrl: row.media_url,
+    timestamp: row.timestamp,
+    isRead: row.is_read,
+    // Outbound only: sent -> delivered -> read, or failed
+    deliveryStatus: row.delivery_status,
+    deliveredAt: row.delivered_at,
+    readAt: row.read_at
+});
+
 // Bridge-compatible endpoints for web app integration
-// NOTE: This bot uses Baileys which doesn't support getChats() like whatsapp-web.js
-// Chat history viewing is not available in this service
-app.get('/api/chats', async (req, res) => {
+// Baileys has no getChats()/fetchMessages(), so history is served from the
+// messages table populated by messages.upsert and our send functions (lib/messageStore.js)
+app.get('/api/chats', requireRole('viewer'), async (req, res) => {
     try {
-        if (!isAuthenticated || !client) {
-            return res.json({ success: true, data: [] });
+        if (!dbPool) {
+            return res.json({
+                success: true,
+                data: [],
+                message: 'Chat history requires DATABASE_URL to be configured.'
+            });
         }
 
-        // Baileys doesn't have getChats() - return empty with message
-        logger.info('📊 [GET-CHATS] Chat listing not available (Baileys limitation)');
+        const { limit, offset } = parsePagination(req.query);
+        const { chats, total } = await messageStore.getChats({ limit, offset });
+
+        logger.info(`📊 [GET-CHATS] Returning ${chats.length} of ${total} chats`);
 
         res.json({
             success: true,
-            data: [],
-            message: 'Chat history viewing is not available in this bot service. Use the CSX frontend for chat viewing.'
+            data: chats.map(row => ({
+                id: row.chat_id,
+                name: row.name || row.chat_id.split('@')[0],
+                isGroup: false,
+                unreadCount: parseInt(row.unread_count),
+                lastMessage: {
+                    id: row.message_id,
+                    body: row.body,
+                    type: row.message_type,
+                    fromMe: row.from_me,
+                    timestamp: row.timestamp
+                }
+            })),
+            pagination: { limit, offset, total }
         });
     } catch (error) {
         logger.error(`❌ [GET-CHATS] Error: ${error.message}`);
-        res.json({ success: false, data: [], error: error.message });
+        res.status(500).json({ success: false, data: [], error: error.message });
     }
 });
 
-// NOTE: Baileys doesn't support getChatById/fetchMessages like whatsapp-web.js
-app.get('/api/messages', async (req, res) => {
-    res.json({
-        success: true,
-        data: [],
-        message: 'Message history viewing is not available in this bot service.'
-    });
-});
-
-// NOTE: Baileys doesn't support getChatById/fetchMessages like whatsapp-web.js
-app.get('/api/messages/:chatId', async (req, res) => {
-    res.json({
-        success: true,
-        data: [],
-        message: 'Message history viewing is not available in this bot service.'
-    });
-});
-
-// Download media for a specific message
-app.get('/api/media/:chatId/:messageId', async (req, res) => {
+// Recent messages across all chats (or a single chat via ?chatId=)
+app.get('/api/messages', requireRole('viewer'), async (req, res) => {
     try {
-        if (!isAuthenticated || !client) {
-            return res.status(401).json({ error: 'Not authenticated' });
+        if (!dbPool) {
+            return res.json({
+                success: true,
+                data: [],
+                message: 'Message history requires DATABASE_URL to be configured.'
+            });
         }
 
-        const { chatId, messageId } = req.params;
-        const decodedChatId = decodeURIComponent(chatId);
-
-        // Get the chat and fetch messages to find the specific message
-        const chat = await client.getChatById(decodedChatId);
-        const messages = await chat.fetchMessages({ limit: 500 });
+        const { limit, offset } = parsePagination(req.query);
+        const { messages, total } = await messageStore.getMessages({
+            chatId: req.query.chatId || null,
+            limit,
+            offset
+        });
 
-        // Find the message by ID
+        res.json({
+            success: true,
+            data: messages.map(formatStoredMessage),
+            pagination: { limit, offset, total }
+        });
+    } catch (error) {
+        logger.error(`❌ [GET-MESSAGES] Error: ${error.message}`);
+        res.status(500).json({ success: false, data: [], error: error.message });
+    }
+});
+
+// Message history for a single chat, newest first
+app.get('/api/messages/:chatId', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.json({
+                success: true,
+                data: [],
+                message: 'Message history requires DATABASE_URL to be configured.'
+            });
+        }
+
+        const chatId = decodeURIComponent(req.params.chatId);
+        const { limit, offset } = parsePagination(req.query);
+        const { messages, total } = await messageStore.getMessages({ chatId, limit, offset });
+
+        res.json({
+            success: true,
+            chatId: messageStore.normalizeChatId(chatId),
+            data: messages.map(formatStoredMessage),
+            pagination: { limit, offset, total }
+        });
+    } catch (error) {
+        logger.error(`❌ [GET-MESSAGES] Error: ${error.message}`);
+        res.status(500).json({ success: false, data: [], error: error.message });
+    }
+});
+
+// Download media for a specific message
+app.get('/api/media/:chatId/:messageId', requireRole('viewer'), resolveAccount, async (req, res) => {
+    try {
+        const { client, isAuthenticated } = req.account;
+        if (!isAuthenticated || !client) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const { chatId, messageId } = req.params;
+        const decodedChatId = decodeURIComponent(chatId);
+
+        // Get the chat and fetch messages to find the specific message
+        const chat = await client.getChatById(decodedChatId);
+        const messages = await chat.fetchMessages({ limit: 500 });
+
+        // Find the message by ID
         const message = messages.find(msg => msg.id._serialized === messageId);
 
         if (!message) {
@@ -1557,7 +2678,7 @@ app.get('/api/typing-states', (req, res) => {
 });
 
 // Add typing indicator endpoint
-app.post('/api/typing', async (req, res) => {
+app.post('/api/typing', requireRole('sender'), async (req, res) => {
     try {
         const { chatJid, isTyping } = req.body;
 
@@ -1578,7 +2699,7 @@ app.post('/api/typing', async (req, res) => {
 });
 
 // Admin endpoint to clear user session (for testing)
-app.post('/api/admin/clear-session', async (req, res) => {
+app.post('/api/admin/clear-session', requireRole('admin'), async (req, res) => {
     try {
         const { phone } = req.body;
 
@@ -1610,61 +2731,52 @@ app.post('/api/admin/clear-session', async (req, res) => {
     }
 });
 
-app.get('/api/status', (req, res) => {
+app.get('/api/status', resolveAccount, (req, res) => {
     res.json({
-        status: connectionStatus,
-        authenticated: isAuthenticated,
-        connected: isConnected
+        account_id: req.account.accountId,
+        status: req.account.connectionStatus,
+        authenticated: req.account.isAuthenticated,
+        connected: req.account.isConnected
     });
 });
 
 // Mark messages as read in a chat
-app.post('/api/chats/:chatId/mark-read', async (req, res) => {
+app.post('/api/chats/:chatId/mark-read', requireRole('sender'), resolveAccount, async (req, res) => {
     try {
-        if (!isAuthenticated || !client) {
-            console.log('❌ [MARK-READ] Not authenticated');
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
-
         const { chatId } = req.params;
         if (!chatId) {
             console.log('❌ [MARK-READ] No chatId provided');
             return res.status(400).json({ error: 'chatId is required' });
         }
 
+        if (!dbPool) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+
         const decodedChatId = decodeURIComponent(chatId);
         console.log(`🔵 [MARK-READ] Request received for chat: ${decodedChatId}`);
 
-        const chat = await client.getChatById(decodedChatId);
-        console.log(`🔵 [MARK-READ] Chat found, unreadCount BEFORE: ${chat.unreadCount}`);
-
-        // Fetch messages first to ensure they're fully loaded (helps with race conditions)
-        console.log(`🔵 [MARK-READ] Fetching messages to ensure sync...`);
-        const messages = await chat.fetchMessages({ limit: 50 });
-        console.log(`🔵 [MARK-READ] Fetched ${messages.length} messages`);
-
-        // Add a small delay to let new messages fully sync (200ms)
-        // This prevents race condition when message just arrived
-        await new Promise(resolve => setTimeout(resolve, 200));
-        console.log(`🔵 [MARK-READ] Waited 200ms for message sync`);
-
-        // Mark messages as read (send "seen" status)
-        await chat.sendSeen();
-        console.log(`✅ [MARK-READ] chat.sendSeen() completed`);
+        // Clear unread flags in the message store
+        const unreadKeys = await messageStore.markChatRead(decodedChatId);
+        console.log(`🔵 [MARK-READ] Marked ${unreadKeys.length} stored messages as read`);
 
-        // Wait a moment for WhatsApp to process
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Check unread count after marking as read
-        const updatedChat = await client.getChatById(decodedChatId);
-        console.log(`🔵 [MARK-READ] Chat unreadCount AFTER: ${updatedChat.unreadCount}`);
+        // Send "seen" receipts to WhatsApp if connected (best effort)
+        const { client, isAuthenticated } = req.account;
+        if (isAuthenticated && client && unreadKeys.length > 0) {
+            try {
+                await client.readMessages(unreadKeys);
+                console.log(`✅ [MARK-READ] Read receipts sent`);
+            } catch (error) {
+                console.error(`⚠️  [MARK-READ] Failed to send read receipts: ${error.message}`);
+            }
+        }
 
         res.json({
             success: true,
             message: 'Messages marked as read',
-            chatId: decodedChatId,
-            unreadCountBefore: chat.unreadCount,
-            unreadCountAfter: updatedChat.unreadCount
+            chatId: messageStore.normalizeChatId(decodedChatId),
+            unreadCountBefore: unreadKeys.length,
+            unreadCountAfter: 0
         });
     } catch (error) {
         console.error('❌ [MARK-READ] Error:', error);
@@ -1676,9 +2788,78 @@ app.post('/api/chats/:chatId/mark-read', async (req, res) => {
     }
 });
 
+// Shape a handoff row for the API
+const formatHandoff = (row) => ({
+    phoneNumber: row.phone_number,
+    chatId: row.chat_id,
+    takenBy: row.taken_by,
+    source: row.source,
+    startedAt: row.started_at,
+    lastActivityAt: row.last_activity_at,
+    expiresAt: row.expires_at
+});
+
+// List chats currently in human handoff (automation paused)
+app.get('/api/handoffs', requireRole('viewer'), async (req, res) => {
+    try {
+        const handoffs = await handoff.listActiveHandoffs();
+        res.json({ success: true, count: handoffs.length, handoffs: handoffs.map(formatHandoff) });
+    } catch (error) {
+        logger.error('Error listing handoffs:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Take over a chat - pauses reminders, trigger handling and AVI forwarding for this lead
+// Body: { takenBy, idleMinutes } (both optional - defaults to the API key name and HANDOFF_IDLE_MINUTES)
+app.post('/api/chats/:chatId/handoff', requireRole('sender'), async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const chatId = decodeURIComponent(req.params.chatId);
+        const idleMinutes = parseInt(req.body.idleMinutes) || handoff.HANDOFF_IDLE_MINUTES;
+
+        const record = await handoff.startHandoff(chatId, {
+            takenBy: req.body.takenBy || req.apiKey.name,
+            source: 'api',
+            idleMinutes
+        });
+
+        if (!record) {
+            return res.status(400).json({ success: false, error: 'Invalid chatId' });
+        }
+
+        logger.info(`🙋 [HANDOFF] ${chatId} taken over by ${record.taken_by} for ${idleMinutes} idle minutes`);
+        res.json({ success: true, handoff: formatHandoff(record) });
+    } catch (error) {
+        logger.error('Error starting handoff:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Release a chat back to automation (held messages go out on their next re-check)
+app.delete('/api/chats/:chatId/handoff', requireRole('sender'), async (req, res) => {
+    try {
+        const chatId = decodeURIComponent(req.params.chatId);
+        const released = await handoff.releaseHandoff(chatId);
+
+        if (!released) {
+            return res.status(404).json({ success: false, error: 'No active handoff for this chat' });
+        }
+
+        res.json({ success: true, message: `Automation resumed for ${chatId}` });
+    } catch (error) {
+        logger.error('Error releasing handoff:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // OPTIMIZED: Returns immediately (202 Accepted), sends message in background
-app.post('/api/send', messageLimiter, async (req, res) => {
+app.post('/api/send', messageLimiter, requireRole('sender'), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
@@ -1691,6 +2872,9 @@ app.post('/api/send', messageLimiter, async (req, res) => {
             return res.status(400).json({ error: 'chatId/recipient and message are required' });
         }
 
+        if (!(await checkSuppression(req, res, targetChatId))) return;
+        if (!checkBusinessHours(req, res)) return;
+
         // Return 202 Accepted immediately - don't wait for WhatsApp
         res.status(202).json({
             success: true,
@@ -1710,64 +2894,81 @@ app.post('/api/send', messageLimiter, async (req, res) => {
     }
 });
 
-// Send media (images, videos, documents) with optional caption
-app.post('/api/send-media', messageLimiter, async (req, res) => {
+// Send media (images, videos, audio/voice notes, documents, stickers) with optional caption
+// Accepts either:
+// - JSON: { chatId, caption, ptt, media: { mimetype, data (base64 or data URL), filename } }
+// - Binary upload: raw body with the media Content-Type, and chatId/caption/filename/ptt as query params
+app.post('/api/send-media', messageLimiter, requireRole('sender'), express.raw({ type: () => true, limit: '20mb' }), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
 
-        const { chatId, media, caption } = req.body;
+        let chatId, caption, ptt, buffer, mimetype, filename;
+
+        if (Buffer.isBuffer(req.body)) {
+            // Binary upload (express.json skipped it, express.raw collected it)
+            ({ chatId, caption, filename } = req.query);
+            ptt = req.query.ptt === 'true';
+            mimetype = req.headers['content-type'];
+            buffer = req.body;
+        } else {
+            const { media } = req.body;
+            ({ chatId, caption } = req.body);
+            ptt = req.body.ptt === true || req.body.ptt === 'true';
+
+            if (!media || !media.mimetype || !media.data) {
+                return res.status(400).json({ error: 'media object with mimetype and data is required' });
+            }
+
+            // Strip data URL prefix if present (data:image/png;base64,....)
+            const base64Data = media.data.includes(',') && media.data.startsWith('data:')
+                ? media.data.split(',')[1]
+                : media.data;
+
+            mimetype = media.mimetype;
+            filename = media.filename;
+            buffer = Buffer.from(base64Data, 'base64');
+        }
 
         // Validate required fields
         if (!chatId) {
             return res.status(400).json({ error: 'chatId is required' });
         }
 
-        if (!media || !media.mimetype || !media.data) {
-            return res.status(400).json({ error: 'media object with mimetype and data is required' });
+        if (!buffer || buffer.length === 0 || !mimetype) {
+            return res.status(400).json({ error: 'media data and mimetype are required' });
         }
 
         // Validate file size (16MB limit - WhatsApp limitation)
-        const base64Size = media.data.length * 0.75; // Rough estimate of decoded size
-        const maxSize = 16 * 1024 * 1024; // 16MB
-        if (base64Size > maxSize) {
+        if (buffer.length > MAX_MEDIA_SIZE) {
             return res.status(400).json({ error: 'File size exceeds 16MB limit' });
         }
 
-        // Return 202 Accepted immediately - don't wait for WhatsApp
-        res.status(202).json({
+        if (!(await checkSuppression(req, res, chatId))) return;
+        if (!checkBusinessHours(req, res)) return;
+
+        const result = await sendMediaBuffer(client, chatId, { buffer, mimetype, filename, caption, ptt });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to send media',
+                details: result.error,
+                chatId: chatId
+            });
+        }
+
+        res.json({
             success: true,
-            status: 'accepted',
-            message: 'Media message queued for sending',
+            status: 'sent',
+            message: 'Media message sent',
             chatId: chatId,
+            mediaType: result.mediaType,
+            messageId: result.messageId,
             timestamp: new Date().toISOString()
         });
-
-        // Send media in background (tracked for graceful shutdown)
-        setImmediate(async () => {
-            const operationId = `media-${Date.now()}-${Math.random()}`;
-            pendingOperations.add(operationId);
-
-            try {
-                // Create MessageMedia object
-                const messageMedia = new MessageMedia(
-                    media.mimetype,
-                    media.data,
-                    media.filename || 'file'
-                );
-
-                // Send media with optional caption
-                const options = caption ? { caption } : {};
-                await client.sendMessage(chatId, messageMedia, options);
-
-                console.log(`✓ Media sent successfully (${operationId})`);
-            } catch (error) {
-                console.error(`✗ Failed to send media (${operationId}):`, error.message);
-            } finally {
-                pendingOperations.delete(operationId);
-            }
-        });
     } catch (error) {
         console.error('Error processing send-media request:', error);
         res.status(500).json({ error: 'Failed to process send-media request' });
@@ -1778,10 +2979,28 @@ app.post('/api/send-media', messageLimiter, async (req, res) => {
 // STUPID BOT ENDPOINTS
 // =============================================================================
 
-// Webhook endpoint for form completion (receives notifications from Make.com)
-app.post('/api/bot/form-completed', async (req, res) => {
+// Webhook endpoint for form completion (receives notifications from Make.com, sender API key required)
+// Redeliveries (same Idempotency-Key, or same session) get the first response back without sending the summary again
+app.post('/api/bot/form-completed', requireRole('sender'), idempotency.idempotent('form-completed', (req) => {
+    const sessionId = req.body?.session_id || req.body?.sessionId || req.body?.session;
+    return typeof sessionId === 'string' ? sessionId : null;
+}), async (req, res) => {
     try {
-        // Check if bot is enabled (phone-based)
+        // Reply from the account the lead originally wrote to (handleFormCompletion rejects a missing session)
+        const sessionId = req.body.session_id || req.body.sessionId || req.body.session;
+        const session = sessionId ? await stupidBot.getSession(sessionId, dbPool) : null;
+        const account = whatsappAccounts.get(session?.accountId || accounts.DEFAULT_ACCOUNT_ID);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown WhatsApp account: ${session.accountId}`
+            });
+        }
+
+        const { client, isAuthenticated, isBotEnabled } = account;
+
+        // Check if bot is enabled (per account)
         if (!isBotEnabled) {
             logger.info('🤖 [STUPID-BOT] Webhook received but bot is disabled (phone number not in sales list)');
             return res.status(403).json({
@@ -1803,7 +3022,15 @@ app.post('/api/bot/form-completed', async (req, res) => {
         // Handle form completion with persistent storage
         const result = await stupidBot.handleFormCompletion(client, req.body, logger, dbPool);
 
-        if (result.success) {
+        if (result.duplicate) {
+            // Session was completed by an earlier delivery (or the web form) - nothing sent
+            res.json({
+                success: true,
+                duplicate: true,
+                message: 'Form already completed - success message not sent again',
+                phoneNumber: result.phoneNumber
+            });
+        } else if (result.success) {
             res.json({
                 success: true,
                 message: 'Success message sent',
@@ -1826,8 +3053,9 @@ app.post('/api/bot/form-completed', async (req, res) => {
 });
 
 // Send message endpoint (for Calendly webhook and other external services)
-app.post('/api/bot/send-message', messageLimiter, async (req, res) => {
+app.post('/api/bot/send-message', messageLimiter, requireRole('sender'), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             logger.error('🤖 [SEND-MESSAGE] WhatsApp not authenticated');
             return res.status(503).json({
@@ -1849,6 +3077,9 @@ app.post('/api/bot/send-message', messageLimiter, async (req, res) => {
         const normalizedPhone = phone.replace(/[^\d+]/g, '');
         const chatId = normalizedPhone.includes('@') ? normalizedPhone : `${normalizedPhone}@c.us`;
 
+        if (!(await checkSuppression(req, res, chatId))) return;
+        if (!checkBusinessHours(req, res)) return;
+
         logger.info(`📨 [SEND-MESSAGE] Sending message to ${normalizedPhone}${mediaUrl ? ' (with media)' : ''}`);
 
         // Return 202 Accepted immediately
@@ -1889,12 +3120,13 @@ app.post('/api/bot/send-message', messageLimiter, async (req, res) => {
     }
 });
 
-// Appointment scheduled webhook (for Calendly and other booking services)
-app.post('/api/bot/appointment-scheduled', async (req, res) => {
+// Appointment scheduled webhook (for Calendly and other booking services, sender API key required)
+app.post('/api/bot/appointment-scheduled', requireRole('sender'), async (req, res) => {
     try {
         logger.info('📅 [APPOINTMENT-SCHEDULED] Webhook received:', req.body);
 
-        const { phone, session_id } = req.body;
+        // meeting_start_at (ISO) is optional - when given, pre-meeting reminders are scheduled
+        const { phone, session_id, meeting_start_at, meeting_end_at, reschedule_url } = req.body;
 
         if (!phone && !session_id) {
             return res.status(400).json({
@@ -1903,6 +3135,28 @@ app.post('/api/bot/appointment-scheduled', async (req, res) => {
             });
         }
 
+        // The reschedule link is sent to the lead as-is, so it must point at the booking provider
+        if (reschedule_url != null && !calendly.isRescheduleUrl(reschedule_url)) {
+            return res.status(400).json({ success: false, error: 'reschedule_url must be an https link on the booking provider' });
+        }
+
+        // Check the meeting times before anything is updated or cancelled
+        const meetingStart = meeting_start_at != null ? parseIsoTime(meeting_start_at) : null;
+        if (meeting_start_at != null) {
+            if (!meetingStart) {
+                return res.status(400).json({ success: false, error: 'meeting_start_at must be an ISO timestamp' });
+            }
+            if (meetingStart.toMillis() <= Date.now()) {
+                return res.status(400).json({ success: false, error: 'meeting_start_at is in the past' });
+            }
+        }
+        if (meeting_end_at != null) {
+            const meetingEnd = parseIsoTime(meeting_end_at);
+            if (!meetingEnd || !meetingStart || meetingEnd <= meetingStart) {
+                return res.status(400).json({ success: false, error: 'meeting_end_at must be an ISO timestamp after meeting_start_at' });
+            }
+        }
+
         // Update session in database to mark appointment as scheduled
         if (dbPool) {
             try {
@@ -1915,21 +3169,24 @@ app.post('/api/bot/appointment-scheduled', async (req, res) => {
                         SET appointment_scheduled_at = NOW(),
                             status = 'completed'
                         WHERE session_id = $1
-                        RETURNING session_id, phone_number
+                        RETURNING session_id, phone_number, chat_id
                     `;
                     params = [session_id];
                 } else {
-                    // Update by phone number (fallback)
+                    // Update the lead's latest unscheduled session by phone number (fallback)
                     const normalizedPhone = phone.replace(/[^\d+]/g, '');
                     query = `
                         UPDATE sessions
                         SET appointment_scheduled_at = NOW(),
                             status = 'completed'
-                        WHERE phone_number = $1
-                          AND appointment_scheduled_at IS NULL
-                        ORDER BY created_at DESC
-                        LIMIT 1
-                        RETURNING session_id, phone_number
+                        WHERE session_id = (
+                            SELECT session_id FROM sessions
+                            WHERE phone_number = $1
+                              AND appointment_scheduled_at IS NULL
+                            ORDER BY created_at DESC
+                            LIMIT 1
+                        )
+                        RETURNING session_id, phone_number, chat_id
                     `;
                     params = [normalizedPhone];
                 }
@@ -1940,11 +3197,35 @@ app.post('/api/bot/appointment-scheduled', async (req, res) => {
                     const session = result.rows[0];
                     logger.info(`✅ [APPOINTMENT-SCHEDULED] Updated session ${session.session_id} for ${session.phone_number}`);
 
+                    // Stop "you haven't booked yet" reminders right away
+                    const cancelledCount = await cancelSessionMessages(session.session_id, 'appointment_reminder%');
+
+                    let meetingReminders = [];
+                    if (meetingStart) {
+                        const meeting = {
+                            startTime: meetingStart.toISO(),
+                            endTime: meeting_end_at ? parseIsoTime(meeting_end_at).toISO() : null,
+                            rescheduleUrl: reschedule_url
+                        };
+                        await sessionManager.recordMeetingScheduled(session.session_id, meeting);
+                        const calendarUrl = await sessionManager.createMeetingCalendarLink(meeting);
+                        meetingReminders = await scheduleMeetingReminders({
+                            sessionId: session.session_id,
+                            phoneNumber: session.phone_number,
+                            chatId: session.chat_id,
+                            meetingStart,
+                            calendarUrl,
+                            rescheduleUrl: reschedule_url
+                        });
+                    }
+
                     res.json({
                         success: true,
                         message: 'Appointment marked as scheduled',
                         session_id: session.session_id,
-                        phone_number: session.phone_number
+                        phone_number: session.phone_number,
+                        reminders_cancelled: cancelledCount,
+                        meeting_reminders_scheduled: meetingReminders.length
                     });
                 } else {
                     logger.warn(`⚠️  [APPOINTMENT-SCHEDULED] No matching session found for ${session_id || phone}`);
@@ -1978,9 +3259,11 @@ app.post('/api/bot/appointment-scheduled', async (req, res) => {
 });
 
 // Get bot status (for monitoring and debugging)
-app.get('/api/bot/status', async (req, res) => {
+app.get('/api/bot/status', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
-        // If bot is disabled (phone-based check), return minimal status
+        const { accountId, isBotEnabled, isAuthenticated, isConnected, connectionStatus } = req.account;
+
+        // If bot is disabled for this account, return minimal status
         if (!isBotEnabled) {
             return res.json({
                 success: true,
@@ -1989,6 +3272,7 @@ app.get('/api/bot/status', async (req, res) => {
                     message: 'Bot is disabled - not a sales number'
                 },
                 whatsapp: {
+                    account_id: accountId,
                     authenticated: isAuthenticated,
                     connected: isConnected,
                     status: connectionStatus
@@ -2005,6 +3289,7 @@ app.get('/api/bot/status', async (req, res) => {
             success: true,
             bot: status,
             whatsapp: {
+                account_id: accountId,
                 authenticated: isAuthenticated,
                 connected: isConnected,
                 status: connectionStatus
@@ -2020,10 +3305,10 @@ app.get('/api/bot/status', async (req, res) => {
     }
 });
 
-// List pending scheduled jobs
-app.get('/api/bot/pending-jobs', async (req, res) => {
+// List pending scheduled jobs (all accounts unless one is requested)
+app.get('/api/bot/pending-jobs', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
-        const jobs = await listPendingJobs();
+        const jobs = await listPendingJobs(req.accountRequested ? req.account.accountId : null);
         res.json({
             success: true,
             count: jobs.length,
@@ -2035,11 +3320,11 @@ app.get('/api/bot/pending-jobs', async (req, res) => {
     }
 });
 
-// List all messages for a session (including cancelled, sent, failed)
-app.get('/api/bot/session-messages', async (req, res) => {
+// List all messages for a session (including cancelled, sent, delivered, read, failed)
+app.get('/api/bot/session-messages', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
         const { session_id } = req.query;
-        const messages = await listSessionMessages(session_id || null);
+        const messages = await listSessionMessages(session_id || null, req.accountRequested ? req.account.accountId : null);
         res.json({
             success: true,
             count: messages.length,
@@ -2051,9 +3336,262 @@ app.get('/api/bot/session-messages', async (req, res) => {
     }
 });
 
+// ============================================================================
+// SCHEDULED MESSAGE ADMIN
+// Cancel / reschedule / send-now / retry single messages. Every action is written
+// to the API key audit log with the message id and what changed (res.locals.auditDetails).
+// ============================================================================
+
+// Map scheduled message errors (see messageScheduler.js) to HTTP statuses
+function handleScheduledMessageError(res, error, action) {
+    if (error.code === 'SCHEDULED_MESSAGE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+    if (['INVALID_MESSAGE_STATUS', 'JOB_ACTIVE', 'DELIVERY_FAILED'].includes(error.code)) {
+        return res.status(409).json({ success: false, error: error.message, code: error.code });
+    }
+    logger.error(`Error trying to ${action} scheduled message:`, error);
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Get a single scheduled message
+app.get('/api/bot/scheduled-messages/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const message = await getScheduledMessage(parseInt(req.params.id));
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+        }
+        res.json({ success: true, message });
+    } catch (error) {
+        handleScheduledMessageError(res, error, 'load');
+    }
+});
+
+// Cancel a pending scheduled message
+app.delete('/api/bot/scheduled-messages/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const message = await getScheduledMessage(id);
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+        }
+        if (message.status !== 'pending') {
+            return res.status(409).json({ success: false, error: `Scheduled message is ${message.status} (expected pending)` });
+        }
+
+        if (!(await cancelScheduledMessage(id))) {
+            return res.status(500).json({ success: false, error: 'Failed to cancel scheduled message' });
+        }
+
+        res.locals.auditDetails = { scheduledMessageId: id, sessionId: message.session_id, messageType: message.message_type };
+        res.json({ success: true, message: `Scheduled message ${id} cancelled` });
+    } catch (error) {
+        handleScheduledMessageError(res, error, 'cancel');
+    }
+});
+
+// Cancel all pending messages of a session (optionally only types matching message_type, SQL LIKE pattern)
+app.post('/api/bot/sessions/:sessionId/cancel-messages', requireRole('admin'), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const pattern = req.body.message_type || '%';
+        const cancelledCount = await cancelSessionMessages(sessionId, pattern);
+
+        res.locals.auditDetails = { sessionId, messageType: pattern, cancelledCount };
+        res.json({ success: true, sessionId, cancelledCount });
+    } catch (error) {
+        handleScheduledMessageError(res, error, 'cancel session');
+    }
+});
+
+// Move a pending message to a new time { scheduled_for: ISO timestamp, respect_business_hours }
+app.post('/api/bot/scheduled-messages/:id/reschedule', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { scheduled_for, respect_business_hours } = req.body;
+        let scheduledFor = scheduled_for ? toIsraelTime(scheduled_for) : null;
+
+        if (!scheduledFor || !scheduledFor.isValid) {
+            return res.status(400).json({ success: false, error: 'scheduled_for must be an ISO timestamp' });
+        }
+        if (scheduledFor.toMillis() < Date.now()) {
+            return res.status(400).json({ success: false, error: 'scheduled_for is in the past - use send-now instead' });
+        }
+
+        // Admins pick the exact time unless they ask for it to be moved into business hours
+        if (respect_business_hours === true) {
+            const message = await getScheduledMessage(id);
+            scheduledFor = getNextValidBusinessTime(scheduledFor, null, message?.message_type);
+        }
+
+        const result = await rescheduleScheduledMessage(id, scheduledFor);
+
+        res.locals.auditDetails = { scheduledMessageId: id, from: result.previousScheduledFor, to: result.scheduledFor };
+        res.json({ success: true, id, ...result });
+    } catch (error) {
+        handleScheduledMessageError(res, error, 'reschedule');
+    }
+});
+
+// Send a pending or failed message immediately (still subject to stop conditions, opt-out and handoff)
+app.post('/api/bot/scheduled-messages/:id/send-now', requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    try {
+        const result = await sendScheduledMessageNow(id);
+
+        res.locals.auditDetails = { scheduledMessageId: id, result };
+        res.json({ success: true, id, result });
+    } catch (error) {
+        if (error.code) {
+            return handleScheduledMessageError(res, error, 'send');
+        }
+        // The send itself failed - the message is now marked failed and can be retried
+        res.locals.auditDetails = { scheduledMessageId: id, error: error.message };
+        logger.error(`Error sending scheduled message ${id} now:`, error.message);
+        res.status(502).json({ success: false, error: error.message });
+    }
+});
+
+// Re-queue a failed message (now, or at { scheduled_for })
+app.post('/api/bot/scheduled-messages/:id/retry', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const sendAt = req.body.scheduled_for ? toIsraelTime(req.body.scheduled_for) : toIsraelTime(Date.now());
+
+        if (!sendAt.isValid) {
+            return res.status(400).json({ success: false, error: 'scheduled_for must be an ISO timestamp' });
+        }
+
+        const result = await retryScheduledMessage(id, sendAt);
+
+        res.locals.auditDetails = { scheduledMessageId: id, scheduledFor: result.scheduledFor };
+        res.json({ success: true, id, ...result });
+    } catch (error) {
+        handleScheduledMessageError(res, error, 'retry');
+    }
+});
+
+// Re-queue every failed message { session_id } (all accounts unless one is requested)
+app.post('/api/bot/scheduled-messages/retry-failed', requireRole('admin'), resolveAccount, async (req, res) => {
+    try {
+        const retried = await retryFailedMessages({
+            sessionId: req.body.session_id || null,
+            accountId: req.accountRequested ? req.account.accountId : null
+        });
+
+        res.locals.auditDetails = { retried };
+        res.json({ success: true, count: retried.length, retried });
+    } catch (error) {
+        handleScheduledMessageError(res, error, 'retry failed');
+    }
+});
+
+// Delivery/read funnel per scheduled message type (?days=30, all accounts unless one is requested)
+app.get('/api/bot/delivery-stats', requireRole('viewer'), resolveAccount, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const stats = await receipts.getDeliveryStats({
+            days,
+            accountId: req.accountRequested ? req.account.accountId : null
+        });
+
+        res.json({ success: true, days, stats });
+    } catch (error) {
+        logger.error('Error getting delivery stats:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Report range from ?from=YYYY-MM-DD&to=YYYY-MM-DD (default last 30 days, `to` inclusive), null if invalid
+const parseReportRange = (query) => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const to = query.to ? new Date(new Date(query.to).getTime() + DAY_MS) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) return null;
+    return { from, to };
+};
+
+// Lead funnel: trigger -> form sent -> form completed -> appointment booked
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (default last 30 days, `to` inclusive)
+// &groupBy=day|week|utm_source|trigger_keyword (optional), account via x-account-id/account_id
+app.get('/api/analytics/funnel', requireRole('viewer'), resolveAccount, async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const { groupBy } = req.query;
+        if (groupBy && !analytics.GROUP_BY_OPTIONS.includes(groupBy)) {
+            return res.status(400).json({
+                success: false,
+                error: `groupBy must be one of: ${analytics.GROUP_BY_OPTIONS.join(', ')}`
+            });
+        }
+
+        const range = parseReportRange(req.query);
+        if (!range) {
+            return res.status(400).json({ success: false, error: 'from/to must be valid dates (YYYY-MM-DD) with from <= to' });
+        }
+        const { from, to } = range;
+
+        const groups = await analytics.getFunnel({
+            from,
+            to,
+            groupBy: groupBy || null,
+            accountId: req.accountRequested ? req.account.accountId : null
+        });
+
+        res.json({
+            success: true,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            groupBy: groupBy || null,
+            groups
+        });
+    } catch (error) {
+        logger.error('Error building funnel report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// A/B variant report: leads who got each variant and how many converted afterwards
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (messages sent in range, default last 30 days)&messageType=..., account via x-account-id/account_id
+app.get('/api/analytics/variants', requireRole('viewer'), resolveAccount, async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const range = parseReportRange(req.query);
+        if (!range) {
+            return res.status(400).json({ success: false, error: 'from/to must be valid dates (YYYY-MM-DD) with from <= to' });
+        }
+
+        const variants = await analytics.getVariantReport({
+            ...range,
+            messageType: req.query.messageType || null,
+            accountId: req.accountRequested ? req.account.accountId : null
+        });
+
+        res.json({
+            success: true,
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            messageType: req.query.messageType || null,
+            variants
+        });
+    } catch (error) {
+        logger.error('Error building variant report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Try to resolve LID to real phone number using multiple Baileys methods
-app.get('/api/bot/resolve-lid', async (req, res) => {
+app.get('/api/bot/resolve-lid', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
+        const { client } = req.account;
         const { lid } = req.query;
         if (!lid) {
             return res.status(400).json({ success: false, error: 'LID parameter required' });
@@ -2122,7 +3660,7 @@ app.get('/api/bot/resolve-lid', async (req, res) => {
 });
 
 // Send manual message to a session (for contacting LID users)
-app.post('/api/bot/send-manual', async (req, res) => {
+app.post('/api/bot/send-manual', requireRole('sender'), resolveAccount, async (req, res) => {
     try {
         const { session_id, message, chat_id } = req.body;
 
@@ -2130,15 +3668,19 @@ app.post('/api/bot/send-manual', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Message is required' });
         }
 
-        // Get chat_id from session if not provided directly
+        // Get chat_id (and the account the lead wrote to) from session if not provided directly
         let targetChatId = chat_id;
+        let account = req.account;
         if (!targetChatId && session_id) {
             const result = await dbPool.query(
-                'SELECT chat_id FROM sessions WHERE session_id = $1',
+                'SELECT chat_id, account_id FROM sessions WHERE session_id = $1',
                 [session_id]
             );
             if (result.rows.length > 0) {
                 targetChatId = result.rows[0].chat_id;
+                if (!req.accountRequested) {
+                    account = whatsappAccounts.get(result.rows[0].account_id) || account;
+                }
             }
         }
 
@@ -2146,15 +3688,21 @@ app.post('/api/bot/send-manual', async (req, res) => {
             return res.status(400).json({ success: false, error: 'No chat_id found' });
         }
 
+        if (!(await checkSuppression(req, res, targetChatId))) return;
+        if (!checkBusinessHours(req, res)) return;
+
         // Send message via Baileys
-        if (!client) {
+        if (!account.client) {
             return res.status(503).json({ success: false, error: 'WhatsApp client not connected' });
         }
 
-        await client.sendMessage(targetChatId, { text: message });
-        logger.info(`📤 [MANUAL] Sent message to ${targetChatId}`);
+        const sent = await account.client.sendMessage(targetChatId, { text: message });
+        logger.info(`📤 [MANUAL] Sent message to ${targetChatId} (account: ${account.accountId})`);
+
+        // Stored with its key so delivery/read receipts can be tracked
+        await messageStore.storeOutgoingMessage(targetChatId, sent, { body: message });
 
-        res.json({ success: true, chatId: targetChatId });
+        res.json({ success: true, chatId: targetChatId, account_id: account.accountId, messageId: sent?.key?.id || null });
     } catch (error) {
         logger.error('Error sending manual message:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -2162,13 +3710,14 @@ app.post('/api/bot/send-manual', async (req, res) => {
 });
 
 // List all sessions with their status
-app.get('/api/bot/sessions', async (req, res) => {
+app.get('/api/bot/sessions', requireRole('viewer'), async (req, res) => {
     try {
         const { status } = req.query; // optional filter: 'active', 'completed', 'expired'
         let query = `
             SELECT session_id, phone_number, chat_id, status,
                    created_at, expires_at, form_sent_at, form_completed_at,
-                   appointment_sent_at, form_data
+                   appointment_sent_at, form_data, account_id,
+                   trigger_keyword, utm_source, ad_referral
             FROM sessions
         `;
         const params = [];
@@ -2194,7 +3743,11 @@ app.get('/api/bot/sessions', async (req, res) => {
                 formSentAt: row.form_sent_at,
                 formCompletedAt: row.form_completed_at,
                 appointmentSentAt: row.appointment_sent_at,
-                formData: row.form_data
+                formData: row.form_data,
+                accountId: row.account_id,
+                triggerKeyword: row.trigger_keyword,
+                utmSource: row.utm_source,
+                adReferral: row.ad_referral
             }))
         });
     } catch (error) {
@@ -2204,7 +3757,7 @@ app.get('/api/bot/sessions', async (req, res) => {
 });
 
 // List LID to phone mappings (for debugging CTWA/Facebook Ads contacts)
-app.get('/api/bot/lid-mappings', async (req, res) => {
+app.get('/api/bot/lid-mappings', requireRole('viewer'), async (req, res) => {
     try {
         const mappings = await lidMapping.getAllMappings();
         res.json({
@@ -2225,27 +3778,16 @@ app.get('/api/bot/lid-mappings', async (req, res) => {
 });
 
 // Clear pending users (admin endpoint - requires API key)
-app.post('/api/bot/clear-pending', async (req, res) => {
+app.post('/api/bot/clear-pending', requireRole('admin'), resolveAccount, async (req, res) => {
     try {
-        // Check if bot is enabled (phone-based)
-        if (!isBotEnabled) {
+        // Check if bot is enabled (per account)
+        if (!req.account.isBotEnabled) {
             return res.status(403).json({
                 success: false,
                 error: 'Bot is disabled - not a sales number'
             });
         }
 
-        // SECURITY: Require admin API key
-        const apiKey = req.headers['x-api-key'];
-
-        if (!apiKey || apiKey !== process.env.ADMIN_API_KEY) {
-            logger.info('⚠️  [STUPID-BOT] Unauthorized clear-pending attempt');
-            return res.status(403).json({
-                success: false,
-                error: 'Unauthorized - Admin API key required'
-            });
-        }
-
         const result = await stupidBot.clearPendingUsers(dbPool);
         const totalCleared = result.clearedMemory + result.clearedDatabase;
         logger.info(`🤖 [STUPID-BOT] Cleared ${totalCleared} pending users (memory: ${result.clearedMemory}, db: ${result.clearedDatabase})`);
@@ -2265,8 +3807,9 @@ app.post('/api/bot/clear-pending', async (req, res) => {
 });
 
 // Lookup contact info (name, status) for a JID or phone number
-app.get('/api/contact/:jid', async (req, res) => {
+app.get('/api/contact/:jid', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             return res.status(503).json({ error: 'WhatsApp not authenticated' });
         }
@@ -2320,8 +3863,9 @@ app.get('/api/contact/:jid', async (req, res) => {
 });
 
 // Bulk lookup contacts - get info for multiple JIDs
-app.post('/api/contacts/lookup', async (req, res) => {
+app.post('/api/contacts/lookup', requireRole('viewer'), resolveAccount, async (req, res) => {
     try {
+        const { client, isAuthenticated } = req.account;
         if (!isAuthenticated || !client) {
             return res.status(503).json({ error: 'WhatsApp not authenticated' });
         }
@@ -2357,7 +3901,7 @@ app.post('/api/contacts/lookup', async (req, res) => {
 });
 
 // Query sessions by chat_id pattern (for finding LID users who completed forms)
-app.get('/api/sessions/search', async (req, res) => {
+app.get('/api/sessions/search', requireRole('viewer'), async (req, res) => {
     try {
         if (!dbPool) {
             return res.status(503).json({ error: 'Database not available' });
@@ -2390,6 +3934,567 @@ app.get('/api/sessions/search', async (req, res) => {
     }
 });
 
+// =============================================================================
+// API KEY MANAGEMENT (admin only)
+// =============================================================================
+
+// List API keys (hashes are never returned)
+app.get('/api/admin/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        const keys = await apiKeys.listKeys();
+        res.json({
+            success: true,
+            count: keys.length,
+            keys: keys.map(row => ({
+                id: row.id,
+                name: row.name,
+                keyPrefix: row.key_prefix,
+                roles: row.roles,
+                createdAt: row.created_at,
+                lastUsedAt: row.last_used_at,
+                revokedAt: row.revoked_at
+            }))
+        });
+    } catch (error) {
+        logger.error('Error listing API keys:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create API key - the plaintext key is only returned in this response
+app.post('/api/admin/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const { name, roles } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || !Array.isArray(roles) || roles.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `name (string) and roles array are required (roles: ${apiKeys.ROLES.join(', ')})`
+            });
+        }
+
+        const created = await apiKeys.createKey(name.trim(), roles);
+
+        res.status(201).json({
+            success: true,
+            message: 'Store this key now - it cannot be retrieved again',
+            key: {
+                id: created.id,
+                name: created.name,
+                keyPrefix: created.key_prefix,
+                roles: created.roles,
+                createdAt: created.created_at,
+                apiKey: created.key
+            }
+        });
+    } catch (error) {
+        // Unique violation on name
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'An API key with this name already exists' });
+        }
+        if (error.message.startsWith('Invalid roles')) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Error creating API key:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revoke API key
+app.delete('/api/admin/api-keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const id = parseInt(req.params.id);
+        const revoked = await apiKeys.revokeKey(id);
+
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+        }
+
+        res.json({
+            success: true,
+            message: `API key "${revoked.name}" revoked`,
+            key: {
+                id: revoked.id,
+                name: revoked.name,
+                keyPrefix: revoked.key_prefix,
+                roles: revoked.roles,
+                revokedAt: revoked.revoked_at
+            }
+        });
+    } catch (error) {
+        logger.error('Error revoking API key:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Audit log - which key performed which action
+app.get('/api/admin/api-keys/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const { key_id } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const entries = await apiKeys.getAuditLog({
+            apiKeyId: key_id ? parseInt(key_id) : null,
+            limit
+        });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            entries: entries.map(row => ({
+                id: row.id,
+                keyId: row.api_key_id,
+                keyName: row.key_name,
+                action: row.action,
+                statusCode: row.status_code,
+                ip: row.ip,
+                details: row.details,
+                createdAt: row.created_at
+            }))
+        });
+    } catch (error) {
+        logger.error('Error reading API key audit log:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// DRIP CAMPAIGNS
+// Follow-up sequences (timing, stop conditions, media) defined as data
+// ============================================================================
+
+// List campaign definitions
+app.get('/api/campaigns', requireRole('viewer'), async (req, res) => {
+    try {
+        const list = await campaigns.listCampaigns();
+        res.json({ success: true, count: list.length, campaigns: list });
+    } catch (error) {
+        logger.error('Error listing campaigns:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get a single campaign definition
+app.get('/api/campaigns/:name', requireRole('viewer'), async (req, res) => {
+    try {
+        const campaign = await campaigns.getCampaign(req.params.name);
+
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Error getting campaign:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create or replace a campaign definition
+// Only affects campaigns started after the change - already scheduled messages keep their times
+app.put('/api/campaigns/:name', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const { description, active, steps } = req.body;
+        const errors = campaigns.validateCampaign({ steps });
+
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid campaign definition', errors });
+        }
+
+        const campaign = await campaigns.saveCampaign(req.params.name, { description, active, steps });
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Error saving campaign:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// OPT-OUT SUPPRESSION LIST
+// Numbers that replied with an opt-out keyword (or were added by an admin)
+// ============================================================================
+
+// List suppressed numbers
+app.get('/api/admin/suppressed', requireRole('admin'), async (req, res) => {
+    try {
+        const numbers = await suppression.listSuppressed();
+        res.json({ success: true, count: numbers.length, numbers });
+    } catch (error) {
+        logger.error('Error listing suppressed numbers:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Manually suppress a number (also cancels everything pending for it)
+app.post('/api/admin/suppressed', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbPool) {
+            return res.status(503).json({ success: false, error: 'Database not available' });
+        }
+
+        const { phone, reason } = req.body;
+        const phoneNumber = suppression.normalizePhoneNumber(phone);
+
+        if (!phoneNumber) {
+            return res.status(400).json({ success: false, error: 'phone is required' });
+        }
+
+        const record = await suppression.suppress(phoneNumber, { reason: reason || null, source: 'admin' });
+        const cancelledCount = await cancelPhoneMessages(phoneNumber);
+
+        res.status(201).json({ success: true, suppressed: record, messagesCancelled: cancelledCount });
+    } catch (error) {
+        logger.error('Error suppressing number:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove a number from the suppression list (opt back in on the lead's behalf)
+app.delete('/api/admin/suppressed/:phone', requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await suppression.unsuppress(req.params.phone);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Number is not suppressed' });
+        }
+
+        res.json({ success: true, message: `${suppression.normalizePhoneNumber(req.params.phone)} removed from suppression list` });
+    } catch (error) {
+        logger.error('Error removing suppressed number:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// BUSINESS HOURS POLICY
+// When messages may go out - used by the scheduler, reminders and (optionally) manual sends
+// ============================================================================
+
+// Active policy and whether messages may be sent right now
+app.get('/api/admin/business-hours', requireRole('admin'), (req, res) => {
+    const { policy, source } = businessHours.getPolicy();
+    const now = toIsraelTime(Date.now());
+
+    res.json({
+        success: true,
+        source,
+        policy,
+        openNow: businessHours.isOpenAt(now),
+        nextOpenAt: getNextValidBusinessTime(now).toISO()
+    });
+});
+
+// Replace the policy (partial policies are merged over the defaults)
+// Only affects messages scheduled after the change - already queued messages keep their times
+app.put('/api/admin/business-hours', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = businessHours.validatePolicy(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid business hours policy', errors });
+        }
+
+        const { policy, source } = await businessHours.savePolicy(req.body, req.apiKey.name);
+        res.json({ success: true, source, policy });
+    } catch (error) {
+        if (error.code === 'DATABASE_UNAVAILABLE') {
+            return res.status(503).json({ success: false, error: error.message });
+        }
+        logger.error('Error saving business hours policy:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Drop the stored policy and fall back to BUSINESS_HOURS_POLICY / defaults
+app.delete('/api/admin/business-hours', requireRole('admin'), async (req, res) => {
+    try {
+        const { policy, source } = await businessHours.resetPolicy();
+        res.json({ success: true, source, policy });
+    } catch (error) {
+        logger.error('Error resetting business hours policy:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// MESSAGE COPY
+// Editable, versioned copy of the bot's messages (getMessage) - code defaults are the fallback
+// ============================================================================
+
+// Summary of a message type: live copy, where it comes from and the variables it may use
+const describeMessageType = (messageType) => {
+    const { content, source, version } = messageTemplates.getMessageCopy(messageType);
+    return {
+        messageType,
+        source,
+        version,
+        content,
+        defaultContent: messageTemplates.DEFAULT_COPY[messageType],
+        variables: messageTemplates.getMessageVariables(messageType),
+        activeVariants: messageCopy.getActiveVariants(messageType).map(({ key, weight }) => ({ key, weight }))
+    };
+};
+
+// Validate :messageType, 404 if unknown
+const findMessageType = (req, res) => {
+    const { messageType } = req.params;
+    if (!Object.values(messageTemplates.MESSAGE_TYPES).includes(messageType)) {
+        res.status(404).json({ success: false, error: `Unknown message type: ${messageType}` });
+        return null;
+    }
+    return messageType;
+};
+
+const handleMessageCopyError = (res, error, action) => {
+    if (error.code === 'DATABASE_UNAVAILABLE') {
+        return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error.code === 'MESSAGE_COPY_VERSION_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.code === 'INVALID_VARIANT') {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error(`Error ${action} message copy:`, error);
+    res.status(500).json({ success: false, error: error.message });
+};
+
+// All message types with their live copy
+app.get('/api/admin/message-copy', requireRole('admin'), (req, res) => {
+    const messageTypes = Object.values(messageTemplates.MESSAGE_TYPES).map(describeMessageType);
+    res.json({ success: true, messageTypes });
+});
+
+// One message type with its version history
+app.get('/api/admin/message-copy/:messageType', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    try {
+        const history = await messageCopy.getHistory(messageType);
+        res.json({ success: true, ...describeMessageType(messageType), history });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'loading');
+    }
+});
+
+// Edit copy { content, note } - stored as a new version and live immediately
+// Only affects messages rendered after the change - already scheduled messages keep their text
+app.put('/api/admin/message-copy/:messageType', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    const { content, note } = req.body;
+    const errors = messageTemplates.validateCopy(messageType, content);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid message copy', errors });
+    }
+
+    try {
+        const version = await messageCopy.saveCopy(messageType, content, { note, createdBy: req.apiKey.name });
+        res.locals.auditDetails = { messageType, version: version.version };
+        res.json({ success: true, ...describeMessageType(messageType), savedVersion: version });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'saving');
+    }
+});
+
+// Render copy with sample variables { content (optional, defaults to the live copy), variables }
+// Placeholders without a value are left visible
+app.post('/api/admin/message-copy/:messageType/preview', requireRole('admin'), (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    const content = req.body.content !== undefined ? req.body.content : null;
+    const errors = content !== null ? messageTemplates.validateCopy(messageType, content) : [];
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid message copy', errors });
+    }
+
+    const rendered = messageTemplates.renderMessage(messageType, req.body.variables || {}, { content, keepMissing: true });
+    res.json({ success: true, messageType, rendered });
+});
+
+// Make an earlier version live again { version } (stored as a new version)
+app.post('/api/admin/message-copy/:messageType/rollback', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    const version = parseInt(req.body.version);
+    if (!Number.isInteger(version)) {
+        return res.status(400).json({ success: false, error: 'version is required' });
+    }
+
+    try {
+        const restored = await messageCopy.rollbackCopy(messageType, version, { createdBy: req.apiKey.name });
+        res.locals.auditDetails = { messageType, rolledBackTo: version, version: restored.version };
+        res.json({ success: true, ...describeMessageType(messageType), savedVersion: restored });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'rolling back');
+    }
+});
+
+// Back to the default copy in code (kept in the history, can be rolled back)
+app.delete('/api/admin/message-copy/:messageType', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    try {
+        const version = await messageCopy.resetCopy(messageType, { createdBy: req.apiKey.name });
+        res.locals.auditDetails = { messageType, version: version.version };
+        res.json({ success: true, ...describeMessageType(messageType), savedVersion: version });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'resetting');
+    }
+});
+
+// A/B variants of a message type (active and retired) - conversions: GET /api/analytics/variants
+app.get('/api/admin/message-copy/:messageType/variants', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    try {
+        const variants = await messageCopy.listVariants(messageType);
+        res.json({ success: true, messageType, variants });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'loading variants of');
+    }
+});
+
+// Create/update a variant { content, weight } - 'control' is the live copy and only takes a weight
+// Only messages scheduled afterwards are affected
+app.put('/api/admin/message-copy/:messageType/variants/:variantKey', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    const { variantKey } = req.params;
+    const { content } = req.body;
+    const weight = req.body.weight !== undefined ? req.body.weight : 1;
+
+    if (!Number.isInteger(weight) || weight < 0) {
+        return res.status(400).json({ success: false, error: 'weight must be a non-negative integer' });
+    }
+
+    const errors = variantKey !== messageCopy.CONTROL_VARIANT ? messageTemplates.validateCopy(messageType, content) : [];
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid variant copy', errors });
+    }
+
+    try {
+        const variant = await messageCopy.saveVariant(messageType, variantKey, { content, weight }, { createdBy: req.apiKey.name });
+        res.locals.auditDetails = { messageType, variant: variantKey, weight };
+        res.json({ success: true, messageType, variant });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'saving variant of');
+    }
+});
+
+// Retire a variant - it's no longer picked but stays in the report
+app.delete('/api/admin/message-copy/:messageType/variants/:variantKey', requireRole('admin'), async (req, res) => {
+    const messageType = findMessageType(req, res);
+    if (!messageType) return;
+
+    try {
+        const variant = await messageCopy.retireVariant(messageType, req.params.variantKey);
+        if (!variant) {
+            return res.status(404).json({ success: false, error: 'Variant not found' });
+        }
+        res.locals.auditDetails = { messageType, variant: req.params.variantKey };
+        res.json({ success: true, messageType, variant });
+    } catch (error) {
+        handleMessageCopyError(res, error, 'retiring variant of');
+    }
+});
+
+// ============================================================================
+// HOLIDAYS & CLOSURE DAYS
+// Computed Jewish holiday calendar + admin closure days (no scheduled messages)
+// ============================================================================
+
+// Holiday calendar for a year, with the closure days that fall in it
+app.get('/api/holidays', requireRole('viewer'), (req, res) => {
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+
+    if (!Number.isInteger(year) || year < 1900 || year > 2200) {
+        return res.status(400).json({ success: false, error: 'year must be between 1900 and 2200' });
+    }
+
+    const calendar = req.query.calendar || holidays.HOLIDAY_CALENDAR;
+    if (!['israel', 'diaspora'].includes(calendar)) {
+        return res.status(400).json({ success: false, error: 'calendar must be israel or diaspora' });
+    }
+
+    const closureDays = holidays.listClosureDays({ from: `${year}-01-01` })
+        .filter(day => day.date <= `${year}-12-31`);
+
+    res.json({
+        success: true,
+        year,
+        calendar,
+        erevChagCutoffHour: holidays.EREV_CHAG_CUTOFF_HOUR,
+        holidays: holidays.getHolidays(year, { calendar }),
+        closureDays
+    });
+});
+
+// List closure days (upcoming only unless all=true)
+app.get('/api/admin/closure-days', requireRole('admin'), (req, res) => {
+    const from = req.query.all === 'true' ? null : toIsraelTime(Date.now()).toISODate();
+    const closureDays = holidays.listClosureDays({ from });
+    res.json({ success: true, count: closureDays.length, closureDays });
+});
+
+// Add a closure day - scheduled messages due that day are held until the next business day
+app.post('/api/admin/closure-days', requireRole('admin'), async (req, res) => {
+    try {
+        const { date, reason } = req.body;
+
+        if (!holidays.isValidDateKey(date)) {
+            return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+        }
+
+        const closureDay = await holidays.addClosureDay({ date, reason: reason || null, createdBy: req.apiKey.name });
+        res.status(201).json({ success: true, closureDay });
+    } catch (error) {
+        if (error.code === 'DATABASE_UNAVAILABLE') {
+            return res.status(503).json({ success: false, error: error.message });
+        }
+        logger.error('Error adding closure day:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove a closure day
+app.delete('/api/admin/closure-days/:date', requireRole('admin'), async (req, res) => {
+    try {
+        if (!holidays.isValidDateKey(req.params.date)) {
+            return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+        }
+
+        const removed = await holidays.removeClosureDay(req.params.date);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Closure day not found' });
+        }
+
+        res.json({ success: true, message: `Closure day ${req.params.date} removed` });
+    } catch (error) {
+        logger.error('Error removing closure day:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Start server
 app.listen(port, async () => {
     console.log(`WhatsApp Auth Service running on port ${port}`);
@@ -2399,9 +4504,20 @@ app.listen(port, async () => {
         await initializeDatabase();
     }
 
-    // Auto-initialize WhatsApp client on startup
+    // Register every known account (default is always present)
+    try {
+        for (const record of await accounts.listAccounts()) {
+            getAccountState(record.account_id);
+        }
+    } catch (error) {
+        console.error('❌ [ACCOUNTS] Failed to load accounts - starting default only:', error.message);
+    }
+
+    // Auto-initialize a WhatsApp client per account on startup
     setTimeout(() => {
-        initializeWhatsApp();
+        for (const accountId of whatsappAccounts.keys()) {
+            initializeWhatsApp(accountId);
+        }
     }, 2000);
 });
 
@@ -2429,11 +4545,13 @@ const gracefulShutdown = async (signal) => {
         console.log('✓ All pending operations completed');
     }
 
-    // Cleanup WhatsApp client
-    if (client) {
-        console.log('Destroying WhatsApp client...');
+    // Cleanup WhatsApp clients
+    for (const account of whatsappAccounts.values()) {
+        if (!account.client) continue;
+
+        console.log(`Destroying WhatsApp client (account: ${account.accountId})...`);
         try {
-            client.end(new Error('Client closed'));
+            account.client.end(new Error('Client closed'));
             console.log('✓ WhatsApp client destroyed');
         } catch (error) {
             console.error('Error destroying client:', error.message);
@@ -18,18 +18,7 @@ const BOT_CONFIG = {
 
     // Messages (support Hebrew and English)
     messages: {
-        // Message #1: Introduction (immediate)
-        introduction: process.env.BOT_INTRODUCTION_MESSAGE ||
-            '*תודה שפנית, נעים מאוד שמי אבי ישי 😊*\nבעלים של בז פיננסים, כלכלן בעל תואר B.A במנהל עסקים ומחזיק ברישיון פנסיוני עם ניסיון של מעל 20 שנה.\n\nחברתנו מעניקה פתרונות במגוון תחומים:\n*✅ ליווי וייעוץ עסקי*\n*✅ בניית מודלים כלכליים*\n*✅ ניתוח תיק פנסיוני*\n*✅ תכנון פיננסי מקיף*\n*✅ ייעוץ ותכנון פרישה*\n*✅ ניהול השקעות*\n*✅ פתרונות ביטוח*\n*✅ ייעוץ משכנתאות*\n*✅ פתרונות אשראי נוספים*',
-
-        // Message #2: Chatbot link (2 seconds after introduction)
-        chatbotLink: process.env.BOT_CHATBOT_LINK_MESSAGE ||
-            '📝 *הכנתי לך 10 שאלות קצרות כדי שאוכל למפות את עולמכם הפיננסי בהתאמה אישית*\n\n*כנסו ללינק:*\n👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻\n\n{chatbotUrl}\n\n*💥הקישור תקף ל-24 שעות💥*',
-
-        // Message #4: Video testimonial caption
-        videoCaption: process.env.BOT_VIDEO_CAPTION ||
-            'משתף אותכם בחוויה שעברו משפחת יוסף\nד"ר חזי מנכ"ל כפר הנוער כנות ורעייתו מיכל',
-
+        // Introduction, chatbot link and video caption: messageTemplates (editable through the message copy admin API)
         // Message #5: Follow-up after video
         videoFollowup: process.env.BOT_VIDEO_FOLLOWUP_MESSAGE ||
             'היי\', עדיין ממתינים למילוי השאלון. הינה שוב הלינק לשאלון:\n\n👇🏻👇🏻👇🏻👇🏻👇🏻👇🏻\n\n{chatbotUrl}',
@@ -61,24 +50,33 @@ const AVI_WEBSITE_API_URL = process.env.AVI_WEBSITE_API_URL || 'https://avi-webs
 // =============================================================================
 const sessionManager = require('./lib/sessionManager');
 const { createLead } = require('./lib/mondayClient');
-const { schedule19pmReminder, scheduleVideoTestimonial } = require('./lib/messageScheduler');
+const { startCampaign } = require('./lib/messageScheduler');
+const { getMessage, MESSAGE_TYPES } = require('./lib/messageTemplates');
+const chatQuestionnaire = require('./lib/chatQuestionnaire');
+const { getSummaryEntries } = require('./lib/questionnaire');
+const { completeFormSubmission } = require('./lib/formSubmission');
 const { getNowInIsrael } = require('./lib/timezoneHelper');
+const { isSuppressed } = require('./lib/suppression');
+const { DEFAULT_ACCOUNT_ID } = require('./lib/accounts');
 
 /**
  * CONSOLIDATED: Handle trigger locally instead of calling avi-website API
  * Creates session, Monday.com lead, and schedules reminders directly
+ * The session is tagged with the WhatsApp account the lead wrote to, so every
+ * follow-up is sent from the same number, and with where the lead came from
+ * (tracking: { triggerKeyword, utmSource, referral }) for funnel analytics and per-ad attribution.
  */
-async function handleTriggerLocally(phoneNumber, leadName, chatId, logger) {
+async function handleTriggerLocally(phoneNumber, leadName, chatId, logger, accountId = DEFAULT_ACCOUNT_ID, tracking = {}) {
     try {
-        logger.info(`📤 [LOCAL] Creating session and Monday.com lead for ${phoneNumber} (${leadName})`);
+        logger.info(`📤 [LOCAL] Creating session and Monday.com lead for ${phoneNumber} (${leadName}, account: ${accountId})`);
 
         // 1. Create session in database
-        const session = await sessionManager.createSession(phoneNumber, chatId);
+        const session = await sessionManager.createSession(phoneNumber, chatId, accountId, tracking);
         logger.info(`✅ [LOCAL] Session created: ${session.sessionId}`);
 
         // 2. Create Monday.com lead and store itemId in session
         try {
-            const mondayResult = await createLead({ name: leadName, phone_number: phoneNumber });
+            const mondayResult = await createLead({ name: leadName, phone_number: phoneNumber, referral: tracking.referral });
             logger.info(`✅ [LOCAL] Monday.com lead created: ${mondayResult.itemId}`);
 
             // Store Monday.com item ID in session for later update
@@ -89,24 +87,20 @@ async function handleTriggerLocally(phoneNumber, leadName, chatId, logger) {
             logger.error(`❌ [LOCAL] Monday.com error: ${mondayError.message}`);
         }
 
-        // 3. Schedule 19:00 form reminder
-        const now = getNowInIsrael();
+        // 3. Start form follow-up campaign (19:00 reminder + 20:00 video testimonial, see campaigns.json)
         try {
-            await schedule19pmReminder(session.sessionId, phoneNumber, session.chatbotUrl, now);
-            logger.info(`✅ [LOCAL] 19:00 reminder scheduled for ${phoneNumber}`);
+            const scheduled = await startCampaign('form_followup', {
+                sessionId: session.sessionId,
+                phoneNumber,
+                startTime: getNowInIsrael(),
+                variables: {
+                    chatbotUrl: session.chatbotUrl,
+                    testimonialVideoUrl: BOT_CONFIG.testimonialVideoUrl
+                }
+            });
+            logger.info(`✅ [LOCAL] Form follow-up scheduled for ${phoneNumber} (${scheduled.length} messages)`);
         } catch (scheduleError) {
-            logger.error(`⚠️ [LOCAL] Error scheduling 19pm reminder: ${scheduleError.message}`);
-        }
-
-        // 4. Schedule 20:00 video testimonial
-        const videoUrl = BOT_CONFIG.testimonialVideoUrl;
-        if (videoUrl) {
-            try {
-                await scheduleVideoTestimonial(session.sessionId, phoneNumber, now, videoUrl);
-                logger.info(`✅ [LOCAL] Video testimonial scheduled for ${phoneNumber}`);
-            } catch (scheduleError) {
-                logger.error(`⚠️ [LOCAL] Error scheduling video: ${scheduleError.message}`);
-            }
+            logger.error(`⚠️ [LOCAL] Error starting form follow-up campaign: ${scheduleError.message}`);
         }
 
         return {
@@ -182,15 +176,23 @@ async function sendLeadToWebhook(data, logger) {
 }
 
 /**
- * Check if a message contains any trigger keywords
+ * Find the trigger keyword a message contains (recorded on the session for funnel analytics)
+ * @returns {string|null} Matched keyword, or null if the message isn't a trigger
  */
-function isTriggerMessage(messageText) {
+function matchTriggerKeyword(messageText) {
     if (!messageText || typeof messageText !== 'string') {
-        return false;
+        return null;
     }
 
     const lowerText = messageText.trim().toLowerCase();
-    return BOT_CONFIG.triggerKeywords.some(keyword => lowerText.includes(keyword));
+    return BOT_CONFIG.triggerKeywords.find(keyword => lowerText.includes(keyword)) || null;
+}
+
+/**
+ * Check if a message contains any trigger keywords
+ */
+function isTriggerMessage(messageText) {
+    return matchTriggerKeyword(messageText) !== null;
 }
 
 /**
@@ -237,26 +239,26 @@ const SESSION_EXPIRY_HOURS = parseInt(process.env.BOT_SESSION_EXPIRY_HOURS) || 2
 /**
  * Save session to database
  */
-async function saveSession(sessionId, chatId, phoneNumber, dbPool) {
+async function saveSession(sessionId, chatId, phoneNumber, dbPool, accountId = DEFAULT_ACCOUNT_ID) {
     if (!dbPool) {
         // Fallback to in-memory if no database
-        sessionMap.set(sessionId, { chatId, phoneNumber, timestamp: new Date() });
+        sessionMap.set(sessionId, { chatId, phoneNumber, accountId, timestamp: new Date() });
         return true;
     }
 
     try {
         await dbPool.query(
-            `INSERT INTO sessions (session_id, chat_id, phone_number, created_at, expires_at, status)
-             VALUES ($1, $2, $3, NOW(), NOW() + INTERVAL '${SESSION_EXPIRY_HOURS} hours', 'active')
+            `INSERT INTO sessions (session_id, chat_id, phone_number, created_at, expires_at, status, account_id)
+             VALUES ($1, $2, $3, NOW(), NOW() + INTERVAL '${SESSION_EXPIRY_HOURS} hours', 'active', $4)
              ON CONFLICT (session_id) DO UPDATE
              SET chat_id = $2, phone_number = $3, expires_at = NOW() + INTERVAL '${SESSION_EXPIRY_HOURS} hours'`,
-            [sessionId, chatId, phoneNumber]
+            [sessionId, chatId, phoneNumber, accountId]
         );
         return true;
     } catch (error) {
         console.error('Error saving session to database:', error);
         // Fallback to in-memory
-        sessionMap.set(sessionId, { chatId, phoneNumber, timestamp: new Date() });
+        sessionMap.set(sessionId, { chatId, phoneNumber, accountId, timestamp: new Date() });
         return false;
     }
 }
@@ -272,7 +274,7 @@ async function getSession(sessionId, dbPool) {
 
     try {
         const result = await dbPool.query(
-            `SELECT session_id, chat_id, phone_number, created_at
+            `SELECT session_id, chat_id, phone_number, created_at, account_id
              FROM sessions
              WHERE session_id = $1 AND expires_at > NOW()`,
             [sessionId]
@@ -286,6 +288,7 @@ async function getSession(sessionId, dbPool) {
         return {
             chatId: result.rows[0].chat_id,
             phoneNumber: result.rows[0].phone_number,
+            accountId: result.rows[0].account_id || DEFAULT_ACCOUNT_ID,
             timestamp: result.rows[0].created_at
         };
     } catch (error) {
@@ -348,23 +351,18 @@ async function markSessionCompleted(sessionId, formData, dbPool) {
     }
 
     try {
-        await dbPool.query(
-            `UPDATE sessions
-             SET status = 'completed',
-                 completed_at = CURRENT_TIMESTAMP,
-                 form_completed_at = CURRENT_TIMESTAMP,
-                 appointment_sent_at = CURRENT_TIMESTAMP,
-                 form_data = $2
-             WHERE session_id = $1`,
-            [sessionId, JSON.stringify(formData)]
-        );
+        // Row-locked status change (see sessionManager.markCompleted)
+        await sessionManager.markCompleted(sessionId, formData);
 
         // Remove from in-memory cache
         sessionMap.delete(sessionId);
         return true;
     } catch (error) {
-        console.error('Error marking session as completed:', error);
         sessionMap.delete(sessionId);
+        // A repeated completion must not repeat the summary - let the caller stop
+        if (error.code === 'SESSION_ALREADY_COMPLETED') throw error;
+
+        console.error('Error marking session as completed:', error);
         return false;
     }
 }
@@ -513,8 +511,11 @@ async function cleanupExpiredSessions(dbPool) {
 /**
  * Handle trigger message - send greeting and form link
  * Now integrates with avi-website API for session management
+ * @param {Object} client - Baileys socket of the account that received the message
+ * @param {string} accountId - That account's id
+ * @param {Object} tracking - Lead source stored on the session: { triggerKeyword, utmSource, referral }
  */
-async function handleTriggerMessage(client, chatId, logger, dbPool = null, senderName = 'Unknown') {
+async function handleTriggerMessage(client, chatId, logger, dbPool = null, senderName = 'Unknown', accountId = DEFAULT_ACCOUNT_ID, tracking = {}) {
     try {
         const phoneNumber = extractPhoneNumber(chatId);
 
@@ -532,7 +533,7 @@ async function handleTriggerMessage(client, chatId, logger, dbPool = null, sende
 
         // CONSOLIDATED: Handle locally instead of calling avi-website API
         // Creates session, Monday.com lead, and schedules reminders directly
-        const aviResult = await handleTriggerLocally(phoneNumber, leadName, chatId, logger);
+        const aviResult = await handleTriggerLocally(phoneNumber, leadName, chatId, logger, accountId, tracking);
 
         // Use local session if available, otherwise generate fallback
         let sessionId, chatbotUrl;
@@ -547,11 +548,11 @@ async function handleTriggerMessage(client, chatId, logger, dbPool = null, sende
             logger.warn(`🤖 [STUPID-BOT] avi-website failed, using local session: ${sessionId}`);
 
             // Only save local session if avi-website failed
-            await saveSession(sessionId, chatId, phoneNumber, dbPool);
+            await saveSession(sessionId, chatId, phoneNumber, dbPool, accountId);
         }
 
         // Message #1: Send introduction (immediate) - always send from here for correct order
-        await client.sendMessage(chatId, { text: BOT_CONFIG.messages.introduction });
+        await client.sendMessage(chatId, { text: getMessage(MESSAGE_TYPES.INTRODUCTION) });
         logger.info(`🤖 [STUPID-BOT] Sent introduction message to ${phoneNumber}`);
 
         // Keep in memory for fast access (cache) - use avi-website's sessionId
@@ -567,9 +568,17 @@ async function handleTriggerMessage(client, chatId, logger, dbPool = null, sende
 
         // Message #2: Send chatbot link after 2 seconds
         // Use avi-website's chatbotUrl (which has the correct session ID)
+        // In WhatsApp questionnaire mode the first question is asked in the chat instead
         setTimeout(async () => {
             try {
-                const chatbotLinkMessage = BOT_CONFIG.messages.chatbotLink.replace('{chatbotUrl}', chatbotUrl);
+                if (chatQuestionnaire.QUESTIONNAIRE_MODE === 'whatsapp' && dbPool) {
+                    const firstQuestion = await chatQuestionnaire.startQuestionnaire({ session_id: sessionId, chat_id: chatId });
+                    await client.sendMessage(chatId, { text: firstQuestion });
+                    logger.info(`🤖 [STUPID-BOT] Started in-chat questionnaire for ${phoneNumber} (2 seconds after introduction)`);
+                    return;
+                }
+
+                const chatbotLinkMessage = getMessage(MESSAGE_TYPES.CHATBOT_LINK, { chatbotUrl });
                 await client.sendMessage(chatId, { text: chatbotLinkMessage });
                 logger.info(`🤖 [STUPID-BOT] Sent chatbot link to ${phoneNumber} (2 seconds after introduction)`);
             } catch (error) {
@@ -597,66 +606,12 @@ function formatFormSummary(formData = {}, name = 'User', leadId = '') {
     const parts = ['✅ תודה רבה על מילוי הטופס!\n'];
     parts.push('📋 סיכום הפרטים שלך:\n');
 
-    // Name
-    if (name && name !== 'User') {
-        parts.push(`👤 שם: ${name}`);
-    }
-
-    // Age group
-    if (formData.age) {
-        parts.push(`🎂 קבוצת גיל: ${formData.age}`);
-    }
-
-    // Financial goal
-    if (formData.goal) {
-        parts.push(`🎯 מטרה פיננסית: ${formData.goal}`);
-    }
-
-    // Marital status
-    if (formData.status) {
-        parts.push(`💍 מצב משפחתי: ${formData.status}`);
-    }
-
-    // Employment status
-    if (formData.employment) {
-        parts.push(`💼 סטטוס תעסוקה: ${formData.employment}`);
-    }
-
-    // Pension contributions
-    if (formData.pension) {
-        parts.push(`🏦 הפרשות פנסיוניות: ${formData.pension}`);
-    }
-
-    // Gross salary
-    if (formData.salary) {
-        parts.push(`💰 שכר ברוטו חודשי: ₪${formData.salary}`);
-    }
-
-    // Pension capital
-    if (formData.pensionAmount) {
-        parts.push(`💼 הון פנסיוני: ${formData.pensionAmount}`);
-    }
-
-    // Savings and investments
-    if (formData.savings) {
-        parts.push(`💵 חסכונות והשקעות: ${formData.savings}`);
-    }
-
-    // Investment location
-    if (formData.investments) {
-        parts.push(`📊 מיקום השקעות: ${formData.investments}`);
-    }
-
-    // Return knowledge and actual return
-    if (formData.knowsReturn === 'כן' && formData.return) {
-        parts.push(`📈 תשואה שנתית: ${formData.return}%`);
-    } else if (formData.knowsReturn === 'לא' && formData.investmentType) {
-        parts.push(`📈 סוג השקעה: ${formData.investmentType}`);
-    }
-
-    // Mortgage status
-    if (formData.mortgage) {
-        parts.push(`🏠 משכנתא: ${formData.mortgage}`);
+    // Answered questions, in the questionnaire's field order (see forms.json)
+    const answers = name && name !== 'User' ? { ...formData, name } : formData;
+    for (const entry of getSummaryEntries(answers)) {
+        if (entry.answered) {
+            parts.push(`${entry.emoji} ${entry.label}: ${entry.value}${entry.suffix}`);
+        }
     }
 
     // Add lead ID if provided
@@ -676,42 +631,31 @@ function formatFormSummary(formData = {}, name = 'User', leadId = '') {
 
 /**
  * Handle form completion webhook - send success message
- * Uses session ID to ensure message goes to original WhatsApp sender
+ * Requires the session ID, so the message only goes to the original WhatsApp sender
  * Now uses PostgreSQL for persistent session storage
  */
 async function handleFormCompletion(client, webhookData, logger, dbPool = null) {
     try {
         const sessionId = webhookData.session_id || webhookData.sessionId || webhookData.session;
 
-        let chatId, phoneNumber;
-
-        if (sessionId) {
-            // SESSION-BASED: Look up original WhatsApp sender by session ID (database + in-memory)
-            const session = await getSession(sessionId, dbPool);
-
-            if (!session) {
-                logger.error(`🤖 [STUPID-BOT] Invalid or expired session ID: ${sessionId}`);
-                return { success: false, error: 'Invalid or expired session ID' };
-            }
-
-            chatId = session.chatId;
-            phoneNumber = session.phoneNumber;
+        // The summary only goes to the WhatsApp sender the session was created for
+        // (phone numbers from the form body aren't trusted)
+        if (!sessionId) {
+            logger.error('🤖 [STUPID-BOT] Webhook missing session_id:', webhookData);
+            return { success: false, error: 'Missing session_id in webhook data' };
+        }
 
-            logger.info(`🤖 [STUPID-BOT] Session ${sessionId} matched to original sender: ${phoneNumber}`);
-        } else {
-            // FALLBACK (LEGACY): Use phone number from form (less secure)
-            const formPhone = webhookData.phone || webhookData.phoneNumber || webhookData.tel || webhookData.mobile;
+        // Look up original WhatsApp sender by session ID (database + in-memory)
+        const session = await getSession(sessionId, dbPool);
 
-            if (!formPhone) {
-                logger.error('🤖 [STUPID-BOT] Webhook missing both session_id and phone number:', webhookData);
-                return { success: false, error: 'Missing session_id or phone number in webhook data' };
-            }
+        if (!session) {
+            logger.error(`🤖 [STUPID-BOT] Invalid or expired session ID: ${sessionId}`);
+            return { success: false, error: 'Invalid or expired session ID' };
+        }
 
-            phoneNumber = formatPhoneNumber(formPhone);
-            chatId = `${phoneNumber}@c.us`;
+        const { chatId, phoneNumber } = session;
 
-            logger.warn(`🤖 [STUPID-BOT] No session ID provided, using phone from form (less secure): ${phoneNumber}`);
-        }
+        logger.info(`🤖 [STUPID-BOT] Session ${sessionId} matched to original sender: ${phoneNumber}`);
 
         // Check if user is in pending list
         const isPending = await checkPendingUser(phoneNumber, dbPool);
@@ -720,21 +664,51 @@ async function handleFormCompletion(client, webhookData, logger, dbPool = null)
             // Still send success message even if not in pending list
         }
 
-        // Format and send Q&A summary message to ORIGINAL WhatsApp sender
-        const summaryMessage = formatFormSummary(
-            webhookData.formData || {},
-            webhookData.name || 'User',
-            webhookData.lead_id || ''
-        );
-        await client.sendMessage(chatId, { text: summaryMessage });
-
-        logger.info(`🤖 [STUPID-BOT] Sent Q&A summary to ${phoneNumber}`);
-
         // Mark session as completed (instead of deleting) to enable appointment reminders
-        if (sessionId) {
+        // Done before sending anything: a repeated delivery for a completed session stops here
+        try {
             await markSessionCompleted(sessionId, webhookData.formData || {}, dbPool);
-            logger.info(`🤖 [STUPID-BOT] Marked session ${sessionId} as completed - appointment reminders will now start`);
+        } catch (error) {
+            if (error.code !== 'SESSION_ALREADY_COMPLETED') throw error;
+
+            logger.info(`🤖 [STUPID-BOT] Session ${sessionId} was already completed - not sending the summary again`);
+            return { success: true, duplicate: true, phoneNumber, sessionId };
+        }
+        logger.info(`🤖 [STUPID-BOT] Marked session ${sessionId} as completed - appointment reminders will now start`);
+
+        // Make.com creates the Monday.com lead itself - mark the step done so the session isn't left pending
+        if (dbPool) {
+            await sessionManager.claimCompletionStep(sessionId, 'monday_synced_at');
         }
+
+        // Summary already sent (or being sent) by another completion of this session
+        if (dbPool && !(await sessionManager.claimCompletionStep(sessionId, 'summary_sent_at'))) {
+            logger.info(`🤖 [STUPID-BOT] Summary for session ${sessionId} was already sent - not sending it again`);
+            return { success: true, duplicate: true, phoneNumber, sessionId };
+        }
+
+        // Format and send Q&A summary message to ORIGINAL WhatsApp sender (unless they opted out)
+        try {
+            if (await isSuppressed(chatId)) {
+                logger.info(`🚫 [STUPID-BOT] ${phoneNumber} opted out - not sending Q&A summary`);
+            } else {
+                const summaryMessage = formatFormSummary(
+                    webhookData.formData || {},
+                    webhookData.name || 'User',
+                    webhookData.lead_id || ''
+                );
+                await client.sendMessage(chatId, { text: summaryMessage });
+
+                logger.info(`🤖 [STUPID-BOT] Sent Q&A summary to ${phoneNumber}`);
+            }
+        } catch (error) {
+            // Let a redelivery of the webhook send it
+            if (dbPool) {
+                await sessionManager.releaseCompletionStep(sessionId, 'summary_sent_at');
+            }
+            throw error;
+        }
+
         pendingUsers.delete(phoneNumber);
 
         const remainingSessions = await getActiveSessionsCount(dbPool);
@@ -747,6 +721,62 @@ async function handleFormCompletion(client, webhookData, logger, dbPool = null)
     }
 }
 
+/**
+ * Handle a message that belongs to the in-WhatsApp questionnaire: an answer to the current
+ * question, or a start keyword from a lead with an active session
+ * Completing the last question goes through the same path as the web form (summary,
+ * appointment link, follow-up campaign, Monday.com update)
+ * @returns {Promise<boolean>} True if the message was handled
+ */
+async function handleQuestionnaireMessage(client, chatId, messageText, logger) {
+    try {
+        const state = await chatQuestionnaire.getActiveQuestionnaire(chatId);
+
+        if (state) {
+            const { reply, completed, answers } = await chatQuestionnaire.handleReply(state, messageText);
+            if (reply) {
+                await client.sendMessage(chatId, { text: reply });
+            }
+
+            if (completed) {
+                const session = await sessionManager.getSession(state.session_id);
+                if (session) {
+                    try {
+                        const { leadId } = await completeFormSubmission(session, answers);
+                        logger.info(`🤖 [STUPID-BOT] In-chat questionnaire completed for ${chatId} (lead ${leadId})`);
+                    } catch (error) {
+                        if (error.code === 'SESSION_ALREADY_COMPLETED') {
+                            // Completed through the web chatbot in the meantime - summary already sent from there
+                            logger.info(`🤖 [STUPID-BOT] In-chat questionnaire finished for ${chatId}, but the session was already completed`);
+                        } else {
+                            // Let the lead retry by answering the last question again
+                            logger.error(`🤖 [STUPID-BOT] Error completing in-chat questionnaire for ${chatId}:`, error);
+                            await chatQuestionnaire.reopenQuestionnaire(state.session_id);
+                            await client.sendMessage(chatId, { text: 'מצטער/ת, משהו השתבש. אנא שלח/י שוב את התשובה האחרונה.' });
+                        }
+                    }
+                }
+            }
+            return true;
+        }
+
+        if (chatQuestionnaire.isStartKeyword(messageText)) {
+            const session = await sessionManager.getActiveSessionByPhone(extractPhoneNumber(chatId));
+            if (!session) return false;
+
+            const firstQuestion = await chatQuestionnaire.startQuestionnaire({ session_id: session.session_id, chat_id: chatId });
+            await client.sendMessage(chatId, { text: firstQuestion });
+            logger.info(`🤖 [STUPID-BOT] ${chatId} asked for the in-chat questionnaire (session ${session.session_id})`);
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        logger.error('🤖 [STUPID-BOT] Error handling questionnaire message:', error);
+        return false;
+    }
+}
+
 /**
  * Get bot status and statistics
  * Now uses database for accurate counts
@@ -759,6 +789,7 @@ async function getBotStatus(dbPool = null) {
         enabled: true,
         triggerKeywords: BOT_CONFIG.triggerKeywords,
         formUrl: BOT_CONFIG.formUrl,
+        questionnaireMode: chatQuestionnaire.QUESTIONNAIRE_MODE,
         sessionTracking: true,
         sessionExpiry: `${SESSION_EXPIRY_HOURS} hours`,
         persistentStorage: !!dbPool,
@@ -819,8 +850,10 @@ function getPendingUsers() {
 
 module.exports = {
     isTriggerMessage,
+    matchTriggerKeyword,
     handleTriggerMessage,
     handleFormCompletion,
+    handleQuestionnaireMessage,
     getBotStatus,
     clearPendingUser,      // Clear single pending user
     clearPendingUsers,
@@ -828,5 +861,6 @@ module.exports = {
     extractPhoneNumber,
     formatPhoneNumber,
     saveSession,  // Export for server.js to save sessions from avi-website API
+    getSession,   // Export for server.js to route form webhooks to the session's account
     getPendingUsers  // CONSOLIDATED: Export for sessionManager to clear pending users directly
 };
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CANCELLATION, isRescheduleUrl, parseInviteeEvent, classifyCancellation } = require('../lib/calendly');
+
+const OLD_EVENT = 'https://api.calendly.com/scheduled_events/OLD';
+const NEW_EVENT = 'https://api.calendly.com/scheduled_events/NEW';
+
+function delivery(event, eventUri, payload = {}) {
+    return parseInviteeEvent({
+        event,
+        payload: { scheduled_event: { uri: eventUri, start_time: '2026-11-02T10:00:00Z' }, ...payload }
+    });
+}
+
+test('cancel of the stored meeting clears the booking', () => {
+    const session = { meeting_event_uri: OLD_EVENT };
+    const cancel = delivery('invitee.canceled', OLD_EVENT);
+
+    assert.strictEqual(classifyCancellation(session, cancel), CANCELLATION.CANCELED);
+});
+
+test('reschedule delivered in order keeps the booking until the new one arrives', () => {
+    // canceled(old, rescheduled) first, created(new) second
+    const session = { meeting_event_uri: OLD_EVENT };
+    const cancel = delivery('invitee.canceled', OLD_EVENT, { rescheduled: true });
+
+    assert.strictEqual(classifyCancellation(session, cancel), CANCELLATION.RESCHEDULED);
+});
+
+test('reschedule delivered out of order does not touch the new booking', () => {
+    // created(new) was stored before canceled(old) arrived
+    const session = { meeting_event_uri: NEW_EVENT };
+    const cancel = delivery('invitee.canceled', OLD_EVENT, { rescheduled: true });
+
+    assert.strictEqual(classifyCancellation(session, cancel), CANCELLATION.STALE);
+});
+
+test('late cancel of an earlier booking does not re-arm follow-ups', () => {
+    const session = { meeting_event_uri: NEW_EVENT };
+    const cancel = delivery('invitee.canceled', OLD_EVENT);
+
+    assert.strictEqual(classifyCancellation(session, cancel), CANCELLATION.STALE);
+});
+
+test('cancel without an event URI is not matched to a booking', () => {
+    const session = { meeting_event_uri: null };
+    const cancel = parseInviteeEvent({ event: 'invitee.canceled', payload: {} });
+
+    assert.strictEqual(classifyCancellation(session, cancel), CANCELLATION.STALE);
+});
+
+test('reschedule links are only accepted on the booking provider over https', () => {
+    assert.strictEqual(isRescheduleUrl('https://calendly.com/reschedulings/abc', ''), true);
+    assert.strictEqual(isRescheduleUrl('https://book.example.co.il/r/abc', 'book.example.co.il'), true);
+
+    assert.strictEqual(isRescheduleUrl('http://calendly.com/reschedulings/abc', ''), false);
+    assert.strictEqual(isRescheduleUrl('https://calendly.com.evil.test/abc', ''), false);
+    assert.strictEqual(isRescheduleUrl('https://evilcalendly.com/abc', ''), false);
+    assert.strictEqual(isRescheduleUrl('javascript:alert(1)', ''), false);
+    assert.strictEqual(isRescheduleUrl(42, ''), false);
+});